@@ -0,0 +1,86 @@
+import { StatusCodes } from 'http-status-codes';
+import AbandonedCheckout from '../models/AbandonedCheckout.js';
+import { abandonedCheckoutService } from '../services/abandonedCheckoutService.js';
+import { ApiError } from '../utils/ApiError.js';
+
+const sendError = (res, error, fallback) => {
+  if (!error?.isOperational) console.error(`[abandoned-checkout] ${fallback}:`, error);
+  return res.status(error?.isOperational ? error.statusCode : 500).json({ message: error?.isOperational ? error.message : fallback });
+};
+
+const parseRange = (query = {}) => {
+  const end = query.to ? new Date(query.to) : new Date();
+  const start = query.from ? new Date(query.from) : new Date(end.getTime() - 30 * 24 * 60 * 60 * 1000);
+  if (isNaN(start) || isNaN(end)) throw new ApiError(StatusCodes.BAD_REQUEST, 'Invalid from/to date');
+  return { start, end };
+};
+
+// GET /api/abandoned-checkouts/restore/:token - cart behind a reminder link (public)
+export const restoreCheckout = async (req, res) => {
+  try {
+    res.json(await abandonedCheckoutService.restore(req.params.token));
+  } catch (error) {
+    return sendError(res, error, 'Failed to restore cart');
+  }
+};
+
+// GET /api/abandoned-checkouts?status&from&to&page&limit
+export const listAbandonedCheckouts = async (req, res) => {
+  try {
+    const { start, end } = parseRange(req.query);
+    const filter = { abandonedAt: { $gte: start, $lte: end } };
+    if (['open', 'recovered', 'expired'].includes(req.query.status)) filter.status = req.query.status;
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(200, Math.max(1, parseInt(req.query.limit, 10) || 50));
+    const [checkouts, total] = await Promise.all([
+      AbandonedCheckout.find(filter).sort({ abandonedAt: -1 }).skip((page - 1) * limit).limit(limit).lean(),
+      AbandonedCheckout.countDocuments(filter)
+    ]);
+    res.json({ checkouts, total, page, limit });
+  } catch (error) {
+    return sendError(res, error, 'Failed to load abandoned checkouts');
+  }
+};
+
+// GET /api/abandoned-checkouts/stats?from&to - recovery funnel
+export const getRecoveryStats = async (req, res) => {
+  try {
+    res.json(await abandonedCheckoutService.stats(parseRange(req.query)));
+  } catch (error) {
+    return sendError(res, error, 'Failed to load recovery stats');
+  }
+};
+
+// GET /api/abandoned-checkouts/whatsapp - WhatsApp links of open checkouts, for an admin to open
+export const getWhatsAppQueue = async (req, res) => {
+  try {
+    const open = await AbandonedCheckout.find({ status: 'open', 'reminders.channels': { $elemMatch: { channel: 'whatsapp', ok: true } } })
+      .sort({ lastReminderAt: -1 }).limit(200).lean();
+    res.json(open.map(ac => {
+      const reminder = [...ac.reminders].reverse().find(r => r.channels.some(c => c.channel === 'whatsapp' && c.url));
+      return {
+        _id: ac._id,
+        name: [ac.customerInfo?.firstName, ac.customerInfo?.lastName].filter(Boolean).join(' '),
+        phone: ac.phone,
+        cartTotal: ac.cartTotal,
+        currency: ac.currency,
+        step: reminder?.step,
+        sentAt: reminder?.sentAt,
+        url: reminder?.channels.find(c => c.channel === 'whatsapp')?.url
+      };
+    }).filter(l => l.url));
+  } catch (error) {
+    return sendError(res, error, 'Failed to load WhatsApp links');
+  }
+};
+
+// POST /api/abandoned-checkouts/run - run the recovery job now
+export const runRecovery = async (req, res) => {
+  try {
+    const result = await abandonedCheckoutService.sweep();
+    if (!result) throw new ApiError(StatusCodes.CONFLICT, 'Abandoned checkout recovery is disabled');
+    res.json(result);
+  } catch (error) {
+    return sendError(res, error, 'Failed to run checkout recovery');
+  }
+};
@@ -0,0 +1,48 @@
+import Order from '../models/Order.js';
+import { backorderService } from '../services/backorderService.js';
+import { actorFromRequest } from '../services/orderStateMachine.js';
+
+const sendError = (res, error, fallback) => {
+  if (!error?.isOperational) console.error(`[inventory][backorders] ${fallback}:`, error);
+  return res.status(error?.isOperational ? error.statusCode : 500).json({ message: error?.isOperational ? error.message : fallback });
+};
+
+// GET /api/inventory/backorders?product=<id>&limit=500 - waiting lines in allocation order, with totals per item
+export const getBackorders = async (req, res) => {
+  try {
+    const lines = await backorderService.listWaiting({ product: req.query.product || null, limit: req.query.limit });
+    const totals = new Map();
+    for (const l of lines) {
+      const key = `${l.line.product}:${l.line.variantId || ''}`;
+      const t = totals.get(key) || { product: l.line.product, variantId: l.line.variantId || null, name: l.line.name, waiting: 0, orders: 0 };
+      t.waiting += Number(l.line.backorder?.waiting) || 0;
+      t.orders += 1;
+      totals.set(key, t);
+    }
+    res.json({ lines, totals: [...totals.values()] });
+  } catch (error) {
+    return sendError(res, error, 'Failed to load backorders');
+  }
+};
+
+// POST /api/inventory/backorders/allocate { productIds? } - allocate available stock now instead of waiting for the sweep
+export const allocateBackorders = async (req, res) => {
+  try {
+    const productIds = Array.isArray(req.body?.productIds) ? req.body.productIds.map(String) : null;
+    res.json(await backorderService.allocate({ productIds }));
+  } catch (error) {
+    return sendError(res, error, 'Failed to allocate backorders');
+  }
+};
+
+// PUT /api/orders/:id/preorder-balance/paid { reference? } - the balance of a deposit pre-order was collected
+export const markPreorderBalancePaid = async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id);
+    if (!order) return res.status(404).json({ message: 'Order not found' });
+    await backorderService.markBalancePaid(order, { reference: req.body?.reference, actor: actorFromRequest(req) });
+    res.json({ _id: order._id, preorderBalance: order.preorderBalance, amountDue: order.amountDue });
+  } catch (error) {
+    return sendError(res, error, 'Failed to record pre-order balance payment');
+  }
+};
@@ -1,11 +1,99 @@
 import Coupon from '../models/Coupon.js';
-import Product from '../models/Product.js';
 import Order from '../models/Order.js';
-import mongoose from 'mongoose';
+import User from '../models/User.js';
+import jwt from 'jsonwebtoken';
+import { customAlphabet } from 'nanoid';
+import { Parser as Json2csvParser } from 'json2csv';
 import { StatusCodes } from 'http-status-codes';
+import { priceCart, computeCouponDiscount, loadApplicableCoupon, expandBundleItems } from '../services/pricingService.js';
+
+const MAX_BULK_CODES = 10000;
+// Fields never copied from a template/request into generated codes
+const BULK_OMIT = ['_id', 'code', 'usedCount', 'usageLimit', 'createdAt', 'updatedAt', '__v', 'count', 'prefix', 'templateId', 'campaign'];
+// No 0/O/1/I so printed codes are not misread
+const randomCode = customAlphabet('23456789ABCDEFGHJKLMNPQRSTUVWXYZ', 8);
+
+// Rule-specific fields the schema alone cannot require
+const couponRuleError = (data) => {
+  const type = data?.type;
+  if (type === 'buy_x_get_y' && !(Number(data?.buyXGetY?.buyQuantity) >= 1 && Number(data?.buyXGetY?.getQuantity) >= 1)) {
+    return 'Buy X get Y coupons need buyXGetY.buyQuantity and buyXGetY.getQuantity';
+  }
+  if ((type === 'percentage' || type === 'fixed') && !(Number(data?.value) > 0)) {
+    return 'Coupon value must be greater than zero';
+  }
+  if (type === 'percentage' && Number(data?.value) > 100) {
+    return 'Percentage coupons cannot exceed 100';
+  }
+  return null;
+};
+
+// Coupon endpoints are public; a Bearer token, when present, identifies the customer for per-customer rules
+const resolveCustomer = async (req) => {
+  let userId = null;
+  let email = req.body?.email || req.body?.customerInfo?.email || req.query?.email || null;
+  try {
+    const authHeader = req.header('Authorization');
+    const token = authHeader?.startsWith('Bearer ') ? authHeader.replace('Bearer ', '') : null;
+    if (token) {
+      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      const user = await User.findById(decoded.userId).select('_id email');
+      if (user) {
+        userId = user._id;
+        email = email || user.email;
+      }
+    }
+  } catch {}
+  return { userId, email };
+};
+
+const sendCouponError = (res, error) => {
+  res.status(error?.isOperational ? error.statusCode : StatusCodes.INTERNAL_SERVER_ERROR).json({
+    message: error.message,
+    ...(error?.code && typeof error.code === 'string' ? { code: error.code } : {})
+  });
+};
+
+// Evaluate a coupon against the server-priced cart (no usage is counted here)
+const evaluateCoupon = async (req, code) => {
+  const items = Array.isArray(req.body?.items) ? req.body.items : [];
+  const customer = await resolveCustomer(req);
+  if (!items.length) {
+    // Legacy clients send only a total; that is enough for cart-wide percentage/fixed/free-shipping coupons
+    const coupon = await loadApplicableCoupon(code, null, { customer });
+    const scoped = coupon.products?.length || coupon.categories?.length || coupon.excludedProducts?.length
+      || coupon.excludedBrands?.length || coupon.type === 'buy_x_get_y' || coupon.flashSaleStacking === 'exclude';
+    if (scoped) {
+      return { error: { code: 'COUPON_CATEGORY_ONLY', message: 'Coupon applies only to specific items. Please add eligible products to your cart.' } };
+    }
+    const totalAmount = Number(req.body?.totalAmount ?? req.query?.totalAmount ?? 0) || 0;
+    const result = computeCouponDiscount(coupon, [{ product: { _id: null }, quantity: 1, unitPrice: totalAmount, lineSubtotal: totalAmount, breakdown: {} }]);
+    return { coupon, discount: result.discount, baseAmount: result.baseAmount, appliedScope: result.appliedScope, freeShipping: result.freeShipping };
+  }
+  const priced = await priceCart({ items: await expandBundleItems(items), couponCode: code, customer });
+  return {
+    coupon: priced.coupon.doc,
+    discount: priced.coupon.discount,
+    baseAmount: priced.coupon.baseAmount,
+    appliedScope: priced.coupon.appliedScope,
+    freeShipping: priced.freeShipping,
+    subtotal: priced.subtotal,
+    total: priced.total,
+    lines: priced.lines.map(l => ({
+      product: l.product._id,
+      variantId: l.variant?._id,
+      quantity: l.quantity,
+      unitPrice: l.unitPrice,
+      couponDiscount: l.couponDiscount,
+      lineTotal: l.lineTotal
+    }))
+  };
+};
 
 export const createCoupon = async (req, res) => {
   try {
+    const ruleError = couponRuleError(req.body);
+    if (ruleError) return res.status(StatusCodes.BAD_REQUEST).json({ message: ruleError });
     const coupon = new Coupon(req.body);
     await coupon.save();
     res.status(StatusCodes.CREATED).json(coupon);
@@ -86,6 +174,13 @@ export const getCoupon = async (req, res) => {
 
 export const updateCoupon = async (req, res) => {
   try {
+    const existing = await Coupon.findById(req.params.id).lean();
+    if (!existing) {
+      return res.status(StatusCodes.NOT_FOUND).json({ message: 'Coupon not found' });
+    }
+    const ruleError = couponRuleError({ ...existing, ...req.body });
+    if (ruleError) return res.status(StatusCodes.BAD_REQUEST).json({ message: ruleError });
+
     const coupon = await Coupon.findByIdAndUpdate(
       req.params.id,
       req.body,
@@ -120,154 +215,99 @@ export const validateCoupon = async (req, res) => {
   try {
     // Support both POST body and optional GET query fallback
     const codeRaw = (req.body?.code || req.query?.code || req.params?.code || '').toString();
-    const totalAmountRaw = req.body?.totalAmount ?? req.query?.totalAmount ?? 0;
-    const totalAmount = Number(totalAmountRaw) || 0;
-    const itemsRaw = req.body?.items;
-
     if (!codeRaw) {
       return res.status(StatusCodes.BAD_REQUEST).json({ message: 'Coupon code is required' });
     }
 
-    const code = codeRaw.toUpperCase();
-    const now = new Date();
-    const coupon = await Coupon.findOne({
-      code,
-      isActive: true,
-      startDate: { $lte: now },
-      endDate: { $gte: now }
-    }).populate('categories', 'name').populate('products','name');
-
-    if (!coupon) {
-      return res.status(StatusCodes.NOT_FOUND).json({ message: 'Invalid or expired coupon code' });
-    }
-    
-    // Determine base amount for discount calculation.
-    // If coupon is restricted to certain products/categories, compute eligible subtotal from provided items.
-    let baseAmount = totalAmount;
-    const hasProductRestrictions = Array.isArray(coupon.products) && coupon.products.length > 0;
-    const hasCategoryRestrictions = Array.isArray(coupon.categories) && coupon.categories.length > 0;
-
-    if (hasProductRestrictions || hasCategoryRestrictions) {
-      const items = Array.isArray(itemsRaw) ? itemsRaw : [];
-      const readableCategoryNames = hasCategoryRestrictions && Array.isArray(coupon.categories)
-        ? coupon.categories.map(c => c?.name).filter(Boolean)
-        : [];
-      if (items.length === 0) {
-        return res.status(StatusCodes.BAD_REQUEST).json({
-          code: 'COUPON_CATEGORY_ONLY',
-          categoryNames: readableCategoryNames,
-          message: readableCategoryNames.length
-            ? `Coupon is restricted. Valid only for categories: ${readableCategoryNames.join(', ')}`
-            : 'Coupon applies only to specific items. Please add eligible products to your cart.'
-        });
-      }
-
-      // Normalize and pick product ids from client cart payload
-      const rawIds = [...new Set(items.map(it => String(it?.productId || '').trim()).filter(Boolean))];
-      const productIds = rawIds.filter(id => mongoose.Types.ObjectId.isValid(id)).map(id => new mongoose.Types.ObjectId(id));
-
-      const products = await Product.find({ _id: { $in: productIds } }).select('_id category categories price');
-      const eligibleProductIdSet = new Set();
-      const priceById = new Map(products.map(p => [String(p._id), Number(p.price) || 0]));
-
-      // When populated, coupon.products / coupon.categories contain full docs; fall back to raw id if not populated
-      const couponProductIds = Array.isArray(coupon.products) ? coupon.products.map(p => String(p?._id || p)) : [];
-      const couponCategoryIds = Array.isArray(coupon.categories) ? coupon.categories.map(c => String(c?._id || c)) : [];
-
-      for (const p of products) {
-        const idStr = String(p._id);
-        let eligible = false;
-        if (hasProductRestrictions && couponProductIds.includes(idStr)) {
-          eligible = true;
-        }
-        if (!eligible && hasCategoryRestrictions) {
-          const primary = p.category ? String(p.category) : null;
-          const extra = Array.isArray(p.categories) ? p.categories.map(c => String(c)) : [];
-          const prodCats = new Set([...(primary ? [primary] : []), ...extra]);
-          for (const cId of couponCategoryIds) {
-            if (prodCats.has(cId)) { eligible = true; break; }
-          }
-        }
-        if (eligible) eligibleProductIdSet.add(idStr);
-      }
-
-      let eligibleSubtotal = 0;
-      for (const it of items) {
-        const pid = String(it?.productId || '').trim();
-        const qty = Number(it?.quantity) || 0;
-        const price = priceById.get(pid) ?? (Number(it?.price) || 0);
-        if (eligibleProductIdSet.has(pid)) {
-          eligibleSubtotal += qty * price;
-        }
-      }
+    const result = await evaluateCoupon(req, codeRaw);
+    if (result.error) return res.status(StatusCodes.BAD_REQUEST).json(result.error);
+    res.json(result);
+  } catch (error) {
+    sendCouponError(res, error);
+  }
+};
 
-      if (eligibleSubtotal <= 0) {
-        return res.status(StatusCodes.BAD_REQUEST).json({
-          code: 'COUPON_NOT_ELIGIBLE_CATEGORY',
-          categoryNames: readableCategoryNames,
-          message: readableCategoryNames.length
-            ? `Coupon not applicable. It is valid only for categories: ${readableCategoryNames.join(', ')}`
-            : 'Coupon is not applicable to the items in your cart'
-        });
-      }
+// Evaluate the coupon against the cart the customer is about to order.
+// usedCount is only incremented when an order is actually placed (see recordCouponUse).
+export const applyCoupon = async (req, res) => {
+  try {
+    const result = await evaluateCoupon(req, String(req.params.code || ''));
+    if (result.error) return res.status(StatusCodes.BAD_REQUEST).json(result.error);
+    res.json({ message: 'Coupon applied successfully', ...result });
+  } catch (error) {
+    sendCouponError(res, error);
+  }
+};
 
-      baseAmount = eligibleSubtotal;
+// Admin: generate single-use codes for a campaign from a template coupon or inline rules
+// body: { campaign, count, prefix?, templateId? , ...coupon fields }
+export const bulkGenerateCoupons = async (req, res) => {
+  try {
+    const { campaign, prefix = '', templateId } = req.body || {};
+    const count = Math.floor(Number(req.body?.count) || 0);
+    if (!campaign || !String(campaign).trim()) {
+      return res.status(StatusCodes.BAD_REQUEST).json({ message: 'Campaign name is required' });
     }
-
-    if (baseAmount < coupon.minPurchase) {
-      return res.status(StatusCodes.BAD_REQUEST).json({ message: `Minimum purchase amount of $${coupon.minPurchase} required` });
+    if (count < 1 || count > MAX_BULK_CODES) {
+      return res.status(StatusCodes.BAD_REQUEST).json({ message: `count must be between 1 and ${MAX_BULK_CODES}` });
     }
 
-    if (coupon.usageLimit && coupon.usedCount >= coupon.usageLimit) {
-      return res.status(StatusCodes.BAD_REQUEST).json({ message: 'Coupon usage limit reached' });
+    let base = { ...(req.body || {}) };
+    if (templateId) {
+      const template = await Coupon.findById(templateId).lean();
+      if (!template) return res.status(StatusCodes.NOT_FOUND).json({ message: 'Template coupon not found' });
+      base = template;
     }
+    const rules = Object.fromEntries(Object.entries(base).filter(([k]) => !BULK_OMIT.includes(k)));
+    const ruleError = couponRuleError(rules);
+    if (ruleError) return res.status(StatusCodes.BAD_REQUEST).json({ message: ruleError });
 
-    // Calculate discount. For restricted coupons, do not allow a fixed amount
-    // to exceed the eligible subtotal; leftover value is discarded.
-    let discount = 0;
-    const isRestrictedScope = (hasProductRestrictions || hasCategoryRestrictions);
-    if (coupon.type === 'percentage') {
-      discount = (baseAmount * coupon.value) / 100;
-      if (coupon.maxDiscount) {
-        discount = Math.min(discount, coupon.maxDiscount);
-      }
-    } else { // fixed
-      discount = coupon.value;
-      if (isRestrictedScope) {
-        // Cap discount to eligible subtotal so it does not spill to non-eligible items
-        discount = Math.min(discount, baseAmount);
-      }
-      if (coupon.maxDiscount) {
-        discount = Math.min(discount, coupon.maxDiscount);
-      }
-    }
+    const cleanPrefix = String(prefix).toUpperCase().replace(/[^A-Z0-9-]/g, '');
+    const codes = new Set();
+    while (codes.size < count) codes.add(`${cleanPrefix}${randomCode()}`);
+    // Drop the (unlikely) collisions with existing codes
+    const taken = new Set((await Coupon.find({ code: { $in: [...codes] } }).select('code').lean()).map(c => c.code));
 
-    res.json({ 
-      coupon, 
-      discount: Number(discount.toFixed(2)),
-      baseAmount,
-      appliedScope: (hasProductRestrictions || hasCategoryRestrictions) ? 'restricted' : 'cart'
+    const docs = [...codes].filter(c => !taken.has(c)).map(c => ({
+      ...rules,
+      code: c,
+      campaign: String(campaign).trim(),
+      usageLimit: 1,
+      usedCount: 0
+    }));
+    const created = await Coupon.insertMany(docs, { ordered: false });
+    res.status(StatusCodes.CREATED).json({
+      campaign: String(campaign).trim(),
+      requested: count,
+      created: created.length,
+      codes: created.map(c => c.code)
     });
   } catch (error) {
-    res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({ message: error.message });
+    res.status(StatusCodes.BAD_REQUEST).json({ message: error.message });
   }
 };
 
-export const applyCoupon = async (req, res) => {
+// Admin: CSV export of a campaign's codes with their redemption state
+export const exportCampaignCoupons = async (req, res) => {
   try {
-    const { code } = req.params;
-    const coupon = await Coupon.findOne({ code: code.toUpperCase() });
-    
-    if (!coupon) {
-      return res.status(StatusCodes.NOT_FOUND).json({ message: 'Coupon not found' });
+    const campaign = String(req.params.campaign || '').trim();
+    const coupons = await Coupon.find({ campaign }).sort('code').lean();
+    if (!coupons.length) {
+      return res.status(StatusCodes.NOT_FOUND).json({ message: 'No coupons found for this campaign' });
     }
-
-    // Increment usage count
-    coupon.usedCount += 1;
-    await coupon.save();
-
-    res.json({ message: 'Coupon applied successfully' });
+    const fields = ['code', 'type', 'value', 'usedCount', 'usageLimit', 'status', 'startDate', 'endDate'];
+    const parser = new Json2csvParser({ fields });
+    const csv = parser.parse(coupons.map(c => ({
+      ...c,
+      status: !c.isActive ? 'inactive' : (c.usageLimit && c.usedCount >= c.usageLimit ? 'used' : 'available'),
+      startDate: c.startDate ? new Date(c.startDate).toISOString() : '',
+      endDate: c.endDate ? new Date(c.endDate).toISOString() : ''
+    })));
+    const safeName = campaign.replace(/[^A-Za-z0-9_-]/g, '_');
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', `attachment; filename="coupons-${safeName}.csv"`);
+    return res.send(csv);
   } catch (error) {
     res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({ message: error.message });
   }
-};
\ No newline at end of file
+};
@@ -2,7 +2,9 @@ import mongoose from 'mongoose';
 import DeliveryCompany from '../models/DeliveryCompany.js';
 import Order from '../models/Order.js';
 import { StatusCodes } from 'http-status-codes';
-import { sendToCompany, getDeliveryStatusFromCompany, testCompanyConnection, mapStatus, validateRequiredMappings, validateCompanyConfiguration } from '../services/deliveryIntegrationService.js';
+import { sendToCompany, getDeliveryStatusFromCompany, testCompanyConnection, mapStatus, validateRequiredMappings, validateCompanyConfiguration, buildShipmentOrderView } from '../services/deliveryIntegrationService.js';
+import { transitionOrder, actorFromRequest } from '../services/orderStateMachine.js';
+import { dispatchShipment } from '../services/shipmentService.js';
 
 // List companies (admin)
 export const listCompanies = async (req, res) => {
@@ -207,7 +209,7 @@ export const validateAllFieldMappings = async (req, res) => {
 export const sendOrder = async (req, res) => {
   const session = await mongoose.startSession();
   try {
-    const { orderId, companyId, companyCode, deliveryFee = 0 } = req.body || {};
+    const { orderId, companyId, companyCode, deliveryFee = 0, shipmentId } = req.body || {};
     if (!orderId) {
       return res.status(StatusCodes.BAD_REQUEST).json({ message: 'orderId is required' });
     }
@@ -229,6 +231,29 @@ export const sendOrder = async (req, res) => {
     if (!order) return res.status(StatusCodes.NOT_FOUND).json({ message: 'Order not found' });
     if (!company) return res.status(StatusCodes.NOT_FOUND).json({ message: 'Delivery company not found' });
 
+    // Split orders are dispatched one shipment at a time
+    if (shipmentId) {
+      const shipment = await dispatchShipment(order, shipmentId, company, {
+        deliveryFee: req.body.deliveryFee != null ? Number(deliveryFee) : undefined,
+        actor: actorFromRequest(req)
+      });
+      return res.json({
+        message: 'Shipment sent to delivery company',
+        data: {
+          shipmentId: shipment._id,
+          shipmentNumber: shipment.shipmentNumber,
+          trackingNumber: shipment.trackingNumber,
+          status: shipment.status,
+          orderStatus: order.status,
+          fulfillmentStatus: order.fulfillmentStatus,
+          deliveryCompanyResponse: shipment.deliveryResponse
+        }
+      });
+    }
+    if ((order.shipments || []).some(s => s.status !== 'cancelled')) {
+      return res.status(StatusCodes.CONFLICT).json({ message: 'Order is split into shipments; send a shipmentId to dispatch one of them' });
+    }
+
     await session.startTransaction();
 
   // Validate company API configuration before sending
@@ -281,13 +306,14 @@ export const sendOrder = async (req, res) => {
   } catch (error) {
     if (session.inTransaction()) await session.abortTransaction();
     // Return actionable errors for preflight problems
-    if (error && (error.code === 'MAPPING_MISSING' || error.code === 'PARAMS_MISSING')) {
+    if (error && (error.code === 'MAPPING_MISSING' || error.code === 'PARAMS_MISSING' || error.code === 'CONFIG_INVALID')) {
       return res.status(StatusCodes.BAD_REQUEST).json({
         message: error.message,
         code: error.code,
         ...(error.details ? { details: error.details } : {})
       });
     }
+    if (error?.isOperational) return res.status(error.statusCode).json({ message: error.message });
     res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({ message: error.message || 'Failed to send order' });
   } finally {
     await session.endSession();
@@ -296,12 +322,12 @@ export const sendOrder = async (req, res) => {
 
 // Order-based send (legacy path used by some UI): /delivery/order
 export const sendOrderWithOrderPayload = async (req, res) => {
-  const { order, companyId, mappedData } = req.body || {};
+  const { order, companyId, mappedData, shipmentId } = req.body || {};
   if (!order || !order._id || !companyId) {
     return res.status(StatusCodes.BAD_REQUEST).json({ message: 'order object with _id and companyId are required' });
   }
   // Delegate to sendOrder to keep single flow
-  req.body = { orderId: order._id, companyId, deliveryFee: mappedData?.deliveryFee || 0 };
+  req.body = { orderId: order._id, companyId, deliveryFee: mappedData?.deliveryFee || 0, ...(shipmentId ? { shipmentId } : {}) };
   return sendOrder(req, res);
 };
 
@@ -310,6 +336,16 @@ export const getDeliveryStatus = async (req, res) => {
   const { orderId } = req.params;
   const order = await Order.findById(orderId).populate('deliveryCompany');
   if (!order) return res.status(StatusCodes.NOT_FOUND).json({ message: 'Order not found' });
+  // Status of a single shipment (?shipmentId=...)
+  if (req.query.shipmentId) {
+    const shipment = order.shipments.id(req.query.shipmentId);
+    if (!shipment) return res.status(StatusCodes.NOT_FOUND).json({ message: 'Shipment not found' });
+    const company = shipment.deliveryCompany ? await DeliveryCompany.findById(shipment.deliveryCompany) : null;
+    if (!company) return res.status(StatusCodes.BAD_REQUEST).json({ message: 'Shipment not assigned to delivery' });
+    const status = await getDeliveryStatusFromCompany(buildShipmentOrderView(order.toObject(), shipment.toObject()), company.toObject());
+    const internal = mapStatus(company, status.status);
+    return res.json({ success: true, ...status, shipmentId: shipment._id, status: internal, internalStatus: internal });
+  }
   if (!order.deliveryCompany) return res.status(StatusCodes.BAD_REQUEST).json({ message: 'Order not assigned to delivery' });
   const status = await getDeliveryStatusFromCompany(order, order.deliveryCompany);
   const internal = mapStatus(order.deliveryCompany, status.status);
@@ -338,14 +374,27 @@ export const batchAssignOrders = async (req, res) => {
       update.trackingNumber = trackingNumber; // legacy
     }
     if (deliveryStatus) update.deliveryStatus = deliveryStatus;
-    if (orderStatus) update.status = orderStatus;
 
     const result = await Order.updateMany({ _id: { $in: orderIds } }, { $set: update });
+
+    // Order status changes go through the state machine one order at a time
+    const statusErrors = [];
+    if (orderStatus) {
+      const orders = await Order.find({ _id: { $in: orderIds } });
+      for (const order of orders) {
+        try {
+          await transitionOrder(order, orderStatus, { actor: actorFromRequest(req), source: 'delivery_batch_assign' });
+        } catch (e) {
+          statusErrors.push({ orderId: String(order._id), message: e?.message || String(e) });
+        }
+      }
+    }
     res.json({
       success: true,
       message: 'Orders assigned to delivery company',
       modifiedCount: result.modifiedCount || result.nModified || 0,
-      company: { id: String(company._id), name: company.name }
+      company: { id: String(company._id), name: company.name },
+      ...(statusErrors.length ? { statusErrors } : {})
     });
   } catch (err) {
     res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({ message: err.message || 'Batch assignment failed' });
@@ -354,7 +403,10 @@ export const batchAssignOrders = async (req, res) => {
 
 // Batch send multiple orders to a delivery company using existing sendOrder logic components
 export const batchSendOrders = async (req, res) => {
-  const { orderIds, companyId, companyCode, deliveryFee = 0, stopOnError = false } = req.body || {};
+  const { companyId, companyCode, deliveryFee = 0, stopOnError = false } = req.body || {};
+  // Either whole orders (orderIds) or individual shipments ([{ orderId, shipmentId }])
+  const shipmentRefs = Array.isArray(req.body?.shipments) ? req.body.shipments.filter(s => s?.orderId && s?.shipmentId) : [];
+  const orderIds = shipmentRefs.length ? shipmentRefs.map(s => s.orderId) : req.body?.orderIds;
   if (!Array.isArray(orderIds) || !orderIds.length) {
     return res.status(StatusCodes.BAD_REQUEST).json({ message: 'orderIds array is required' });
   }
@@ -371,12 +423,22 @@ export const batchSendOrders = async (req, res) => {
   if (!company) return res.status(StatusCodes.NOT_FOUND).json({ message: 'Delivery company not found' });
 
   const results = [];
-  for (const orderId of orderIds) {
+  for (const [idx, orderId] of orderIds.entries()) {
+    const shipmentId = shipmentRefs[idx]?.shipmentId;
     try {
       // Reuse portions of sendOrder flow (without duplicating entire code) by manually replicating essential steps
       const order = await Order.findById(orderId);
       if (!order) throw new Error('Order not found');
 
+      if (shipmentId) {
+        const shipment = await dispatchShipment(order, shipmentId, company, { deliveryFee, actor: actorFromRequest(req) });
+        results.push({ orderId, shipmentId, success: true, trackingNumber: shipment.trackingNumber, status: shipment.status });
+        continue;
+      }
+      if ((order.shipments || []).some(s => s.status !== 'cancelled')) {
+        throw Object.assign(new Error('Order is split into shipments; send its shipments instead'), { code: 'HAS_SHIPMENTS' });
+      }
+
       // Validate configuration & required mappings
       const cfg = validateCompanyConfiguration(company.toObject());
       if (!cfg.ok) {
@@ -399,7 +461,7 @@ export const batchSendOrders = async (req, res) => {
 
       results.push({ orderId, success: true, trackingNumber, status: order.deliveryStatus });
     } catch (err) {
-      const entry = { orderId, success: false, error: err.message || 'Failed', code: err.code };
+      const entry = { orderId, ...(shipmentId ? { shipmentId } : {}), success: false, error: err.message || 'Failed', code: err.code };
       if (err.missing) entry.missing = err.missing;
       results.push(entry);
       if (stopOnError) break;
@@ -0,0 +1,76 @@
+import mongoose from 'mongoose';
+import { StatusCodes } from 'http-status-codes';
+import DeliverySlot from '../models/DeliverySlot.js';
+import { deliverySlotService, storeClock } from '../services/deliverySlotService.js';
+
+const sendError = (res, error, fallback) => {
+  if (!error?.isOperational) console.error(`[shipping][slots] ${fallback}:`, error);
+  return res.status(error?.isOperational ? error.statusCode : 500).json({ message: error?.isOperational ? error.message : fallback });
+};
+
+// GET /api/shipping/delivery-slots/availability?city=&zoneId=&days=&from= - bookable slots per store-local day
+export const getSlotAvailability = async (req, res) => {
+  try {
+    const { city, zoneId, days, from } = req.query;
+    res.json(await deliverySlotService.availability({ city, zoneId, days, from }));
+  } catch (error) {
+    return sendError(res, error, 'Failed to load delivery slots');
+  }
+};
+
+// GET /api/shipping/delivery-slots - all slots with bookings from today on (admin)
+export const getDeliverySlots = async (req, res) => {
+  try {
+    const [slots, cfg] = await Promise.all([
+      DeliverySlot.find().populate('zones', 'name').sort('order startTime').lean(),
+      deliverySlotService.config()
+    ]);
+    const today = storeClock(new Date(), cfg.timezone).date;
+    res.json({
+      timezone: cfg.timezone,
+      slots: slots.map(s => ({ ...s, bookings: (s.bookings || []).filter(b => b.date >= today).sort((a, b) => a.date.localeCompare(b.date)) }))
+    });
+  } catch (error) {
+    return sendError(res, error, 'Failed to load delivery slots');
+  }
+};
+
+// POST /api/shipping/delivery-slots { name, startTime, endTime, zones?, cities?, weekdays?, cutoff?, capacity?, blackoutDates? }
+export const createDeliverySlot = async (req, res) => {
+  try {
+    const data = deliverySlotService.normalize(req.body);
+    deliverySlotService.assertWindow(data);
+    const slot = await DeliverySlot.create(data);
+    res.status(StatusCodes.CREATED).json(slot);
+  } catch (error) {
+    return sendError(res, error, 'Failed to create delivery slot');
+  }
+};
+
+// PUT /api/shipping/delivery-slots/:id - partial update; bookings are not editable
+export const updateDeliverySlot = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(400).json({ message: 'Invalid slot id' });
+    const slot = await DeliverySlot.findById(req.params.id);
+    if (!slot) return res.status(404).json({ message: 'Delivery slot not found' });
+    const data = deliverySlotService.normalize(req.body, { partial: true });
+    deliverySlotService.assertWindow({ startTime: data.startTime || slot.startTime, endTime: data.endTime || slot.endTime });
+    slot.set(data);
+    await slot.save();
+    res.json(slot);
+  } catch (error) {
+    return sendError(res, error, 'Failed to update delivery slot');
+  }
+};
+
+// DELETE /api/shipping/delivery-slots/:id - orders keep their slot snapshot
+export const deleteDeliverySlot = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(400).json({ message: 'Invalid slot id' });
+    const slot = await DeliverySlot.findByIdAndDelete(req.params.id);
+    if (!slot) return res.status(404).json({ message: 'Delivery slot not found' });
+    res.json({ message: 'Delivery slot deleted successfully' });
+  } catch (error) {
+    return sendError(res, error, 'Failed to delete delivery slot');
+  }
+};
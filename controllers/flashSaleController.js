@@ -2,6 +2,7 @@ import FlashSale from '../models/FlashSale.js';
 import Product from '../models/Product.js';
 import { getStoreCurrency } from '../services/storeCurrencyService.js';
 import { deepseekTranslate, isDeepseekConfigured } from '../services/translate/deepseek.js';
+import { prepareSaleItems, remainingOf, syncFlashSales } from '../services/flashSaleService.js';
 
 // Helper: compute flash price from percent with basic guards
 function computePercentPrice(base, pct) {
@@ -14,6 +15,16 @@ function computePercentPrice(base, pct) {
   return r;
 }
 
+// Public stock fields of a flash sale item; remaining is null when the item has no allocation
+const saleStockOf = (it) => {
+  const remaining = remainingOf(it);
+  return {
+    allocatedQuantity: Number(it?.allocatedQuantity) || 0,
+    remainingQuantity: remaining,
+    soldOut: remaining === 0
+  };
+};
+
 // Expand selected categories to concrete flash sale items using percentage pricing
 async function expandCategoriesToItems(categoryIds = [], discountPercent) {
   if (!Array.isArray(categoryIds) || categoryIds.length === 0) return [];
@@ -85,6 +96,7 @@ export const create = async (req, res) => {
       const items = await expandCategoriesToItems(payload.categoryIds || [], pct);
       payload.items = items;
     }
+    if (Array.isArray(payload.items)) payload.items = prepareSaleItems(payload.items);
     const sale = await FlashSale.create(payload);
     res.status(201).json(sale);
   } catch (e) {
@@ -107,8 +119,16 @@ export const update = async (req, res) => {
       const items = await expandCategoriesToItems(payload.categoryIds || [], pct);
       payload.items = items;
     }
+    if (Array.isArray(payload.items)) {
+      // Units already sold keep counting against the new allocation
+      const existing = await FlashSale.findById(req.params.id).select('items').lean();
+      payload.items = prepareSaleItems(payload.items, existing?.items);
+    }
     const updated = await FlashSale.findByIdAndUpdate(req.params.id, payload, { new: true, runValidators: true });
     if (!updated) return res.status(404).json({ message: 'Not found' });
+    if (Array.isArray(payload.items)) {
+      try { await syncFlashSales([updated._id]); } catch {}
+    }
     res.json(updated);
   } catch (e) {
     res.status(400).json({ message: e.message || 'Failed to update' });
@@ -213,6 +233,8 @@ export const publicActiveList = async (req, res) => {
           product: p,
           flashPrice: it.flashPrice,
           quantityLimit: it.quantityLimit,
+          perCustomerLimit: it.perCustomerLimit || 0,
+          ...saleStockOf(it),
           order: it.order
         };
       }));
@@ -287,6 +309,8 @@ export const publicGetById = async (req, res) => {
         product: p,
         flashPrice: it.flashPrice,
         quantityLimit: it.quantityLimit,
+        perCustomerLimit: it.perCustomerLimit || 0,
+        ...saleStockOf(it),
         order: it.order,
       };
     }));
@@ -364,6 +388,8 @@ export const publicGetActiveItems = async (req, res) => {
         product: productById.get(String(it.product)) || null,
         flashPrice: it.flashPrice,
         quantityLimit: it.quantityLimit,
+        perCustomerLimit: it.perCustomerLimit || 0,
+        ...saleStockOf(it),
         order: it.order,
       })).filter(x => x.product);
     }
@@ -401,3 +427,36 @@ export const publicGetActiveItems = async (req, res) => {
     res.status(500).json({ message: 'Failed to load flash sale items' });
   }
 };
+
+// Public: live remaining sale stock per item (polled by countdown pages; pushed via flash_sale_stock events)
+export const publicGetActiveItemsStock = async (req, res) => {
+  try {
+    const now = new Date();
+    // Sales that ended on sellout stay visible here so pages can show "sold out" until endDate
+    const s = await FlashSale.findOne({
+      _id: req.params.id,
+      startDate: { $lte: now },
+      endDate: { $gte: now },
+      $or: [{ active: true }, { endReason: 'sold_out' }]
+    }).select('items active endReason endedAt').lean();
+    if (!s) return res.status(404).json({ message: 'Flash sale not found or not active' });
+    const items = (s.items || []).map(it => ({
+      productId: String(it.product),
+      quantityLimit: it.quantityLimit || 0,
+      perCustomerLimit: it.perCustomerLimit || 0,
+      ...saleStockOf(it),
+      soldQuantity: it.soldQuantity || 0
+    }));
+    res.set('Cache-Control', 'no-store');
+    res.json({
+      saleId: String(s._id),
+      active: !!s.active,
+      ended: !s.active,
+      endReason: s.endReason || null,
+      endedAt: s.endedAt || null,
+      items
+    });
+  } catch (e) {
+    res.status(500).json({ message: 'Failed to load flash sale stock' });
+  }
+};
@@ -4,6 +4,55 @@ import { sendGiftCardEmail } from '../utils/emailService.js';
 import { StatusCodes } from 'http-status-codes';
 import { ApiError } from '../utils/ApiError.js';
 import { addDays } from 'date-fns';
+import { giftCardService, orderAmountDue } from '../services/giftCardService.js';
+import { reservationService } from '../services/reservationService.js';
+
+// Atomically debit `amount` from a card and, when given, record it on the order's payment totals
+const redeemOnOrder = async (code, amount, order) => {
+  const requested = Math.round(Number(amount) * 100) / 100;
+  if (!(requested > 0)) {
+    throw new ApiError(StatusCodes.BAD_REQUEST, 'Amount must be greater than zero');
+  }
+  if (order && requested > orderAmountDue(order)) {
+    throw new ApiError(StatusCodes.BAD_REQUEST, `Amount exceeds the order balance (${orderAmountDue(order)})`);
+  }
+  const [entry] = giftCardService.parseCodes({ giftCardCode: code });
+  if (!entry) {
+    throw new ApiError(StatusCodes.BAD_REQUEST, 'Gift card code is required');
+  }
+  const { lines } = await giftCardService.plan([{ ...entry, amount: requested }], requested);
+  if (!lines.length || lines[0].amount < requested) {
+    throw new ApiError(StatusCodes.BAD_REQUEST, 'Insufficient gift card balance');
+  }
+  const [applied] = await giftCardService.redeem(lines, { order: order?._id });
+
+  if (order) {
+    order.giftCards.push(applied);
+    order.giftCardTotal = Math.round(((order.giftCardTotal || 0) + applied.amount) * 100) / 100;
+    order.amountDue = orderAmountDue(order);
+    // Nothing left to pay: the order is settled by gift cards
+    if (order.amountDue === 0 && order.paymentStatus === 'pending') {
+      order.paymentStatus = 'completed';
+      order.paymentMethod = 'gift_card';
+      if (order.inventoryHeld) {
+        try {
+          await reservationService.convertHolds({ order: order._id }, { order: order._id });
+          order.inventoryHeld = false;
+        } catch (invErr) {
+          console.warn('[giftcards][apply] hold conversion failed', invErr?.message || invErr);
+        }
+      }
+    }
+    await order.save();
+  }
+
+  const card = await GiftCard.findById(applied.giftCard).select('currentBalance').lean();
+  return {
+    amountApplied: applied.amount,
+    remainingBalance: card?.currentBalance ?? 0,
+    ...(order ? { orderAmountDue: order.amountDue, paymentStatus: order.paymentStatus } : {})
+  };
+};
 
 // Purchase gift card
 export const purchaseGiftCard = async (req, res) => {
@@ -143,57 +192,16 @@ export const checkBalance = async (req, res) => {
 // Apply gift card to order
 export const applyToOrder = async (req, res) => {
   try {
-    const { code, amount } = req.body;
-    const giftCard = await GiftCard.findOne({ code });
-
-    if (!giftCard) {
+    const { code, amount, orderId } = req.body;
+    const order = orderId ? await Order.findById(orderId) : null;
+    if (orderId && !order) {
       throw new ApiError(
         StatusCodes.NOT_FOUND,
-        'Gift card not found'
-      );
-    }
-
-    // Check expiry and update status if needed
-    const now = new Date();
-    if (giftCard.expiryDate && giftCard.expiryDate < now) {
-      if (giftCard.status !== 'expired') {
-        giftCard.status = 'expired';
-        await giftCard.save();
-      }
-      throw new ApiError(
-        StatusCodes.BAD_REQUEST,
-        'Gift card is expired'
-      );
-    }
-
-    if (giftCard.status !== 'active') {
-      throw new ApiError(
-        StatusCodes.BAD_REQUEST,
-        `Gift card is ${giftCard.status}`
+        'Order not found'
       );
     }
 
-    if (giftCard.currentBalance < amount) {
-      throw new ApiError(
-        StatusCodes.BAD_REQUEST,
-        'Insufficient gift card balance'
-      );
-    }
-
-    // Update balance
-    giftCard.currentBalance -= amount;
-    giftCard.lastUsed = new Date();
-    giftCard.redemptions.push({
-      order: req.body.orderId,
-      amount
-    });
-
-    await giftCard.save();
-
-    res.json({
-      amountApplied: amount,
-      remainingBalance: giftCard.currentBalance
-    });
+    res.json(await redeemOnOrder(code, amount, order));
   } catch (error) {
     throw new ApiError(
       error.statusCode || StatusCodes.INTERNAL_SERVER_ERROR,
@@ -211,43 +219,13 @@ export const applyToOrderGuest = async (req, res) => {
       throw new ApiError(StatusCodes.BAD_REQUEST, 'code, amount, orderId and email are required');
     }
 
-    const giftCard = await GiftCard.findOne({ code });
-
-    if (!giftCard) {
-      throw new ApiError(StatusCodes.NOT_FOUND, 'Gift card not found');
-    }
-
-    // Check expiry and update status if needed
-    const now = new Date();
-    if (giftCard.expiryDate && giftCard.expiryDate < now) {
-      if (giftCard.status !== 'expired') {
-        giftCard.status = 'expired';
-        await giftCard.save();
-      }
-      throw new ApiError(StatusCodes.BAD_REQUEST, 'Gift card is expired');
-    }
-
-    if (giftCard.status !== 'active') {
-      throw new ApiError(StatusCodes.BAD_REQUEST, `Gift card is ${giftCard.status}`);
-    }
-
-    if (giftCard.currentBalance < amount) {
-      throw new ApiError(StatusCodes.BAD_REQUEST, 'Insufficient gift card balance');
-    }
-
     // Validate order by id and customer email (case-insensitive)
     const order = await Order.findOne({ _id: orderId, 'customerInfo.email': new RegExp(`^${email}$`, 'i') });
     if (!order) {
       throw new ApiError(StatusCodes.NOT_FOUND, 'Order not found');
     }
 
-    // Deduct and record redemption
-    giftCard.currentBalance -= amount;
-    giftCard.lastUsed = new Date();
-    giftCard.redemptions.push({ order: order._id, amount });
-    await giftCard.save();
-
-    res.json({ amountApplied: amount, remainingBalance: giftCard.currentBalance });
+    res.json(await redeemOnOrder(code, amount, order));
   } catch (error) {
     throw new ApiError(
       error.statusCode || StatusCodes.INTERNAL_SERVER_ERROR,
@@ -0,0 +1,189 @@
+import mongoose from 'mongoose';
+import { StatusCodes } from 'http-status-codes';
+import { Parser as Json2csvParser } from 'json2csv';
+import * as XLSX from 'xlsx';
+import Invoice from '../models/Invoice.js';
+import Order from '../models/Order.js';
+import POSTransaction from '../models/POSTransaction.js';
+import { invoiceService } from '../services/invoiceService.js';
+import { ApiError } from '../utils/ApiError.js';
+import { canAccessOrder } from '../utils/orderAccess.js';
+
+// Bulk PDF exports render every document into one file; larger ranges should use CSV/XLSX
+const PDF_EXPORT_LIMIT = 500;
+const EXPORT_LIMIT = 20000;
+
+const sendError = (res, error, fallback) => {
+  if (!error?.isOperational) console.error(`[invoices] ${fallback}:`, error);
+  return res.status(error?.isOperational ? error.statusCode : 500).json({ message: error?.isOperational ? error.message : fallback });
+};
+
+const sendDocument = async (res, invoices, format, filename) => {
+  if (format === 'html') {
+    res.setHeader('Content-Type', 'text/html; charset=utf-8');
+    return res.send(await invoiceService.renderHtml(invoices));
+  }
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `inline; filename="${filename}.pdf"`);
+  return res.send(await invoiceService.renderPdf(invoices));
+};
+
+// issuedAt range and type/status filters shared by the list and the export
+const buildFilter = (query = {}) => {
+  const filter = {};
+  if (query.type) {
+    const types = String(query.type).split(',').filter(t => ['invoice', 'credit_note', 'receipt'].includes(t));
+    if (types.length) filter.type = { $in: types };
+  }
+  if (query.status && ['issued', 'void'].includes(query.status)) filter.status = query.status;
+  const from = query.from ? new Date(query.from) : null;
+  const to = query.to ? new Date(query.to) : null;
+  if ((from && isNaN(from)) || (to && isNaN(to))) throw new ApiError(StatusCodes.BAD_REQUEST, 'Invalid from/to date');
+  if (from || to) {
+    filter.issuedAt = {};
+    if (from) filter.issuedAt.$gte = from;
+    // A bare date includes the whole day
+    if (to) filter.issuedAt.$lte = /^\d{4}-\d{2}-\d{2}$/.test(String(query.to)) ? new Date(to.getTime() + 86399999) : to;
+  }
+  if (query.q) filter.number = new RegExp(String(query.q).replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+  return filter;
+};
+
+const loadOrder = async (req) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) throw new ApiError(StatusCodes.NOT_FOUND, 'Order not found');
+  const order = await Order.findById(req.params.id);
+  if (!order) throw new ApiError(StatusCodes.NOT_FOUND, 'Order not found');
+  if (!canAccessOrder(req.user, order)) throw new ApiError(StatusCodes.FORBIDDEN, 'Not allowed to view this invoice');
+  return order;
+};
+
+const loadInvoice = async (req) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) throw new ApiError(StatusCodes.NOT_FOUND, 'Invoice not found');
+  const invoice = await Invoice.findById(req.params.id);
+  if (!invoice) throw new ApiError(StatusCodes.NOT_FOUND, 'Invoice not found');
+  return invoice;
+};
+
+// GET /api/orders/:id/invoice.pdf | invoice.html - the order's invoice (issued on first request)
+export const getOrderInvoiceDocument = (format) => async (req, res) => {
+  try {
+    const order = await loadOrder(req);
+    const invoice = await invoiceService.issueForOrder(order, { createdBy: req.user?._id });
+    return sendDocument(res, invoice, format, invoice.number);
+  } catch (error) {
+    return sendError(res, error, 'Failed to generate invoice');
+  }
+};
+
+// GET /api/orders/:id/invoices - every document of an order (invoices and credit notes)
+export const getOrderInvoices = async (req, res) => {
+  try {
+    const order = await loadOrder(req);
+    const invoices = await Invoice.find({ order: order._id }).sort({ issuedAt: 1 }).lean();
+    res.json(invoices);
+  } catch (error) {
+    return sendError(res, error, 'Failed to load invoices');
+  }
+};
+
+// GET /api/invoices - admin list (?type=invoice,credit_note&status&from&to&q&page&limit)
+export const listInvoices = async (req, res) => {
+  try {
+    const filter = buildFilter(req.query);
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(200, Math.max(1, parseInt(req.query.limit, 10) || 50));
+    const [invoices, total] = await Promise.all([
+      Invoice.find(filter).sort({ issuedAt: -1 }).skip((page - 1) * limit).limit(limit).select('-lines -seller').lean(),
+      Invoice.countDocuments(filter)
+    ]);
+    res.json({ invoices, total, page, limit });
+  } catch (error) {
+    return sendError(res, error, 'Failed to load invoices');
+  }
+};
+
+export const getInvoice = async (req, res) => {
+  try {
+    res.json(await loadInvoice(req));
+  } catch (error) {
+    return sendError(res, error, 'Failed to load invoice');
+  }
+};
+
+// GET /api/invoices/:id/pdf | html
+export const getInvoiceDocument = (format) => async (req, res) => {
+  try {
+    const invoice = await loadInvoice(req);
+    return sendDocument(res, invoice, format, invoice.number);
+  } catch (error) {
+    return sendError(res, error, 'Failed to render invoice');
+  }
+};
+
+// GET /api/invoices/export?from&to&type&status&format=csv|xlsx|pdf - bulk export of issued documents
+export const exportInvoices = async (req, res) => {
+  try {
+    const filter = buildFilter(req.query);
+    const format = String(req.query.format || 'csv').toLowerCase();
+    if (!['csv', 'xlsx', 'pdf'].includes(format)) throw new ApiError(StatusCodes.BAD_REQUEST, 'format must be csv, xlsx or pdf');
+    const stamp = new Date().toISOString().slice(0, 10);
+    if (format === 'pdf') {
+      const count = await Invoice.countDocuments(filter);
+      if (count > PDF_EXPORT_LIMIT) {
+        throw new ApiError(StatusCodes.BAD_REQUEST, `Too many documents for one PDF (${count}, max ${PDF_EXPORT_LIMIT}); narrow the date range`);
+      }
+      const invoices = await Invoice.find(filter).sort({ issuedAt: 1 }).lean();
+      if (!invoices.length) throw new ApiError(StatusCodes.NOT_FOUND, 'No documents in this range');
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition', `attachment; filename="invoices-${stamp}.pdf"`);
+      return res.send(await invoiceService.renderPdf(invoices));
+    }
+    const invoices = await Invoice.find(filter).sort({ issuedAt: 1 }).limit(EXPORT_LIMIT).select('-lines -seller').lean();
+    const rows = invoices.map(inv => ({
+      number: inv.number,
+      type: inv.type,
+      status: inv.status,
+      issuedAt: inv.issuedAt ? new Date(inv.issuedAt).toISOString() : '',
+      reference: inv.reference || '',
+      relatedNumber: inv.relatedNumber || '',
+      buyer: inv.buyer?.name || '',
+      buyerEmail: inv.buyer?.email || '',
+      currency: inv.currency || '',
+      subtotal: inv.subtotal,
+      discountTotal: inv.discountTotal,
+      shipping: inv.shipping,
+      taxTotal: inv.taxTotal,
+      total: inv.total,
+      creditedAmount: inv.creditedAmount || 0,
+      vatExempt: !!inv.vatExempt
+    }));
+    if (format === 'xlsx') {
+      const ws = XLSX.utils.json_to_sheet(rows);
+      const wb = XLSX.utils.book_new();
+      XLSX.utils.book_append_sheet(wb, ws, 'Invoices');
+      const buffer = XLSX.write(wb, { type: 'buffer', bookType: 'xlsx' });
+      res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+      res.setHeader('Content-Disposition', `attachment; filename="invoices-${stamp}.xlsx"`);
+      return res.send(buffer);
+    }
+    const parser = new Json2csvParser({ fields: Object.keys(rows[0] || { number: '' }) });
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="invoices-${stamp}.csv"`);
+    return res.send(parser.parse(rows));
+  } catch (error) {
+    return sendError(res, error, 'Failed to export invoices');
+  }
+};
+
+// GET /api/pos/transactions/:id/receipt.pdf | receipt.html - receipt (or credit note) of a POS transaction
+export const getPosReceiptDocument = (format) => async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) throw new ApiError(StatusCodes.NOT_FOUND, 'Transaction not found');
+    const transaction = await POSTransaction.findById(req.params.id);
+    if (!transaction) throw new ApiError(StatusCodes.NOT_FOUND, 'Transaction not found');
+    const receipt = await invoiceService.issueReceipt(transaction, { createdBy: req.user?._id });
+    return sendDocument(res, receipt, format, receipt.number);
+  } catch (error) {
+    return sendError(res, error, 'Failed to generate receipt');
+  }
+};
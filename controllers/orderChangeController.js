@@ -0,0 +1,104 @@
+import mongoose from 'mongoose';
+import Order from '../models/Order.js';
+import OrderChangeRequest from '../models/OrderChangeRequest.js';
+import { orderChangeService } from '../services/orderChangeService.js';
+import { actorFromRequest } from '../services/orderStateMachine.js';
+import { canAccessOrder } from '../utils/orderAccess.js';
+
+const sendError = (res, error, fallback) => {
+  if (!error?.isOperational) console.error(`[orders][changes] ${fallback}:`, error);
+  return res.status(error?.isOperational ? error.statusCode : 500).json({ message: error?.isOperational ? error.message : fallback });
+};
+
+const loadRequest = async (req, res) => {
+  const { id, requestId } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(requestId)) {
+    res.status(400).json({ message: 'Invalid request id' });
+    return null;
+  }
+  const rq = mongoose.Types.ObjectId.isValid(id) ? await OrderChangeRequest.findOne({ _id: requestId, order: id }) : null;
+  if (!rq) {
+    res.status(404).json({ message: 'Change request not found' });
+    return null;
+  }
+  return rq;
+};
+
+// POST /api/orders/:id/change-requests
+// body: { type: 'cancel'|'modify', reason?, shippingAddress?: { street?, city? }, mobile?, secondaryMobile?,
+//   items?: [{ orderItem, quantity }], refundTo?: 'original_payment'|'store_credit' }
+export const requestOrderChange = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(404).json({ message: 'Order not found' });
+    const order = await Order.findById(req.params.id);
+    if (!order) return res.status(404).json({ message: 'Order not found' });
+    if (!canAccessOrder(req.user, order)) return res.status(403).json({ message: 'Not allowed to change this order' });
+    const result = await orderChangeService.submit(order, req.body || {}, { user: req.user, actor: actorFromRequest(req) });
+    res.status(result.applied ? 200 : 202).json({
+      message: result.applied ? 'Order updated' : 'Request sent for review',
+      request: result.request,
+      order: { _id: result.order._id, status: result.order.status, totalAmount: result.order.totalAmount, amountDue: result.order.amountDue }
+    });
+  } catch (error) {
+    return sendError(res, error, 'Failed to submit change request');
+  }
+};
+
+// GET /api/orders/:id/change-requests - requests of an order and what may be requested now (owner or admin)
+export const getOrderChangeRequests = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(404).json({ message: 'Order not found' });
+    const order = await Order.findById(req.params.id).select('user customerInfo status createdAt deliveryTrackingNumber trackingNumber shipments.status');
+    if (!order) return res.status(404).json({ message: 'Order not found' });
+    if (!canAccessOrder(req.user, order)) return res.status(403).json({ message: 'Not allowed to view these requests' });
+    const [requests, cfg] = await Promise.all([
+      OrderChangeRequest.find({ order: order._id }).sort('-createdAt'),
+      orderChangeService.config()
+    ]);
+    res.json({ requests, eligibility: orderChangeService.eligibility(order, cfg) });
+  } catch (error) {
+    return sendError(res, error, 'Failed to load change requests');
+  }
+};
+
+// GET /api/orders/change-requests/all?status=pending - admin queue
+export const getAllChangeRequests = async (req, res) => {
+  try {
+    const { status } = req.query;
+    const query = ['pending', 'approved', 'rejected'].includes(status) ? { status } : {};
+    const requests = await OrderChangeRequest.find(query)
+      .sort('-createdAt')
+      .populate('order', 'orderNumber customerInfo totalAmount currency status paymentMethod paymentStatus')
+      .limit(500);
+    res.json(requests);
+  } catch (error) {
+    return sendError(res, error, 'Failed to load change requests');
+  }
+};
+
+// PUT /api/orders/:id/change-requests/:requestId/approve { adminNote?, refundTo? }
+export const approveChangeRequest = async (req, res) => {
+  try {
+    const rq = await loadRequest(req, res);
+    if (!rq) return;
+    const result = await orderChangeService.approve(rq, {
+      actor: actorFromRequest(req),
+      adminNote: req.body?.adminNote,
+      refundTo: req.body?.refundTo
+    });
+    res.json({ request: result.request, order: { _id: result.order._id, status: result.order.status, totalAmount: result.order.totalAmount, amountDue: result.order.amountDue } });
+  } catch (error) {
+    return sendError(res, error, 'Failed to approve change request');
+  }
+};
+
+// PUT /api/orders/:id/change-requests/:requestId/reject { reason? }
+export const rejectChangeRequest = async (req, res) => {
+  try {
+    const rq = await loadRequest(req, res);
+    if (!rq) return;
+    res.json(await orderChangeService.reject(rq, { actor: actorFromRequest(req), reason: req.body?.reason || req.body?.rejectionReason }));
+  } catch (error) {
+    return sendError(res, error, 'Failed to reject change request');
+  }
+};
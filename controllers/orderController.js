@@ -1,13 +1,19 @@
 import mongoose from 'mongoose';
+import { StatusCodes } from 'http-status-codes';
 import Order from '../models/Order.js';
-import Product from '../models/Product.js';
 import Service from '../models/Service.js';
 import Category from '../models/Category.js';
 import CategoryServiceAssignment from '../models/CategoryServiceAssignment.js';
 import CategoryServiceLedger from '../models/CategoryServiceLedger.js';
 import Recipient from '../models/Recipient.js';
+import Coupon from '../models/Coupon.js';
 import Inventory from '../models/Inventory.js';
 import { inventoryService } from '../services/inventoryService.js';
+import { reservationService } from '../services/reservationService.js';
+import { assertFlashSaleLimits, claimFlashSaleStock, releaseFlashSaleStock, flashLinesFromPriced, syncFlashSales } from '../services/flashSaleService.js';
+import { giftCardService } from '../services/giftCardService.js';
+import { storeCreditService } from '../services/storeCreditService.js';
+import { managerLedgerService } from '../services/managerLedgerService.js';
 import { SUPPORTED_CURRENCIES } from '../utils/currency.js';
 import { realTimeEventService } from '../services/realTimeEventService.js';
 import { sendPushToAll, sendPushToAdmins } from '../services/pushService.js';
@@ -16,11 +22,25 @@ import MobilePushToken from '../models/MobilePushToken.js';
 import { sendExpoPush } from '../services/expoPushService.js';
 import { whatsappFallbackForNewOrder } from '../services/whatsappFallbackService.js';
 import Settings from '../models/Settings.js';
-import jwt from 'jsonwebtoken';
-import User from '../models/User.js';
-import { calculateShippingFee as calcShipFee } from '../services/shippingService.js';
-import DeliveryCompany from '../models/DeliveryCompany.js';
-import { sendToCompany, mapStatus, validateRequiredMappings, validateCompanyConfiguration } from '../services/deliveryIntegrationService.js';
+import { ApiError } from '../utils/ApiError.js';
+import { calculateCartShippingFee as calcCartShipFee, resolveCheckoutShippingFee } from '../services/shippingService.js';
+import { priceCart, toPricingSnapshot, recordCouponUse, expandBundleItems, recordBundleSales } from '../services/pricingService.js';
+import { computeTax, toTaxSnapshot, retaxShipping } from '../services/taxService.js';
+import { abandonedCheckoutService } from '../services/abandonedCheckoutService.js';
+import { trackingLinkFor, sendOrderConfirmation, findTrackedOrder, buildTrackingView } from '../services/orderTrackingService.js';
+import { orderChangeService } from '../services/orderChangeService.js';
+import { backorderService } from '../services/backorderService.js';
+import { deliverySlotService } from '../services/deliverySlotService.js';
+import {
+  transitionOrder,
+  assertTransition,
+  normalizeStatus,
+  allowedTransitions,
+  actorFromRequest,
+  recordOrderEvent,
+  autoDispatchOrder,
+  getOrderTimeline as loadOrderTimeline
+} from '../services/orderStateMachine.js';
 
 // Update (admin) - update recipient/customer info, shipping address (city/street), status, and optionally shipping fee
 export const updateOrder = async (req, res) => {
@@ -57,28 +77,38 @@ export const updateOrder = async (req, res) => {
       order.shippingAddress = next;
     }
 
-    // Status update
-    if (status && typeof status === 'string' && status !== order.status) {
-      order.status = status;
+    // Status changes go through the state machine (validated, side effects, timeline)
+    const nextStatus = typeof status === 'string' ? normalizeStatus(status) : null;
+    if (nextStatus && nextStatus !== order.status) {
+      assertTransition(order, nextStatus);
     }
 
     // Optional shipping fee override (mirror logic with pre-save hook)
     if (typeof shippingFee === 'number' && shippingFee >= 0) {
       order.shippingFee = shippingFee;
+      retaxShipping(order);
     } else if (typeof deliveryFee === 'number' && deliveryFee >= 0) {
       // legacy field
       order.deliveryFee = deliveryFee;
     }
 
-    await order.save();
-
-    // Emit real-time event so admin dashboards refresh
-    try { realTimeEventService.emitOrderUpdate(order); } catch {}
+    if (nextStatus && nextStatus !== order.status) {
+      await transitionOrder(order, nextStatus, {
+        actor: actorFromRequest(req),
+        source: 'admin_order_update',
+        note: req.body?.note,
+        refundTo: req.body?.refundTo
+      });
+    } else {
+      await order.save();
+      // Emit real-time event so admin dashboards refresh
+      try { realTimeEventService.emitOrderUpdate(order); } catch {}
+    }
 
     res.json({ message: 'Order updated', order });
   } catch (error) {
     console.error('Error updating order (admin):', error);
-    res.status(500).json({ message: 'Failed to update order', error: error?.message });
+    res.status(error?.isOperational ? error.statusCode : 500).json({ message: error?.isOperational ? error.message : 'Failed to update order', error: error?.message });
   }
 };
 
@@ -86,38 +116,27 @@ export const updateOrder = async (req, res) => {
 export const createOrder = async (req, res) => {
   const session = await mongoose.startSession();
   let useTransaction = false;
+  // Order id whose gift card debits must be given back if the order is not saved (no transaction)
+  let giftCardsDebitedFor = null;
+  // Order whose store credit debit must be given back if the order is not saved (no transaction)
+  let storeCreditDebitedFor = null;
+  // Coupon whose use was counted before the order was saved (no transaction)
+  let couponCountedFor = null;
+  // Flash sale units claimed before the order was saved (no transaction)
+  let flashStockClaimed = null;
+  // Delivery slot place counted before the order was saved (no transaction)
+  let deliverySlotClaimed = null;
+  // Order whose stock holds must be released if the order is not saved (holds live outside the transaction)
+  let orderHeldFor = null;
 
   try {
     console.log('createOrder called with body:', JSON.stringify(req.body, null, 2));
-  const { items, shippingAddress, paymentMethod, customerInfo } = req.body;
-  const couponInput = req.body?.coupon || null; // expect { code, discount }
-  let couponSnapshot = null;
-  if (couponInput && typeof couponInput === 'object') {
-    const rawCode = couponInput.code || req.body.couponCode;
-    if (rawCode) {
-      couponSnapshot = {
-        code: String(rawCode).toUpperCase(),
-        discount: Number(couponInput.discount || req.body.couponDiscount || 0) || 0
-      };
-    }
-  }
+  const { items: cartItems, shippingAddress, paymentMethod, customerInfo } = req.body;
+  // Only the coupon code is taken from the client; the discount is recomputed by the pricing engine
+  const couponCode = (req.body?.coupon && typeof req.body.coupon === 'object' ? req.body.coupon.code : null) || req.body?.couponCode || null;
 
-    // If the request includes a Bearer token, attempt to associate the order with the authenticated user
-    try {
-      const authHeader = req.header('Authorization');
-      const token = authHeader?.startsWith('Bearer ') ? authHeader.replace('Bearer ', '') : null;
-      if (token) {
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
-        const user = await User.findById(decoded.userId);
-        if (user) {
-          // Attach to request for downstream usage
-          req.user = user;
-        }
-      }
-    } catch (e) {
-      // Silently ignore token errors to allow guest checkout
-      console.warn('Optional auth token invalid for createOrder; proceeding as guest if needed.');
-    }
+    // req.user is set by optionalAuth (routes/orderRoutes.js) when a valid Bearer token is sent; guests
+    // check out without one, store credit needs it
 
     // Single store currency mode: trust incoming currency if matches store setting; else force store currency
     let currency = req.body?.currency;
@@ -132,7 +151,7 @@ export const createOrder = async (req, res) => {
     }
 
     // Validate required fields
-    if (!items?.length) {
+    if (!cartItems?.length) {
       return res.status(400).json({ message: 'Order must contain at least one item' });
     }
 
@@ -157,11 +176,20 @@ export const createOrder = async (req, res) => {
       console.warn('MongoDB transactions not supported in current environment; proceeding without transaction. Reason:', txnErr?.message || txnErr);
     }
 
-  // Calculate total and validate stock
-    // We now treat catalog product.price as already expressed in the chosen store currency.
-    // Previous implementation multiplied by an exchangeRate (assuming a USD base) which caused inflated totals
-    // when catalog prices were already in the display currency. We set exchangeRate=1 for backward compatibility.
-    let totalAmount = 0;
+  // Price the cart server-side (variant -> flash sale -> bundle, coupon recomputed from the Coupon document).
+    // Catalog prices are already expressed in the store currency; exchangeRate stays 1 for backward compatibility.
+    // Bundle lines expand into their component products (each priced and stock-reserved on its own)
+    const items = await expandBundleItems(cartItems, { session: useTransaction ? session : null });
+    const priced = await priceCart({
+      items,
+      couponCode,
+      customer: { userId: req.user?._id, email: customerInfo?.email },
+      session: useTransaction ? session : null
+    });
+    // Flash sale caps (per order / per customer) and dedicated sale stock
+    const flashLines = flashLinesFromPriced(priced.lines);
+    await assertFlashSaleLimits(flashLines, { userId: req.user?._id, email: customerInfo?.email }, { session: useTransaction ? session : null });
+    const totalAmount = priced.total;
     const orderItems = [];
     const exchangeRate = 1; // No runtime FX conversion; prices stored as-is
     const stockUpdates = []; // Track stock updates for rollback
@@ -170,20 +198,11 @@ export const createOrder = async (req, res) => {
   // Determine involved categories from request items
   const categoryDocsCache = new Map();
 
-  for (const item of items) {
-      const baseProductQuery = Product.findById(item.product);
-      const product = useTransaction ? await baseProductQuery.session(session) : await baseProductQuery;
-
-      if (!product) {
-        if (session.inTransaction()) await session.abortTransaction();
-        return res.status(404).json({ message: `Product not found: ${item.product}` });
-      }
-
-      const qty = Number(item.quantity) || 0;
-      if (qty <= 0) {
-        if (session.inTransaction()) await session.abortTransaction();
-        return res.status(400).json({ message: `Invalid quantity for product ${product.name}` });
-      }
+  for (let idx = 0; idx < items.length; idx++) {
+      const item = items[idx];
+      const line = priced.lines[idx];
+      const product = line.product;
+      const qty = line.quantity;
 
       const sizeName = item.size;
       const usingVariant = !!item.variantId;
@@ -198,18 +217,11 @@ export const createOrder = async (req, res) => {
         ...(fallbackColor ? { color: fallbackColor } : {})
       });
 
-      // Use catalog price directly (already in store currency)
-      const catalogPrice = Number(product.price);
-      if (!isFinite(catalogPrice)) {
-        if (session.inTransaction()) await session.abortTransaction();
-        return res.status(400).json({ message: `Product ${product.name} has invalid price` });
-      }
-      totalAmount += catalogPrice * qty;
-
       orderItems.push({
         product: product._id,
         quantity: qty,
-        price: catalogPrice, // store unmodified
+        price: line.unitPrice, // effective unit price before coupon
+        pricing: toPricingSnapshot(line),
         name: product.name,
         image: Array.isArray(product.images) && product.images.length ? product.images[0] : undefined,
         // Include legacy size only when not using explicit variantId
@@ -223,7 +235,8 @@ export const createOrder = async (req, res) => {
           valueName: v.valueName || v.valueLabel || v.label || undefined
         })) : undefined,
         variantId: (item.variantId ? String(item.variantId) : undefined),
-        sku: (typeof item.sku === 'string' ? item.sku : undefined)
+        sku: (typeof item.sku === 'string' ? item.sku : (line.variant?.sku || undefined)),
+        bundle: (line.bundleId && mongoose.Types.ObjectId.isValid(String(line.bundleId)) ? String(line.bundleId) : undefined)
       });
 
       // Track stock update note (no direct product mutation here; inventory service will update totals)
@@ -283,9 +296,23 @@ export const createOrder = async (req, res) => {
   // Default to decrementing now when settings absent (safer default for most stores)
   const hasExplicitCfg = invCfg && (Object.prototype.hasOwnProperty.call(invCfg, 'reserveOnCheckout') || Object.prototype.hasOwnProperty.call(invCfg, 'autoDecrementOnOrder'));
   const shouldDecrementNow = hasExplicitCfg ? !!(invCfg?.reserveOnCheckout || invCfg?.autoDecrementOnOrder) : true;
-    if (shouldDecrementNow) {
+  // Online payments only hold stock (TTL) until the gateway confirms; COD converts immediately
+  const holdUntilPaid = paymentMethod !== 'cod' && (hasExplicitCfg ? !!invCfg?.reserveOnCheckout : true);
+  // The cart's own holds count as available only for the caller holding its token (see inventoryRoutes)
+  const cartOwner = req.body?.cartId && await reservationService.canUseCart(req.body.cartId, { token: req.body.cartToken, userId: req.user?._id })
+    ? { cartId: String(req.body.cartId) }
+    : null;
+    // Split lines into units sold from stock and units waiting for stock (backorder / pre-order);
+    // other customers' active holds are not sellable. Only the in-stock units are held or decremented.
+    const stockPlan = await backorderService.plan(reservationItems, { excludeFilter: cartOwner, enforce: holdUntilPaid || shouldDecrementNow });
+    stockPlan.lines.forEach((l, idx) => {
+      const flag = backorderService.lineFlag(l);
+      if (flag) orderItems[idx].backorder = flag;
+    });
+    const stockItems = stockPlan.stockItems;
+    if (!holdUntilPaid && shouldDecrementNow) {
       // Reserve (decrement) inventory across warehouses for all items atomically
-      await inventoryService.reserveItems(reservationItems, req.user?._id, useTransaction ? session : null);
+      await inventoryService.reserveItems(stockItems, req.user?._id, useTransaction ? session : null);
     }
 
     // Save or update recipient in Recipient collection
@@ -312,124 +339,98 @@ export const createOrder = async (req, res) => {
     }
 
     // --- Shipping Fee Resolution ---
-    // Priority:
-    // 1. If client explicitly sent a positive shippingFee (flat fee UI) trust it (configurable via ALLOW_CLIENT_SHIPPING_FEE=true)
-    // 2. Else attempt dynamic calculation via shipping service
-    // 3. If calc fails OR returns 0 while client provided a positive hint in totalWithShipping, derive difference
-    // 4. Final fallback: DEFAULT_SHIPPING_FEE env or 50
-    let shippingFee = 0;
-    let shippingMeta = {
+    // Server-side whenever a rate applies; a client-sent fee only as an explicit opt-in (see resolveCheckoutShippingFee)
+    const shippingMeta = {
       city: shippingAddress?.city,
       rateId: null,
       zoneId: null,
       methodName: null,
       costComponents: []
     };
-    const allowClientProvided = String(process.env.ALLOW_CLIENT_SHIPPING_FEE || 'true').toLowerCase() !== 'false';
-  const rawShippingFee = req.body?.shippingFee;
-  const rawClientShippingFee = req.body?.clientShippingFee;
-  const rawDeliveryFee = req.body?.deliveryFee;
-  const clientShippingFee = Number(rawShippingFee);
-  const clientAltFee = Number(rawClientShippingFee);
-  const clientDeliveryFee = Number(rawDeliveryFee);
-  const clientTotalWithShipping = Number(req.body?.totalWithShipping);
-    const clientProvidedValid = allowClientProvided && isFinite(clientShippingFee) && clientShippingFee > 0;
-
-    if (clientProvidedValid) {
-      shippingFee = clientShippingFee;
-    } else if (allowClientProvided && isFinite(clientAltFee) && clientAltFee > 0) {
-      // Fallback: some clients send clientShippingFee only
-      shippingFee = clientAltFee;
-    } else if (allowClientProvided && isFinite(clientDeliveryFee) && clientDeliveryFee > 0) {
-      // Legacy / alternate field
-      shippingFee = clientDeliveryFee;
-    } else {
-      try {
-        const addressCountry = shippingAddress.country;
-        const addressCity = shippingAddress.city;
-        shippingFee = await calcShipFee({ subtotal: totalAmount, weight: 0, country: addressCountry, region: undefined, city: addressCity });
-        if (!isFinite(shippingFee) || shippingFee < 0) shippingFee = 0;
-      } catch (e) {
-        console.warn('Shipping fee calculation failed, will use fallback logic:', e?.message || e);
-        shippingFee = 0; // trigger fallback below
-      }
-    }
-
-    console.log('[ShippingResolution]', {
-      rawShippingFee,
-      rawClientShippingFee,
-      rawDeliveryFee,
-      clientShippingFeeParsed: clientShippingFee,
-      clientAltFeeParsed: clientAltFee,
-      clientDeliveryFeeParsed: clientDeliveryFee,
-      clientTotalWithShipping,
-      chosenShippingFee: shippingFee,
-      allowClientProvided
+    const shippingResolution = await resolveCheckoutShippingFee({
+      items,
+      subtotal: totalAmount,
+      country: shippingAddress.country,
+      city: shippingAddress.city,
+      clientFees: [req.body?.shippingFee, req.body?.clientShippingFee, req.body?.deliveryFee],
+      clientTotalWithShipping: req.body?.totalWithShipping
     });
+    let shippingFee = shippingResolution.fee;
+    // Cart weight derived from product/variant weights and dimensions (drives weight_based rates)
+    const cartWeight = shippingResolution.weight;
+    shippingMeta.costComponents = shippingResolution.components;
+    console.log('[ShippingResolution][Final]', { shippingFee, computed: shippingResolution.computed });
 
-    // Hard override safeguard: if all logic above yielded 0 but request clearly sent a positive numeric value, adopt it now.
-    if (shippingFee === 0) {
-      const rawCandidates = [rawShippingFee, rawClientShippingFee, rawDeliveryFee]
-        .map(v => (typeof v === 'string' ? v.trim() : v))
-        .map(v => Number(v))
-        .filter(v => isFinite(v) && v > 0);
-      if (rawCandidates.length) {
-        const forced = Math.max(...rawCandidates);
-        shippingFee = forced;
-        console.log('[ShippingResolution][HardOverrideApplied]', { forced, rawCandidates });
-      }
-    }
-
-    if (shippingFee === 0) {
-      // Attempt to infer from client totalWithShipping if provided
-      if (clientTotalWithShipping && clientTotalWithShipping > totalAmount) {
-        const inferred = clientTotalWithShipping - totalAmount;
-        if (isFinite(inferred) && inferred > 0) shippingFee = inferred;
-      }
-    }
-
-    if (shippingFee === 0) {
-      // Final fallback
-      const fallback = Number(process.env.DEFAULT_SHIPPING_FEE || 50);
-      if (isFinite(fallback) && fallback > 0) shippingFee = fallback;
-    }
-
-    // Last-chance rescue: if still 0 but any raw positive values were provided, take the maximum raw positive
-    if (shippingFee === 0) {
-      const candidates = [clientShippingFee, clientAltFee, clientDeliveryFee].filter(v => isFinite(v) && v > 0);
-      if (candidates.length) {
-        shippingFee = Math.max(...candidates);
-        console.log('[ShippingResolution][RescueApplied]', { rescueChosen: shippingFee, candidates });
-      }
+    if (priced.freeShipping && shippingFee > 0) {
+      console.log('[ShippingResolution][FreeShippingCoupon]', { coupon: priced.coupon.code, waived: shippingFee });
+      shippingFee = 0;
     }
 
-  // Final assertion: log before create
-  console.log('[ShippingResolution][Final]', { shippingFee, deliveryFeeMirror: shippingFee });
-  if (shippingFee === 0) {
-    const rawPositives = [rawShippingFee, rawClientShippingFee, rawDeliveryFee].map(v => Number(v)).filter(v => isFinite(v) && v > 0);
-    if (rawPositives.length) {
-      console.warn('[ShippingResolution][Anomaly] Raw positive fee(s) provided but computed/final shippingFee resolved to 0. Raw values:', {
-        rawShippingFee,
-        rawClientShippingFee,
-        rawDeliveryFee,
-        parsed: rawPositives
-      });
+    // Tax on the final item and shipping amounts; exclusive tax (or an exempt customer's deduction) changes the total
+    const tax = await computeTax({
+      lines: priced.lines,
+      shippingFee,
+      address: { country: shippingAddress.country, city: shippingAddress.city },
+      customer: { userId: req.user?._id }
+    });
+    const orderTotal = Math.max(0, Math.round((totalAmount + tax.adjustment) * 100) / 100);
+    if (tax.enabled) tax.lines.forEach((t, idx) => { orderItems[idx].tax = t; });
+
+    // Gift cards pay towards items + shipping; a fully covered order needs no card payment
+    const giftCardCodes = giftCardService.parseCodes(req.body);
+    const giftCardPlan = giftCardCodes.length
+      ? await giftCardService.plan(giftCardCodes, orderTotal + shippingFee)
+      : { lines: [], total: 0 };
+    const afterGiftCards = Math.max(0, Math.round((orderTotal + shippingFee - giftCardPlan.total) * 100) / 100);
+    // Store credit (signed-in customers only) pays what the gift cards leave open
+    const storeCreditRequested = storeCreditService.parseRequest(req.body);
+    if (storeCreditRequested > 0 && !req.user?._id) {
+      throw new ApiError(StatusCodes.UNAUTHORIZED, 'Sign in to pay with store credit');
+    }
+    const storeCreditAmount = storeCreditRequested > 0 && afterGiftCards > 0
+      ? Math.round(Math.min(storeCreditRequested, afterGiftCards, await storeCreditService.getBalance(req.user._id)) * 100) / 100
+      : 0;
+    if (Number.isFinite(storeCreditRequested) && storeCreditRequested > 0 && storeCreditAmount < Math.min(storeCreditRequested, afterGiftCards)) {
+      throw new ApiError(StatusCodes.BAD_REQUEST, `Insufficient store credit; available ${storeCreditAmount}`);
+    }
+    const amountDue = Math.max(0, Math.round((afterGiftCards - storeCreditAmount) * 100) / 100);
+    const paidInFull = (giftCardPlan.total > 0 || storeCreditAmount > 0) && amountDue === 0;
+    if ((paymentMethod === 'gift_card' || paymentMethod === 'store_credit') && !paidInFull) {
+      throw new ApiError(StatusCodes.BAD_REQUEST, `Gift cards and store credit do not cover the order total; ${amountDue} remains to be paid`);
+    }
+    if (paidInFull && holdUntilPaid) {
+      // No payment will be captured: decrement stock now instead of holding it
+      await inventoryService.reserveItems(stockItems, req.user?._id, useTransaction ? session : null);
+    }
+    const holdStock = holdUntilPaid && !paidInFull;
+    // Pre-order lines sold with a deposit: the card/PayPal payment covers the deposit, the rest is due on arrival
+    const preorderBalance = paidInFull ? 0 : Math.min(amountDue, backorderService.depositBalance(
+      stockPlan.lines,
+      priced.lines.map(l => (totalAmount > 0 ? (l.lineTotal / totalAmount) * orderTotal : 0)),
+      { paymentMethod }
+    ));
+    // Delivery slot chosen at checkout ({ slot, date }); fails when it closed or filled up meanwhile
+    const deliverySlot = await deliverySlotService.resolve(req.body?.deliverySlot, { city: shippingAddress.city, zoneId: shippingMeta.zoneId });
+    if (deliverySlot) {
+      await deliverySlotService.claim(deliverySlot, { session: useTransaction ? session : null });
+      if (!useTransaction) deliverySlotClaimed = deliverySlot;
     }
-  }
-  // Absolute final guard: if request body had a positive shippingFee value, force it.
-  if (shippingFee === 0 && isFinite(Number(rawShippingFee)) && Number(rawShippingFee) > 0) {
-    console.warn('[ShippingResolution][ForceFromRawBody] Forcing shippingFee from raw body value', { rawShippingFee });
-    shippingFee = Number(rawShippingFee);
-  }
   // Create order with auto-generated order number (include shipping & delivery fee fields)
     const order = new Order({
       user: req.user?._id || undefined,
       items: orderItems,
-      totalAmount,
+      totalAmount: orderTotal,
       currency,
       exchangeRate,
       shippingAddress,
-      paymentMethod,
+      paymentMethod: paidInFull ? (giftCardPlan.total > 0 ? 'gift_card' : 'store_credit') : paymentMethod,
+      // Card and PayPal orders get their gateway when the payment starts (services/payments/orderPaymentService.js)
+      ...(!paidInFull && paymentMethod === 'cod' ? { paymentGateway: 'cod' } : {}),
+      giftCards: giftCardPlan.lines,
+      giftCardTotal: giftCardPlan.total,
+      storeCreditAmount,
+      amountDue: Math.round((amountDue - preorderBalance) * 100) / 100,
+      ...(preorderBalance > 0 ? { preorderBalance: { amount: preorderBalance } } : {}),
       customerInfo: {
         firstName: customerInfo.firstName,
         lastName: customerInfo.lastName,
@@ -439,6 +440,8 @@ export const createOrder = async (req, res) => {
       },
       status: 'pending',
       orderNumber: `ORD${Date.now()}`,
+      inventoryHeld: holdStock,
+      ...(stockPlan.waiting ? { backorderStatus: 'waiting' } : {}),
       // Persist only one authoritative shipping fee and mirror it to deliveryFee for legacy consumers.
       shippingFee,
       deliveryFee: shippingFee,
@@ -447,15 +450,28 @@ export const createOrder = async (req, res) => {
       shippingRateId: shippingMeta.rateId,
       shippingMethodName: shippingMeta.methodName,
       shippingCostComponents: shippingMeta.costComponents,
+      ...(deliverySlot ? { deliverySlot, deliveryEstimatedDate: deliverySlot.startsAt } : {}),
       shippingCalculation: {
         subtotal: totalAmount,
         country: shippingAddress.country,
         city: shippingAddress.city,
-        weight: 0
+        weight: cartWeight?.chargeableWeight || 0,
+        actualWeight: cartWeight?.actualWeight || 0,
+        dimensionalWeight: cartWeight?.dimensionalWeight || 0
       },
-      ...(couponSnapshot ? { coupon: couponSnapshot } : {}),
+      subtotal: priced.subtotal,
+      discountTotal: priced.discountTotal,
+      ...(tax.enabled ? { tax: toTaxSnapshot(tax), taxTotal: tax.taxTotal } : {}),
+      ...(priced.coupon ? {
+        coupon: {
+          code: priced.coupon.code,
+          discount: priced.coupon.discount,
+          type: priced.coupon.type,
+          ...(priced.coupon.freeShipping ? { freeShipping: true } : {})
+        }
+      } : {}),
       // For online payments (card/paypal), mark as pending until provider capture completes
-      paymentStatus: paymentMethod === 'cod' ? 'pending' : 'pending'
+      paymentStatus: paidInFull ? 'completed' : 'pending'
     });
 
     // Attach accumulated service charges gathered earlier
@@ -471,6 +487,40 @@ export const createOrder = async (req, res) => {
       }));
     }
 
+    // The coupon counts as used only once the order is placed
+    if (priced.coupon) {
+      await recordCouponUse(priced.coupon.doc._id, { session: useTransaction ? session : null });
+      if (!useTransaction) couponCountedFor = priced.coupon.doc._id;
+    }
+
+    // Count flash-priced units down from the sale allocations; fails when another checkout took the last units
+    if (flashLines.length) {
+      const claimed = await claimFlashSaleStock(flashLines, { session: useTransaction ? session : null });
+      if (!useTransaction) flashStockClaimed = claimed;
+    }
+
+    // Debit gift cards against the new order id; inside a transaction an abort undoes the debits
+    if (giftCardPlan.lines.length) {
+      if (!useTransaction) giftCardsDebitedFor = order._id;
+      await giftCardService.redeem(giftCardPlan.lines, { order: order._id }, { session: useTransaction ? session : null });
+    }
+
+    if (storeCreditAmount > 0) {
+      if (!useTransaction) storeCreditDebitedFor = order._id;
+      await storeCreditService.debit(req.user._id, storeCreditAmount, {
+        reason: 'order_payment',
+        order: order._id,
+        note: `Order ${order.orderNumber}`
+      }, { session: useTransaction ? session : null });
+    }
+
+    // Hold the in-stock units for the order until payment is captured (capture converts these holds into the
+    // stock decrement); the cart's own holds do not count against them. Failing to hold fails the checkout.
+    if (holdStock) {
+      orderHeldFor = order._id;
+      await reservationService.holdItems(stockItems, { order: order._id }, { userId: req.user?._id, exclude: cartOwner });
+    }
+
     let savedOrder;
     try {
       if (useTransaction) {
@@ -499,10 +549,36 @@ export const createOrder = async (req, res) => {
     if (session.inTransaction()) {
       await session.commitTransaction();
     }
+    giftCardsDebitedFor = null;
+    storeCreditDebitedFor = null;
+    couponCountedFor = null;
+    flashStockClaimed = null;
+    deliverySlotClaimed = null;
+    orderHeldFor = null;
+
+    // The order holds (or took) the stock now; the cart's holds are done
+    if (cartOwner) {
+      try { await reservationService.releaseHolds(cartOwner, 'Checked out'); } catch (holdErr) {
+        console.warn('[inventory][reservations] cart hold release failed (non-fatal)', holdErr?.message || holdErr);
+      }
+    }
 
     // Emit real-time event for new order
     realTimeEventService.emitNewOrder(savedOrder);
 
+    try { await recordBundleSales(savedOrder); } catch (bErr) {
+      console.warn('[bundles][metrics] update failed (non-fatal)', bErr?.message || bErr);
+    }
+    // Close the customer's abandoned checkout (restore links send recoveryToken back)
+    await abandonedCheckoutService.markRecovered(savedOrder, { token: req.body?.recoveryToken });
+
+    // End sold-out sales and push remaining stock to countdown pages
+    if (flashLines.length) {
+      try { await syncFlashSales(flashLines.map(l => l.flashSale)); } catch (fErr) {
+        console.warn('[flash-sales][stock] sync failed (non-fatal)', fErr?.message || fErr);
+      }
+    }
+
     // Persist ledger entries (outside transaction if commit succeeded)
     try {
       if (Array.isArray(savedOrder.categoryServiceCharges) && savedOrder.categoryServiceCharges.length) {
@@ -522,6 +598,10 @@ export const createOrder = async (req, res) => {
     } catch (ledgerErr) {
       console.warn('Ledger insertion failed (non-fatal)', ledgerErr?.message || ledgerErr);
     }
+    // Book category manager earnings (sales and the service fees just recorded)
+    try { await managerLedgerService.syncOrder(savedOrder); } catch (mlErr) {
+      console.warn('[wallet][ledger] order not booked (non-fatal)', mlErr?.message || mlErr);
+    }
 
     // Fire web push notification targeted to admins (fallback broadcast)
     let webPushSent = 0;
@@ -600,70 +680,25 @@ export const createOrder = async (req, res) => {
       }
     }
 
-    // Attempt auto-dispatch to delivery company if configuration enables it.
-    let autoDispatchResult = null;
-    try {
-      // Guard against long waits to keep API responsive
-      const AUTO_DISPATCH_TIMEOUT_MS = Number(process.env.AUTO_DISPATCH_TIMEOUT_MS || 8000);
-      const withTimeout = (p) => new Promise((resolve) => {
-        let settled = false;
-        const t = setTimeout(() => { if (!settled) { settled = true; resolve({ timeout: true }); } }, AUTO_DISPATCH_TIMEOUT_MS);
-        p.then((v) => { if (!settled) { settled = true; clearTimeout(t); resolve(v); } })
-         .catch((e) => { if (!settled) { settled = true; clearTimeout(t); resolve({ error: e }); } });
-      });
-      // Find an active delivery company with autoDispatchOnOrderCreate enabled.
-      const autoCompany = await DeliveryCompany.findOne({ isActive: true, autoDispatchOnOrderCreate: true }).sort('-isDefault');
-      if (autoCompany) {
-        const statuses = Array.isArray(autoCompany.autoDispatchStatuses) && autoCompany.autoDispatchStatuses.length
-          ? autoCompany.autoDispatchStatuses
-          : ['pending'];
-        if (statuses.includes(savedOrder.status)) {
-          // Validate configuration before sending
-          const cfg = validateCompanyConfiguration(autoCompany.toObject());
-          if (cfg.ok) {
-            const mappingCheck = validateRequiredMappings(savedOrder.toObject(), autoCompany.toObject());
-            if (mappingCheck.ok) {
-              const deliveryFee = savedOrder.shippingFee || savedOrder.deliveryFee || 0;
-              const dispatchAttempt = withTimeout(sendToCompany(savedOrder.toObject(), autoCompany.toObject(), { deliveryFee }));
-              const dispatchResult = await dispatchAttempt;
-              if (dispatchResult?.timeout) {
-                autoDispatchResult = { success: false, reason: 'TIMEOUT' };
-              } else if (dispatchResult?.error) {
-                throw dispatchResult.error;
-              } else {
-                const { trackingNumber, providerResponse, providerStatus } = dispatchResult;
-              savedOrder.deliveryCompany = autoCompany._id;
-              savedOrder.deliveryStatus = mapStatus(autoCompany, providerStatus || 'assigned');
-              savedOrder.deliveryTrackingNumber = trackingNumber;
-              savedOrder.trackingNumber = trackingNumber; // legacy
-              savedOrder.deliveryAssignedAt = new Date();
-              savedOrder.deliveryFee = deliveryFee || savedOrder.deliveryFee || 0;
-              savedOrder.deliveryResponse = providerResponse;
-              await savedOrder.save();
-              autoDispatchResult = {
-                success: true,
-                companyId: String(autoCompany._id),
-                trackingNumber,
-                status: savedOrder.deliveryStatus,
-                providerStatus: providerStatus || 'assigned'
-              };
-              }
-            } else {
-              autoDispatchResult = { success: false, reason: 'MISSING_MAPPINGS', missing: mappingCheck.missing };
-            }
-          } else {
-            autoDispatchResult = { success: false, reason: 'INVALID_CONFIGURATION', issues: cfg.issues };
-          }
-        } else {
-          autoDispatchResult = { success: false, reason: 'STATUS_NOT_ELIGIBLE', orderStatus: savedOrder.status };
-        }
-      } else {
-        autoDispatchResult = { success: false, reason: 'NO_AUTO_COMPANY' };
+    await recordOrderEvent(savedOrder, {
+      type: 'created',
+      toStatus: savedOrder.status,
+      actor: actorFromRequest(req),
+      source: 'checkout',
+      meta: {
+        paymentMethod: savedOrder.paymentMethod,
+        ...(savedOrder.giftCardTotal ? { giftCardTotal: savedOrder.giftCardTotal } : {}),
+        ...(savedOrder.storeCreditAmount ? { storeCreditAmount: savedOrder.storeCreditAmount } : {}),
+        ...(savedOrder.giftCardTotal || savedOrder.storeCreditAmount ? { amountDue: savedOrder.amountDue } : {})
       }
-    } catch (autoErr) {
-      console.warn('Auto-dispatch failed (non-fatal):', autoErr);
-      autoDispatchResult = { success: false, reason: 'AUTO_DISPATCH_ERROR', error: autoErr?.message };
-    }
+    });
+
+    // Attempt auto-dispatch to delivery company if configuration enables it.
+    const autoDispatchResult = await autoDispatchOrder(savedOrder);
+
+    // Signed link for following the order without an account; emailed with the confirmation
+    const tracking = trackingLinkFor(savedOrder);
+    sendOrderConfirmation(savedOrder, tracking);
 
     res.status(201).json({
       message: 'Order created successfully',
@@ -671,13 +706,31 @@ export const createOrder = async (req, res) => {
         _id: savedOrder._id,
         orderNumber: savedOrder.orderNumber,
         totalAmount: savedOrder.totalAmount,
+        subtotal: savedOrder.subtotal,
+        discountTotal: savedOrder.discountTotal || 0,
+        taxTotal: savedOrder.taxTotal || 0,
+        tax: savedOrder.tax?.mode ? savedOrder.tax : null,
+        coupon: savedOrder.coupon?.code ? savedOrder.coupon : null,
+        giftCards: savedOrder.giftCards || [],
+        giftCardTotal: savedOrder.giftCardTotal || 0,
+        storeCreditAmount: savedOrder.storeCreditAmount || 0,
+        amountDue: savedOrder.amountDue,
+        preorderBalance: savedOrder.preorderBalance?.amount || 0,
+        backorderStatus: savedOrder.backorderStatus || null,
+        backorders: savedOrder.items
+          .filter(it => it.backorder?.waiting > 0)
+          .map(it => ({ orderItem: it._id, name: it.name, mode: it.backorder.mode, waiting: it.backorder.waiting, availableAt: it.backorder.availableAt || null })),
+        paymentStatus: savedOrder.paymentStatus,
         currency: savedOrder.currency,
         status: savedOrder.status,
         deliveryFee: savedOrder.deliveryFee || 0,
         shippingFee: savedOrder.shippingFee || savedOrder.deliveryFee || 0,
         deliveryStatus: savedOrder.deliveryStatus || null,
+        deliverySlot: savedOrder.deliverySlot?.slot ? savedOrder.deliverySlot : null,
         deliveryTrackingNumber: savedOrder.deliveryTrackingNumber || savedOrder.trackingNumber || null,
         autoDispatch: autoDispatchResult,
+        trackingToken: tracking?.token || null,
+        trackingUrl: tracking?.url || null,
         // Provide core fields so clients can render order details without another fetch
         items: Array.isArray(savedOrder.items) ? savedOrder.items.map(it => ({
           product: it.product,
@@ -689,7 +742,8 @@ export const createOrder = async (req, res) => {
           color: it.color,
           variants: it.variants,
           variantId: it.variantId,
-          sku: it.sku
+          sku: it.sku,
+          pricing: it.pricing
         })) : [],
         shippingAddress: savedOrder.shippingAddress,
         paymentMethod: savedOrder.paymentMethod,
@@ -722,10 +776,30 @@ export const createOrder = async (req, res) => {
     if (session.inTransaction()) {
       await session.abortTransaction();
     }
+    if (giftCardsDebitedFor) {
+      try { await giftCardService.restoreForOrder(giftCardsDebitedFor, { reason: 'Checkout failed' }); } catch {}
+    }
+    if (storeCreditDebitedFor && req.user?._id) {
+      try {
+        await storeCreditService.restoreForOrder({ _id: storeCreditDebitedFor, user: req.user._id, storeCreditAmount: Infinity }, { note: 'Checkout failed' });
+      } catch {}
+    }
+    if (couponCountedFor) {
+      try { await Coupon.updateOne({ _id: couponCountedFor, usedCount: { $gt: 0 } }, { $inc: { usedCount: -1 } }); } catch {}
+    }
+    if (flashStockClaimed?.length) {
+      try { await releaseFlashSaleStock(flashStockClaimed); } catch {}
+    }
+    if (deliverySlotClaimed) {
+      try { await deliverySlotService.release(deliverySlotClaimed); } catch {}
+    }
+    if (orderHeldFor) {
+      try { await reservationService.releaseHolds({ order: orderHeldFor }, 'Checkout failed'); } catch {}
+    }
 
     console.error('Error creating order:', error);
     const message = error?.message || 'Failed to create order';
-    res.status(500).json({
+    res.status(error?.isOperational ? error.statusCode : 500).json({
       message,
       error: message
     });
@@ -754,6 +828,7 @@ export const getUserOrders = async (req, res) => {
       .populate('items.product')
       .populate('deliveryCompany')
       .sort('-createdAt');
+    const changeCfg = await orderChangeService.config();
     // Ensure virtuals present and add explicit totalWithShipping in case consumer relies on it
     const orders = ordersDocs.map(o => {
       const obj = o.toObject({ virtuals: true });
@@ -761,7 +836,9 @@ export const getUserOrders = async (req, res) => {
         ...obj,
         // effectiveShippingFee virtual already resolves shipping vs delivery
         effectiveShippingFee: obj.effectiveShippingFee ?? (obj.shippingFee || obj.deliveryFee || 0),
-        totalWithShipping: obj.totalWithShipping ?? ((obj.totalAmount || 0) + (obj.shippingFee || obj.deliveryFee || 0))
+        totalWithShipping: obj.totalWithShipping ?? ((obj.totalAmount || 0) + (obj.shippingFee || obj.deliveryFee || 0)),
+        // Cancellation/modification requests the customer may make (POST /api/orders/:id/change-requests)
+        changeEligibility: orderChangeService.eligibility(o, changeCfg)
       };
     });
     res.json(orders);
@@ -813,82 +890,68 @@ export const getOrderPublic = async (req, res) => {
   }
 };
 
-// Update order status
+// Guest order tracking: ?token= (signed link from the confirmation), or ?orderNumber= with &email= or &mobile=.
+// Returns status, timeline, shipments and courier events with customer details masked.
+export const trackOrder = async (req, res) => {
+  try {
+    const { token, orderNumber, email, mobile } = req.query || {};
+    const order = await findTrackedOrder({ token, orderNumber, email, mobile });
+    res.json(await buildTrackingView(order));
+  } catch (error) {
+    if (!error?.isOperational) console.error('Error tracking order:', error);
+    res.status(error?.isOperational ? error.statusCode : 500).json({
+      message: error?.isOperational ? error.message : 'Failed to load order tracking'
+    });
+  }
+};
+
+// Update order status (through the order state machine; see services/orderStateMachine.js)
 export const updateOrderStatus = async (req, res) => {
   try {
-    let { status } = req.body;
-    // Normalize spelling for cancelled status (clients may send 'canceled')
-    if (status === 'canceled') status = 'cancelled';
-    // Find the order first to check previous status
+    // refundTo: 'store_credit' credits what the customer paid to their wallet when cancelling
+    const { status, note, refundTo } = req.body || {};
+    if (!status || typeof status !== 'string') {
+      return res.status(400).json({ message: 'Status is required' });
+    }
     const order = await Order.findById(req.params.id);
     if (!order) {
       return res.status(404).json({ message: 'Order not found' });
     }
-    const prevStatus = order.status;
-
-    // Update status (delay save until after inventory adjustments so flags persist)
-    order.status = status;
-
-    // Inventory configuration driven stock adjustments
-    let invCfg = null;
-    try { invCfg = (await Settings.findOne())?.inventory || null; } catch {}
-  const hasCfg = invCfg && (Object.prototype.hasOwnProperty.call(invCfg, 'reserveOnCheckout') || Object.prototype.hasOwnProperty.call(invCfg, 'autoDecrementOnOrder'));
-  const decrementedAtOrder = hasCfg ? !!(invCfg?.reserveOnCheckout || invCfg?.autoDecrementOnOrder) : true;
-    const shouldDecrementOnDelivery = !decrementedAtOrder;
-
-    // Build items array in variant-aware form
-    const asInventoryItems = (items) => items.map(it => ({
-      product: it.product,
-      quantity: it.quantity,
-      ...(it.variantId ? { variantId: it.variantId } : { size: it.size, color: it.color })
-    }));
-
-    // Auto-decrement when delivered if not already decremented earlier
-    if ((status === 'delivered' || status === 'fulfilled') && prevStatus !== status && shouldDecrementOnDelivery) {
-      try { await inventoryService.reserveItems(asInventoryItems(order.items), req.user?._id || null); } catch (e) { console.warn('Delivery decrement failed:', e?.message || e); }
-    }
-
-    // Auto-increment on cancel if inventory currently reserved.
-    // We allow increment after each genuine reserve cycle (initial or after reinstatement).
-    if (status === 'cancelled' && prevStatus !== 'cancelled' && invCfg?.autoIncrementOnCancel && decrementedAtOrder) {
-      const inventoryCurrentlyReserved = !order.inventoryRestoredOnCancel || (order.inventoryRestoredOnCancel && order.inventoryReReservedAfterRestore);
-      if (inventoryCurrentlyReserved) {
-        try {
-          await inventoryService.incrementItems(asInventoryItems(order.items), req.user?._id || null, 'Order cancelled');
-          order.inventoryRestoredOnCancel = true;
-          // Reset re-reserve flag so future reinstatement can re-reserve again
-          order.inventoryReReservedAfterRestore = false;
-        } catch (e) { console.warn('Cancel increment failed:', e?.message || e); }
-      }
-    }
-
-    // Re-reserve inventory exactly once if order is reinstated after cancellation
-    const reinstatedStatuses = ['pending', 'processing', 'shipped'];
-    if (reinstatedStatuses.includes(status) && prevStatus === 'cancelled' && order.inventoryRestoredOnCancel && !order.inventoryReReservedAfterRestore && decrementedAtOrder) {
-      try {
-        await inventoryService.reserveItems(asInventoryItems(order.items), req.user?._id || null);
-        order.inventoryReReservedAfterRestore = true;
-      } catch (e) { console.warn('Re-reserve after cancel failed:', e?.message || e); }
-    }
 
-    // Auto-increment on returned
-    if (status === 'returned' && prevStatus !== status && invCfg?.autoIncrementOnReturn) {
-      try { await inventoryService.incrementItems(asInventoryItems(order.items), req.user?._id || null, 'Order returned'); } catch (e) { console.warn('Return increment failed:', e?.message || e); }
-    }
-
-    // Persist any flag changes from inventory adjustments
-    try { await order.save(); } catch (e) { console.warn('Order save after inventory adjustments failed:', e?.message || e); }
-
-    // Emit real-time event for order update
-    realTimeEventService.emitOrderUpdate(order);
+    const result = await transitionOrder(order, status, {
+      actor: actorFromRequest(req),
+      source: 'admin_status_update',
+      note,
+      refundTo
+    });
 
     res.json({
-      message: 'Order status updated successfully',
-      order
+      message: result.changed ? 'Order status updated successfully' : 'Order status unchanged',
+      order: result.order,
+      event: result.event
     });
   } catch (error) {
     console.error('Error updating order status:', error);
-    res.status(500).json({ message: 'Failed to update order status' });
+    res.status(error?.isOperational ? error.statusCode : 500).json({
+      message: error?.isOperational ? error.message : 'Failed to update order status'
+    });
+  }
+};
+
+// Order timeline (status changes with actor, previous/next state and note)
+export const getOrderTimeline = async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id).select('orderNumber status createdAt');
+    if (!order) return res.status(404).json({ message: 'Order not found' });
+    const events = await loadOrderTimeline(order._id);
+    res.json({
+      order: { _id: order._id, orderNumber: order.orderNumber, status: order.status, createdAt: order.createdAt },
+      allowedTransitions: allowedTransitions(order.status),
+      events
+    });
+  } catch (error) {
+    console.error('Error loading order timeline:', error);
+    res.status(500).json({ message: 'Failed to load order timeline' });
   }
 };
 
@@ -909,21 +972,35 @@ export const recalculateShipping = async (req, res) => {
     const country = order.shippingAddress?.country;
     const subtotal = order.totalAmount || 0;
     let newFee = 0;
+    let calc = null;
     try {
-      newFee = await calcShipFee({ subtotal, weight: 0, country, region: undefined, city });
+      calc = await calcCartShipFee({ items: order.items, subtotal, country, region: undefined, city });
+      newFee = calc.fee;
     } catch (e) {
       return res.status(400).json({ message: 'Failed to calculate shipping', error: e?.message });
     }
 
     order.shippingFee = newFee;
     order.deliveryFee = newFee;
+    retaxShipping(order);
     order.shippingCity = city;
-    order.shippingCalculation = { subtotal, country, city, weight: 0, recalculatedAt: new Date() };
+    order.shippingCostComponents = calc.components;
+    order.shippingCalculation = {
+      subtotal,
+      country,
+      city,
+      weight: calc.weight.chargeableWeight,
+      actualWeight: calc.weight.actualWeight,
+      dimensionalWeight: calc.weight.dimensionalWeight,
+      recalculatedAt: new Date()
+    };
     await order.save();
 
     res.json({
       message: 'Shipping recalculated',
       shippingFee: newFee,
+      weight: calc.weight,
+      components: calc.components,
       orderId: order._id
     });
   } catch (error) {
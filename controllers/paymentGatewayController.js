@@ -0,0 +1,184 @@
+import mongoose from 'mongoose';
+import { StatusCodes } from 'http-status-codes';
+import Order from '../models/Order.js';
+import Settings from '../models/Settings.js';
+import PaymentSession from '../models/PaymentSession.js';
+import { paymentGateways } from '../services/payments/gatewayRegistry.js';
+import { paymentSessionService } from '../services/payments/paymentSessionService.js';
+import { orderPaymentService } from '../services/payments/orderPaymentService.js';
+import { paymentEventService } from '../services/payments/paymentEventService.js';
+import { actorFromRequest } from '../services/orderStateMachine.js';
+import { trackingLinkFor } from '../services/orderTrackingService.js';
+
+const PAID_STATUSES = ['completed', 'refunded', 'partially_refunded'];
+
+const sendError = (res, error, fallback) => {
+  if (!error?.isOperational) console.error(`[payments][gateways] ${fallback}:`, error);
+  return res.status(error?.isOperational ? error.statusCode : 500).json({ message: error?.isOperational ? error.message : fallback });
+};
+
+const orderSummary = (order) => ({ _id: order._id, orderNumber: order.orderNumber, shippingFee: order.shippingFee || order.deliveryFee || 0 });
+
+// GET /api/payments/gateways - registered gateways, what each can do and whether checkout may offer it
+export const listPaymentGateways = async (req, res) => {
+  try {
+    const settings = await Settings.findOne().select('payments').lean();
+    res.json({
+      gateways: paymentGateways.list().map(g => ({ ...g.toJSON(), enabled: !!g.isEnabled(settings) }))
+    });
+  } catch (error) {
+    return sendError(res, error, 'Failed to load payment gateways');
+  }
+};
+
+// POST /api/payments/:gateway/create-session { orderId, overrides? } - pay an existing unpaid order on the gateway's page
+export const createOrderPaymentSession = async (req, res) => {
+  const gatewayId = req.params.gateway;
+  try {
+    const { orderId, overrides } = req.body || {};
+    if (!orderId) return res.status(400).json({ message: 'orderId required' });
+    if (!mongoose.Types.ObjectId.isValid(String(orderId))) return res.status(404).json({ message: 'order_not_found' });
+    const gateway = paymentGateways.require(gatewayId, 'sessions');
+    const order = await Order.findById(orderId);
+    if (!order) return res.status(404).json({ message: 'order_not_found' });
+    if (PAID_STATUSES.includes(order.paymentStatus)) return res.status(400).json({ message: 'order_already_paid' });
+    try { console.log(`[payments][${gateway.id}][create-session] incoming`, { orderId, orderNumber: order.orderNumber, currency: order.currency, totalAmount: order.totalAmount }); } catch {}
+    try {
+      const { url, reference, data } = await orderPaymentService.start(order, gateway.id, { req, overrides });
+      return res.json({ ok: true, url, ...(reference ? { reference } : {}), ...(data ? { data } : {}) });
+    } catch (e) {
+      if (e?.isOperational) throw e;
+      const status = e?.status || e?.statusCode || 400;
+      try { console.warn(`[payments][${gateway.id}][create-session] failed status=%s detail=%s`, status, e?.message || e); } catch {}
+      return res.status(400).json({ message: `${gateway.id}_call_failed`, status, detail: e?.message || String(e) });
+    }
+  } catch (error) {
+    return sendError(res, error, 'Failed to create payment session');
+  }
+};
+
+// POST /api/payments/:gateway/create-session-from-cart - hosted payment for a cart; the order is created at /confirm
+export const createCartPaymentSession = async (req, res) => {
+  const gatewayId = req.params.gateway;
+  try {
+    res.json(await paymentSessionService.createFromCart(gatewayId, req.body || {}, { user: req.user, req }));
+  } catch (e) {
+    if (e?.isOperational) {
+      return res.status(e.statusCode).json({ message: e.message, ...(e.detail ? { detail: e.detail } : {}), ...(e.code ? { code: e.code } : {}) });
+    }
+    try { console.error(`[payments][${gatewayId}][create-session-from-cart] error`, e?.message || e); } catch {}
+    return res.status(400).json({ message: `${gatewayId}_session_failed`, detail: e?.message || String(e) });
+  }
+};
+
+// POST /api/payments/:gateway/confirm { sessionId, recoveryToken? } - the customer is back: create the order (idempotent)
+export const confirmCartPaymentSession = async (req, res) => {
+  const gatewayId = req.params.gateway;
+  try {
+    const sessionId = String(req.body?.sessionId || '').trim();
+    if (!sessionId) return res.status(400).json({ message: 'sessionId required' });
+    if (!mongoose.Types.ObjectId.isValid(sessionId)) return res.status(404).json({ message: 'session_not_found' });
+    paymentGateways.require(gatewayId);
+    const { order } = await paymentSessionService.confirm(sessionId, {
+      gateway: gatewayId,
+      source: `${gatewayId}_confirm`,
+      recoveryToken: req.body?.recoveryToken,
+      payload: req.body
+    });
+    const tracking = trackingLinkFor(order);
+    return res.json({ ok: true, order: { ...orderSummary(order), trackingToken: tracking?.token || null, trackingUrl: tracking?.url || null } });
+  } catch (e) {
+    try { console.error(`[payments][${gatewayId}][confirm] error`, e?.message || e); } catch {}
+    if (e?.isOperational && [StatusCodes.NOT_FOUND, StatusCodes.CONFLICT, StatusCodes.PAYMENT_REQUIRED, StatusCodes.NOT_IMPLEMENTED].includes(e.statusCode)) {
+      return res.status(e.statusCode).json({ message: e.message });
+    }
+    return res.status(400).json({ message: 'confirm_failed', detail: e?.message || String(e) });
+  }
+};
+
+// POST /api/payments/:gateway/notify (and the legacy /icredit/ipn) - IPN / webhook; acknowledged even when the
+// order cannot be created yet, so the gateway does not retry forever
+export const handleGatewayNotification = async (req, res) => {
+  const gatewayId = req.params.gateway || 'icredit';
+  try {
+    await paymentSessionService.handleNotification(gatewayId, req);
+  } catch (e) {
+    // Rejected events (bad signature, unverified sale, amount mismatch) and verification that could not be
+    // made are not acknowledged; the gateway delivers them again
+    if (e?.isOperational && [StatusCodes.BAD_REQUEST, StatusCodes.FORBIDDEN, StatusCodes.UNAUTHORIZED, StatusCodes.NOT_FOUND, StatusCodes.NOT_IMPLEMENTED, StatusCodes.BAD_GATEWAY, StatusCodes.SERVICE_UNAVAILABLE].includes(e.statusCode)) {
+      return res.status(e.statusCode).json({ ok: false, message: e.message });
+    }
+    try { console.warn(`[payments][${gatewayId}][notify] confirmation failed`, e?.message || e); } catch {}
+  }
+  res.json({ ok: true });
+};
+
+// POST /api/payments/orders/:id/capture { reference? } - collect an order's payment (e.g. cash collected on delivery)
+export const captureOrderPayment = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(404).json({ message: 'Order not found' });
+    const order = await Order.findById(req.params.id);
+    if (!order) return res.status(404).json({ message: 'Order not found' });
+    const { captured, status } = await orderPaymentService.capture(order, {
+      reference: req.body?.reference ? String(req.body.reference).trim() : undefined,
+      actor: actorFromRequest(req),
+      source: 'admin_capture'
+    });
+    res.status(captured ? 200 : 400).json({
+      captured,
+      status,
+      order: { _id: order._id, status: order.status, paymentStatus: order.paymentStatus, paymentGateway: order.paymentGateway }
+    });
+  } catch (error) {
+    return sendError(res, error, 'Failed to capture payment');
+  }
+};
+
+// POST /api/payments/orders/:id/void - cancel an approved, uncaptured payment
+export const voidOrderPayment = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(404).json({ message: 'Order not found' });
+    const order = await Order.findById(req.params.id);
+    if (!order) return res.status(404).json({ message: 'Order not found' });
+    await orderPaymentService.void(order, { actor: actorFromRequest(req), source: 'admin_void' });
+    res.json({ order: { _id: order._id, status: order.status, paymentStatus: order.paymentStatus, paymentGateway: order.paymentGateway } });
+  } catch (error) {
+    return sendError(res, error, 'Failed to void payment');
+  }
+};
+
+// GET /api/payments/events?gateway=&status=&type=&order=&page=&limit= - stored webhook / IPN events, newest first
+export const listPaymentEvents = async (req, res) => {
+  try {
+    const { gateway, status, type, order, page, limit } = req.query;
+    if (order && !mongoose.Types.ObjectId.isValid(String(order))) return res.status(400).json({ message: 'Invalid order id' });
+    res.json(await paymentEventService.list({ gateway, status, type, order, page, limit }));
+  } catch (error) {
+    return sendError(res, error, 'Failed to load payment events');
+  }
+};
+
+// GET /api/payments/sessions/flagged?gateway=&reason= - paid checkouts needing review: no order yet, or an order whose IPN was rejected
+export const listFlaggedPaymentSessions = async (req, res) => {
+  try {
+    const { gateway, reason, limit } = req.query;
+    res.json({ sessions: await paymentSessionService.listFlagged({ gateway, reason, limit }) });
+  } catch (error) {
+    return sendError(res, error, 'Failed to load flagged payment sessions');
+  }
+};
+
+// POST /api/payments/sessions/:id/confirm - create the order of a paid session the customer never came back for
+export const confirmFlaggedPaymentSession = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(404).json({ message: 'session_not_found' });
+    const ps = await PaymentSession.findById(req.params.id).select('status gateway').lean();
+    if (!ps) return res.status(404).json({ message: 'session_not_found' });
+    // Only sessions the gateway approved; rejected IPNs (amount mismatch, unverified sale) are settled with the provider
+    if (ps.status !== 'approved') return res.status(409).json({ message: 'session_not_approved' });
+    const { order, created } = await paymentSessionService.confirm(req.params.id, { source: 'admin_reconciliation' });
+    res.json({ created, order: orderSummary(order) });
+  } catch (error) {
+    return sendError(res, error, 'Failed to confirm payment session');
+  }
+};
@@ -1,5 +1,11 @@
 import Order from '../models/Order.js';
-import { getPayPalClient, paypalSdk } from '../services/paypalClient.js';
+import { orderPaymentService } from '../services/payments/orderPaymentService.js';
+import { paypalWebhookService } from '../services/payments/paypalWebhookService.js';
+
+const PAID_STATUSES = ['completed', 'refunded', 'partially_refunded'];
+
+// Both endpoints go through the 'paypal' adapter (services/payments/paypalGateway.js); the generic
+// /api/payments/paypal/* routes offer the same for cart checkouts
 
 // Create a PayPal order based on a local Order document
 export const createPayPalOrder = async (req, res) => {
@@ -10,41 +16,11 @@ export const createPayPalOrder = async (req, res) => {
     const order = await Order.findById(orderId);
     if (!order) return res.status(404).json({ message: 'Order not found' });
 
-    // Only allow creating PayPal order for pending, unpaid orders
-    if (order.paymentStatus === 'completed') {
-      return res.status(400).json({ message: 'Order is already paid' });
-    }
-
-  const client = await getPayPalClient();
-
-    const request = new paypalSdk.orders.OrdersCreateRequest();
-    request.prefer('return=representation');
-
-    const amount = {
-      currency_code: order.currency || 'USD',
-      value: (order.totalAmount).toFixed(2)
-    };
-
-    request.requestBody({
-      intent: 'CAPTURE',
-      purchase_units: [
-        {
-          reference_id: order._id.toString(),
-          description: `Order ${order.orderNumber}`,
-          amount
-        }
-      ]
-    });
-
-    const response = await client.execute(request);
-
-    // Save PayPal order id reference
-    order.paymentMethod = 'paypal';
-    order.paymentReference = response.result.id;
-    await order.save();
-
-    res.json({ id: response.result.id, status: response.result.status, links: response.result.links });
+    // Only pending, unpaid, not cancelled orders; the PayPal order id is saved as the payment reference
+    const { data } = await orderPaymentService.start(order, 'paypal', { req });
+    res.json(data);
   } catch (err) {
+    if (err?.isOperational) return res.status(err.statusCode).json({ message: err.message });
     console.error('Error creating PayPal order:', err);
     res.status(500).json({ message: 'Failed to create PayPal order' });
   }
@@ -56,37 +32,40 @@ export const capturePayPalOrder = async (req, res) => {
     const { paypalOrderId } = req.body;
     if (!paypalOrderId) return res.status(400).json({ message: 'paypalOrderId is required' });
 
-  const client = await getPayPalClient();
-    const request = new paypalSdk.orders.OrdersCaptureRequest(paypalOrderId);
-    request.requestBody({});
-
-    const capture = await client.execute(request);
-
-    const referenceId = capture?.result?.purchase_units?.[0]?.reference_id;
-    const status = capture?.result?.status;
-
-    if (!referenceId) {
-      return res.status(400).json({ message: 'Missing reference id from PayPal capture' });
-    }
-
-    const order = await Order.findById(referenceId);
+    const order = await Order.findOne({ paymentReference: String(paypalOrderId) });
     if (!order) return res.status(404).json({ message: 'Local order not found' });
-
-    if (status === 'COMPLETED') {
-      order.paymentStatus = 'completed';
-      order.status = order.status === 'pending' ? 'processing' : order.status;
-      order.paymentDetails = capture.result;
-      await order.save();
-      return res.json({ message: 'Payment captured', orderId: order._id, status });
+    // The webhook may have captured it while the buyer was coming back
+    if (PAID_STATUSES.includes(order.paymentStatus)) return res.json({ message: 'Payment captured', orderId: order._id, status: 'COMPLETED' });
+
+    try {
+      const { captured, status } = await orderPaymentService.capture(order, {
+        gateway: 'paypal',
+        reference: String(paypalOrderId),
+        source: 'paypal_capture'
+      });
+      if (captured) return res.json({ message: 'Payment captured', orderId: order._id, status });
+      return res.status(400).json({ message: 'Payment not completed', status });
+    } catch (err) {
+      const fresh = await Order.findById(order._id).select('paymentStatus').lean();
+      if (PAID_STATUSES.includes(fresh?.paymentStatus)) return res.json({ message: 'Payment captured', orderId: order._id, status: 'COMPLETED' });
+      throw err;
     }
-
-    // Mark as failed if not completed
-    order.paymentStatus = 'failed';
-    order.paymentDetails = capture.result;
-    await order.save();
-    return res.status(400).json({ message: 'Payment not completed', status });
   } catch (err) {
+    if (err?.isOperational) return res.status(err.statusCode).json({ message: err.message });
     console.error('Error capturing PayPal order:', err);
     res.status(500).json({ message: 'Failed to capture PayPal order' });
   }
 };
+
+// PayPal webhook: 200 once the event is stored and applied (or was already), 400 for a bad signature;
+// anything else answers 500 so PayPal delivers the event again later
+export const handlePayPalWebhook = async (req, res) => {
+  try {
+    const result = await paypalWebhookService.handle(req);
+    res.json({ ok: true, ...result });
+  } catch (err) {
+    if (err?.isOperational) return res.status(err.statusCode).json({ ok: false, message: err.message });
+    console.error('Error handling PayPal webhook:', err);
+    res.status(500).json({ ok: false, message: 'Failed to process PayPal webhook' });
+  }
+};
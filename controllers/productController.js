@@ -128,6 +128,7 @@ import { handleProductImages } from '../utils/imageHandler.js';
 import cloudinary from '../services/cloudinaryClient.js';
 import { cacheGet, cacheSet } from '../utils/cache/simpleCache.js';
 import { inventoryService } from '../services/inventoryService.js';
+import { backorderService } from '../services/backorderService.js';
 import { realTimeEventService } from '../services/realTimeEventService.js';
 import { deepseekTranslate, deepseekTranslateBatch, isDeepseekConfigured } from '../services/translate/deepseek.js';
 import { getItemQuantity as rivhitGetQty, testConnectivity as rivhitTest } from '../services/rivhitService.js';
@@ -878,6 +879,12 @@ export const createProduct = async (req, res) => {
       brand: req.body.brand || undefined,
       // optional Rivhit mapping on create
       rivhitItemId: Number.isFinite(Number(req.body.rivhitItemId)) ? Number(req.body.rivhitItemId) : undefined,
+      // optional shipping attributes (kg / cm)
+      weight: Number(req.body.weight) > 0 ? Number(req.body.weight) : 0,
+      dimensions: req.body.dimensions && typeof req.body.dimensions === 'object' ? req.body.dimensions : undefined,
+      shippingClass: req.body.shippingClass || undefined,
+      // optional backorder / pre-order settings
+      backorder: backorderService.normalizeSettings(req.body.backorder),
       isNew: !!req.body.isNew,
       isFeatured: !!req.body.isFeatured,
       sizeGuide,
@@ -1020,7 +1027,7 @@ export const syncQuantityFromRivhit = async (req, res) => {
 // Update product
 export const updateProduct = async (req, res) => {
   try {
-  const { sizes, colors: incomingColors, videoUrls: incomingVideoUrls, sizeGuide: incomingSizeGuide, categories: incomingCategories, isActive: incomingIsActive, slug: incomingSlug, metaTitle, metaDescription, metaKeywords, ogTitle, ogDescription, ogImage, brand: incomingBrand, rivhitItemId: incomingRivhitItemId, tags: incomingTags, ...updateData } = req.body;
+  const { sizes, colors: incomingColors, videoUrls: incomingVideoUrls, sizeGuide: incomingSizeGuide, categories: incomingCategories, isActive: incomingIsActive, slug: incomingSlug, metaTitle, metaDescription, metaKeywords, ogTitle, ogDescription, ogImage, brand: incomingBrand, rivhitItemId: incomingRivhitItemId, tags: incomingTags, backorder: incomingBackorder, ...updateData } = req.body;
     // Start with shallow copy of remaining fields
     const updateDataSanitized = { ...updateData };
     // Normalize attributes array if provided
@@ -1213,6 +1220,11 @@ export const updateProduct = async (req, res) => {
 
     // Update product document with sanitized data
     const productBefore = await Product.findById(req.params.id).lean();
+    // Backorder / pre-order settings: merge the fields sent into the current ones
+    const backorderSettings = backorderService.normalizeSettings(incomingBackorder);
+    if (backorderSettings) {
+      updateDataSanitized.backorder = incomingBackorder === null ? backorderSettings : { ...(productBefore?.backorder || {}), ...backorderSettings };
+    }
     let product = await Product.findByIdAndUpdate(
       req.params.id,
       updateDataSanitized,
@@ -1804,7 +1816,7 @@ export const generateProductVariants = async (req, res) => {
 export const updateVariant = async (req, res) => {
   try {
   const { id, variantId } = req.params;
-  const { sku, barcode, price, originalPrice, stock, images, isActive, rivhitItemId } = req.body || {};
+  const { sku, barcode, price, originalPrice, stock, images, isActive, rivhitItemId, weight, dimensions, backorder } = req.body || {};
     const product = await Product.findById(id);
     if (!product) return res.status(404).json({ message: 'Product not found' });
     const v = (product.variants || []).id(variantId);
@@ -1813,10 +1825,21 @@ export const updateVariant = async (req, res) => {
     if (barcode !== undefined) v.barcode = barcode;
     if (price !== undefined) v.price = Number(price);
     if (originalPrice !== undefined) v.originalPrice = Number(originalPrice);
+    // Shipping overrides (empty/0 falls back to the product values)
+    if (weight !== undefined) v.weight = Number(weight) > 0 ? Number(weight) : undefined;
+    if (dimensions !== undefined) v.dimensions = dimensions && typeof dimensions === 'object' ? dimensions : undefined;
     if (rivhitItemId !== undefined) {
       const n = Number(rivhitItemId);
       v.rivhitItemId = Number.isFinite(n) && n > 0 ? n : undefined;
     }
+    // Backorder / pre-order override (null clears it so the product's settings apply)
+    if (backorder !== undefined) {
+      let settings;
+      try { settings = backorderService.normalizeSettings(backorder, { variant: true }); } catch (e) {
+        return res.status(400).json({ message: e.message });
+      }
+      if (settings) v.backorder = backorder === null ? {} : { ...(v.toObject().backorder || {}), ...settings };
+    }
     // Stock handling: prefer inventory as source of truth. If no inventory exists yet for this variant,
     // allow setting stock here by creating an initial record in a default warehouse.
     let createdInitialInventory = false;
@@ -0,0 +1,112 @@
+import multer from 'multer';
+import mongoose from 'mongoose';
+import { settlementReconciliationService, SETTLEMENT_PROVIDERS } from '../services/payments/settlementReconciliationService.js';
+import { actorFromRequest } from '../services/orderStateMachine.js';
+
+const sendError = (res, error, fallback) => {
+  if (!error?.isOperational) console.error(`[payments][reconciliation] ${fallback}:`, error);
+  return res.status(error?.isOperational ? error.statusCode : 500).json({ message: error?.isOperational ? error.message : fallback });
+};
+
+// Settlement files are parsed in memory (CSV or XLSX exports of iCredit / PayPal)
+export const settlementUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 10 * 1024 * 1024 }, // 10MB
+  fileFilter: (req, file, cb) => {
+    if (!/\.(csv|xlsx|xls)$/i.test(file.originalname || '')) {
+      return cb(new Error('Only CSV or XLSX settlement files allowed'));
+    }
+    cb(null, true);
+  }
+});
+
+// from/to (YYYY-MM-DD or ISO), default the last 30 days; `to` includes the whole day
+const parseRange = (query) => {
+  const to = query.to ? new Date(query.to) : new Date();
+  const from = query.from ? new Date(query.from) : new Date(to.getTime() - 30 * 24 * 60 * 60 * 1000);
+  if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime())) return null;
+  if (query.to && /^\d{4}-\d{2}-\d{2}$/.test(String(query.to))) to.setUTCHours(23, 59, 59, 999);
+  return from <= to ? { from, to } : null;
+};
+
+const parseProvider = (value) => {
+  if (!value) return { provider: undefined };
+  const provider = String(value).toLowerCase();
+  return SETTLEMENT_PROVIDERS[provider] || provider === 'cod' ? { provider } : { error: true };
+};
+
+// POST /api/payments/reconciliation/imports (multipart: file, provider, columns?, dateOrder?)
+export const importSettlementFile = async (req, res) => {
+  try {
+    if (!req.file) return res.status(400).json({ message: 'No file received' });
+    let columns;
+    if (req.body?.columns) {
+      try {
+        columns = typeof req.body.columns === 'string' ? JSON.parse(req.body.columns) : req.body.columns;
+      } catch {
+        return res.status(400).json({ message: 'columns must be a JSON object' });
+      }
+    }
+    const batch = await settlementReconciliationService.importFile({
+      provider: String(req.body?.provider || '').toLowerCase(),
+      buffer: req.file.buffer,
+      fileName: req.file.originalname,
+      columns,
+      dateOrder: req.body?.dateOrder,
+      actor: actorFromRequest(req)
+    });
+    res.status(201).json(batch);
+  } catch (error) {
+    return sendError(res, error, 'Failed to import settlement file');
+  }
+};
+
+// GET /api/payments/reconciliation/imports?provider=
+export const listSettlementImports = async (req, res) => {
+  try {
+    res.json({ imports: await settlementReconciliationService.listImports({ provider: req.query.provider, limit: req.query.limit }) });
+  } catch (error) {
+    return sendError(res, error, 'Failed to load settlement imports');
+  }
+};
+
+// GET /api/payments/reconciliation/imports/:id/entries?status=
+export const listSettlementEntries = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(404).json({ message: 'Import not found' });
+    res.json({ entries: await settlementReconciliationService.entries(req.params.id, { status: req.query.status }) });
+  } catch (error) {
+    return sendError(res, error, 'Failed to load settlement entries');
+  }
+};
+
+// GET /api/payments/reconciliation?from=&to=&provider= - flagged settlements, unsettled orders, COD to collect
+export const getReconciliationReport = async (req, res) => {
+  try {
+    const range = parseRange(req.query);
+    if (!range) return res.status(400).json({ message: 'Invalid date range' });
+    const { provider, error } = parseProvider(req.query.provider);
+    if (error) return res.status(400).json({ message: 'Invalid provider' });
+    res.json(await settlementReconciliationService.report({ ...range, provider }));
+  } catch (error) {
+    return sendError(res, error, 'Failed to build reconciliation report');
+  }
+};
+
+// GET /api/payments/reconciliation/export.xlsx?from=&to=&provider=
+export const exportReconciliationXlsx = async (req, res) => {
+  try {
+    const range = parseRange(req.query);
+    if (!range) return res.status(400).json({ message: 'Invalid date range' });
+    const { provider, error } = parseProvider(req.query.provider);
+    if (error) return res.status(400).json({ message: 'Invalid provider' });
+    const buffer = await settlementReconciliationService.exportWorkbook({ ...range, provider });
+    const day = (d) => d.toISOString().slice(0, 10);
+    const filename = `reconciliation_${provider || 'all'}_${day(range.from)}_${day(range.to)}.xlsx`;
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename=${filename}`);
+    res.send(buffer);
+  } catch (error) {
+    return sendError(res, error, 'Failed to export reconciliation');
+  }
+};
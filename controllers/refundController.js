@@ -0,0 +1,46 @@
+import mongoose from 'mongoose';
+import Order from '../models/Order.js';
+import { refundService } from '../services/refundService.js';
+import { actorFromRequest } from '../services/orderStateMachine.js';
+
+const sendError = (res, error, fallback) => {
+  if (!error?.isOperational) console.error(`[payments][refunds] ${fallback}:`, error);
+  return res.status(error?.isOperational ? error.statusCode : 500).json({ message: error?.isOperational ? error.message : fallback });
+};
+
+// POST /api/orders/:id/refunds { amount?, reason?, creditNote? } - refund through PayPal / iCredit; amount defaults to all refundable
+export const createOrderRefund = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(404).json({ message: 'Order not found' });
+    const order = await Order.findById(req.params.id);
+    if (!order) return res.status(404).json({ message: 'Order not found' });
+    const { amount, reason, creditNote } = req.body || {};
+    if (amount !== undefined && amount !== null && amount !== '' && !Number.isFinite(Number(amount))) {
+      return res.status(400).json({ message: 'amount must be a number' });
+    }
+    const { refund } = await refundService.refund(order, {
+      amount: amount === undefined || amount === null || amount === '' ? undefined : Number(amount),
+      reason: reason ? String(reason).trim() : undefined,
+      creditNote: creditNote !== false,
+      actor: actorFromRequest(req)
+    });
+    res.status(refund.status === 'completed' ? 201 : 202).json({
+      refund,
+      order: { _id: order._id, paymentStatus: order.paymentStatus, refundedAmount: order.refundedAmount }
+    });
+  } catch (error) {
+    return sendError(res, error, 'Failed to refund order');
+  }
+};
+
+// GET /api/orders/:id/refunds - refunds of an order with captured / refunded / refundable totals
+export const getOrderRefunds = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(404).json({ message: 'Order not found' });
+    const order = await Order.findById(req.params.id).select('paymentMethod paymentGateway paymentReference paymentStatus paymentDetails paymentSession amountDue refundedAmount currency');
+    if (!order) return res.status(404).json({ message: 'Order not found' });
+    res.json({ currency: order.currency, paymentStatus: order.paymentStatus, ...(await refundService.summary(order)) });
+  } catch (error) {
+    return sendError(res, error, 'Failed to load refunds');
+  }
+};
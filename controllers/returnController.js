@@ -0,0 +1,369 @@
+import mongoose from 'mongoose';
+import Order from '../models/Order.js';
+import ReturnRequest from '../models/ReturnRequest.js';
+import { inventoryService } from '../services/inventoryService.js';
+import { giftCardService } from '../services/giftCardService.js';
+import { storeCreditService } from '../services/storeCreditService.js';
+import { managerLedgerService } from '../services/managerLedgerService.js';
+import { invoiceService } from '../services/invoiceService.js';
+import { realTimeEventService } from '../services/realTimeEventService.js';
+import { transitionOrder, actorFromRequest } from '../services/orderStateMachine.js';
+import { canAccessOrder } from '../utils/orderAccess.js';
+
+const round2 = (n) => Math.round((Number(n) || 0) * 100) / 100;
+
+// Paid unit price of an order line (after coupon when a pricing breakdown exists)
+const paidUnitPrice = (line) => {
+  if (line?.pricing && typeof line.pricing.lineTotal === 'number' && line.quantity > 0) {
+    return round2(line.pricing.lineTotal / line.quantity);
+  }
+  return Number(line?.price) || 0;
+};
+
+// Quantities already claimed per order line by non-rejected return requests
+const claimedQuantities = async (orderId, excludeId = null) => {
+  const query = { order: orderId, status: { $ne: 'rejected' } };
+  if (excludeId) query._id = { $ne: excludeId };
+  const existing = await ReturnRequest.find(query).select('items.orderItem items.quantity').lean();
+  const map = new Map();
+  for (const rr of existing) {
+    for (const it of rr.items || []) {
+      const key = String(it.orderItem);
+      map.set(key, (map.get(key) || 0) + (Number(it.quantity) || 0));
+    }
+  }
+  return map;
+};
+
+const loadReturn = async (req, res) => {
+  const { id, returnId } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(returnId)) {
+    res.status(400).json({ message: 'Invalid return id' });
+    return null;
+  }
+  const rr = await ReturnRequest.findOne({ _id: returnId, order: id });
+  if (!rr) {
+    res.status(404).json({ message: 'Return request not found' });
+    return null;
+  }
+  return rr;
+};
+
+// Customer (or admin) opens a return for some lines/quantities of a delivered order
+export const createReturnRequest = async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id);
+    if (!order) return res.status(404).json({ message: 'Order not found' });
+    if (!canAccessOrder(req.user, order)) return res.status(403).json({ message: 'Not allowed to return this order' });
+    if (order.status !== 'delivered') {
+      return res.status(400).json({ message: 'Only delivered orders can be returned' });
+    }
+
+    const { items, reason, photos, customerNote } = req.body || {};
+    if (!Array.isArray(items) || !items.length) {
+      return res.status(400).json({ message: 'At least one item is required' });
+    }
+
+    const claimed = await claimedQuantities(order._id);
+    const requested = new Map();
+    const returnItems = [];
+    for (const it of items) {
+      const lineId = String(it?.orderItem || it?.itemId || '');
+      const line = order.items.id(lineId);
+      if (!line) return res.status(400).json({ message: `Order line not found: ${lineId}` });
+      const qty = Number(it.quantity) || 0;
+      const already = (claimed.get(lineId) || 0) + (requested.get(lineId) || 0);
+      if (qty <= 0 || qty + already > line.quantity) {
+        return res.status(400).json({
+          message: `Invalid return quantity for ${line.name || 'item'}. Returnable: ${Math.max(0, line.quantity - already)}`
+        });
+      }
+      requested.set(lineId, (requested.get(lineId) || 0) + qty);
+      returnItems.push({
+        orderItem: line._id,
+        product: line.product,
+        variantId: line.variantId,
+        size: line.size,
+        color: line.color,
+        name: line.name,
+        quantity: qty,
+        unitPrice: paidUnitPrice(line),
+        reason: it.reason || reason
+      });
+    }
+
+    const rr = await ReturnRequest.create({
+      returnNumber: `RMA${Date.now()}`,
+      order: order._id,
+      user: order.user || req.user?._id,
+      items: returnItems,
+      reason,
+      photos: Array.isArray(photos) ? photos.filter(p => typeof p === 'string' && p.trim()) : [],
+      customerNote
+    });
+
+    try { console.log('[orders][returns] requested', { order: order.orderNumber, rma: rr.returnNumber, lines: returnItems.length }); } catch {}
+    res.status(201).json(rr);
+  } catch (error) {
+    console.error('Error creating return request:', error);
+    res.status(500).json({ message: 'Failed to create return request', error: error?.message });
+  }
+};
+
+// Returns of an order (owner or admin)
+export const getOrderReturns = async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id).select('user customerInfo');
+    if (!order) return res.status(404).json({ message: 'Order not found' });
+    if (!canAccessOrder(req.user, order)) return res.status(403).json({ message: 'Not allowed to view these returns' });
+    const returns = await ReturnRequest.find({ order: order._id }).sort('-createdAt');
+    res.json(returns);
+  } catch (error) {
+    res.status(500).json({ message: 'Failed to load returns' });
+  }
+};
+
+// Admin queue across all orders
+export const getAllReturns = async (req, res) => {
+  try {
+    const { status } = req.query;
+    const query = status ? { status } : {};
+    const returns = await ReturnRequest.find(query)
+      .sort('-createdAt')
+      .populate('order', 'orderNumber customerInfo totalAmount currency status')
+      .limit(500);
+    res.json(returns);
+  } catch (error) {
+    res.status(500).json({ message: 'Failed to load returns' });
+  }
+};
+
+export const approveReturn = async (req, res) => {
+  try {
+    const rr = await loadReturn(req, res);
+    if (!rr) return;
+    if (rr.status !== 'requested') return res.status(400).json({ message: `Cannot approve a ${rr.status} return` });
+    rr.status = 'approved';
+    rr.approvedAt = new Date();
+    rr.approvedBy = req.user?._id;
+    if (req.body?.adminNote) rr.adminNote = req.body.adminNote;
+    await rr.save();
+    res.json(rr);
+  } catch (error) {
+    res.status(500).json({ message: 'Failed to approve return' });
+  }
+};
+
+export const rejectReturn = async (req, res) => {
+  try {
+    const rr = await loadReturn(req, res);
+    if (!rr) return;
+    if (!['requested', 'approved'].includes(rr.status)) {
+      return res.status(400).json({ message: `Cannot reject a ${rr.status} return` });
+    }
+    rr.status = 'rejected';
+    rr.rejectionReason = req.body?.reason || req.body?.rejectionReason || '';
+    await rr.save();
+    res.json(rr);
+  } catch (error) {
+    res.status(500).json({ message: 'Failed to reject return' });
+  }
+};
+
+// Admin receives and inspects the parcel: per line restock to a warehouse or write off
+// body: { warehouse?, lines: [{ itemId, receivedQuantity?, disposition: 'restock'|'write_off', warehouse?, inspectionNote? }] }
+export const receiveReturn = async (req, res) => {
+  try {
+    const rr = await loadReturn(req, res);
+    if (!rr) return;
+    if (rr.status !== 'approved') return res.status(400).json({ message: 'Return must be approved before it is received' });
+
+    const { lines, warehouse: defaultWarehouse } = req.body || {};
+    const decisions = new Map((Array.isArray(lines) ? lines : []).map(l => [String(l.itemId || l.orderItem || l._id), l]));
+
+    // Validate every line before touching stock; lines posted by an earlier attempt are kept as they are
+    for (const item of rr.items) {
+      if (item.stockPostedAt) continue;
+      const d = decisions.get(String(item._id)) || decisions.get(String(item.orderItem));
+      if (!d) return res.status(400).json({ message: `Missing inspection decision for ${item.name || item._id}` });
+      if (!['restock', 'write_off'].includes(d.disposition)) {
+        return res.status(400).json({ message: `Invalid disposition for ${item.name || item._id}` });
+      }
+      const received = d.receivedQuantity == null ? item.quantity : Number(d.receivedQuantity);
+      if (!(received >= 0 && received <= item.quantity)) {
+        return res.status(400).json({ message: `Invalid received quantity for ${item.name || item._id}` });
+      }
+      if (d.disposition === 'restock' && received > 0 && !(d.warehouse || defaultWarehouse)) {
+        return res.status(400).json({ message: 'Warehouse is required to restock returned items' });
+      }
+    }
+
+    const order = await Order.findById(rr.order).select('orderNumber');
+    const reasonSuffix = `${rr.returnNumber}${order?.orderNumber ? ` / ${order.orderNumber}` : ''}`;
+    for (const item of rr.items) {
+      if (item.stockPostedAt) continue;
+      const d = decisions.get(String(item._id)) || decisions.get(String(item.orderItem));
+      const received = d.receivedQuantity == null ? item.quantity : Number(d.receivedQuantity);
+      const warehouse = d.disposition === 'restock' && received > 0 ? (d.warehouse || defaultWarehouse) : undefined;
+      // Claim the line before moving stock so a retried or concurrent receive cannot post it twice
+      const claimed = await ReturnRequest.updateOne(
+        { _id: rr._id, status: 'approved', items: { $elemMatch: { _id: item._id, stockPostedAt: null } } },
+        { $set: {
+          'items.$.receivedQuantity': received,
+          'items.$.disposition': d.disposition,
+          'items.$.inspectionNote': d.inspectionNote,
+          'items.$.warehouse': warehouse,
+          'items.$.stockPostedAt': new Date()
+        } }
+      );
+      if (!claimed.modifiedCount || received <= 0) continue;
+      const sku = { product: item.product, variantId: item.variantId, size: item.size, color: item.color, quantity: received, userId: req.user?._id };
+      try {
+        if (d.disposition === 'restock') {
+          await inventoryService.restockToWarehouse({ ...sku, warehouse, reason: `Return restock (${reasonSuffix})` });
+        } else {
+          await inventoryService.recordWriteOff({ ...sku, reason: `Return write-off (${reasonSuffix})` });
+        }
+      } catch (e) {
+        try {
+          await ReturnRequest.updateOne({ _id: rr._id, 'items._id': item._id }, { $unset: { 'items.$.stockPostedAt': 1 } });
+        } catch {}
+        throw e;
+      }
+    }
+
+    const updated = await ReturnRequest.findOneAndUpdate(
+      { _id: rr._id, status: 'approved' },
+      { $set: { status: 'received', receivedAt: new Date(), receivedBy: req.user?._id } },
+      { new: true }
+    );
+    res.json(updated || await ReturnRequest.findById(rr._id));
+  } catch (error) {
+    console.error('Error receiving return:', error);
+    res.status(error?.isOperational ? error.statusCode : 500).json({ message: error?.message || 'Failed to receive return' });
+  }
+};
+
+// Record the refund against the order; defaults to the paid value of the received units
+export const refundReturn = async (req, res) => {
+  try {
+    const rr = await loadReturn(req, res);
+    if (!rr) return;
+    if (rr.status !== 'received') return res.status(400).json({ message: 'Return must be received before it is refunded' });
+
+    const order = await Order.findById(rr.order);
+    if (!order) return res.status(404).json({ message: 'Order not found' });
+
+    const computed = round2(rr.items.reduce((s, it) => s + (it.receivedQuantity ?? it.quantity) * it.unitPrice, 0));
+    const requested = req.body?.amount != null ? Number(req.body.amount) : computed;
+    const refundable = round2(Math.max(0, (Number(order.totalAmount) || 0) + (Number(order.shippingFee) || 0) - (Number(order.refundedAmount) || 0)));
+    if (!(requested >= 0) || requested > refundable) {
+      return res.status(400).json({ message: `Invalid refund amount. Refundable: ${refundable}` });
+    }
+
+    const method = req.body?.method || 'original_payment';
+    if (!['original_payment', 'store_credit'].includes(method)) {
+      return res.status(400).json({ message: 'Refund method must be original_payment or store_credit' });
+    }
+    if (method === 'store_credit' && !order.user) {
+      return res.status(400).json({ message: 'Guest orders cannot be refunded to store credit' });
+    }
+    // Claim the return before any money moves, so concurrent refunds of it cannot both pay out
+    const claimed = await ReturnRequest.updateOne({ _id: rr._id, status: 'received' }, { $set: { status: 'refunding' } });
+    if (!claimed.modifiedCount) return res.status(409).json({ message: 'Return is already being refunded' });
+
+    // Gift card payments are refunded to the cards first, then store credit to the wallet;
+    // the rest goes to the card/PayPal payment
+    let giftCardAmount = 0;
+    let storeCreditAmount = 0;
+    try {
+      giftCardAmount = method === 'original_payment' && order.giftCardTotal > 0
+        ? await giftCardService.restoreForOrder(order._id, { amount: round2(requested), reason: `Refund ${rr.returnNumber}` })
+        : 0;
+      if (method === 'original_payment' && order.storeCreditAmount > 0) {
+        storeCreditAmount = await storeCreditService.restoreForOrder(order, {
+          amount: round2(requested - giftCardAmount),
+          note: `Refund ${rr.returnNumber}`,
+          returnRequest: rr._id,
+          createdBy: req.user?._id
+        });
+      } else if (method === 'store_credit' && requested > 0) {
+        await storeCreditService.credit(order.user, round2(requested), {
+          reason: 'return_refund',
+          order: order._id,
+          returnRequest: rr._id,
+          note: `Refund ${rr.returnNumber}`,
+          createdBy: req.user?._id
+        });
+        storeCreditAmount = round2(requested);
+      }
+    } catch (moveErr) {
+      // Nothing paid out: the return may be refunded again. Part of it paid: it stays claimed for a person
+      if (!giftCardAmount && !storeCreditAmount) {
+        await ReturnRequest.updateOne({ _id: rr._id, status: 'refunding' }, { $set: { status: 'received' } });
+      } else {
+        console.error('[orders][returns] refund partly paid out, return left refunding:', { returnRequest: String(rr._id), giftCardAmount, storeCreditAmount });
+      }
+      throw moveErr;
+    }
+    rr.refund = {
+      amount: round2(requested),
+      currency: order.currency,
+      method,
+      reference: req.body?.reference,
+      giftCardAmount,
+      storeCreditAmount,
+      refundedAt: new Date(),
+      refundedBy: req.user?._id
+    };
+    rr.status = 'refunded';
+    await rr.save();
+
+    const counted = await Order.findOneAndUpdate({ _id: order._id }, { $inc: { refundedAmount: rr.refund.amount } }, { new: true }).select('refundedAmount');
+    order.refundedAmount = round2(counted?.refundedAmount ?? (Number(order.refundedAmount) || 0) + rr.refund.amount);
+    // Fully returned once every line's quantity is covered by units received on refunded returns
+    const refundedReturns = await ReturnRequest.find({ order: order._id, status: 'refunded' }).select('items').lean();
+    const returnedByLine = new Map();
+    for (const r of refundedReturns) {
+      for (const it of r.items || []) {
+        const key = String(it.orderItem);
+        returnedByLine.set(key, (returnedByLine.get(key) || 0) + (Number(it.receivedQuantity ?? it.quantity) || 0));
+      }
+    }
+    try { await managerLedgerService.recordReturnRefund(order, rr); } catch (mlErr) {
+      console.warn('[orders][returns] manager ledger not updated:', mlErr?.message || mlErr);
+    }
+    // Invoiced orders get a credit note for the refund
+    let creditNote = null;
+    if (rr.refund.amount > 0) {
+      try {
+        creditNote = await invoiceService.issueCreditNote(order, { amount: rr.refund.amount, returnRequest: rr, reason: `Refund ${rr.returnNumber}`, createdBy: req.user?._id });
+      } catch (cnErr) {
+        console.warn('[orders][returns] credit note not issued:', cnErr?.message || cnErr);
+      }
+    }
+    if (order.items.every(line => (returnedByLine.get(String(line._id)) || 0) >= line.quantity)) {
+      // Stock was already handled per line when the parcel was received
+      try {
+        await transitionOrder(order, 'returned', {
+          actor: actorFromRequest(req),
+          source: 'return_refund',
+          note: `Fully returned (${rr.returnNumber})`,
+          skipEffects: ['inventory']
+        });
+      } catch (e) {
+        console.warn('[orders][returns] could not mark order returned:', e?.message || e);
+      }
+    } else {
+      try { realTimeEventService.emitOrderUpdate(order); } catch {}
+    }
+    res.json({
+      returnRequest: rr,
+      order: { _id: order._id, status: order.status, refundedAmount: order.refundedAmount },
+      creditNote: creditNote ? { _id: creditNote._id, number: creditNote.number, total: creditNote.total } : null
+    });
+  } catch (error) {
+    console.error('Error refunding return:', error);
+    res.status(500).json({ message: 'Failed to record refund', error: error?.message });
+  }
+};
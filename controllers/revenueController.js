@@ -228,6 +228,27 @@ export const getRevenueTrends = asyncHandler(async (req, res) => {
   });
 });
 
+// @desc Get abandoned checkout recovery funnel
+// @route GET /api/revenue/checkout-recovery
+// @access Private
+export const getCheckoutRecovery = asyncHandler(async (req, res) => {
+  const { startDate, endDate } = req.query;
+
+  const end = endDate ? new Date(endDate) : new Date();
+  const start = startDate ? new Date(startDate) : new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
+
+  const recovery = await revenueAnalyticsService.getCheckoutRecovery(start, end);
+
+  res.status(StatusCodes.OK).json({
+    success: true,
+    data: recovery,
+    period: {
+      start: start.toISOString(),
+      end: end.toISOString()
+    }
+  });
+});
+
 // @desc Seed revenue data for testing
 // @route POST /api/revenue/seed
 // @access Public
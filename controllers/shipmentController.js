@@ -0,0 +1,75 @@
+import Order from '../models/Order.js';
+import { createShipment, updateShipment, computeFulfillment } from '../services/shipmentService.js';
+import { actorFromRequest } from '../services/orderStateMachine.js';
+
+const sendError = (res, error, fallback) => {
+  if (!error?.isOperational) console.error(`${fallback}:`, error);
+  res.status(error?.isOperational ? error.statusCode : 500).json({ message: error?.isOperational ? error.message : fallback });
+};
+
+// List shipments of an order with allocation summary per line
+export const getOrderShipments = async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id)
+      .select('orderNumber status fulfillmentStatus items shipments')
+      .populate('shipments.deliveryCompany', 'name code')
+      .populate('shipments.warehouse', 'name');
+    if (!order) return res.status(404).json({ message: 'Order not found' });
+    const shipped = new Map();
+    for (const s of order.shipments) {
+      if (s.status === 'cancelled') continue;
+      for (const it of s.items) shipped.set(String(it.orderItem), (shipped.get(String(it.orderItem)) || 0) + it.quantity);
+    }
+    res.json({
+      orderNumber: order.orderNumber,
+      status: order.status,
+      fulfillmentStatus: computeFulfillment(order).fulfillmentStatus,
+      lines: order.items.map(l => ({
+        orderItem: l._id,
+        name: l.name,
+        quantity: l.quantity,
+        allocated: shipped.get(String(l._id)) || 0,
+        remaining: Math.max(0, l.quantity - (shipped.get(String(l._id)) || 0))
+      })),
+      shipments: order.shipments
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to load shipments');
+  }
+};
+
+// body: { items?: [{ orderItem, quantity }], warehouse?, deliveryCompany?, deliveryFee?, codAmount?, notes? }
+export const createOrderShipment = async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id);
+    if (!order) return res.status(404).json({ message: 'Order not found' });
+    const shipment = await createShipment(order, req.body || {}, { actor: actorFromRequest(req) });
+    res.status(201).json({ shipment, orderStatus: order.status, fulfillmentStatus: order.fulfillmentStatus });
+  } catch (error) {
+    sendError(res, error, 'Failed to create shipment');
+  }
+};
+
+// body: { status?, trackingNumber?, deliveryFee?, notes? }
+export const updateOrderShipment = async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id);
+    if (!order) return res.status(404).json({ message: 'Order not found' });
+    const shipment = await updateShipment(order, req.params.shipmentId, req.body || {}, { actor: actorFromRequest(req) });
+    res.json({ shipment, orderStatus: order.status, fulfillmentStatus: order.fulfillmentStatus });
+  } catch (error) {
+    sendError(res, error, 'Failed to update shipment');
+  }
+};
+
+// Cancel a shipment that has not been delivered; its quantities become allocatable again
+export const cancelOrderShipment = async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id);
+    if (!order) return res.status(404).json({ message: 'Order not found' });
+    const shipment = await updateShipment(order, req.params.shipmentId, { status: 'cancelled' }, { actor: actorFromRequest(req) });
+    res.json({ shipment, orderStatus: order.status, fulfillmentStatus: order.fulfillmentStatus });
+  } catch (error) {
+    sendError(res, error, 'Failed to cancel shipment');
+  }
+};
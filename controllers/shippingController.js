@@ -1,6 +1,7 @@
 import ShippingZone from '../models/ShippingZone.js';
 import ShippingRate from '../models/ShippingRate.js';
-import { calculateShippingFee as calculateFee, getAvailableShippingOptions } from '../services/shippingService.js';
+import ShippingClass from '../models/ShippingClass.js';
+import { calculateShippingFee as calculateFee, calculateCartShippingFee, getAvailableShippingOptions } from '../services/shippingService.js';
 import { StatusCodes } from 'http-status-codes';
 import { ApiError } from '../utils/ApiError.js';
 
@@ -127,10 +128,63 @@ export const deleteShippingRate = async (req, res) => {
   }
 };
 
+// Shipping Class Controllers
+export const getShippingClasses = async (req, res) => {
+  try {
+    const classes = await ShippingClass.find().sort('name');
+    res.json(classes);
+  } catch (error) {
+    throw new ApiError(StatusCodes.INTERNAL_SERVER_ERROR, 'Failed to fetch shipping classes');
+  }
+};
+
+export const createShippingClass = async (req, res) => {
+  try {
+    const shippingClass = new ShippingClass(req.body);
+    await shippingClass.save();
+    res.status(StatusCodes.CREATED).json(shippingClass);
+  } catch (error) {
+    throw new ApiError(StatusCodes.BAD_REQUEST, 'Failed to create shipping class');
+  }
+};
+
+export const updateShippingClass = async (req, res) => {
+  try {
+    const shippingClass = await ShippingClass.findByIdAndUpdate(
+      req.params.id,
+      req.body,
+      { new: true, runValidators: true }
+    );
+    if (!shippingClass) {
+      throw new ApiError(StatusCodes.NOT_FOUND, 'Shipping class not found');
+    }
+    res.json(shippingClass);
+  } catch (error) {
+    throw new ApiError(StatusCodes.BAD_REQUEST, 'Failed to update shipping class');
+  }
+};
+
+export const deleteShippingClass = async (req, res) => {
+  try {
+    const shippingClass = await ShippingClass.findByIdAndDelete(req.params.id);
+    if (!shippingClass) {
+      throw new ApiError(StatusCodes.NOT_FOUND, 'Shipping class not found');
+    }
+    res.json({ message: 'Shipping class deleted successfully' });
+  } catch (error) {
+    throw new ApiError(StatusCodes.INTERNAL_SERVER_ERROR, 'Failed to delete shipping class');
+  }
+};
+
 // Fee Calculation
 export const calculateShippingFee = async (req, res) => {
   try {
-    const { subtotal, weight, country, region, city } = req.body;
+    const { subtotal, weight, country, region, city, items } = req.body;
+    // Preferred: send cart items so weight (and shipping class surcharges) are computed server-side
+    if (Array.isArray(items) && items.length) {
+      const result = await calculateCartShippingFee({ items, subtotal, country, region, city });
+      return res.json({ fee: result.fee, cityApplied: !!city, weight: result.weight, components: result.components });
+    }
     const fee = await calculateFee({ subtotal, weight, country, region, city });
     res.json({ fee, cityApplied: !!city });
   } catch (error) {
@@ -0,0 +1,210 @@
+import mongoose from 'mongoose';
+import { StatusCodes } from 'http-status-codes';
+import TaxClass from '../models/TaxClass.js';
+import TaxRate from '../models/TaxRate.js';
+import Product from '../models/Product.js';
+import Category from '../models/Category.js';
+import User from '../models/User.js';
+import { priceCart, expandBundleItems } from '../services/pricingService.js';
+import { computeTax } from '../services/taxService.js';
+import { ApiError } from '../utils/ApiError.js';
+
+const sendError = (res, error, fallback) => {
+  if (!error?.isOperational) console.error(`[tax] ${fallback}:`, error);
+  const status = error?.isOperational ? error.statusCode : (error?.name === 'ValidationError' || error?.code === 11000 ? 400 : 500);
+  const message = error?.isOperational ? error.message
+    : error?.code === 11000 ? 'A tax class with this code already exists'
+      : error?.name === 'ValidationError' ? error.message : fallback;
+  return res.status(status).json({ message });
+};
+
+const assertId = (id, label) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) throw new ApiError(StatusCodes.BAD_REQUEST, `Invalid ${label}`);
+};
+
+// null / '' means "no class" (standard rates)
+const classRef = async (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  assertId(value, 'taxClass');
+  if (!(await TaxClass.exists({ _id: value }))) throw new ApiError(StatusCodes.NOT_FOUND, 'Tax class not found');
+  return value;
+};
+
+const pick = (body, fields) => Object.fromEntries(fields.filter(f => body?.[f] !== undefined).map(f => [f, body[f]]));
+
+// Tax classes
+export const getTaxClasses = async (req, res) => {
+  try {
+    res.json(await TaxClass.find().sort('name').lean());
+  } catch (error) {
+    return sendError(res, error, 'Failed to load tax classes');
+  }
+};
+
+export const createTaxClass = async (req, res) => {
+  try {
+    const taxClass = await TaxClass.create(pick(req.body, ['name', 'code', 'description', 'isActive']));
+    res.status(StatusCodes.CREATED).json(taxClass);
+  } catch (error) {
+    return sendError(res, error, 'Failed to create tax class');
+  }
+};
+
+export const updateTaxClass = async (req, res) => {
+  try {
+    assertId(req.params.id, 'id');
+    const taxClass = await TaxClass.findByIdAndUpdate(req.params.id, pick(req.body, ['name', 'code', 'description', 'isActive']), { new: true, runValidators: true });
+    if (!taxClass) throw new ApiError(StatusCodes.NOT_FOUND, 'Tax class not found');
+    res.json(taxClass);
+  } catch (error) {
+    return sendError(res, error, 'Failed to update tax class');
+  }
+};
+
+// A class still referenced by rates, products or categories cannot be removed (deactivate it instead)
+export const deleteTaxClass = async (req, res) => {
+  try {
+    assertId(req.params.id, 'id');
+    const [rates, products, categories] = await Promise.all([
+      TaxRate.countDocuments({ taxClass: req.params.id }),
+      Product.countDocuments({ taxClass: req.params.id }),
+      Category.countDocuments({ taxClass: req.params.id })
+    ]);
+    if (rates || products || categories) {
+      throw new ApiError(StatusCodes.CONFLICT, `Tax class is in use (${rates} rates, ${products} products, ${categories} categories)`);
+    }
+    const taxClass = await TaxClass.findByIdAndDelete(req.params.id);
+    if (!taxClass) throw new ApiError(StatusCodes.NOT_FOUND, 'Tax class not found');
+    res.json({ message: 'Tax class deleted successfully' });
+  } catch (error) {
+    return sendError(res, error, 'Failed to delete tax class');
+  }
+};
+
+// Tax rates
+const rateFields = async (body) => {
+  const data = pick(body, ['name', 'city', 'rate', 'isActive']);
+  if (body.taxClass !== undefined) data.taxClass = await classRef(body.taxClass);
+  if (body.zone !== undefined) {
+    if (body.zone) assertId(body.zone, 'zone');
+    data.zone = body.zone || null;
+  }
+  if (data.rate !== undefined && (typeof data.rate !== 'number' || data.rate < 0 || data.rate > 100)) {
+    throw new ApiError(StatusCodes.BAD_REQUEST, 'rate must be a percentage between 0 and 100');
+  }
+  return data;
+};
+
+export const getTaxRates = async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.taxClass) filter.taxClass = req.query.taxClass === 'standard' ? null : req.query.taxClass;
+    res.json(await TaxRate.find(filter).populate('taxClass', 'name code').populate('zone', 'name').sort({ taxClass: 1, city: 1 }).lean());
+  } catch (error) {
+    return sendError(res, error, 'Failed to load tax rates');
+  }
+};
+
+export const createTaxRate = async (req, res) => {
+  try {
+    const rate = await TaxRate.create(await rateFields(req.body || {}));
+    res.status(StatusCodes.CREATED).json(rate);
+  } catch (error) {
+    return sendError(res, error, 'Failed to create tax rate');
+  }
+};
+
+export const updateTaxRate = async (req, res) => {
+  try {
+    assertId(req.params.id, 'id');
+    const rate = await TaxRate.findByIdAndUpdate(req.params.id, await rateFields(req.body || {}), { new: true, runValidators: true });
+    if (!rate) throw new ApiError(StatusCodes.NOT_FOUND, 'Tax rate not found');
+    res.json(rate);
+  } catch (error) {
+    return sendError(res, error, 'Failed to update tax rate');
+  }
+};
+
+export const deleteTaxRate = async (req, res) => {
+  try {
+    assertId(req.params.id, 'id');
+    const rate = await TaxRate.findByIdAndDelete(req.params.id);
+    if (!rate) throw new ApiError(StatusCodes.NOT_FOUND, 'Tax rate not found');
+    res.json({ message: 'Tax rate deleted successfully' });
+  } catch (error) {
+    return sendError(res, error, 'Failed to delete tax rate');
+  }
+};
+
+// PUT /api/tax/assignments { taxClass, products: [], categories: [] } - bulk (un)assign a class; null = standard
+export const assignTaxClass = async (req, res) => {
+  try {
+    const { products = [], categories = [] } = req.body || {};
+    if (!Array.isArray(products) || !Array.isArray(categories)) throw new ApiError(StatusCodes.BAD_REQUEST, 'products and categories must be arrays');
+    if (!products.length && !categories.length) throw new ApiError(StatusCodes.BAD_REQUEST, 'Nothing to assign');
+    [...products, ...categories].forEach(id => assertId(id, 'product or category id'));
+    const taxClass = await classRef(req.body?.taxClass);
+    const [p, c] = await Promise.all([
+      products.length ? Product.updateMany({ _id: { $in: products } }, { $set: { taxClass } }) : { modifiedCount: 0 },
+      categories.length ? Category.updateMany({ _id: { $in: categories } }, { $set: { taxClass } }) : { modifiedCount: 0 }
+    ]);
+    res.json({ ok: true, taxClass, products: p.modifiedCount, categories: c.modifiedCount });
+  } catch (error) {
+    return sendError(res, error, 'Failed to assign tax class');
+  }
+};
+
+// PUT /api/tax/customers/:userId/exemption { taxExempt, taxExemptionNumber }
+export const setCustomerExemption = async (req, res) => {
+  try {
+    assertId(req.params.userId, 'user id');
+    const { taxExempt, taxExemptionNumber } = req.body || {};
+    if (typeof taxExempt !== 'boolean') throw new ApiError(StatusCodes.BAD_REQUEST, 'taxExempt must be a boolean');
+    const user = await User.findByIdAndUpdate(
+      req.params.userId,
+      { $set: { taxExempt, taxExemptionNumber: taxExempt ? String(taxExemptionNumber || '').trim() : '' } },
+      { new: true }
+    ).select('name email taxExempt taxExemptionNumber');
+    if (!user) throw new ApiError(StatusCodes.NOT_FOUND, 'User not found');
+    res.json(user);
+  } catch (error) {
+    return sendError(res, error, 'Failed to update tax exemption');
+  }
+};
+
+// POST /api/tax/quote { items, shippingAddress, shippingFee, couponCode } - tax preview for a cart
+export const quoteTax = async (req, res) => {
+  try {
+    const { items, shippingAddress, shippingFee, couponCode } = req.body || {};
+    if (!Array.isArray(items) || !items.length) throw new ApiError(StatusCodes.BAD_REQUEST, 'items required');
+    const priced = await priceCart({
+      items: await expandBundleItems(items),
+      couponCode: couponCode || null,
+      customer: { userId: req.user?._id, email: req.user?.email }
+    });
+    const shipping = priced.freeShipping ? 0 : Math.max(0, Number(shippingFee) || 0);
+    const tax = await computeTax({
+      lines: priced.lines,
+      shippingFee: shipping,
+      address: shippingAddress ? { country: shippingAddress.country, city: shippingAddress.city } : null,
+      customer: { userId: req.user?._id }
+    });
+    const total = Math.max(0, Math.round((priced.total + tax.adjustment) * 100) / 100);
+    res.json({
+      subtotal: priced.subtotal,
+      discountTotal: priced.discountTotal,
+      shippingFee: shipping,
+      mode: tax.mode,
+      exempt: tax.exempt,
+      taxTotal: tax.taxTotal,
+      adjustment: tax.adjustment,
+      breakdown: tax.breakdown,
+      lines: tax.lines.map((t, idx) => ({ product: priced.lines[idx].product._id, quantity: priced.lines[idx].quantity, lineTotal: priced.lines[idx].lineTotal, tax: t })),
+      shipping: tax.shipping,
+      totalAmount: total,
+      totalWithShipping: Math.round((total + shipping) * 100) / 100
+    });
+  } catch (error) {
+    return sendError(res, error, 'Failed to calculate tax');
+  }
+};
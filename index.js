@@ -76,10 +76,18 @@ import mcgRoutes from './routes/mcgRoutes.js';
 import mobilePushRoutes from './routes/mobilePushRoutes.js';
 import serviceRoutes from './routes/serviceRoutes.js';
 import walletRoutes from './routes/walletRoutes.js';
+import invoiceRoutes from './routes/invoiceRoutes.js';
+import taxRoutes from './routes/taxRoutes.js';
+import abandonedCheckoutRoutes from './routes/abandonedCheckoutRoutes.js';
 // Lazy import function to warm DeepSeek config from DB
 import { loadDeepseekConfigFromDb } from './services/translate/deepseek.js';
 import { startPushScheduler } from './services/pushScheduler.js';
 import { startMcgSyncScheduler } from './services/mcgSyncScheduler.js';
+import { startReservationExpiryScheduler } from './services/reservationService.js';
+import { startGiftCardHoldExpiryScheduler } from './services/giftCardService.js';
+import { startAbandonedCheckoutScheduler } from './services/abandonedCheckoutService.js';
+import { startBackorderAllocationScheduler } from './services/backorderService.js';
+import { startPaymentReconciliationScheduler } from './services/payments/paymentReconciliationService.js';
 
 // Path Setup
 const __filename = fileURLToPath(import.meta.url);
@@ -162,7 +170,8 @@ const corsOptions = {
     return callback(new Error('Not allowed by CORS'));
   },
   methods: ['GET', 'HEAD', 'PUT', 'PATCH', 'POST', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Accept'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Accept', 'Idempotency-Key'],
+  exposedHeaders: ['Idempotent-Replayed'],
   // We now rely on httpOnly refresh token cookie (rt) for /api/auth/refresh. Enable credentials.
   credentials: true,
   optionsSuccessStatus: 204
@@ -268,6 +277,9 @@ app.use('/api/rivhit', rivhitRoutes);
 app.use('/api/mcg', mcgRoutes);
 app.use('/api/services', serviceRoutes);
 app.use('/api/wallet', walletRoutes);
+app.use('/api/invoices', invoiceRoutes);
+app.use('/api/tax', taxRoutes);
+app.use('/api/abandoned-checkouts', abandonedCheckoutRoutes);
 
 // Health Check Route
 app.get('/health', (req, res) => {
@@ -576,6 +588,11 @@ const startServer = async () => {
   });
   try { startPushScheduler(app); console.log('[startup] Push scheduler started'); } catch {}
   try { startMcgSyncScheduler(); console.log('[startup] MCG auto-pull scheduler started'); } catch {}
+  try { startReservationExpiryScheduler(); console.log('[startup] Stock reservation expiry scheduler started'); } catch {}
+  try { startGiftCardHoldExpiryScheduler(); console.log('[startup] Gift card hold expiry scheduler started'); } catch {}
+  try { startAbandonedCheckoutScheduler(); console.log('[startup] Abandoned checkout recovery scheduler started'); } catch {}
+  try { startBackorderAllocationScheduler(); console.log('[startup] Backorder allocation scheduler started'); } catch {}
+  try { startPaymentReconciliationScheduler(); console.log('[startup] Payment reconciliation scheduler started'); } catch {}
 };
 
 // Start server
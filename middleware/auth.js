@@ -26,6 +26,20 @@ export const auth = async (req, res, next) => {
   }
 };
 
+// Public routes that behave differently for signed-in users (guest checkout): attach the user when a
+// valid token is sent, otherwise continue as a guest
+export const optionalAuth = async (req, res, next) => {
+  try {
+    const token = req.header('Authorization')?.replace('Bearer ', '');
+    if (token) {
+      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      const user = await User.findById(decoded.userId);
+      if (user) req.user = user;
+    }
+  } catch {}
+  next();
+};
+
 export const adminAuth = async (req, res, next) => {
   console.log('adminAuth middleware called for:', req.method, req.path);
   console.log('Authorization header:', req.header('Authorization'));
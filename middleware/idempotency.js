@@ -0,0 +1,117 @@
+import crypto from 'crypto';
+import IdempotencyKey from '../models/IdempotencyKey.js';
+import { getClientIp } from '../utils/requestIp.js';
+
+// Keys are remembered for a day. A running request renews its lock every LOCK_MS / 3, so only a request
+// whose process died (no renewal for LOCK_MS) stops blocking its retries; renewal ends after MAX_RUN_MS.
+const TTL_MS = 24 * 60 * 60 * 1000;
+const LOCK_MS = 60 * 1000;
+const MAX_RUN_MS = 10 * 60 * 1000;
+const KEY_PATTERN = /^[\x21-\x7e]{1,255}$/;
+
+// JSON with sorted object keys, so equal payloads fingerprint the same regardless of key order
+const canonical = (value) => {
+  if (Array.isArray(value)) return `[${value.map(canonical).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(k => `${JSON.stringify(k)}:${canonical(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+};
+
+const fingerprintOf = (req) => crypto.createHash('sha256')
+  .update(`${req.method} ${req.baseUrl}${req.path}\n${canonical(req.body || {})}`)
+  .digest('hex');
+
+/**
+ * Honour an `Idempotency-Key` header on a mutating endpoint. Without the header the request runs as usual.
+ * - first request: runs and its response (status < 500) is stored for 24h
+ * - replay with the same payload: the stored response is returned with `Idempotent-Replayed: true`
+ * - same key, different payload: 422; same key while the first request is still running: 409
+ * Server errors are not stored, so the client may retry them with the same key.
+ * Mount after auth middleware so keys are scoped per user; anonymous keys are scoped per client address,
+ * so one guest never gets another guest's stored response.
+ * @param {string} scope - Endpoint name, e.g. 'orders.create'
+ */
+export const idempotency = (scope) => async (req, res, next) => {
+  const key = req.header('Idempotency-Key');
+  if (key === undefined) return next();
+  if (!KEY_PATTERN.test(key)) {
+    return res.status(400).json({ message: 'Idempotency-Key must be 1-255 visible ASCII characters' });
+  }
+  const owner = req.user?._id ? String(req.user._id) : `guest:${getClientIp(req) || req.ip || 'unknown'}`;
+  const fingerprint = fingerprintOf(req);
+  const now = new Date();
+
+  let record;
+  try {
+    record = await IdempotencyKey.create({
+      key, scope, owner, fingerprint,
+      lockedUntil: new Date(now.getTime() + LOCK_MS),
+      expiresAt: new Date(now.getTime() + TTL_MS)
+    });
+  } catch (e) {
+    if (e?.code !== 11000) {
+      try { console.warn('[idempotency] key not stored, continuing without it', e?.message || e); } catch {}
+      return next();
+    }
+    const existing = await IdempotencyKey.findOne({ scope, owner, key }).lean();
+    if (!existing) return res.status(409).json({ message: 'A request with this Idempotency-Key is in progress' });
+    if (existing.fingerprint !== fingerprint) {
+      return res.status(422).json({ message: 'Idempotency-Key was already used with a different request payload' });
+    }
+    if (existing.status === 'completed') {
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(existing.responseStatus || 200).json(existing.responseBody ? JSON.parse(existing.responseBody) : null);
+    }
+    // Take over a lock abandoned by a crashed request; otherwise the first request is still running
+    record = await IdempotencyKey.findOneAndUpdate(
+      { _id: existing._id, status: 'processing', lockedUntil: { $lt: now } },
+      { $set: { lockedUntil: new Date(now.getTime() + LOCK_MS) } },
+      { new: true }
+    );
+    if (!record) {
+      res.set('Retry-After', '1');
+      return res.status(409).json({ message: 'A request with this Idempotency-Key is in progress' });
+    }
+  }
+
+  // Keep the lock while the handler runs, even after the client went away
+  const startedAt = Date.now();
+  const heartbeat = setInterval(() => {
+    if (Date.now() - startedAt > MAX_RUN_MS) return clearInterval(heartbeat);
+    IdempotencyKey.updateOne({ _id: record._id, status: 'processing' }, { $set: { lockedUntil: new Date(Date.now() + LOCK_MS) } })
+      .catch(() => {});
+  }, LOCK_MS / 3);
+  heartbeat.unref?.();
+
+  // Store the response when the handler ends it. res.end runs whether or not the client is still connected
+  // ('finish' does not fire after a disconnect), so a dropped connection still completes the key.
+  let body;
+  let stored = false;
+  const json = res.json.bind(res);
+  res.json = (payload) => {
+    body = payload;
+    return json(payload);
+  };
+  const end = res.end.bind(res);
+  res.end = (...args) => {
+    if (!stored) {
+      stored = true;
+      clearInterval(heartbeat);
+      const update = res.statusCode < 500
+        ? IdempotencyKey.updateOne({ _id: record._id }, {
+          $set: { status: 'completed', responseStatus: res.statusCode, responseBody: body === undefined ? undefined : JSON.stringify(body), completedAt: new Date() },
+          $unset: { lockedUntil: 1 }
+        })
+        : IdempotencyKey.deleteOne({ _id: record._id });
+      update.catch(e => { try { console.warn('[idempotency] response not stored', { scope, error: e?.message || e }); } catch {} });
+    }
+    return end(...args);
+  };
+  res.on('close', () => {
+    if (!stored) try { console.warn('[idempotency] client left before the response; the key completes when the handler ends', { scope }); } catch {}
+  });
+  next();
+};
+
+export default idempotency;
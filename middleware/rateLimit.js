@@ -0,0 +1,33 @@
+// In-memory fixed-window rate limit per client address (non-cluster safe, like utils/cache/simpleCache.js).
+// The address is req.ip, which honours the app's 'trust proxy' setting.
+
+const windows = new Map();
+let lastSweep = 0;
+
+/**
+ * Allow at most `max` requests per client address per `windowMs` on a route; beyond that answer 429
+ * with Retry-After.
+ * @param {string} name - Bucket name, e.g. 'orders.track'; routes with the same name share the budget
+ * @param {{ max: number, windowMs: number }} opts
+ */
+export const rateLimit = (name, { max, windowMs }) => (req, res, next) => {
+  const now = Date.now();
+  if (now - lastSweep > 60 * 1000) {
+    lastSweep = now;
+    for (const [k, w] of windows) if (w.resetAt <= now) windows.delete(k);
+  }
+  const key = `${name}|${req.ip || req.socket?.remoteAddress || 'unknown'}`;
+  let w = windows.get(key);
+  if (!w || w.resetAt <= now) {
+    w = { count: 0, resetAt: now + windowMs };
+    windows.set(key, w);
+  }
+  w.count += 1;
+  if (w.count > max) {
+    res.set('Retry-After', String(Math.ceil((w.resetAt - now) / 1000)));
+    return res.status(429).json({ message: 'Too many requests, please try again later' });
+  }
+  next();
+};
+
+export default rateLimit;
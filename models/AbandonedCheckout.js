@@ -0,0 +1,66 @@
+import mongoose from 'mongoose';
+
+// A checkout that reached the payment gateway but was never paid (PaymentSession stuck in 'created').
+// The cart is copied here because payment sessions expire after a few days. Repeated attempts by the same
+// customer fold into one open record holding the latest cart. See services/abandonedCheckoutService.js.
+const abandonedCheckoutSchema = new mongoose.Schema({
+  // Latest session of the customer; sessions lists every session folded into this record
+  paymentSession: { type: mongoose.Schema.Types.ObjectId, ref: 'PaymentSession', required: true },
+  sessions: [{ type: mongoose.Schema.Types.ObjectId, ref: 'PaymentSession', index: true }],
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', index: true },
+  email: { type: String, lowercase: true, trim: true, index: true },
+  phone: { type: String },
+  customerInfo: {
+    firstName: String,
+    lastName: String,
+    email: String,
+    mobile: String
+  },
+  shippingAddress: {
+    street: String,
+    city: String,
+    country: String
+  },
+  items: [{
+    product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product' },
+    quantity: Number,
+    size: String,
+    color: String,
+    variantId: String,
+    sku: String,
+    bundleId: String,
+    name: String,
+    price: Number
+  }],
+  couponCode: String,
+  currency: String,
+  cartTotal: { type: Number, default: 0 },
+  // open: reminders pending or sent; recovered: an order followed; expired: nothing came of it
+  status: { type: String, enum: ['open', 'recovered', 'expired'], default: 'open', index: true },
+  abandonedAt: { type: Date, required: true },
+  detectedAt: { type: Date, default: Date.now, index: true },
+  reminders: [{
+    step: Number,
+    sentAt: { type: Date, default: Date.now },
+    couponCode: String,
+    channels: [{
+      channel: { type: String, enum: ['email', 'push', 'whatsapp'] },
+      ok: Boolean,
+      error: String,
+      // WhatsApp cannot be sent automatically; the link is opened by an admin
+      url: String
+    }]
+  }],
+  lastReminderAt: Date,
+  restoreCount: { type: Number, default: 0 },
+  lastRestoredAt: Date,
+  recoveredAt: Date,
+  recoveredOrder: { type: mongoose.Schema.Types.ObjectId, ref: 'Order' },
+  recoveredAmount: Number,
+  // true when the order followed a reminder (counts towards the recovery rate)
+  attributed: { type: Boolean, default: false }
+}, { timestamps: true });
+
+abandonedCheckoutSchema.index({ status: 1, detectedAt: 1 });
+
+export default mongoose.model('AbandonedCheckout', abandonedCheckoutSchema);
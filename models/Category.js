@@ -61,7 +61,9 @@ const categorySchema = new mongoose.Schema({
   }
   ,
   // Manager responsible for this category (used for service fee deductions)
-  managerUser: { type: mongoose.Schema.Types.ObjectId, ref: 'User', index: true }
+  managerUser: { type: mongoose.Schema.Types.ObjectId, ref: 'User', index: true },
+  // Tax class of products in this category that have none of their own
+  taxClass: { type: mongoose.Schema.Types.ObjectId, ref: 'TaxClass', default: null }
 }, {
   timestamps: true
 });
@@ -9,7 +9,10 @@ const categoryServiceLedgerSchema = new mongoose.Schema({
   quantity: { type: Number, required: true, min: 1 },
   feePerUnit: { type: Number, required: true, min: 0 },
   totalFee: { type: Number, required: true, min: 0 },
-  currency: { type: String, required: true, default: () => process.env.STORE_CURRENCY || 'USD' }
+  currency: { type: String, required: true, default: () => process.env.STORE_CURRENCY || 'USD' },
+  // Cancelled orders reverse their fees; reinstated orders re-activate them (see services/orderStateMachine.js)
+  status: { type: String, enum: ['active', 'reversed'], default: 'active', index: true },
+  reversedAt: { type: Date }
 }, { timestamps: true });
 
 try { categoryServiceLedgerSchema.index({ category: 1, managerUser: 1, createdAt: -1 }); } catch {}
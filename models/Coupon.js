@@ -9,16 +9,27 @@ const couponSchema = new mongoose.Schema({
     uppercase: true,
     default: () => nanoid(8).toUpperCase()
   },
+  // free_shipping zeroes the shipping fee; buy_x_get_y discounts reward units (see buyXGetY)
   type: {
     type: String,
-    enum: ['percentage', 'fixed'],
+    enum: ['percentage', 'fixed', 'free_shipping', 'buy_x_get_y'],
     required: true
   },
   value: {
     type: Number,
-    required: true,
+    default: 0,
     min: 0
   },
+  // Buy `buyQuantity` eligible units, get `getQuantity` units discounted by `discountPercent`.
+  // Reward units come from getProducts/getCategories when set, else from the eligible units themselves (cheapest first).
+  buyXGetY: {
+    buyQuantity: { type: Number, min: 1 },
+    getQuantity: { type: Number, min: 1 },
+    discountPercent: { type: Number, min: 0, max: 100, default: 100 },
+    maxApplications: { type: Number, min: 0 },
+    getProducts: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Product' }],
+    getCategories: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Category' }]
+  },
   minPurchase: {
     type: Number,
     default: 0,
@@ -55,6 +66,36 @@ const couponSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // Orders per customer (user id or email); cancelled orders do not count
+  perCustomerLimit: {
+    type: Number,
+    min: 0
+  },
+  firstOrderOnly: {
+    type: Boolean,
+    default: false
+  },
+  // Personal coupons (e.g. abandoned checkout reminders): only this user or email may use the code
+  customerUser: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  customerEmail: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  // How the coupon combines with flash sale prices: stack on top of them, or skip flash-sale lines
+  flashSaleStacking: {
+    type: String,
+    enum: ['stack', 'exclude'],
+    default: 'stack'
+  },
+  // Bulk-generated single-use codes share a campaign name
+  campaign: {
+    type: String,
+    trim: true
+  },
   description: String,
   categories: [{
     type: mongoose.Schema.Types.ObjectId,
@@ -63,6 +104,14 @@ const couponSchema = new mongoose.Schema({
   products: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Product'
+  }],
+  excludedProducts: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product'
+  }],
+  excludedBrands: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Brand'
   }]
 }, {
   timestamps: true
@@ -71,5 +120,6 @@ const couponSchema = new mongoose.Schema({
 // Add index for efficient querying
 couponSchema.index({ code: 1 }, { unique: true });
 couponSchema.index({ startDate: 1, endDate: 1, isActive: 1 });
+couponSchema.index({ campaign: 1 });
 
 export default mongoose.model('Coupon', couponSchema);
\ No newline at end of file
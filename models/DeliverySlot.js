@@ -0,0 +1,41 @@
+import mongoose from 'mongoose';
+
+// Delivery time window customers can pick at checkout (see services/deliverySlotService.js).
+// Times are wall-clock 'HH:mm' in the store timezone (Settings.timezone).
+const deliverySlotSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Slot name is required'],
+    trim: true
+  },
+  // Where the slot is offered: shipping zones and/or city names; both empty = everywhere
+  zones: [{ type: mongoose.Schema.Types.ObjectId, ref: 'ShippingZone' }],
+  cities: [{ type: String, trim: true }],
+  // Days of week (0 = Sunday); empty = every day
+  weekdays: [{ type: Number, min: 0, max: 6 }],
+  startTime: { type: String, required: [true, 'Start time is required'] },
+  endTime: { type: String, required: [true, 'End time is required'] },
+  // Ordering closes daysBefore the delivery day at time (defaults to the slot start)
+  cutoff: {
+    daysBefore: { type: Number, default: 0, min: 0 },
+    time: { type: String }
+  },
+  // Orders per delivery date; unset or 0 = unlimited
+  capacity: { type: Number, min: 0, default: null },
+  // Dates ('YYYY-MM-DD') this slot is not offered; store-wide blackouts live in Settings.deliverySlots
+  blackoutDates: [{ type: String, trim: true }],
+  // Orders booked per delivery date, counted atomically at checkout and released on cancellation
+  bookings: [{
+    _id: false,
+    date: { type: String, required: true },
+    count: { type: Number, default: 0, min: 0 }
+  }],
+  isActive: { type: Boolean, default: true },
+  order: { type: Number, default: 0 }
+}, {
+  timestamps: true
+});
+
+deliverySlotSchema.index({ isActive: 1, order: 1 });
+
+export default mongoose.model('DeliverySlot', deliverySlotSchema);
@@ -0,0 +1,10 @@
+import mongoose from 'mongoose';
+
+// Gap-free counters for fiscal document numbers (invoices, credit notes, receipts). One document per
+// series key, e.g. 'invoice:2026'; values are only ever incremented (see services/invoiceService.js).
+const documentSequenceSchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true },
+  value: { type: Number, default: 0, min: 0 }
+}, { timestamps: true });
+
+export default mongoose.model('DocumentSequence', documentSequenceSchema);
@@ -4,6 +4,12 @@ const flashSaleItemSchema = new mongoose.Schema({
   product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
   flashPrice: { type: Number, required: true },
   quantityLimit: { type: Number, default: 0 }, // 0 = unlimited per order
+  perCustomerLimit: { type: Number, default: 0 }, // 0 = unlimited per customer across orders
+  // Dedicated sale stock: 0 = no allocation (sells from regular stock without a cap).
+  // remainingQuantity counts down atomically as orders are placed (services/flashSaleService.js).
+  allocatedQuantity: { type: Number, default: 0, min: 0 },
+  remainingQuantity: { type: Number, min: 0 },
+  soldQuantity: { type: Number, default: 0, min: 0 },
   order: { type: Number, default: 0 }
 }, { _id: false });
 
@@ -21,6 +27,10 @@ const flashSaleSchema = new mongoose.Schema({
   pricingMode: { type: String, enum: ['fixed', 'percent'], default: 'fixed' },
   // When pricingMode === 'percent', apply this percentage across items (UI convenience; items.flashPrice remains the source of truth for checkout)
   discountPercent: { type: Number, min: 0, max: 100 },
+  // End the sale as soon as every allocated item is sold out
+  endWhenSoldOut: { type: Boolean, default: true },
+  endedAt: { type: Date },
+  endReason: { type: String, enum: ['sold_out', null], default: null },
   createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
 }, { timestamps: true });
 
@@ -0,0 +1,15 @@
+import mongoose from 'mongoose';
+
+// A gateway sale (iCredit SaleId) and the one checkout or order it paid. A sale id is accepted once: the
+// IPN and the customer's return claim it, another session or order presenting it is refused
+// (see services/payments/icreditGateway.js claimSale).
+const gatewaySaleSchema = new mongoose.Schema({
+  gateway: { type: String, required: true },
+  saleId: { type: String, required: true },
+  paymentSession: { type: mongoose.Schema.Types.ObjectId, ref: 'PaymentSession' },
+  order: { type: mongoose.Schema.Types.ObjectId, ref: 'Order' }
+}, { timestamps: true });
+
+gatewaySaleSchema.index({ gateway: 1, saleId: 1 }, { unique: true });
+
+export default mongoose.model('GatewaySale', gatewaySaleSchema);
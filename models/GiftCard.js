@@ -47,7 +47,25 @@ const giftCardSchema = new mongoose.Schema({
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Order'
     },
+    // Set while the balance is held for a hosted payment session that has no order yet
+    paymentSession: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PaymentSession'
+    },
     amount: Number,
+    // held: deducted for a payment session; redeemed: spent on an order;
+    // released: hold lapsed or was cancelled; restored: given back on cancel/refund
+    status: {
+      type: String,
+      enum: ['held', 'redeemed', 'released', 'restored'],
+      default: 'redeemed'
+    },
+    restoredAmount: {
+      type: Number,
+      default: 0
+    },
+    expiresAt: Date,
+    restoredAt: Date,
     date: {
       type: Date,
       default: Date.now
@@ -75,5 +93,8 @@ giftCardSchema.pre('save', function(next) {
 giftCardSchema.index({ code: 1 }, { unique: true });
 giftCardSchema.index({ status: 1, expiryDate: 1 });
 giftCardSchema.index({ purchasedBy: 1 });
+giftCardSchema.index({ 'redemptions.order': 1 });
+giftCardSchema.index({ 'redemptions.paymentSession': 1 });
+giftCardSchema.index({ 'redemptions.status': 1, 'redemptions.expiresAt': 1 });
 
 export default mongoose.model('GiftCard', giftCardSchema);
\ No newline at end of file
@@ -0,0 +1,25 @@
+import mongoose from 'mongoose';
+
+// Idempotency-Key of a mutating request (middleware/idempotency.js). The first request stores its response;
+// retries with the same key and payload get it replayed, a different payload is rejected.
+const idempotencyKeySchema = new mongoose.Schema({
+  key: { type: String, required: true },
+  // Endpoint the key was used on, e.g. 'orders.create'
+  scope: { type: String, required: true },
+  // User id, or 'guest:<client ip>' for anonymous requests
+  owner: { type: String, required: true },
+  // sha256 of method, path and canonical JSON body
+  fingerprint: { type: String, required: true },
+  status: { type: String, enum: ['processing', 'completed'], default: 'processing' },
+  // A crashed request stops blocking retries after this
+  lockedUntil: { type: Date },
+  responseStatus: Number,
+  // Serialised JSON (response bodies may hold keys MongoDB cannot store)
+  responseBody: String,
+  completedAt: Date,
+  expiresAt: { type: Date, required: true, index: { expires: 0 } }
+}, { timestamps: true });
+
+idempotencyKeySchema.index({ scope: 1, owner: 1, key: 1 }, { unique: true });
+
+export default mongoose.model('IdempotencyKey', idempotencyKeySchema);
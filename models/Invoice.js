@@ -0,0 +1,76 @@
+import mongoose from 'mongoose';
+
+const partySchema = new mongoose.Schema({
+  name: { type: String },
+  address: { type: String },
+  phone: { type: String },
+  email: { type: String },
+  taxId: { type: String },
+  logo: { type: String }
+}, { _id: false });
+
+const lineSchema = new mongoose.Schema({
+  description: { type: String, required: true },
+  sku: { type: String },
+  quantity: { type: Number, required: true },
+  // Gross unit price (tax included)
+  unitPrice: { type: Number, required: true },
+  discount: { type: Number, default: 0 },
+  taxRate: { type: Number, default: 0 },
+  taxAmount: { type: Number, default: 0 },
+  // Gross line total after discount
+  total: { type: Number, required: true }
+}, { _id: false });
+
+// Issued fiscal documents: invoices for orders, receipts for POS sales and credit notes for refunds.
+// Content is a snapshot taken at issue time; documents are never edited afterwards, only voided.
+const invoiceSchema = new mongoose.Schema({
+  type: { type: String, enum: ['invoice', 'credit_note', 'receipt'], required: true },
+  // Formatted number, e.g. INV-2026-000123 (gap-free per type and year)
+  number: { type: String, required: true, unique: true },
+  sequence: { type: Number, required: true },
+  // 'void' marks a number that was drawn but whose document could not be completed
+  status: { type: String, enum: ['issued', 'void'], default: 'issued' },
+  order: { type: mongoose.Schema.Types.ObjectId, ref: 'Order', index: true },
+  posTransaction: { type: mongoose.Schema.Types.ObjectId, ref: 'POSTransaction', index: true },
+  // Order invoices only: 0 for the first, +1 for each one reissued after the previous was fully credited
+  revision: { type: Number },
+  returnRequest: { type: mongoose.Schema.Types.ObjectId, ref: 'ReturnRequest' },
+  // Invoice/receipt a credit note corrects
+  relatedInvoice: { type: mongoose.Schema.Types.ObjectId, ref: 'Invoice' },
+  relatedNumber: { type: String },
+  // Order number / POS transaction number printed on the document
+  reference: { type: String },
+  issuedAt: { type: Date, default: Date.now },
+  currency: { type: String },
+  language: { type: String, enum: ['en', 'ar', 'he'], default: 'en' },
+  seller: { type: partySchema, default: () => ({}) },
+  buyer: { type: partySchema, default: () => ({}) },
+  lines: { type: [lineSchema], default: [] },
+  subtotal: { type: Number, default: 0 },
+  discountTotal: { type: Number, default: 0 },
+  shipping: { type: Number, default: 0 },
+  taxTotal: { type: Number, default: 0 },
+  total: { type: Number, default: 0 },
+  payments: [{
+    method: { type: String },
+    amount: { type: Number },
+    reference: { type: String },
+    _id: false
+  }],
+  vatExempt: { type: Boolean, default: false },
+  // Sum of credit notes issued against this invoice
+  creditedAmount: { type: Number, default: 0 },
+  notes: { type: String },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, { timestamps: true });
+
+invoiceSchema.index({ type: 1, issuedAt: -1 });
+invoiceSchema.index({ returnRequest: 1 }, { sparse: true });
+// One issued invoice per order and revision, so concurrent issues (other processes included) cannot both succeed
+invoiceSchema.index(
+  { order: 1, type: 1, revision: 1 },
+  { unique: true, partialFilterExpression: { type: 'invoice', status: 'issued', revision: { $exists: true } } }
+);
+
+export default mongoose.model('Invoice', invoiceSchema);
@@ -0,0 +1,33 @@
+import mongoose from 'mongoose';
+
+// Append-only earnings ledger of category managers. Positive amounts credit the manager (sales),
+// negative amounts debit (service fees, refunds, payouts); reversals are new entries with the opposite
+// sign. User.earningsBalance caches the running balance (see services/managerLedgerService.js).
+const managerLedgerEntrySchema = new mongoose.Schema({
+  manager: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  type: { type: String, enum: ['sale', 'fee', 'refund', 'payout', 'adjustment'], required: true },
+  amount: { type: Number, required: true },
+  // Manager balance right after this entry
+  balanceAfter: { type: Number, required: true },
+  currency: { type: String },
+  order: { type: mongoose.Schema.Types.ObjectId, ref: 'Order' },
+  category: { type: mongoose.Schema.Types.ObjectId, ref: 'Category' },
+  service: { type: mongoose.Schema.Types.ObjectId, ref: 'Service' },
+  returnRequest: { type: mongoose.Schema.Types.ObjectId, ref: 'ReturnRequest' },
+  walletRequest: { type: mongoose.Schema.Types.ObjectId, ref: 'WalletRequest' },
+  note: { type: String, trim: true },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, { timestamps: true });
+
+managerLedgerEntrySchema.index({ manager: 1, createdAt: -1 });
+managerLedgerEntrySchema.index({ manager: 1, type: 1, createdAt: -1 });
+managerLedgerEntrySchema.index({ order: 1, type: 1 });
+managerLedgerEntrySchema.index({ returnRequest: 1 }, { sparse: true });
+
+// Entries are never edited or removed; corrections are new entries
+const appendOnly = function (next) {
+  next(new Error('Manager ledger entries are append-only'));
+};
+managerLedgerEntrySchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete'], appendOnly);
+
+export default mongoose.model('ManagerLedgerEntry', managerLedgerEntrySchema);
@@ -1,5 +1,35 @@
 import mongoose from 'mongoose';
 
+// A shipment covers a subset of the order lines (and quantities) and is dispatched on its own:
+// own delivery company, tracking number, status, fee and source warehouse (split / partial fulfillment).
+const shipmentSchema = new mongoose.Schema({
+  shipmentNumber: { type: String, required: true },
+  items: [{
+    // Order line (_id of Order.items[])
+    orderItem: { type: mongoose.Schema.Types.ObjectId, required: true },
+    product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product' },
+    name: String,
+    quantity: { type: Number, required: true, min: 1 }
+  }],
+  warehouse: { type: mongoose.Schema.Types.ObjectId, ref: 'Warehouse' },
+  deliveryCompany: { type: mongoose.Schema.Types.ObjectId, ref: 'DeliveryCompany' },
+  trackingNumber: { type: String },
+  // 'pending' until dispatched; then follows the same vocabulary as Order.deliveryStatus
+  status: {
+    type: String,
+    enum: ['pending', 'assigned', 'picked_up', 'in_transit', 'out_for_delivery', 'delivered', 'delivery_failed', 'returned', 'cancelled'],
+    default: 'pending'
+  },
+  deliveryFee: { type: Number, default: 0 },
+  // Amount the courier collects for this parcel (COD); defaults to the paid value of its items
+  codAmount: { type: Number },
+  deliveryResponse: { type: mongoose.Schema.Types.Mixed, default: null },
+  assignedAt: { type: Date },
+  deliveredAt: { type: Date },
+  statusUpdatedAt: { type: Date },
+  notes: { type: String }
+}, { _id: true, timestamps: true });
+
 const orderSchema = new mongoose.Schema({
   orderNumber: {
     type: String,
@@ -9,7 +39,10 @@ const orderSchema = new mongoose.Schema({
   // Applied coupon snapshot (captured at order creation for analytics)
   coupon: {
     code: { type: String, index: true },
-    discount: { type: Number, default: 0 }
+    discount: { type: Number, default: 0 },
+    type: { type: String },
+    // Shipping fee waived by a free_shipping coupon
+    freeShipping: { type: Boolean }
   },
   user: {
     type: mongoose.Schema.Types.ObjectId,
@@ -46,8 +79,45 @@ const orderSchema = new mongoose.Schema({
     }],
     // Exact variant reference when applicable (e.g., product.variants[])
     variantId: { type: String },
-    sku: { type: String }
+    sku: { type: String },
+    // Bundle offer this line was ordered as a component of (pricing.bundle is set when the bundle price applied)
+    bundle: { type: mongoose.Schema.Types.ObjectId, ref: 'BundleOffer' },
+    // Server-side price breakdown for this line (see services/pricingService.js)
+    pricing: {
+      basePrice: { type: Number },
+      variantPrice: { type: Number },
+      flashSalePrice: { type: Number },
+      flashSale: { type: mongoose.Schema.Types.ObjectId, ref: 'FlashSale' },
+      bundlePrice: { type: Number },
+      // Units priced at bundlePrice (whole bundle sets); the others keep their normal price
+      bundleUnits: { type: Number },
+      bundle: { type: mongoose.Schema.Types.ObjectId, ref: 'BundleOffer' },
+      source: { type: String, enum: ['catalog', 'variant', 'flash_sale', 'bundle'] },
+      unitPrice: { type: Number },
+      lineSubtotal: { type: Number },
+      couponDiscount: { type: Number, default: 0 },
+      lineTotal: { type: Number }
+    },
+    // Tax on this line (see services/taxService.js); taxableAmount is the net amount
+    tax: {
+      taxClass: { type: mongoose.Schema.Types.ObjectId, ref: 'TaxClass' },
+      name: { type: String },
+      rate: { type: Number, default: 0 },
+      taxableAmount: { type: Number, default: 0 },
+      amount: { type: Number, default: 0 }
+    },
+    // Units sold beyond stock (services/backorderService.js); waiting units cannot be shipped until allocated
+    backorder: {
+      mode: { type: String, enum: ['backorder', 'preorder'] },
+      quantity: { type: Number, min: 0 },
+      waiting: { type: Number, min: 0, default: 0 },
+      availableAt: { type: Date },
+      allocatedAt: { type: Date }
+    }
   }],
+  // Items subtotal before coupon discount (totalAmount = subtotal - discountTotal + tax.adjustment)
+  subtotal: { type: Number, min: 0 },
+  discountTotal: { type: Number, default: 0, min: 0 },
   totalAmount: {
     type: Number,
     required: true,
@@ -116,19 +186,82 @@ const orderSchema = new mongoose.Schema({
   },
   paymentMethod: {
     type: String,
-    enum: ['card', 'cod', 'paypal'],
+    enum: ['card', 'cod', 'paypal', 'gift_card', 'store_credit'],
     required: true
   },
+  // Tax calculated at checkout. Inclusive mode: prices contain the tax. Exclusive mode: tax (items and
+  // shipping) is added on top and included in totalAmount. tax.adjustment is what was added to (or, for
+  // exempt customers in inclusive mode, taken off) the items total.
+  tax: {
+    mode: { type: String, enum: ['inclusive', 'exclusive'] },
+    exempt: { type: Boolean, default: false },
+    exemptReason: { type: String },
+    shipping: {
+      taxClass: { type: mongoose.Schema.Types.ObjectId, ref: 'TaxClass' },
+      name: { type: String },
+      rate: { type: Number, default: 0 },
+      taxableAmount: { type: Number, default: 0 },
+      amount: { type: Number, default: 0 }
+    },
+    breakdown: [{
+      name: { type: String },
+      rate: { type: Number },
+      taxableAmount: { type: Number },
+      amount: { type: Number },
+      _id: false
+    }],
+    adjustment: { type: Number, default: 0 }
+  },
+  // Tax contained in the order (items and shipping)
+  taxTotal: { type: Number, default: 0, min: 0 },
+  // Gift cards redeemed against this order (see services/giftCardService.js)
+  giftCards: [{
+    giftCard: { type: mongoose.Schema.Types.ObjectId, ref: 'GiftCard' },
+    code: { type: String },
+    amount: { type: Number, min: 0 }
+  }],
+  giftCardTotal: { type: Number, default: 0, min: 0 },
+  // Paid from the customer's store credit wallet (see services/storeCreditService.js)
+  storeCreditAmount: { type: Number, default: 0, min: 0 },
+  // Part of storeCreditAmount given back to the wallet (claimed before crediting, see storeCreditService.restoreForOrder)
+  storeCreditRestored: { type: Number, min: 0 },
+  // Left to pay by the payment method (totalAmount + shippingFee - giftCardTotal - storeCreditAmount - unpaid pre-order balance)
+  amountDue: { type: Number, min: 0 },
+  // Pre-order deposit checkout: the rest of the pre-ordered lines, due once their units arrive
+  preorderBalance: {
+    amount: { type: Number, default: 0, min: 0 },
+    dueSince: { type: Date },
+    paidAt: { type: Date },
+    reference: { type: String }
+  },
+  // refunded / partially_refunded: money went back through the gateway (models/Refund.js)
   paymentStatus: {
     type: String,
-    enum: ['pending', 'completed', 'failed'],
+    enum: ['pending', 'completed', 'failed', 'refunded', 'partially_refunded'],
     default: 'pending'
   },
   paymentReference: { type: String },
+  // Set when a payment notification for the order was rejected (amount mismatch, unverified sale); the
+  // payment is left as booked until someone settles it with the provider (services/payments/icreditIpnService.js).
+  // Also set (stock_not_taken) when a paid order's stock holds could not be converted (orderPaymentService)
+  paymentReview: {
+    reason: { type: String },
+    detail: { type: String },
+    at: { type: Date, index: true, sparse: true }
+  },
+  // Gateway the order is paid through (services/payments/gatewayRegistry.js); paymentMethod says how
+  // the customer pays (card, paypal, cod), this says who processes it
+  paymentGateway: { type: String },
+  // Payment session the order was created from; unique so a session can never yield two orders
+  paymentSession: { type: mongoose.Schema.Types.ObjectId, ref: 'PaymentSession', unique: true, sparse: true },
+  // Sum of refunds recorded against this order (returns / RMA, gateway refunds)
+  refundedAmount: { type: Number, default: 0, min: 0 },
+  // Set while a gateway refund is in flight so two refunds cannot both pass the refundable check
+  refundingAt: { type: Date },
   paymentDetails: { type: mongoose.Schema.Types.Mixed },
   status: {
     type: String,
-    enum: ['pending', 'processing', 'shipped', 'delivered', 'cancelled'],
+    enum: ['pending', 'processing', 'shipped', 'delivered', 'cancelled', 'returned'],
     default: 'pending'
   },
   deliveryCompany: {
@@ -195,14 +328,37 @@ const orderSchema = new mongoose.Schema({
   deliveryNotes: {
     type: String
   },
+  // Delivery time slot chosen at checkout (services/deliverySlotService.js); date/times are store-local
+  deliverySlot: {
+    slot: { type: mongoose.Schema.Types.ObjectId, ref: 'DeliverySlot' },
+    name: { type: String },
+    date: { type: String },
+    startTime: { type: String },
+    endTime: { type: String },
+    window: { type: String },
+    startsAt: { type: Date },
+    endsAt: { type: Date },
+    timezone: { type: String }
+  },
   // Legacy field for backward compatibility
   trackingNumber: {
     type: String
   }
   ,
+  // Split shipments (see services/shipmentService.js). When present, status is derived from them.
+  shipments: { type: [shipmentSchema], default: [] },
+  fulfillmentStatus: {
+    type: String,
+    enum: ['unfulfilled', 'partially_shipped', 'shipped', 'partially_delivered', 'delivered'],
+    default: 'unfulfilled'
+  },
   // Inventory adjustment flags
   inventoryRestoredOnCancel: { type: Boolean, default: false },
   inventoryReReservedAfterRestore: { type: Boolean, default: false },
+  // True while stock is only held (StockReservation) pending online payment capture
+  inventoryHeld: { type: Boolean, default: false },
+  // 'waiting' while some lines wait for stock (backorder / pre-order), 'allocated' once they all got it
+  backorderStatus: { type: String, enum: ['waiting', 'allocated'] },
   // Applied category service charges (not paid by customer). Kept separately for accounting.
   categoryServiceCharges: [{
     category: { type: mongoose.Schema.Types.ObjectId, ref: 'Category' },
@@ -287,5 +443,10 @@ orderSchema.index({ deliveryStatus: 1 });
 orderSchema.index({ deliveryTrackingNumber: 1 });
 orderSchema.index({ deliveryCompany: 1, deliveryStatus: 1 });
 orderSchema.index({ deliveryAssignedAt: -1 });
+orderSchema.index({ 'shipments.trackingNumber': 1 }, { sparse: true });
+// First-in-first-out allocation of arriving stock to waiting orders
+orderSchema.index({ backorderStatus: 1, createdAt: 1 }, { sparse: true });
+// Gateway webhooks and settlement reconciliation look orders up by their payment reference
+orderSchema.index({ paymentReference: 1 }, { sparse: true });
 
 export default mongoose.model('Order', orderSchema);
\ No newline at end of file
@@ -0,0 +1,63 @@
+import mongoose from 'mongoose';
+
+// Customer request to cancel an order or change its address, phone or quantities (services/orderChangeService.js).
+// Requests within the configured rules are applied at once; the rest wait in the admin queue.
+const orderChangeRequestSchema = new mongoose.Schema({
+  requestNumber: { type: String, required: true, unique: true },
+  order: { type: mongoose.Schema.Types.ObjectId, ref: 'Order', required: true, index: true },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  type: { type: String, enum: ['cancel', 'modify'], required: true },
+  status: { type: String, enum: ['pending', 'approved', 'rejected'], default: 'pending', index: true },
+  changes: {
+    shippingAddress: {
+      street: String,
+      city: String
+    },
+    mobile: String,
+    secondaryMobile: String,
+    // New quantity per order line (reductions only; 0 removes the line)
+    items: [{
+      orderItem: { type: mongoose.Schema.Types.ObjectId, required: true },
+      name: String,
+      fromQuantity: Number,
+      quantity: { type: Number, min: 0 },
+      _id: false
+    }]
+  },
+  // Values before the change, for the timeline and support
+  previous: {
+    shippingAddress: {
+      street: String,
+      city: String
+    },
+    mobile: String,
+    secondaryMobile: String
+  },
+  reason: { type: String, trim: true },
+  // Where money paid by card/PayPal goes back to
+  refundTo: { type: String, enum: ['original_payment', 'store_credit'], default: 'original_payment' },
+  autoApproved: { type: Boolean, default: false },
+  // Rules the request broke, hence waiting for an admin (outside_window, dispatched, manual_review, and
+  // refund_to_original_payment when the order's gateway cannot refund automatically)
+  reviewReasons: [{ type: String }],
+  decidedAt: Date,
+  decidedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  adminNote: String,
+  rejectionReason: String,
+  // Money given back when applied; due is still to be refunded to the original payment by an admin
+  // (refunded/refundRecord: what went back through PayPal/iCredit, services/refundService.js)
+  refund: {
+    amount: { type: Number, default: 0 },
+    giftCardAmount: { type: Number, default: 0 },
+    storeCreditAmount: { type: Number, default: 0 },
+    due: { type: Number, default: 0 },
+    refunded: { type: Number, default: 0 },
+    refundRecord: { type: mongoose.Schema.Types.ObjectId, ref: 'Refund' }
+  },
+  // Side effect outcome (inventory, state machine effects)
+  outcome: { type: mongoose.Schema.Types.Mixed, default: null }
+}, { timestamps: true });
+
+orderChangeRequestSchema.index({ status: 1, createdAt: -1 });
+
+export default mongoose.model('OrderChangeRequest', orderChangeRequestSchema);
@@ -0,0 +1,26 @@
+import mongoose from 'mongoose';
+
+// Append-only order timeline: one document per lifecycle change (creation, status transition, note).
+// Written by services/orderStateMachine.js; exposed via GET /api/orders/:id/timeline.
+const orderEventSchema = new mongoose.Schema({
+  order: { type: mongoose.Schema.Types.ObjectId, ref: 'Order', required: true },
+  type: { type: String, enum: ['created', 'status_changed', 'note'], default: 'status_changed' },
+  fromStatus: { type: String, default: null },
+  toStatus: { type: String, default: null },
+  actor: {
+    // Who caused the change: an admin/customer request, a payment gateway callback or a background job
+    type: { type: String, enum: ['admin', 'customer', 'guest', 'payment', 'system'], default: 'system' },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    name: { type: String },
+    role: { type: String }
+  },
+  // Entry point that triggered the change (e.g. 'admin_status_update', 'paypal_capture')
+  source: { type: String },
+  note: { type: String, trim: true },
+  // Outcome of side effects (inventory, ledger, dispatch) for support diagnostics
+  meta: { type: mongoose.Schema.Types.Mixed, default: null }
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+orderEventSchema.index({ order: 1, createdAt: 1 });
+
+export default mongoose.model('OrderEvent', orderEventSchema);
@@ -64,7 +64,10 @@ const posTransactionSchema = new mongoose.Schema({
       reason: String
     },
     tax: {
+      taxClass: { type: mongoose.Schema.Types.ObjectId, ref: 'TaxClass' },
+      name: String,
       rate: { type: Number, default: 0 },
+      taxableAmount: Number,
       amount: { type: Number, default: 0 }
     },
     // Product snapshot for historical accuracy
@@ -88,6 +91,21 @@ const posTransactionSchema = new mongoose.Schema({
     default: 0,
     min: 0
   },
+  // Tax engine snapshot (services/taxService.js): inclusive prices contain totalTax, exclusive ones add it
+  taxMode: {
+    type: String,
+    enum: ['inclusive', 'exclusive']
+  },
+  taxExempt: {
+    type: Boolean,
+    default: false
+  },
+  taxBreakdown: [{
+    name: String,
+    rate: Number,
+    taxableAmount: Number,
+    amount: Number
+  }],
   total: {
     type: Number,
     required: true,
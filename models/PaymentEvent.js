@@ -0,0 +1,33 @@
+import mongoose from 'mongoose';
+
+// Every webhook / IPN a payment gateway sent us, verified or not (services/payments/paymentEventService.js).
+// One document per gateway event id: redeliveries of a processed event are answered without processing
+// it again, failed and rejected ones are processed again.
+const paymentEventSchema = new mongoose.Schema({
+  gateway: { type: String, required: true },
+  eventId: { type: String, required: true },
+  type: { type: String, index: true },
+  // Object the event is about (PayPal resource_type/id: checkout-order, capture, refund)
+  resourceType: { type: String },
+  resourceId: { type: String, index: true },
+  summary: { type: String },
+  // processing: being handled (or crashed; retried after a while); ignored: nothing to do for us;
+  // rejected: signature verification failed
+  status: { type: String, enum: ['processing', 'processed', 'ignored', 'failed', 'rejected'], default: 'processing', index: true },
+  verified: { type: Boolean, default: false },
+  verification: { type: String },
+  payload: { type: mongoose.Schema.Types.Mixed },
+  headers: { type: mongoose.Schema.Types.Mixed },
+  outcome: { type: mongoose.Schema.Types.Mixed },
+  error: { type: String },
+  attempts: { type: Number, default: 1 },
+  order: { type: mongoose.Schema.Types.ObjectId, ref: 'Order', index: true, sparse: true },
+  paymentSession: { type: mongoose.Schema.Types.ObjectId, ref: 'PaymentSession' },
+  processingAt: { type: Date },
+  processedAt: { type: Date }
+}, { timestamps: true });
+
+paymentEventSchema.index({ gateway: 1, eventId: 1 }, { unique: true });
+paymentEventSchema.index({ createdAt: -1 });
+
+export default mongoose.model('PaymentEvent', paymentEventSchema);
@@ -1,9 +1,14 @@
 import mongoose from 'mongoose';
 
 const PaymentSessionSchema = new mongoose.Schema({
-  gateway: { type: String, enum: ['icredit'], required: true, default: 'icredit' },
+  // Registered payment gateway id (services/payments/gatewayRegistry.js) and its reference for this
+  // payment, e.g. the PayPal order id
+  gateway: { type: String, required: true, default: 'icredit' },
+  gatewayReference: { type: String, index: true, sparse: true },
   status: { type: String, enum: ['created', 'approved', 'failed', 'confirmed'], default: 'created', index: true },
   reference: { type: String, index: true },
+  // Signed-in customer, if any (guest checkouts only have customerInfo)
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
   // Cart snapshot to reconstruct the order at confirmation time
   items: [
     {
@@ -13,6 +18,14 @@ const PaymentSessionSchema = new mongoose.Schema({
       color: { type: String },
       variantId: { type: String },
       sku: { type: String },
+      bundleId: { type: String },
+      // Server-priced snapshot (pricingService) so confirmation charges what the gateway was asked for
+      name: { type: String },
+      price: { type: Number },
+      pricing: { type: mongoose.Schema.Types.Mixed },
+      tax: { type: mongoose.Schema.Types.Mixed },
+      // Units waiting for stock (services/backorderService.js lineFlag); copied onto the order line
+      backorder: { type: mongoose.Schema.Types.Mixed },
       variants: [
         {
           attributeId: { type: String },
@@ -37,11 +50,47 @@ const PaymentSessionSchema = new mongoose.Schema({
   },
   coupon: {
     code: { type: String },
-    discount: { type: Number }
+    discount: { type: Number },
+    type: { type: String },
+    freeShipping: { type: Boolean }
   },
   currency: { type: String, required: true },
+  subtotal: { type: Number },
+  discountTotal: { type: Number, default: 0 },
+  totalAmount: { type: Number },
+  // Tax snapshot (services/taxService.js); totalAmount already includes tax.adjustment
+  tax: { type: mongoose.Schema.Types.Mixed },
+  taxTotal: { type: Number, default: 0 },
   shippingFee: { type: Number, default: 0 },
+  // Delivery slot snapshot validated at session creation; booked onto the order at /confirm
+  deliverySlot: { type: mongoose.Schema.Types.Mixed },
   totalWithShipping: { type: Number },
+  // Gift cards held for this session (services/giftCardService.js); captured onto the order at /confirm
+  giftCards: [
+    {
+      giftCard: { type: mongoose.Schema.Types.ObjectId, ref: 'GiftCard' },
+      code: { type: String },
+      amount: { type: Number }
+    }
+  ],
+  giftCardTotal: { type: Number, default: 0 },
+  // What the gateway is asked to charge (totalWithShipping - giftCardTotal)
+  amountDue: { type: Number },
+
+  // Abandoned checkout this session was recorded in (services/abandonedCheckoutService.js)
+  abandonedCheckout: { type: mongoose.Schema.Types.ObjectId, ref: 'AbandonedCheckout' },
+
+  // Set while a confirmation (redirect or IPN) is creating the order; see services/payments/paymentSessionService.js
+  confirmingAt: { type: Date },
+
+  // Set when the payment needs a person: the IPN amount differs from amountDue, iCredit does not verify the
+  // sale, or the session was paid but no order could be created (services/payments/paymentReconciliationService.js).
+  // Flagged sessions lose expiresAt so they are kept until resolved.
+  flag: {
+    reason: { type: String, enum: ['amount_mismatch', 'sale_not_verified', 'approved_without_order'] },
+    detail: { type: String },
+    at: { type: Date, index: true, sparse: true }
+  },
 
   // For linking results
   orderId: { type: mongoose.Schema.Types.ObjectId, ref: 'Order' },
@@ -61,6 +61,12 @@ const productSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Brand'
   },
+  // Tax class; when unset the primary category's class applies (see services/taxService.js)
+  taxClass: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TaxClass',
+    default: null
+  },
   // Additional categories (multi-category support). Primary category remains in `category` for backward compatibility.
   categories: [{
     type: mongoose.Schema.Types.ObjectId,
@@ -211,8 +217,21 @@ const productSchema = new mongoose.Schema({
     price: { type: Number, min: 0 }, // optional override; falls back to product.price
     originalPrice: { type: Number, min: 0 },
     stock: { type: Number, min: 0, default: 0 },
+    // Optional shipping overrides; fall back to the product's weight/dimensions
+    weight: { type: Number, min: 0 },
+    dimensions: {
+      length: { type: Number, min: 0 },
+      width: { type: Number, min: 0 },
+      height: { type: Number, min: 0 }
+    },
     images: [{ type: String }],
     isActive: { type: Boolean, default: true },
+    // Optional override of the product's backorder settings; unset fields inherit them
+    backorder: {
+      mode: { type: String, enum: ['none', 'backorder', 'preorder'] },
+      availableAt: { type: Date },
+      maxQuantity: { type: Number, min: 0 }
+    },
     // The defining combination for this variant
     attributes: [{
       attribute: { type: mongoose.Schema.Types.ObjectId, ref: 'Attribute', required: true },
@@ -254,6 +273,32 @@ productSchema.add({
 try { productSchema.index({ mcgItemId: 1 }, { unique: true, sparse: true }); } catch {}
 try { productSchema.index({ mcgBarcode: 1 }, { sparse: true }); } catch {}
 
+// Shipping attributes: weight in kg, dimensions in cm (used for dimensional weight), optional shipping class
+productSchema.add({
+  weight: { type: Number, min: 0, default: 0 },
+  dimensions: {
+    length: { type: Number, min: 0 },
+    width: { type: Number, min: 0 },
+    height: { type: Number, min: 0 }
+  },
+  shippingClass: { type: mongoose.Schema.Types.ObjectId, ref: 'ShippingClass' }
+});
+
+// Selling beyond stock (see services/backorderService.js). 'backorder' keeps selling while out of stock,
+// 'preorder' sells an item before its release; waiting order lines get stock first-in-first-out when it arrives.
+productSchema.add({
+  backorder: {
+    mode: { type: String, enum: ['none', 'backorder', 'preorder'], default: 'none' },
+    // Expected availability shown to customers and copied onto waiting order lines
+    availableAt: { type: Date },
+    // Units that may be waiting at once across open orders; unset = unlimited
+    maxQuantity: { type: Number, min: 0 },
+    // Pre-orders paid online: in full at checkout, or a deposit with the balance due on arrival
+    preorderPayment: { type: String, enum: ['full', 'deposit'], default: 'full' },
+    depositPercent: { type: Number, min: 1, max: 100, default: 20 }
+  }
+});
+
 // Virtual for average rating
 productSchema.virtual('averageRating').get(function() {
   if (!this.reviews || this.reviews.length === 0) return 0;
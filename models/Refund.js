@@ -0,0 +1,32 @@
+import mongoose from 'mongoose';
+
+// Money sent back through the payment gateway an order was paid with (services/refundService.js).
+// One document per refund call, with the provider's answer kept as-is for support and reconciliation.
+const refundSchema = new mongoose.Schema({
+  refundNumber: { type: String, required: true, unique: true },
+  order: { type: mongoose.Schema.Types.ObjectId, ref: 'Order', required: true, index: true },
+  // Payment gateway id (services/payments/gatewayRegistry.js)
+  provider: { type: String, required: true },
+  amount: { type: Number, required: true, min: 0.01 },
+  currency: { type: String },
+  // pending: the provider accepted it but has not settled it yet (e.g. PayPal PENDING)
+  status: { type: String, enum: ['pending', 'completed', 'failed'], default: 'pending', index: true },
+  reason: { type: String, trim: true },
+  // Payment being refunded (PayPal capture id / iCredit sale id) and the provider's refund id
+  paymentReference: { type: String },
+  providerRefundId: { type: String, index: true, sparse: true },
+  providerStatus: { type: String },
+  providerResponse: { type: mongoose.Schema.Types.Mixed },
+  error: { type: String },
+  // What asked for it: an admin, an approved customer change request, or the provider reporting a refund
+  // made outside this app (e.g. from the PayPal dashboard)
+  source: { type: String, enum: ['admin', 'order_change', 'provider'], default: 'admin' },
+  changeRequest: { type: mongoose.Schema.Types.ObjectId, ref: 'OrderChangeRequest' },
+  creditNote: { type: mongoose.Schema.Types.ObjectId, ref: 'Invoice' },
+  requestedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  completedAt: Date
+}, { timestamps: true });
+
+refundSchema.index({ order: 1, createdAt: -1 });
+
+export default mongoose.model('Refund', refundSchema);
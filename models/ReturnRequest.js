@@ -0,0 +1,64 @@
+import mongoose from 'mongoose';
+
+const returnItemSchema = new mongoose.Schema({
+  // Order line (_id of Order.items[]) being returned
+  orderItem: { type: mongoose.Schema.Types.ObjectId, required: true },
+  product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+  variantId: { type: String },
+  size: { type: String },
+  color: { type: String },
+  name: { type: String },
+  quantity: { type: Number, required: true, min: 1 },
+  // Effective paid unit price (after coupon) captured from the order line
+  unitPrice: { type: Number, required: true, min: 0 },
+  reason: { type: String, trim: true },
+  // Inspection outcome (set when the parcel is received)
+  receivedQuantity: { type: Number, min: 0 },
+  disposition: { type: String, enum: ['restock', 'write_off'] },
+  warehouse: { type: mongoose.Schema.Types.ObjectId, ref: 'Warehouse' },
+  inspectionNote: { type: String },
+  // Set once the line's received units were restocked / written off; a retried receive skips the line and
+  // the order's `returned` transition does not restock these units again
+  stockPostedAt: { type: Date }
+}, { _id: true });
+
+const returnRequestSchema = new mongoose.Schema({
+  returnNumber: { type: String, required: true, unique: true },
+  order: { type: mongoose.Schema.Types.ObjectId, ref: 'Order', required: true, index: true },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  items: { type: [returnItemSchema], default: [] },
+  reason: { type: String, trim: true },
+  photos: [{ type: String }],
+  customerNote: { type: String },
+  status: {
+    type: String,
+    // refunding: claimed by a refund in progress (money may be moving)
+    enum: ['requested', 'approved', 'rejected', 'received', 'refunding', 'refunded'],
+    default: 'requested',
+    index: true
+  },
+  adminNote: { type: String },
+  rejectionReason: { type: String },
+  approvedAt: { type: Date },
+  approvedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  receivedAt: { type: Date },
+  receivedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  // Refund recorded against the order (flows into revenue analytics as negative revenue)
+  refund: {
+    amount: { type: Number, min: 0 },
+    currency: { type: String },
+    method: { type: String, enum: ['original_payment', 'manual', 'store_credit'] },
+    reference: { type: String },
+    // Part of an original_payment refund credited back to the gift cards the order was paid with
+    giftCardAmount: { type: Number, default: 0, min: 0 },
+    // Part credited to the customer's store credit wallet (store_credit refunds, or wallet-paid orders)
+    storeCreditAmount: { type: Number, default: 0, min: 0 },
+    refundedAt: { type: Date },
+    refundedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+  }
+}, { timestamps: true });
+
+returnRequestSchema.index({ 'refund.refundedAt': -1 });
+returnRequestSchema.index({ status: 1, createdAt: -1 });
+
+export default mongoose.model('ReturnRequest', returnRequestSchema);
@@ -746,7 +746,10 @@ settingsSchema.add({
     fixedFeeAmount: { type: Number, default: 0, min: 0 },
     // If enabled and order subtotal >= freeShippingMinSubtotal, shipping is free (cost 0)
     freeShippingEnabled: { type: Boolean, default: false },
-    freeShippingMinSubtotal: { type: Number, default: 0, min: 0 }
+    freeShippingMinSubtotal: { type: Number, default: 0, min: 0 },
+    // Weight-based rates use max(actual, dimensional) weight when enabled; L*W*H (cm) / divisor = kg
+    dimensionalWeightEnabled: { type: Boolean, default: false },
+    dimensionalWeightDivisor: { type: Number, default: 5000, min: 1 }
   }
 });
 
@@ -757,7 +760,12 @@ settingsSchema.add({
       enabled: { type: Boolean, default: false },
       mode: { type: String, enum: ['sandbox', 'live'], default: 'sandbox' },
       clientId: { type: String, default: '' },
-      secret: { type: String, default: '' }
+      secret: { type: String, default: '' },
+      // Overrides the sandbox/live API host, e.g. a local mock (PAYPAL_API_BASE works too)
+      apiBaseUrl: { type: String, default: '' },
+      // Webhook id from the PayPal developer dashboard; /api/paypal/webhook verifies signatures against it
+      // (PAYPAL_WEBHOOK_ID works too)
+      webhookId: { type: String, default: '' }
     },
     // iCredit Payment Page (Rivhit) integration
     // Only non-secret fields are safe to expose; GroupPrivateToken must be masked in API responses
@@ -765,6 +773,10 @@ settingsSchema.add({
       enabled: { type: Boolean, default: false },
       // Endpoint to obtain hosted payment URL
       apiUrl: { type: String, default: 'https://icredit.rivhit.co.il/API/PaymentPageRequest.svc/GetUrl' },
+      // Refund (credit) endpoint; empty = RefundSale next to apiUrl (ICREDIT_REFUND_URL overrides)
+      refundUrl: { type: String, default: '' },
+      // Sale verification endpoint the IPN is checked with; empty = Verify next to apiUrl (ICREDIT_VERIFY_URL overrides)
+      verifyUrl: { type: String, default: '' },
       // Preferred transport for PaymentPageRequest: 'auto' (JSON then SOAP), 'json' (JSON only), 'soap' (SOAP only)
       transport: { type: String, enum: ['auto','json','soap'], default: 'auto' },
       // Secret token provided by Rivhit/iCredit (write-only style; mask in API responses)
@@ -790,6 +802,108 @@ settingsSchema.add({
   }
 });
 
+// Invoices, receipts and credit notes (see services/invoiceService.js)
+// Store name, address and logo come from the top-level fields; VAT exemption follows payments.icredit.exemptVAT.
+settingsSchema.add({
+  invoicing: {
+    template: { type: String, enum: ['classic', 'compact'], default: 'classic' },
+    accentColor: { type: String, default: '#1f2937' },
+    showLogo: { type: Boolean, default: true },
+    // Empty = payments.icredit.documentLanguage, then defaultLanguage
+    language: { type: String, enum: ['', 'en', 'ar', 'he'], default: '' },
+    // Business / VAT registration number printed on documents
+    taxId: { type: String, default: '' },
+    // VAT rate (%) included in catalog prices
+    vatRate: { type: Number, default: 0, min: 0, max: 100 },
+    footerText: { type: String, default: '' },
+    invoicePrefix: { type: String, default: 'INV' },
+    creditNotePrefix: { type: String, default: 'CN' },
+    receiptPrefix: { type: String, default: 'RCP' },
+    // Restart numbering every calendar year (numbers then carry the year)
+    yearlySequence: { type: Boolean, default: true }
+  }
+});
+
+// Tax engine (see services/taxService.js); rates live in TaxRate, classes in TaxClass.
+// A store exempt from VAT (payments.icredit.exemptVAT) charges no tax regardless of these settings.
+settingsSchema.add({
+  tax: {
+    enabled: { type: Boolean, default: false },
+    // true: catalog prices include tax; false: tax is added at checkout
+    pricesIncludeTax: { type: Boolean, default: true },
+    taxShipping: { type: Boolean, default: false },
+    // Class used for shipping; null = standard rates
+    shippingTaxClass: { type: mongoose.Schema.Types.ObjectId, ref: 'TaxClass', default: null }
+  }
+});
+
+// Abandoned checkout recovery (see services/abandonedCheckoutService.js). A PaymentSession still 'created'
+// after abandonAfterMinutes becomes an AbandonedCheckout; each step is sent delayMinutes after detection.
+settingsSchema.add({
+  abandonedCheckout: {
+    enabled: { type: Boolean, default: false },
+    abandonAfterMinutes: { type: Number, default: 60, min: 5 },
+    // Restore link of the storefront; {token} is replaced, otherwise ?token= is appended
+    restoreUrl: { type: String, default: '' },
+    // Restore tokens stay valid this long after a reminder
+    tokenTtlDays: { type: Number, default: 14, min: 1 },
+    // An order placed this long after the last reminder still counts as recovered
+    attributionDays: { type: Number, default: 7, min: 1 },
+    steps: {
+      type: [{
+        delayMinutes: { type: Number, required: true, min: 0 },
+        channels: [{ type: String, enum: ['email', 'push', 'whatsapp'] }],
+        subject: { type: String, default: '' },
+        // {name}, {link}, {coupon} and {total} are replaced
+        message: { type: String, default: '' },
+        // Single-use coupon generated for this reminder
+        coupon: {
+          enabled: { type: Boolean, default: false },
+          type: { type: String, enum: ['percentage', 'fixed', 'free_shipping'], default: 'percentage' },
+          value: { type: Number, default: 0, min: 0 },
+          validDays: { type: Number, default: 3, min: 1 }
+        }
+      }],
+      default: () => [
+        { delayMinutes: 0, channels: ['email', 'push'] },
+        { delayMinutes: 24 * 60, channels: ['email', 'push', 'whatsapp'] }
+      ]
+    }
+  }
+});
+
+// Customer cancellation and modification requests (services/orderChangeService.js)
+settingsSchema.add({
+  orderChanges: {
+    enabled: { type: Boolean, default: true },
+    // Requests within this many minutes of ordering (and before dispatch) are applied automatically; 0 = until dispatch
+    windowMinutes: { type: Number, default: 60, min: 0 },
+    allowCancellation: { type: Boolean, default: true },
+    allowAddressChange: { type: Boolean, default: true },
+    allowPhoneChange: { type: Boolean, default: true },
+    allowQuantityChange: { type: Boolean, default: true },
+    // Off: every request waits for an admin
+    autoApprove: { type: Boolean, default: true }
+  }
+});
+
+// Delivery time slots offered at checkout (models/DeliverySlot.js, services/deliverySlotService.js)
+settingsSchema.add({
+  deliverySlots: {
+    enabled: { type: Boolean, default: false },
+    // Checkout fails without a slot when the address has slots configured
+    required: { type: Boolean, default: false },
+    // Days ahead (from today in the store timezone) customers can book
+    horizonDays: { type: Number, default: 7, min: 1, max: 60 },
+    // Store-wide days without delivery (holidays); 'YYYY-MM-DD' in the store timezone
+    blackoutDates: [{
+      _id: false,
+      date: { type: String, required: true },
+      reason: { type: String, default: '' }
+    }]
+  }
+});
+
 // Create default settings or migrate existing ones
 settingsSchema.statics.createDefaultSettings = async function() {
   try {
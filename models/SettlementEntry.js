@@ -0,0 +1,34 @@
+import mongoose from 'mongoose';
+
+// A transaction row of a gateway settlement file and what it was matched to
+// (services/payments/settlementReconciliationService.js).
+const settlementEntrySchema = new mongoose.Schema({
+  import: { type: mongoose.Schema.Types.ObjectId, ref: 'SettlementImport', required: true, index: true },
+  provider: { type: String, required: true },
+  rowNumber: { type: Number },
+  // Gateway transaction id (iCredit sale id, PayPal transaction id) and the other ids found on the row
+  // (invoice number, custom field, order reference)
+  reference: { type: String, required: true },
+  otherReferences: [{ type: String }],
+  // payment: money in; refund: money back to the customer (negative gross in the file)
+  type: { type: String, enum: ['payment', 'refund'], default: 'payment' },
+  occurredAt: { type: Date, index: true },
+  currency: { type: String },
+  gross: { type: Number, default: 0 },
+  fee: { type: Number, default: 0 },
+  net: { type: Number, default: 0 },
+  // matched: order (or refund) found and the amounts agree; duplicate: another payment of the same order
+  status: { type: String, enum: ['matched', 'unmatched', 'amount_mismatch', 'duplicate'], required: true, index: true },
+  order: { type: mongoose.Schema.Types.ObjectId, ref: 'Order', index: true, sparse: true },
+  paymentSession: { type: mongoose.Schema.Types.ObjectId, ref: 'PaymentSession' },
+  refund: { type: mongoose.Schema.Types.ObjectId, ref: 'Refund' },
+  // What our records say the row should be, and why it was flagged
+  expectedAmount: { type: Number },
+  note: { type: String },
+  raw: { type: mongoose.Schema.Types.Mixed }
+}, { timestamps: true });
+
+// A transaction is imported once, whichever file it comes from
+settlementEntrySchema.index({ provider: 1, reference: 1, type: 1 }, { unique: true });
+
+export default mongoose.model('SettlementEntry', settlementEntrySchema);
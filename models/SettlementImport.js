@@ -0,0 +1,31 @@
+import mongoose from 'mongoose';
+
+// One uploaded gateway settlement file (services/payments/settlementReconciliationService.js); its rows are
+// SettlementEntry documents.
+const settlementImportSchema = new mongoose.Schema({
+  // Payment gateway id the file comes from (icredit, paypal)
+  provider: { type: String, required: true, index: true },
+  fileName: { type: String },
+  format: { type: String, enum: ['csv', 'xlsx'] },
+  // Spreadsheet column used for each field (detected from the headers or given with the upload)
+  columns: { type: mongoose.Schema.Types.Mixed },
+  rowCount: { type: Number, default: 0 },
+  // Rows already imported by an earlier file (overlapping exports) are skipped, and so are rows that are
+  // not customer payments or refunds (payouts to the bank, fee-only lines, holds)
+  skipped: { type: Number, default: 0 },
+  ignored: { type: Number, default: 0 },
+  counts: {
+    matched: { type: Number, default: 0 },
+    unmatched: { type: Number, default: 0 },
+    amount_mismatch: { type: Number, default: 0 },
+    duplicate: { type: Number, default: 0 }
+  },
+  // Earliest and latest transaction date in the file
+  periodFrom: { type: Date },
+  periodTo: { type: Date },
+  importedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, { timestamps: true });
+
+settlementImportSchema.index({ createdAt: -1 });
+
+export default mongoose.model('SettlementImport', settlementImportSchema);
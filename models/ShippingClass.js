@@ -0,0 +1,36 @@
+import mongoose from 'mongoose';
+
+// Per-product shipping class (e.g. "Bulky", "Fragile"). Its surcharges are added on top of the
+// zone/rate fee whenever the cart contains products of the class.
+const shippingClassSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Shipping class name is required'],
+    unique: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  // Charged once per order containing the class
+  handlingFee: {
+    type: Number,
+    default: 0,
+    min: [0, 'Handling fee cannot be negative']
+  },
+  // Charged per unit of the class in the cart
+  feePerItem: {
+    type: Number,
+    default: 0,
+    min: [0, 'Per-item fee cannot be negative']
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+export default mongoose.model('ShippingClass', shippingClassSchema);
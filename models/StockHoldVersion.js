@@ -0,0 +1,11 @@
+import mongoose from 'mongoose';
+
+// Version counter per stock key ('<product>:v:<variant>' or '<product>:<size>:<color>'). Placing holds bumps
+// it with a conditional update, so two checkouts that checked availability at the same version cannot both
+// keep their holds (see services/reservationService.js holdItems).
+const stockHoldVersionSchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true },
+  version: { type: Number, default: 0, min: 0 }
+}, { timestamps: true });
+
+export default mongoose.model('StockHoldVersion', stockHoldVersionSchema);
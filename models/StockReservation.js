@@ -0,0 +1,35 @@
+import mongoose from 'mongoose';
+
+// Temporary stock hold for a cart, a pending PaymentSession or an unpaid order.
+// Active holds reduce sellable stock without touching Inventory; a hold becomes a real
+// decrement only when converted (payment confirmed / COD placed) and simply lapses on expiry.
+const stockReservationSchema = new mongoose.Schema({
+  product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+  variantId: { type: mongoose.Schema.Types.ObjectId },
+  // Legacy non-variant key (normalized to 'Default' like inventory rows)
+  size: { type: String },
+  color: { type: String },
+  quantity: { type: Number, required: true, min: 1 },
+  // Owner of the hold (exactly one is expected)
+  cartId: { type: String, index: true },
+  paymentSession: { type: mongoose.Schema.Types.ObjectId, ref: 'PaymentSession', index: true },
+  order: { type: mongoose.Schema.Types.ObjectId, ref: 'Order', index: true },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  // Address that placed a cart's holds (limits how many carts one client may hold at once)
+  clientIp: { type: String },
+  status: {
+    type: String,
+    enum: ['active', 'converted', 'released', 'expired'],
+    default: 'active',
+    index: true
+  },
+  expiresAt: { type: Date, required: true },
+  convertedAt: { type: Date },
+  releasedAt: { type: Date },
+  releaseReason: { type: String }
+}, { timestamps: true });
+
+stockReservationSchema.index({ status: 1, expiresAt: 1 });
+stockReservationSchema.index({ product: 1, variantId: 1, status: 1 });
+
+export default mongoose.model('StockReservation', stockReservationSchema);
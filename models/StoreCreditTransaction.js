@@ -0,0 +1,37 @@
+import mongoose from 'mongoose';
+
+// Append-only ledger of a customer's store credit wallet. User.storeCreditBalance caches the running
+// balance; every change to it is recorded here (see services/storeCreditService.js).
+const storeCreditTransactionSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  type: { type: String, enum: ['credit', 'debit'], required: true },
+  amount: { type: Number, required: true, min: [0.01, 'Amount must be positive'] },
+  // Wallet balance right after this entry
+  balanceAfter: { type: Number, required: true, min: 0 },
+  reason: {
+    type: String,
+    enum: [
+      'goodwill', // admin-issued credit
+      'adjustment', // admin correction (credit or debit)
+      'return_refund', // refund of a return paid out as store credit
+      'cancellation_refund', // payment of a cancelled order paid out as store credit (debited back if reinstated)
+      'order_payment', // spent at checkout
+      'order_reversal' // spent balance given back (order cancelled / refunded)
+    ],
+    required: true
+  },
+  order: { type: mongoose.Schema.Types.ObjectId, ref: 'Order', index: true },
+  returnRequest: { type: mongoose.Schema.Types.ObjectId, ref: 'ReturnRequest' },
+  note: { type: String, trim: true },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, { timestamps: true });
+
+storeCreditTransactionSchema.index({ user: 1, createdAt: -1 });
+
+// Entries are never edited or removed; corrections are new entries
+const appendOnly = function (next) {
+  next(new Error('Store credit transactions are append-only'));
+};
+storeCreditTransactionSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete'], appendOnly);
+
+export default mongoose.model('StoreCreditTransaction', storeCreditTransactionSchema);
@@ -0,0 +1,12 @@
+import mongoose from 'mongoose';
+
+// Tax class of a product or category (e.g. standard, reduced, zero-rated). Products without a class
+// (directly or through their primary category) use the standard rates, i.e. rates without a class.
+const taxClassSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  code: { type: String, required: true, unique: true, trim: true, lowercase: true },
+  description: { type: String, trim: true },
+  isActive: { type: Boolean, default: true }
+}, { timestamps: true });
+
+export default mongoose.model('TaxClass', taxClassSchema);
@@ -0,0 +1,19 @@
+import mongoose from 'mongoose';
+
+// Tax rate for a tax class at a destination. The most specific active rate wins:
+// city, then shipping zone, then the default rate (no city and no zone). See services/taxService.js.
+const taxRateSchema = new mongoose.Schema({
+  // Label on documents and breakdowns, e.g. 'VAT'
+  name: { type: String, required: true, trim: true, default: 'VAT' },
+  // null = standard rate (products without a tax class)
+  taxClass: { type: mongoose.Schema.Types.ObjectId, ref: 'TaxClass', default: null },
+  zone: { type: mongoose.Schema.Types.ObjectId, ref: 'ShippingZone', default: null },
+  city: { type: String, trim: true, default: '' },
+  // Percent, e.g. 17 for 17%
+  rate: { type: Number, required: true, min: 0, max: 100 },
+  isActive: { type: Boolean, default: true }
+}, { timestamps: true });
+
+taxRateSchema.index({ taxClass: 1, isActive: 1 });
+
+export default mongoose.model('TaxRate', taxRateSchema);
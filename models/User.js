@@ -92,6 +92,27 @@ const userSchema = new mongoose.Schema({
   lastLoginAt: {
     type: Date
   },
+  // Store credit wallet balance, kept in step with the StoreCreditTransaction ledger
+  storeCreditBalance: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Tax-exempt customer (e.g. registered business or diplomatic status); orders carry no tax
+  taxExempt: {
+    type: Boolean,
+    default: false
+  },
+  // Exemption certificate / registration number backing taxExempt
+  taxExemptionNumber: {
+    type: String,
+    trim: true
+  },
+  // Category manager earnings balance, kept in step with the ManagerLedgerEntry ledger (may go negative)
+  earningsBalance: {
+    type: Number,
+    default: 0
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -0,0 +1,22 @@
+import express from 'express';
+import { adminAuth } from '../middleware/auth.js';
+import {
+  restoreCheckout,
+  listAbandonedCheckouts,
+  getRecoveryStats,
+  getWhatsAppQueue,
+  runRecovery
+} from '../controllers/abandonedCheckoutController.js';
+
+const router = express.Router();
+
+// Public routes (restore links sent in reminders)
+router.get('/restore/:token', restoreCheckout);
+
+// Admin routes (reminder sequence lives under /api/settings/abandoned-checkout)
+router.get('/', adminAuth, listAbandonedCheckouts);
+router.get('/stats', adminAuth, getRecoveryStats);
+router.get('/whatsapp', adminAuth, getWhatsAppQueue);
+router.post('/run', adminAuth, runRecovery);
+
+export default router;
@@ -7,7 +7,9 @@ import {
   updateCoupon,
   deleteCoupon,
   validateCoupon,
-  applyCoupon
+  applyCoupon,
+  bulkGenerateCoupons,
+  exportCampaignCoupons
 } from '../controllers/couponController.js';
 
 const router = express.Router();
@@ -15,6 +17,8 @@ const router = express.Router();
 // Admin routes
 router.post('/', adminAuth, createCoupon);
 router.get('/', adminAuth, getAllCoupons);
+router.post('/bulk', adminAuth, bulkGenerateCoupons);
+router.get('/campaigns/:campaign/export', adminAuth, exportCampaignCoupons);
 router.get('/:id', adminAuth, getCoupon);
 router.put('/:id', adminAuth, updateCoupon);
 router.delete('/:id', adminAuth, deleteCoupon);
@@ -1,6 +1,6 @@
 import express from 'express';
 import { adminAuth } from '../middleware/auth.js';
-import { listAdmin, create, update, remove, publicActiveList, publicGetById, publicGetActiveItems } from '../controllers/flashSaleController.js';
+import { listAdmin, create, update, remove, publicActiveList, publicGetById, publicGetActiveItems, publicGetActiveItemsStock } from '../controllers/flashSaleController.js';
 
 const router = express.Router();
 
@@ -9,6 +9,8 @@ router.get('/public/active/list', publicActiveList);
 router.get('/public/active/:id', publicGetById);
 // Paginated items for a specific active flash sale (meta-first pattern)
 router.get('/public/active/:id/items', publicGetActiveItems);
+// Live remaining sale stock per item
+router.get('/public/active/:id/items/stock', publicGetActiveItemsStock);
 
 // Admin
 router.get('/', adminAuth, listAdmin);
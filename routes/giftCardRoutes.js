@@ -1,5 +1,6 @@
 import express from 'express';
 import { auth, adminAuth } from '../middleware/auth.js';
+import { idempotency } from '../middleware/idempotency.js';
 import {
   purchaseGiftCard,
   checkBalance,
@@ -13,11 +14,11 @@ const router = express.Router();
 
 // Public routes
 router.get('/balance/:code', checkBalance);
-router.post('/apply/guest', applyToOrderGuest);
+router.post('/apply/guest', idempotency('giftcards.apply'), applyToOrderGuest);
 
 // Protected routes
-router.post('/purchase', auth, purchaseGiftCard);
-router.post('/apply', auth, applyToOrder);
+router.post('/purchase', auth, idempotency('giftcards.purchase'), purchaseGiftCard);
+router.post('/apply', auth, idempotency('giftcards.apply'), applyToOrder);
 
 // Admin routes
 router.get('/all', adminAuth, getAllGiftCards);
@@ -1,8 +1,13 @@
 
 import express from 'express';
-import { adminAuth, adminOrCategoryManager } from '../middleware/auth.js';
+import { adminAuth, adminOrCategoryManager, optionalAuth } from '../middleware/auth.js';
+import { rateLimit } from '../middleware/rateLimit.js';
 import { updateInventoryByProductColorSize, getInventory, getProductInventory, updateInventory, addInventory, getLowStockItems, bulkUpdateInventory, moveStockBetweenWarehouses, updateInventoryByVariant, getVariantStockSummary, getInventoryHistory } from '../controllers/inventoryController.js';
 import { getInventoryAnalytics, getStockMovements, getTurnoverAnalysis, getCategoryBreakdown, getLocationAnalysis, getInventoryAlerts, exportInventoryAnalytics, getPredictiveAnalytics, getSeasonalAnalysis, getCostAnalysis, getSupplierPerformance, getAdvancedMetrics } from '../controllers/inventoryAnalyticsController.js';
+import StockReservation from '../models/StockReservation.js';
+import { reservationService } from '../services/reservationService.js';
+import { backorderService } from '../services/backorderService.js';
+import { getBackorders, allocateBackorders } from '../controllers/backorderController.js';
 
 const router = express.Router();
 
@@ -24,6 +29,78 @@ router.get('/stats', adminOrCategoryManager, async (req, res) => {
 	}
 });
 
+// Cart stock holds (public; carts are identified by a client-generated cartId)
+// Re-posting the same cartId replaces its holds and restarts the TTL. Only in-stock units are held;
+// units of backorder / pre-order items beyond stock are reported back as waiting.
+// The response's cartToken must accompany later calls for the cart (X-Cart-Token header or body cartToken,
+// also at checkout); a signed-in customer's cart is bound to them. Sizes are capped by CART_LIMITS.
+const reservationLimit = rateLimit('inventory.reservations', { max: 30, windowMs: 60 * 1000 });
+const cartTokenOf = (req) => req.header('X-Cart-Token') || req.body?.cartToken;
+
+router.post('/reservations', reservationLimit, optionalAuth, async (req, res) => {
+	try {
+		const { cartId, items } = req.body || {};
+		if (!cartId) return res.status(400).json({ message: 'cartId is required' });
+		if (!await reservationService.canUseCart(cartId, { token: cartTokenOf(req), userId: req.user?._id })) {
+			return res.status(403).json({ message: 'Not allowed to change this cart' });
+		}
+		const cartToken = reservationService.cartToken(String(cartId));
+		if (!Array.isArray(items) || !items.length) {
+			const released = await reservationService.releaseHolds({ cartId }, 'Cart emptied');
+			return res.json({ ok: true, released, holds: [], cartToken });
+		}
+		const clientIp = req.ip || undefined;
+		await reservationService.assertCartLimits(cartId, items, { clientIp });
+		const plan = await backorderService.plan(items, { excludeFilter: { cartId: String(cartId) } });
+		let holds = [];
+		if (plan.stockItems.length) {
+			holds = await reservationService.holdItems(plan.stockItems, { cartId }, { userId: req.user?._id, clientIp });
+		} else {
+			await reservationService.releaseHolds({ cartId }, 'Replaced');
+		}
+		const backorders = plan.lines
+			.map((l, idx) => (l.waiting > 0 ? { index: idx, product: items[idx].product, variantId: items[idx].variantId, mode: l.policy.mode, waiting: l.waiting, availableAt: l.policy.availableAt } : null))
+			.filter(Boolean);
+		res.json({ ok: true, expiresAt: holds[0]?.expiresAt || null, holds, backorders, cartToken });
+	} catch (e) {
+		res.status(e?.statusCode || 500).json({ message: e?.message || 'Failed to reserve stock' });
+	}
+});
+
+router.delete('/reservations/:cartId', reservationLimit, optionalAuth, async (req, res) => {
+	try {
+		if (!await reservationService.canUseCart(req.params.cartId, { token: cartTokenOf(req), userId: req.user?._id })) {
+			return res.status(403).json({ message: 'Not allowed to change this cart' });
+		}
+		const released = await reservationService.releaseHolds({ cartId: req.params.cartId }, 'Released by client');
+		res.json({ ok: true, released });
+	} catch (e) {
+		res.status(500).json({ message: e?.message || 'Failed to release stock' });
+	}
+});
+
+// Admin: inspect holds (defaults to active)
+router.get('/reservations', adminAuth, async (req, res) => {
+	try {
+		const { status = 'active', product, limit = 100 } = req.query;
+		const query = {};
+		if (status !== 'all') query.status = status;
+		if (product) query.product = product;
+		const holds = await StockReservation.find(query)
+			.sort({ createdAt: -1 })
+			.limit(Math.min(500, Number(limit) || 100))
+			.populate('product', 'name')
+			.lean();
+		res.json(holds);
+	} catch (e) {
+		res.status(500).json({ message: 'Failed to load reservations' });
+	}
+});
+
+// Order lines waiting for stock (backorder / pre-order), oldest first; manual allocation run
+router.get('/backorders', adminAuth, getBackorders);
+router.post('/backorders/allocate', adminAuth, allocateBackorders);
+
 // Move stock between warehouses
 router.post('/move', adminAuth, moveStockBetweenWarehouses);
 
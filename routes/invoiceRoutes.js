@@ -0,0 +1,19 @@
+import express from 'express';
+import { adminAuth } from '../middleware/auth.js';
+import {
+  listInvoices,
+  getInvoice,
+  getInvoiceDocument,
+  exportInvoices
+} from '../controllers/invoiceController.js';
+
+const router = express.Router();
+
+// Admin routes (order invoices for customers live under /api/orders/:id/invoice.pdf)
+router.get('/', adminAuth, listInvoices);
+router.get('/export', adminAuth, exportInvoices);
+router.get('/:id', adminAuth, getInvoice);
+router.get('/:id/pdf', adminAuth, getInvoiceDocument('pdf'));
+router.get('/:id/html', adminAuth, getInvoiceDocument('html'));
+
+export default router;
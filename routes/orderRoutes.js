@@ -1,18 +1,47 @@
 import express from 'express';
-import { auth, adminAuth, adminOrCategoryManager } from '../middleware/auth.js';
+import { auth, adminAuth, adminOrCategoryManager, optionalAuth } from '../middleware/auth.js';
+import { idempotency } from '../middleware/idempotency.js';
+import { rateLimit } from '../middleware/rateLimit.js';
 import {
   createOrder,
   getUserOrders,
   getAllOrders,
   getOrderPublic,
+  trackOrder,
   updateOrderStatus,
-  recalculateShipping
+  recalculateShipping,
+  getOrderTimeline
 } from '../controllers/orderController.js';
+import {
+  createReturnRequest,
+  getOrderReturns,
+  getAllReturns,
+  approveReturn,
+  rejectReturn,
+  receiveReturn,
+  refundReturn
+} from '../controllers/returnController.js';
+import {
+  getOrderShipments,
+  createOrderShipment,
+  updateOrderShipment,
+  cancelOrderShipment
+} from '../controllers/shipmentController.js';
+import { getOrderInvoiceDocument, getOrderInvoices } from '../controllers/invoiceController.js';
+import {
+  requestOrderChange,
+  getOrderChangeRequests,
+  getAllChangeRequests,
+  approveChangeRequest,
+  rejectChangeRequest
+} from '../controllers/orderChangeController.js';
+import { markPreorderBalancePaid } from '../controllers/backorderController.js';
+import { createOrderRefund, getOrderRefunds } from '../controllers/refundController.js';
 
 const router = express.Router();
 
-// Public routes (guest checkout)
-router.post('/', (req, res, next) => {
+// Public routes (guest checkout); optionalAuth links signed-in customers' orders and enables store credit
+router.post('/', optionalAuth, idempotency('orders.create'), (req, res, next) => {
   console.log('POST /orders route hit');
   next();
 }, createOrder);
@@ -139,6 +168,14 @@ router.get('/manage', adminOrCategoryManager, async (req, res) => {
   }
 });
 
+// Returns (RMA) admin queue across orders
+router.get('/returns/all', adminAuth, getAllReturns);
+// Customer cancellation/modification requests awaiting review
+router.get('/change-requests/all', adminAuth, getAllChangeRequests);
+
+// Guest order tracking by signed link or order number + email/mobile (before /:id); rate limited per
+// client address since it is public and may call couriers
+router.get('/track', rateLimit('orders.track', { max: 30, windowMs: 60 * 1000 }), trackOrder);
 // Public order details (guest checkout flow)
 router.get('/:id', getOrderPublic);
 // Full admin update (customer info, shipping address, status, fee)
@@ -146,5 +183,39 @@ import { updateOrder } from '../controllers/orderController.js';
 router.put('/:id', adminAuth, updateOrder);
 router.put('/:id/status', adminAuth, updateOrderStatus);
 router.post('/:id/recalculate-shipping', adminAuth, recalculateShipping);
+// Status history: who changed what and when
+router.get('/:id/timeline', adminAuth, getOrderTimeline);
+
+// Split shipments (partial fulfillment); dispatch a shipment via POST /api/delivery/send { orderId, shipmentId }
+router.get('/:id/shipments', adminAuth, getOrderShipments);
+router.post('/:id/shipments', adminAuth, createOrderShipment);
+router.put('/:id/shipments/:shipmentId', adminAuth, updateOrderShipment);
+router.delete('/:id/shipments/:shipmentId', adminAuth, cancelOrderShipment);
+
+// Returns (RMA) for an order: customer request, admin approve/reject, receive & inspect, refund
+router.post('/:id/returns', auth, createReturnRequest);
+router.get('/:id/returns', auth, getOrderReturns);
+router.put('/:id/returns/:returnId/approve', adminAuth, approveReturn);
+router.put('/:id/returns/:returnId/reject', adminAuth, rejectReturn);
+router.put('/:id/returns/:returnId/receive', adminAuth, receiveReturn);
+router.put('/:id/returns/:returnId/refund', adminAuth, idempotency('returns.refund'), refundReturn);
+
+// Cancellation/modification requests: applied at once within the configured window, otherwise admin approve/reject
+router.post('/:id/change-requests', auth, idempotency('orders.change'), requestOrderChange);
+router.get('/:id/change-requests', auth, getOrderChangeRequests);
+router.put('/:id/change-requests/:requestId/approve', adminAuth, approveChangeRequest);
+router.put('/:id/change-requests/:requestId/reject', adminAuth, rejectChangeRequest);
+
+// Pre-order deposit orders: record that the remaining balance was collected
+router.put('/:id/preorder-balance/paid', adminAuth, markPreorderBalancePaid);
+
+// Refunds through the gateway the order was paid with (PayPal / iCredit); full or partial
+router.post('/:id/refunds', adminAuth, idempotency('orders.refund'), createOrderRefund);
+router.get('/:id/refunds', adminAuth, getOrderRefunds);
+
+// Invoice (issued on first request) and the order's credit notes; customers see their own orders
+router.get('/:id/invoice.pdf', auth, getOrderInvoiceDocument('pdf'));
+router.get('/:id/invoice.html', auth, getOrderInvoiceDocument('html'));
+router.get('/:id/invoices', auth, getOrderInvoices);
 
 export default router;
\ No newline at end of file
@@ -1,11 +1,15 @@
 import express from 'express';
-import { createPayPalOrder, capturePayPalOrder } from '../controllers/paypalController.js';
+import { createPayPalOrder, capturePayPalOrder, handlePayPalWebhook } from '../controllers/paypalController.js';
+import { idempotency } from '../middleware/idempotency.js';
 
 const router = express.Router();
 
 // Public endpoints for client-side SDK integration
-router.post('/create-order', createPayPalOrder);
-router.post('/capture-order', capturePayPalOrder);
+router.post('/create-order', idempotency('paypal.create'), createPayPalOrder);
+router.post('/capture-order', idempotency('paypal.capture'), capturePayPalOrder);
+
+// Webhook target to register in the PayPal app (signature verified against payments.paypal.webhookId)
+router.post('/webhook', handlePayPalWebhook);
 
 // Card authorize placeholder for mobile screen; respond 501 to indicate not implemented
 router.post('/card/authorize', (req, res) => {
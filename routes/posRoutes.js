@@ -24,6 +24,7 @@ import {
   getSessionReport,
   getSalesReport
 } from '../controllers/posController.js';
+import { getPosReceiptDocument } from '../controllers/invoiceController.js';
 import { auth, adminAuth } from '../middleware/auth.js';
 
 const router = express.Router();
@@ -47,6 +48,8 @@ router.post('/transactions', createTransaction);
 router.get('/transactions', getTransactions);
 router.get('/transactions/:id', getTransaction);
 router.post('/transactions/:transactionId/refund', refundTransaction);
+router.get('/transactions/:id/receipt.pdf', getPosReceiptDocument('pdf'));
+router.get('/transactions/:id/receipt.html', getPosReceiptDocument('html'));
 
 // Report Routes
 router.get('/sessions/:sessionId/report', getSessionReport);
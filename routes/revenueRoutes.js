@@ -7,6 +7,7 @@ import {
   getRevenueByCategoryController,
   getTopProductsByRevenue,
   getRevenueTrends,
+  getCheckoutRecovery,
   seedRevenueData
 } from '../controllers/revenueController.js';
 import { auth } from '../middleware/auth.js';
@@ -26,6 +27,7 @@ router.get('/realtime', getRealTimeRevenue);
 router.get('/categories', getRevenueByCategoryController);
 router.get('/products', getTopProductsByRevenue);
 router.get('/trends', getRevenueTrends);
+router.get('/checkout-recovery', getCheckoutRecovery);
 
 // Real-time update route
 router.post('/update-order', updateRevenueOnOrder);
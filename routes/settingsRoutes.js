@@ -1,4 +1,5 @@
 import express from 'express';
+import mongoose from 'mongoose';
 import multer from 'multer';
 import path from 'path';
 import fs from 'fs';
@@ -534,6 +535,12 @@ router.put('/', settingsWriteGuard, async (req, res) => {
           const min = Number(s.freeShippingMinSubtotal);
           if (!isNaN(min) && min >= 0) settings.shipping.freeShippingMinSubtotal = min;
         }
+        // Dimensional weight for weight-based rates
+        if (typeof s.dimensionalWeightEnabled !== 'undefined') settings.shipping.dimensionalWeightEnabled = !!s.dimensionalWeightEnabled;
+        if (typeof s.dimensionalWeightDivisor !== 'undefined') {
+          const div = Number(s.dimensionalWeightDivisor);
+          if (!isNaN(div) && div >= 1) settings.shipping.dimensionalWeightDivisor = div;
+        }
         try { settings.markModified('shipping'); } catch {}
       }
 
@@ -1542,7 +1549,7 @@ router.get('/payments/paypal', async (req, res) => {
     let settings = await Settings.findOne();
     if (!settings) settings = new Settings();
     const p = (settings.payments && settings.payments.paypal) || { enabled: false, mode: 'sandbox', clientId: '', secret: '' };
-    res.json({ enabled: !!p.enabled, mode: p.mode || 'sandbox', clientId: p.clientId || '', secret: p.secret ? '***' : '' });
+    res.json({ enabled: !!p.enabled, mode: p.mode || 'sandbox', clientId: p.clientId || '', secret: p.secret ? '***' : '', apiBaseUrl: p.apiBaseUrl || '', webhookId: p.webhookId || '' });
   } catch (e) {
     res.status(500).json({ message: e.message });
   }
@@ -1551,7 +1558,7 @@ router.get('/payments/paypal', async (req, res) => {
 // Updating PayPal credentials should be admin-only
 router.put('/payments/paypal', adminAuth, async (req, res) => {
   try {
-    const { enabled, mode, clientId, secret } = req.body || {};
+    const { enabled, mode, clientId, secret, apiBaseUrl, webhookId } = req.body || {};
     if (mode && !['sandbox', 'live'].includes(String(mode))) {
       return res.status(400).json({ message: 'Invalid mode. Use sandbox or live.' });
     }
@@ -1563,6 +1570,8 @@ router.put('/payments/paypal', adminAuth, async (req, res) => {
     if (typeof mode === 'string') settings.payments.paypal.mode = mode;
     if (typeof clientId === 'string') settings.payments.paypal.clientId = clientId.trim();
     if (typeof secret === 'string' && secret !== '***') settings.payments.paypal.secret = secret.trim();
+    if (typeof apiBaseUrl === 'string') settings.payments.paypal.apiBaseUrl = apiBaseUrl.trim().replace(/\/$/, '');
+    if (typeof webhookId === 'string') settings.payments.paypal.webhookId = webhookId.trim();
     settings.markModified('payments');
     await settings.save();
     res.json({ ok: true });
@@ -1646,6 +1655,8 @@ router.get('/payments/icredit', async (req, res) => {
     return res.json({
       enabled: !!c.enabled,
       apiUrl: c.apiUrl || 'https://icredit.rivhit.co.il/API/PaymentPageRequest.svc/GetUrl',
+      refundUrl: c.refundUrl || '',
+      verifyUrl: c.verifyUrl || '',
       transport: c.transport || 'auto',
       groupPrivateToken: c.groupPrivateToken ? '***' : '',
       redirectURL: c.redirectURL || '',
@@ -1675,6 +1686,8 @@ router.put('/payments/icredit', adminAuth, async (req, res) => {
     const setIf = (cond, setter) => { if (typeof cond !== 'undefined') setter(); };
     setIf(inc.enabled, () => settings.payments.icredit.enabled = !!inc.enabled);
     setIf(inc.apiUrl, () => settings.payments.icredit.apiUrl = String(inc.apiUrl).trim());
+    setIf(inc.refundUrl, () => settings.payments.icredit.refundUrl = String(inc.refundUrl).trim());
+    setIf(inc.verifyUrl, () => settings.payments.icredit.verifyUrl = String(inc.verifyUrl).trim());
     if (typeof inc.transport === 'string') {
       const tr = String(inc.transport).toLowerCase();
       if (['auto','json','soap'].includes(tr)) settings.payments.icredit.transport = tr;
@@ -1706,6 +1719,270 @@ router.put('/payments/icredit', adminAuth, async (req, res) => {
   }
 });
 
+// Invoice/receipt document settings (store name, address and logo come from the main settings)
+router.get('/invoicing', adminAuth, async (req, res) => {
+  try {
+    let settings = await Settings.findOne();
+    if (!settings) settings = new Settings();
+    const inv = settings.invoicing || {};
+    res.json({
+      template: inv.template || 'classic',
+      accentColor: inv.accentColor || '#1f2937',
+      showLogo: inv.showLogo !== false,
+      language: inv.language || '',
+      taxId: inv.taxId || '',
+      vatRate: Number(inv.vatRate) || 0,
+      footerText: inv.footerText || '',
+      invoicePrefix: inv.invoicePrefix || 'INV',
+      creditNotePrefix: inv.creditNotePrefix || 'CN',
+      receiptPrefix: inv.receiptPrefix || 'RCP',
+      yearlySequence: inv.yearlySequence !== false,
+      // Read-only here; managed under payments/icredit
+      exemptVAT: !!settings.payments?.icredit?.exemptVAT
+    });
+  } catch (e) {
+    res.status(500).json({ message: e.message });
+  }
+});
+
+router.put('/invoicing', adminAuth, async (req, res) => {
+  try {
+    const inc = req.body || {};
+    let settings = await Settings.findOne();
+    if (!settings) settings = new Settings();
+    settings.invoicing = settings.invoicing || {};
+    const inv = settings.invoicing;
+    if (typeof inc.template === 'string' && ['classic', 'compact'].includes(inc.template)) inv.template = inc.template;
+    if (typeof inc.accentColor === 'string') {
+      if (!/^#[0-9a-f]{3,8}$/i.test(inc.accentColor.trim())) return res.status(400).json({ message: 'accentColor must be a hex color' });
+      inv.accentColor = inc.accentColor.trim();
+    }
+    if (typeof inc.showLogo !== 'undefined') inv.showLogo = !!inc.showLogo;
+    if (typeof inc.language === 'string' && ['', 'en', 'ar', 'he'].includes(inc.language)) inv.language = inc.language;
+    if (typeof inc.taxId === 'string') inv.taxId = inc.taxId.trim();
+    if (typeof inc.vatRate !== 'undefined') {
+      const n = Number(inc.vatRate);
+      if (!Number.isFinite(n) || n < 0 || n > 100) return res.status(400).json({ message: 'vatRate must be between 0 and 100' });
+      inv.vatRate = n;
+    }
+    if (typeof inc.footerText === 'string') inv.footerText = inc.footerText.trim();
+    // Prefixes only change numbers issued from now on; existing documents keep theirs
+    for (const key of ['invoicePrefix', 'creditNotePrefix', 'receiptPrefix']) {
+      if (typeof inc[key] === 'string') {
+        const prefix = inc[key].trim().toUpperCase();
+        if (!/^[A-Z0-9]{1,10}$/.test(prefix)) return res.status(400).json({ message: `${key} must be 1-10 letters or digits` });
+        inv[key] = prefix;
+      }
+    }
+    if (typeof inc.yearlySequence !== 'undefined') inv.yearlySequence = !!inc.yearlySequence;
+    try { settings.markModified('invoicing'); } catch {}
+    await settings.save();
+    return res.json({ ok: true });
+  } catch (e) {
+    res.status(500).json({ message: e.message });
+  }
+});
+
+// Tax engine settings (classes and rates are managed under /api/tax)
+router.get('/tax', adminAuth, async (req, res) => {
+  try {
+    let settings = await Settings.findOne();
+    if (!settings) settings = new Settings();
+    const tax = settings.tax || {};
+    res.json({
+      enabled: !!tax.enabled,
+      pricesIncludeTax: tax.pricesIncludeTax !== false,
+      taxShipping: !!tax.taxShipping,
+      shippingTaxClass: tax.shippingTaxClass || null,
+      // Read-only here; a VAT-exempt store charges no tax
+      exemptVAT: !!settings.payments?.icredit?.exemptVAT
+    });
+  } catch (e) {
+    res.status(500).json({ message: e.message });
+  }
+});
+
+router.put('/tax', adminAuth, async (req, res) => {
+  try {
+    const inc = req.body || {};
+    let settings = await Settings.findOne();
+    if (!settings) settings = new Settings();
+    settings.tax = settings.tax || {};
+    const tax = settings.tax;
+    if (typeof inc.enabled !== 'undefined') tax.enabled = !!inc.enabled;
+    if (typeof inc.pricesIncludeTax !== 'undefined') tax.pricesIncludeTax = !!inc.pricesIncludeTax;
+    if (typeof inc.taxShipping !== 'undefined') tax.taxShipping = !!inc.taxShipping;
+    if (typeof inc.shippingTaxClass !== 'undefined') {
+      if (inc.shippingTaxClass && !mongoose.Types.ObjectId.isValid(inc.shippingTaxClass)) {
+        return res.status(400).json({ message: 'shippingTaxClass must be a tax class id' });
+      }
+      tax.shippingTaxClass = inc.shippingTaxClass || null;
+    }
+    try { settings.markModified('tax'); } catch {}
+    await settings.save();
+    return res.json({ ok: true });
+  } catch (e) {
+    res.status(500).json({ message: e.message });
+  }
+});
+
+// Abandoned checkout recovery (records and stats under /api/abandoned-checkouts)
+router.get('/abandoned-checkout', adminAuth, async (req, res) => {
+  try {
+    let settings = await Settings.findOne();
+    if (!settings) settings = new Settings();
+    const ac = settings.abandonedCheckout || {};
+    res.json({
+      enabled: !!ac.enabled,
+      abandonAfterMinutes: Number(ac.abandonAfterMinutes) || 60,
+      restoreUrl: ac.restoreUrl || '',
+      tokenTtlDays: Number(ac.tokenTtlDays) || 14,
+      attributionDays: Number(ac.attributionDays) || 7,
+      steps: Array.isArray(ac.steps) ? ac.steps : []
+    });
+  } catch (e) {
+    res.status(500).json({ message: e.message });
+  }
+});
+
+router.put('/abandoned-checkout', adminAuth, async (req, res) => {
+  try {
+    const inc = req.body || {};
+    let settings = await Settings.findOne();
+    if (!settings) settings = new Settings();
+    settings.abandonedCheckout = settings.abandonedCheckout || {};
+    const ac = settings.abandonedCheckout;
+    if (typeof inc.enabled !== 'undefined') ac.enabled = !!inc.enabled;
+    for (const [key, min] of [['abandonAfterMinutes', 5], ['tokenTtlDays', 1], ['attributionDays', 1]]) {
+      if (typeof inc[key] !== 'undefined') {
+        const n = Number(inc[key]);
+        if (!Number.isFinite(n) || n < min) return res.status(400).json({ message: `${key} must be at least ${min}` });
+        ac[key] = n;
+      }
+    }
+    if (typeof inc.restoreUrl === 'string') {
+      const url = inc.restoreUrl.trim();
+      if (url && !/^https?:\/\//i.test(url)) return res.status(400).json({ message: 'restoreUrl must be an http(s) URL' });
+      ac.restoreUrl = url;
+    }
+    if (typeof inc.steps !== 'undefined') {
+      if (!Array.isArray(inc.steps) || inc.steps.length > 10) return res.status(400).json({ message: 'steps must be an array of at most 10 reminders' });
+      const steps = [];
+      for (const s of inc.steps) {
+        const delayMinutes = Number(s?.delayMinutes);
+        if (!Number.isFinite(delayMinutes) || delayMinutes < 0) return res.status(400).json({ message: 'delayMinutes must be a non-negative number' });
+        const channels = Array.isArray(s.channels) ? [...new Set(s.channels)].filter(c => ['email', 'push', 'whatsapp'].includes(c)) : [];
+        if (!channels.length) return res.status(400).json({ message: 'Each step needs at least one of email, push, whatsapp' });
+        const coupon = s.coupon && typeof s.coupon === 'object' ? s.coupon : {};
+        const type = ['percentage', 'fixed', 'free_shipping'].includes(coupon.type) ? coupon.type : 'percentage';
+        const value = Number(coupon.value) || 0;
+        if (coupon.enabled && type !== 'free_shipping' && (value <= 0 || (type === 'percentage' && value > 100))) {
+          return res.status(400).json({ message: 'Coupon value must be positive (at most 100 for percentages)' });
+        }
+        steps.push({
+          delayMinutes,
+          channels,
+          subject: typeof s.subject === 'string' ? s.subject.trim() : '',
+          message: typeof s.message === 'string' ? s.message.trim() : '',
+          coupon: { enabled: !!coupon.enabled, type, value, validDays: Math.max(1, Number(coupon.validDays) || 3) }
+        });
+      }
+      // Reminders go out in delay order
+      ac.steps = steps.sort((a, b) => a.delayMinutes - b.delayMinutes);
+    }
+    try { settings.markModified('abandonedCheckout'); } catch {}
+    await settings.save();
+    return res.json({ ok: true });
+  } catch (e) {
+    res.status(500).json({ message: e.message });
+  }
+});
+
+// Customer cancellation/modification requests (queue under /api/orders/change-requests/all)
+const ORDER_CHANGE_FLAGS = ['enabled', 'allowCancellation', 'allowAddressChange', 'allowPhoneChange', 'allowQuantityChange', 'autoApprove'];
+
+router.get('/order-changes', adminAuth, async (req, res) => {
+  try {
+    let settings = await Settings.findOne();
+    if (!settings) settings = new Settings();
+    const oc = settings.orderChanges || {};
+    const out = { windowMinutes: Number(oc.windowMinutes ?? 60) };
+    for (const key of ORDER_CHANGE_FLAGS) out[key] = oc[key] !== false;
+    res.json(out);
+  } catch (e) {
+    res.status(500).json({ message: e.message });
+  }
+});
+
+router.put('/order-changes', adminAuth, async (req, res) => {
+  try {
+    const inc = req.body || {};
+    let settings = await Settings.findOne();
+    if (!settings) settings = new Settings();
+    settings.orderChanges = settings.orderChanges || {};
+    const oc = settings.orderChanges;
+    for (const key of ORDER_CHANGE_FLAGS) {
+      if (typeof inc[key] !== 'undefined') oc[key] = !!inc[key];
+    }
+    if (typeof inc.windowMinutes !== 'undefined') {
+      const n = Number(inc.windowMinutes);
+      if (!Number.isFinite(n) || n < 0) return res.status(400).json({ message: 'windowMinutes must be a non-negative number' });
+      oc.windowMinutes = n;
+    }
+    try { settings.markModified('orderChanges'); } catch {}
+    await settings.save();
+    return res.json({ ok: true });
+  } catch (e) {
+    res.status(500).json({ message: e.message });
+  }
+});
+
+// Delivery time slots (slots themselves are managed under /api/shipping/delivery-slots)
+router.get('/delivery-slots', adminAuth, async (req, res) => {
+  try {
+    let settings = await Settings.findOne();
+    if (!settings) settings = new Settings();
+    const ds = settings.deliverySlots || {};
+    res.json({
+      enabled: !!ds.enabled,
+      required: !!ds.required,
+      horizonDays: Number(ds.horizonDays ?? 7),
+      blackoutDates: (ds.blackoutDates || []).map(b => ({ date: b.date, reason: b.reason || '' })),
+      timezone: settings.timezone
+    });
+  } catch (e) {
+    res.status(500).json({ message: e.message });
+  }
+});
+
+router.put('/delivery-slots', adminAuth, async (req, res) => {
+  try {
+    const inc = req.body || {};
+    let settings = await Settings.findOne();
+    if (!settings) settings = new Settings();
+    settings.deliverySlots = settings.deliverySlots || {};
+    const ds = settings.deliverySlots;
+    if (typeof inc.enabled !== 'undefined') ds.enabled = !!inc.enabled;
+    if (typeof inc.required !== 'undefined') ds.required = !!inc.required;
+    if (typeof inc.horizonDays !== 'undefined') {
+      const n = Number(inc.horizonDays);
+      if (!Number.isInteger(n) || n < 1 || n > 60) return res.status(400).json({ message: 'horizonDays must be between 1 and 60' });
+      ds.horizonDays = n;
+    }
+    if (typeof inc.blackoutDates !== 'undefined') {
+      const list = Array.isArray(inc.blackoutDates) ? inc.blackoutDates : [];
+      const dates = list.map(b => (typeof b === 'string' ? { date: b, reason: '' } : { date: String(b?.date || ''), reason: String(b?.reason || '') }));
+      if (dates.some(b => !/^\d{4}-\d{2}-\d{2}$/.test(b.date))) return res.status(400).json({ message: 'blackoutDates must be YYYY-MM-DD dates' });
+      ds.blackoutDates = dates.sort((a, b) => a.date.localeCompare(b.date));
+    }
+    try { settings.markModified('deliverySlots'); } catch {}
+    await settings.save();
+    return res.json({ ok: true });
+  } catch (e) {
+    res.status(500).json({ message: e.message });
+  }
+});
+
 // Basic test endpoint: validates required fields presence
 router.post('/payments/icredit/test', adminAuth, async (req, res) => {
   try {
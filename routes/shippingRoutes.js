@@ -14,7 +14,18 @@ import {
   calculateShippingFee,
   getShippingOptions,
   getConfiguredCities,
+  getShippingClasses,
+  createShippingClass,
+  updateShippingClass,
+  deleteShippingClass,
 } from '../controllers/shippingController.js';
+import {
+  getSlotAvailability,
+  getDeliverySlots,
+  createDeliverySlot,
+  updateDeliverySlot,
+  deleteDeliverySlot
+} from '../controllers/deliverySlotController.js';
 
 const router = express.Router();
 
@@ -38,7 +49,27 @@ router.route('/rates/:id')
   .put(adminAuth, updateShippingRate) // Admin-only: Update a shipping rate by ID
   .delete(adminAuth, deleteShippingRate); // Admin-only: Delete a shipping rate by ID
 
-// Shipping Fee Calculation Route (supports city)
+// Shipping Class Routes (per-product surcharges)
+router.route('/classes')
+  .get(getShippingClasses) // Get all shipping classes
+  .post(adminAuth, createShippingClass); // Admin-only: Create a shipping class
+
+router.route('/classes/:id')
+  .put(adminAuth, updateShippingClass) // Admin-only: Update a shipping class by ID
+  .delete(adminAuth, deleteShippingClass); // Admin-only: Delete a shipping class by ID
+
+// Delivery Slot Routes (time windows chosen at checkout)
+router.get('/delivery-slots/availability', getSlotAvailability); // Bookable slots for an address, in the store timezone
+
+router.route('/delivery-slots')
+  .get(adminAuth, getDeliverySlots) // Admin-only: All slots with their bookings
+  .post(adminAuth, createDeliverySlot); // Admin-only: Create a delivery slot
+
+router.route('/delivery-slots/:id')
+  .put(adminAuth, updateDeliverySlot) // Admin-only: Update a delivery slot by ID
+  .delete(adminAuth, deleteDeliverySlot); // Admin-only: Delete a delivery slot by ID
+
+// Shipping Fee Calculation Route (supports city and cart items for server-side weight)
 router.post('/calculate', calculateShippingFee);
 
 // Get options for a location (query params)
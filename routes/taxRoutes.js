@@ -0,0 +1,36 @@
+import express from 'express';
+import { adminAuth, optionalAuth } from '../middleware/auth.js';
+import {
+  getTaxClasses,
+  createTaxClass,
+  updateTaxClass,
+  deleteTaxClass,
+  getTaxRates,
+  createTaxRate,
+  updateTaxRate,
+  deleteTaxRate,
+  assignTaxClass,
+  setCustomerExemption,
+  quoteTax
+} from '../controllers/taxController.js';
+
+const router = express.Router();
+
+// Public routes (cart tax preview; exemptions apply to signed-in customers)
+router.post('/quote', optionalAuth, quoteTax);
+
+// Admin routes (mode, shipping tax and enablement live under /api/settings/tax)
+router.get('/classes', adminAuth, getTaxClasses);
+router.post('/classes', adminAuth, createTaxClass);
+router.put('/classes/:id', adminAuth, updateTaxClass);
+router.delete('/classes/:id', adminAuth, deleteTaxClass);
+
+router.get('/rates', adminAuth, getTaxRates);
+router.post('/rates', adminAuth, createTaxRate);
+router.put('/rates/:id', adminAuth, updateTaxRate);
+router.delete('/rates/:id', adminAuth, deleteTaxRate);
+
+router.put('/assignments', adminAuth, assignTaxClass);
+router.put('/customers/:userId/exemption', adminAuth, setCustomerExemption);
+
+export default router;
@@ -4,6 +4,8 @@ import User from '../models/User.js';
 import Order from '../models/Order.js';
 import { auth } from '../middleware/auth.js';
 import { adminAuth } from '../middleware/auth.js';
+import { storeCreditService } from '../services/storeCreditService.js';
+import { getStoreCurrency } from '../services/storeCurrencyService.js';
 import * as XLSX from 'xlsx';
 import mongoose from 'mongoose';
 
@@ -150,6 +152,29 @@ router.get('/reviews', auth, async (req, res) => {
   }
 });
 
+// Store credit wallet: balance and ledger (newest first)
+const storeCreditPage = async (userId, query) => {
+  const page = Math.max(1, parseInt(query.page) || 1);
+  const limit = Math.min(parseInt(query.limit) || 20, 100);
+  const [balance, history] = await Promise.all([
+    storeCreditService.getBalance(userId),
+    storeCreditService.history(userId, { page, limit })
+  ]);
+  let currency;
+  try { currency = await getStoreCurrency(); } catch {}
+  return { balance, currency, ...history };
+};
+
+// Get own store credit balance and history
+router.get('/store-credit', auth, async (req, res) => {
+  try {
+    res.json(await storeCreditPage(req.user._id, req.query));
+  } catch (error) {
+    console.error('Error fetching store credit:', error);
+    res.status(500).json({ message: 'Failed to fetch store credit' });
+  }
+});
+
 // Admin: list users with simple pagination & search
 router.get('/', adminAuth, async (req, res) => {
   try {
@@ -482,6 +507,39 @@ router.get('/:id/orders', adminAuth, async (req, res) => {
   }
 });
 
+// Admin: a user's store credit balance and history
+router.get('/:id/store-credit', adminAuth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(400).json({ message: 'Invalid user id' });
+    res.json(await storeCreditPage(req.params.id, req.query));
+  } catch (error) {
+    console.error('Error fetching user store credit:', error);
+    res.status(500).json({ message: 'Failed to fetch store credit' });
+  }
+});
+
+// Admin: issue goodwill credit or correct a balance. body: { amount, type?: 'credit'|'debit', note? }
+router.post('/:id/store-credit', adminAuth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(400).json({ message: 'Invalid user id' });
+    const type = req.body?.type === 'debit' ? 'debit' : 'credit';
+    const amount = Number(req.body?.amount);
+    if (!(amount > 0)) return res.status(400).json({ message: 'Amount must be greater than 0' });
+    const entry = {
+      reason: type === 'debit' ? 'adjustment' : (req.body?.reason === 'adjustment' ? 'adjustment' : 'goodwill'),
+      note: typeof req.body?.note === 'string' ? req.body.note : undefined,
+      createdBy: req.user._id
+    };
+    const transaction = type === 'debit'
+      ? await storeCreditService.debit(req.params.id, amount, entry)
+      : await storeCreditService.credit(req.params.id, amount, entry);
+    res.status(201).json({ transaction, balance: transaction.balanceAfter });
+  } catch (error) {
+    console.error('Error posting store credit:', error);
+    res.status(error?.isOperational ? error.statusCode : 500).json({ message: error?.isOperational ? error.message : 'Failed to update store credit' });
+  }
+});
+
 // Admin: update a user's role
 router.patch('/:id/role', adminAuth, async (req, res) => {
   try {
@@ -1,132 +1,147 @@
 import express from 'express';
+import mongoose from 'mongoose';
+import { Parser as Json2csvParser } from 'json2csv';
 import { adminAuth, adminOrCategoryManager } from '../middleware/auth.js';
-import Order from '../models/Order.js';
-import Product from '../models/Product.js';
-import Service from '../models/Service.js';
 import WalletRequest from '../models/WalletRequest.js';
+import { managerLedgerService } from '../services/managerLedgerService.js';
+import { getStoreCurrency } from '../services/storeCurrencyService.js';
+import { PdfDocument } from '../utils/pdf.js';
 
 const router = express.Router();
 
-// Helper to compute scoped sales & fees for a manager based on assigned categories.
-// Aligned with /orders/manage logic so wallet figures match dashboard cards.
-async function computeScopedSalesAndFees(_userId, scopeCategoryIds) {
-  const orders = await Order.find().lean();
-  if (!orders.length || !scopeCategoryIds.length) return { totalSales: 0, totalFees: 0, recentSales: [], recentFees: [], serviceBreakdown: [] };
-
-  // Build product map for category lookup
-  const productIds = Array.from(new Set(orders.flatMap(o => (o.items || []).map(it => String(it.product)).filter(Boolean))));
-  const products = await Product.find({ _id: { $in: productIds } }).select('category categories').lean();
-  const prodMap = new Map(products.map(p => [String(p._id), p]));
-
-  let totalSales = 0;
-  const recentSales = [];
-  let totalFees = 0;
-  const recentFees = [];
-  const feeByService = new Map(); // serviceId -> { totalFee, serviceId }
-
-  for (const o of orders) {
-    // Determine scoped items (same approach as /orders/manage) and compute scoped total
-    let scopedTotal = 0;
-    let inScopeOrder = false;
-    for (const it of (o.items || [])) {
-      const p = prodMap.get(String(it.product));
-      if (!p) continue;
-      const cats = [p.category, ...(Array.isArray(p.categories) ? p.categories : [])].filter(Boolean).map(c => String(c));
-      const matched = cats.some(c => scopeCategoryIds.includes(c));
-      if (!matched) continue;
-      inScopeOrder = true;
-      scopedTotal += (Number(it.price) || 0) * (Number(it.quantity) || 0);
-    }
-    if (inScopeOrder && scopedTotal > 0) {
-      totalSales += scopedTotal;
-      recentSales.push({ orderId: String(o._id), amount: scopedTotal, date: o.createdAt });
-      // Collect fees from order charges whose category is in scope (do NOT filter by managerUser to match dashboard logic)
-      const charges = Array.isArray(o.categoryServiceCharges) ? o.categoryServiceCharges : [];
-      for (const sc of charges) {
-        if (sc.category && !scopeCategoryIds.includes(String(sc.category))) continue;
-        const fee = Number(sc.totalFee) || 0;
-        if (fee > 0) {
-          totalFees += fee;
-          recentFees.push({ orderId: String(o._id), amount: fee, service: String(sc.service), category: String(sc.category || ''), date: o.createdAt });
-          const sid = String(sc.service);
-            const prev = feeByService.get(sid) || { totalFee: 0, serviceId: sid };
-            prev.totalFee += fee;
-            feeByService.set(sid, prev);
-        }
-      }
-    }
+// Managers see their own ledger; admins pick a manager with ?userId= (defaults to themselves)
+const targetManagerId = (req) => (req.user.role === 'admin' && req.query.userId ? String(req.query.userId) : req.user._id);
+
+// A malformed ?userId= is a client error, not a failed cast
+router.use((req, res, next) => {
+  if (req.query.userId && !mongoose.Types.ObjectId.isValid(String(req.query.userId))) {
+    return res.status(400).json({ message: 'Invalid userId' });
   }
+  next();
+});
 
-  // Sort & trim recent arrays
-  recentSales.sort((a,b)=> new Date(b.date) - new Date(a.date));
-  recentFees.sort((a,b)=> new Date(b.date) - new Date(a.date));
+const sendError = (res, e, fallback) => {
+  if (!e?.isOperational) console.error(`[wallet] ${fallback}`, e);
+  return res.status(e?.isOperational ? e.statusCode : 500).json({ message: e?.isOperational ? e.message : fallback });
+};
 
-  // Resolve service titles for breakdown
-  const breakdownArr = Array.from(feeByService.values());
-  if (breakdownArr.length) {
-    try {
-      const svcDocs = await Service.find({ _id: { $in: breakdownArr.map(b => b.serviceId) } }).select('title slug').lean();
-      const titleMap = new Map(svcDocs.map(s => [String(s._id), s.title || s.slug || 'Service']));
-      breakdownArr.forEach(b => { b.title = titleMap.get(b.serviceId) || 'Service'; });
-    } catch {/* ignore */}
+// Withdrawals not yet debited (pending) reduce what can be requested
+const pendingWithdrawalsSum = async (userId) => {
+  const pending = await WalletRequest.find({ user: userId, status: 'pending', type: 'withdrawal' }).select('amount').lean();
+  return pending.reduce((s, r) => s + (Number(r.amount) || 0), 0);
+};
+
+const ENTRY_LABELS = { sale: 'Sale', fee: 'Service fee', refund: 'Refund', payout: 'Withdrawal', adjustment: 'Adjustment' };
+const money = (v) => (Number(v) || 0).toFixed(2);
+
+function statementCsv(st) {
+  const rows = st.entries.map(e => ({
+    date: new Date(e.createdAt).toISOString(),
+    type: e.type,
+    order: e.order?.orderNumber || '',
+    note: e.note || '',
+    amount: money(e.amount),
+    balanceAfter: money(e.balanceAfter)
+  }));
+  const parser = new Json2csvParser({ fields: ['date', 'type', 'order', 'note', 'amount', 'balanceAfter'] });
+  const summary = `Opening balance,${money(st.openingBalance)}\nClosing balance,${money(st.closingBalance)}\n\n`;
+  return summary + parser.parse(rows);
+}
+
+function statementPdf(st, currency) {
+  const doc = new PdfDocument({ unicode: true });
+  const left = doc.margin;
+  const right = doc.width - doc.margin;
+  let y = 60;
+  doc.text('Earnings statement', left, y, { size: 18, bold: true });
+  doc.text(st.month, left, y, { size: 12, align: 'right', width: right - left });
+  y += 22;
+  doc.text(`${st.manager.name || ''} ${st.manager.email ? `<${st.manager.email}>` : ''}`.trim(), left, y);
+  y += 14;
+  doc.text(`Amounts in ${currency}`, left, y, { size: 9 });
+  y += 22;
+  doc.text('Opening balance', left, y, { bold: true });
+  doc.text(money(st.openingBalance), left, y, { bold: true, align: 'right', width: right - left });
+  y += 16;
+  for (const [type, label] of Object.entries(ENTRY_LABELS)) {
+    if (!st.totals[type]) continue;
+    doc.text(label, left + 10, y);
+    doc.text(money(st.totals[type]), left, y, { align: 'right', width: right - left });
+    y += 14;
+  }
+  doc.text('Closing balance', left, y, { bold: true });
+  doc.text(money(st.closingBalance), left, y, { bold: true, align: 'right', width: right - left });
+  y += 28;
+
+  const cols = [
+    { label: 'Date', x: left, w: 70 },
+    { label: 'Type', x: left + 70, w: 75 },
+    { label: 'Order', x: left + 145, w: 110 },
+    { label: 'Note', x: left + 255, w: 120 },
+    { label: 'Amount', x: left + 375, w: 70, right: true },
+    { label: 'Balance', x: left + 445, w: right - left - 445, right: true }
+  ];
+  const header = () => {
+    cols.forEach(c => doc.text(c.label, c.x, y, { size: 9, bold: true, ...(c.right ? { align: 'right', width: c.w } : {}) }));
+    y += 5;
+    doc.line(left, y, right, y);
+    y += 12;
+  };
+  header();
+  for (const e of st.entries) {
+    if (y > doc.height - 50) {
+      doc.addPage();
+      y = 50;
+      header();
+    }
+    const cells = [
+      new Date(e.createdAt).toISOString().slice(0, 10),
+      ENTRY_LABELS[e.type] || e.type,
+      e.order?.orderNumber || '',
+      String(e.note || '').slice(0, 26),
+      money(e.amount),
+      money(e.balanceAfter)
+    ];
+    cells.forEach((v, i) => doc.text(v, cols[i].x, y, { size: 9, ...(cols[i].right ? { align: 'right', width: cols[i].w } : {}) }));
+    y += 13;
   }
-  return { totalSales, totalFees, recentSales: recentSales.slice(0,20), recentFees: recentFees.slice(0,20), serviceBreakdown: breakdownArr };
+  if (!st.entries.length) doc.text('No entries this month', left, y, { size: 9 });
+  return doc.toBuffer();
 }
 
-// GET /api/wallet/me - summary for current category manager
+// GET /api/wallet/me - summary for current category manager (admin: ?userId=)
 router.get('/me', adminOrCategoryManager, async (req, res) => {
   try {
-    let targetUserId = req.user._id;
-    const role = req.user.role;
-
-    // Determine scope categories for category manager; admin can pass userId and categories optionally
-    let scopeIds = [];
-    if (role === 'categoryManager') {
-      scopeIds = Array.isArray(req.categoryScopeIds) ? req.categoryScopeIds.map(String) : [];
-      if (!scopeIds.length) return res.json({ balance: 0, totalSales: 0, totalDeductions: 0, netAfterDeductions: 0, requests: { pending: 0, approved: 0, rejected: 0 }, recent: { sales: [], fees: [], requests: [] } });
-    } else {
-      // Admin view for specific manager via query ?userId=...
-      const qUser = String(req.query.userId || '') || String(targetUserId);
-      if (!qUser) return res.status(400).json({ message: 'userId required for admin view' });
-      // For simplicity, admin scope = all categories; optionally filter by ?categories=
-      const rawCats = String(req.query.categories || '').split(',').map(s=>s.trim()).filter(Boolean);
-      scopeIds = rawCats.length ? rawCats : [];
-      // Override userId
-      targetUserId = qUser;
-    }
+    const targetUserId = targetManagerId(req);
+    const summary = await managerLedgerService.summary(targetUserId);
 
-    const { totalSales, totalFees, recentSales, recentFees, serviceBreakdown } = await computeScopedSalesAndFees(targetUserId, scopeIds.length ? scopeIds : (Array.isArray(req.categoryScopeIds) ? req.categoryScopeIds.map(String) : []));
-
-    // Wallet Requests impact (approved only)
-    const approved = await WalletRequest.find({ user: targetUserId, status: 'approved' }).lean();
-    const approvedWithdrawals = approved.filter(r => r.type === 'withdrawal').reduce((s, r) => s + (Number(r.amount) || 0), 0);
-
-    const pendingCount = await WalletRequest.countDocuments({ user: targetUserId, status: 'pending' });
-    const approvedCount = approved.length;
-    const rejectedCount = await WalletRequest.countDocuments({ user: targetUserId, status: 'rejected' });
-
-    // Balance reflects sales minus already approved (regardless of receipt) withdrawals
-    // Net balance (sales - fees - approved withdrawals). This reflects actual remaining value.
-    const balance = Math.max(0, (totalSales - totalFees) - approvedWithdrawals);
-    const pendingWithdrawals = await WalletRequest.find({ user: targetUserId, status: 'pending', type: 'withdrawal' }).select('amount').lean();
-    const pendingWithdrawalsSum = pendingWithdrawals.reduce((s, r) => s + (Number(r.amount) || 0), 0);
-    // Also treat approved but not yet received withdrawals as locking further requests
-    const unreceivedApprovedExists = await WalletRequest.exists({ user: targetUserId, type: 'withdrawal', status: 'approved', receivedAt: { $exists: false } });
-    const unfinalizedExists = pendingWithdrawals.length > 0 || unreceivedApprovedExists;
-    const netAfterDeductions = totalSales - totalFees;
-    // Remaining net after previously approved withdrawals. Prevent requesting amounts already withdrawn.
-    const remainingNetAfterWithdrawals = Math.max(0, netAfterDeductions - approvedWithdrawals);
+    const [pendingCount, approvedCount, rejectedCount, pendingSum, unreceivedApprovedExists, recentRequests] = await Promise.all([
+      WalletRequest.countDocuments({ user: targetUserId, status: 'pending' }),
+      WalletRequest.countDocuments({ user: targetUserId, status: 'approved' }),
+      WalletRequest.countDocuments({ user: targetUserId, status: 'rejected' }),
+      pendingWithdrawalsSum(targetUserId),
+      // Approved but not yet received withdrawals lock further requests
+      WalletRequest.exists({ user: targetUserId, type: 'withdrawal', status: 'approved', receivedAt: { $exists: false } }),
+      WalletRequest.find({ user: targetUserId, type: 'withdrawal' }).sort({ createdAt: -1 }).limit(20).lean()
+    ]);
+    const unfinalizedExists = pendingSum > 0 || !!unreceivedApprovedExists;
     // Only allow a new withdrawal if no unfinalized request exists
-    const availableNetForWithdrawal = unfinalizedExists ? 0 : remainingNetAfterWithdrawals;
+    const availableNetForWithdrawal = unfinalizedExists ? 0 : Math.max(0, summary.balance);
     return res.json({
-      balance,
-      totalSales,
-      totalDeductions: totalFees,
-      netAfterDeductions,
+      balance: summary.balance,
+      totalSales: summary.totalSales,
+      totalDeductions: summary.totalFees,
+      totalRefunds: summary.totalRefunds,
+      totalPayouts: summary.totalPayouts,
+      netAfterDeductions: Math.round((summary.totalSales - summary.totalFees - summary.totalRefunds + summary.totalAdjustments) * 100) / 100,
       availableNetForWithdrawal,
       requests: { pending: pendingCount, approved: approvedCount, rejected: rejectedCount },
-      recent: { sales: recentSales, fees: recentFees, requests: (await WalletRequest.find({ user: targetUserId, type: 'withdrawal' }).sort({ createdAt: -1 }).limit(20).lean()).map(r=>({ id: String(r._id), type: r.type, status: r.status, amount: r.amount, date: r.createdAt, receivedAt: r.receivedAt || null })) },
-      serviceBreakdown
+      recent: {
+        sales: summary.recentSales,
+        fees: summary.recentFees,
+        requests: recentRequests.map(r => ({ id: String(r._id), type: r.type, status: r.status, amount: r.amount, date: r.createdAt, receivedAt: r.receivedAt || null }))
+      },
+      serviceBreakdown: summary.serviceBreakdown
     });
   } catch (e) {
     console.error('[wallet/me] error', e);
@@ -134,6 +149,79 @@ router.get('/me', adminOrCategoryManager, async (req, res) => {
   }
 });
 
+// GET /api/wallet/ledger - ledger entries, newest first (?type=&page=&limit=; admin: ?userId=)
+router.get('/ledger', adminOrCategoryManager, async (req, res) => {
+  try {
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const type = Object.keys(ENTRY_LABELS).includes(String(req.query.type)) ? String(req.query.type) : undefined;
+    const targetUserId = targetManagerId(req);
+    const [result, balance] = await Promise.all([
+      managerLedgerService.entries(targetUserId, { page, limit, type }),
+      managerLedgerService.getBalance(targetUserId)
+    ]);
+    return res.json({ balance, ...result });
+  } catch (e) {
+    return sendError(res, e, 'Failed to load ledger');
+  }
+});
+
+// GET /api/wallet/statements/:month - monthly statement (YYYY-MM) as JSON, ?format=csv or ?format=pdf
+router.get('/statements/:month', adminOrCategoryManager, async (req, res) => {
+  try {
+    const st = await managerLedgerService.statement(targetManagerId(req), req.params.month);
+    const format = String(req.query.format || 'json').toLowerCase();
+    const filename = `statement-${st.month}`;
+    if (format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}.csv"`);
+      return res.send(statementCsv(st));
+    }
+    if (format === 'pdf') {
+      let currency = 'USD';
+      try { currency = await getStoreCurrency(); } catch {}
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}.pdf"`);
+      return res.send(statementPdf(st, currency));
+    }
+    return res.json(st);
+  } catch (e) {
+    return sendError(res, e, 'Failed to build statement');
+  }
+});
+
+// POST /api/wallet/ledger/rebuild - admin: backfill the ledger from existing orders (?since=ISO date).
+// Runs in the background; poll GET /api/wallet/ledger/rebuild for the outcome
+router.post('/ledger/rebuild', adminAuth, async (req, res) => {
+  try {
+    const since = req.query.since ? new Date(String(req.query.since)) : undefined;
+    if (since && isNaN(since.getTime())) return res.status(400).json({ message: 'Invalid since date' });
+    return res.status(202).json({ ok: true, job: managerLedgerService.startRebuild({ since }) });
+  } catch (e) {
+    return sendError(res, e, 'Failed to rebuild ledger');
+  }
+});
+
+// GET /api/wallet/ledger/rebuild - admin: state of the last ledger rebuild
+router.get('/ledger/rebuild', adminAuth, (req, res) => {
+  res.json({ job: managerLedgerService.rebuildStatus() });
+});
+
+// POST /api/wallet/ledger/adjustments - admin: manual credit (+) or debit (-). body: { userId, amount, note }
+router.post('/ledger/adjustments', adminAuth, async (req, res) => {
+  try {
+    const { userId, note } = req.body || {};
+    const amount = Number(req.body?.amount);
+    if (!userId) return res.status(400).json({ message: 'userId required' });
+    if (!mongoose.Types.ObjectId.isValid(String(userId))) return res.status(400).json({ message: 'Invalid userId' });
+    if (!isFinite(amount) || amount === 0) return res.status(400).json({ message: 'Amount must be a non-zero number' });
+    const entry = await managerLedgerService.adjust(userId, amount, { note, createdBy: req.user._id });
+    return res.status(201).json({ ok: true, entry });
+  } catch (e) {
+    return sendError(res, e, 'Failed to record adjustment');
+  }
+});
+
 // POST /api/wallet/requests - create a wallet request (manager)
 router.post('/requests', adminOrCategoryManager, async (req, res) => {
   try {
@@ -145,17 +233,10 @@ router.post('/requests', adminOrCategoryManager, async (req, res) => {
     // Prevent new withdrawal if there is a pending or an approved not yet received
     const unfinalized = await WalletRequest.exists({ user: req.user._id, type: 'withdrawal', $or: [ { status: 'pending' }, { status: 'approved', receivedAt: { $exists: false } } ] });
     if (unfinalized) return res.status(400).json({ message: 'You already have an unfinalized withdrawal (pending or not yet received)' });
-    // If withdrawal, ensure it does not exceed remaining net value (sales - service fees - prior approved withdrawals)
-    if (type === 'withdrawal' && req.user.role === 'categoryManager') {
-      const scopeIds = Array.isArray(req.categoryScopeIds) ? req.categoryScopeIds.map(String) : [];
-      const { totalSales, totalFees } = await computeScopedSalesAndFees(req.user._id, scopeIds);
-      const net = Math.max(0, totalSales - totalFees);
-      const approvedPrev = await WalletRequest.find({ user: req.user._id, type: 'withdrawal', status: 'approved' }).select('amount').lean();
-      const approvedSum = approvedPrev.reduce((s,r)=> s + (Number(r.amount)||0), 0);
-      const remaining = Math.max(0, net - approvedSum);
-      if (amt > remaining) {
-        return res.status(400).json({ message: 'Withdrawal amount exceeds remaining available net value' });
-      }
+    // Approved withdrawals are already debited from the ledger balance
+    const balance = await managerLedgerService.getBalance(req.user._id);
+    if (amt > balance) {
+      return res.status(400).json({ message: 'Withdrawal amount exceeds remaining available net value' });
     }
     const doc = await WalletRequest.create({ user: req.user._id, type, amount: amt, note: note || '' });
     return res.status(201).json({ ok: true, request: doc });
@@ -179,17 +260,28 @@ router.get('/requests', adminAuth, async (req, res) => {
   }
 });
 
-// PUT /api/wallet/requests/:id/approve
+// PUT /api/wallet/requests/:id/approve - debits the manager's ledger; fails when the balance no longer covers it
 router.put('/requests/:id/approve', adminAuth, async (req, res) => {
   try {
     const id = String(req.params.id || '');
-    const doc = await WalletRequest.findById(id);
-    if (!doc) return res.status(404).json({ message: 'Request not found' });
-    if (doc.status !== 'pending') return res.status(400).json({ message: 'Request already processed' });
-    doc.status = 'approved';
-    doc.adminNote = req.body?.adminNote || '';
-    doc.processedAt = new Date();
-    await doc.save();
+    // Claim the request first so two concurrent approvals cannot both debit
+    const doc = await WalletRequest.findOneAndUpdate(
+      { _id: id, status: 'pending' },
+      { $set: { status: 'approved', adminNote: req.body?.adminNote || '', processedAt: new Date() } },
+      { new: true }
+    );
+    if (!doc) {
+      const exists = await WalletRequest.exists({ _id: id });
+      return exists
+        ? res.status(400).json({ message: 'Request already processed' })
+        : res.status(404).json({ message: 'Request not found' });
+    }
+    try {
+      await managerLedgerService.recordPayout(doc, { createdBy: req.user._id });
+    } catch (debitErr) {
+      await WalletRequest.updateOne({ _id: doc._id, status: 'approved' }, { $set: { status: 'pending' }, $unset: { processedAt: 1 } });
+      return sendError(res, debitErr, 'Failed to approve request');
+    }
     return res.json({ ok: true, request: doc });
   } catch (e) {
     console.error('[wallet/requests:approve] error', e);
@@ -0,0 +1,103 @@
+// Local mock of the PayPal and iCredit refund APIs (no credentials or network required)
+// Usage:
+//   node scripts/payment-providers-mock.js [--port 4010] [--decline] [--pending]
+// Then start the server pointed at it:
+//   PAYPAL_API_BASE=http://localhost:4010 ICREDIT_REFUND_URL=http://localhost:4010/icredit/RefundSale npm start
+// and refund an order: POST /api/orders/:id/refunds { "amount": 10 }
+// iCredit IPNs are verified by the mock's /icredit/Verify (ICREDIT_VERIFY_URL=http://localhost:4010/icredit/Verify).
+// Webhook signatures are verified by the mock too (PAYPAL_WEBHOOK_ID=any), so PayPal events can be replayed
+// against POST /api/paypal/webhook with any paypal-transmission-* / paypal-auth-algo / paypal-cert-url headers
+// Options:
+//   --decline   PayPal answers 422 and iCredit a non-zero Status (refund is recorded as failed)
+//   --pending   PayPal answers PENDING (refund stays pending until its webhook settles it)
+//   --forged    Webhook signature verification answers FAILURE and iCredit sale verification NOT VERIFIED
+
+import http from 'http';
+
+function parseArgs(argv) {
+  const out = { port: Number(process.env.MOCK_PORT) || 4010, decline: false, pending: false, forged: false };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === '--port' && argv[i + 1]) out.port = Number(argv[++i]);
+    else if (a.startsWith('--port=')) out.port = Number(a.split('=')[1]);
+    else if (a === '--decline') out.decline = true;
+    else if (a === '--pending') out.pending = true;
+    else if (a === '--forged') out.forged = true;
+  }
+  return out;
+}
+
+const opts = parseArgs(process.argv.slice(2));
+let seq = 0;
+
+const send = (res, status, body) => {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+};
+
+const readBody = (req) => new Promise((resolve) => {
+  let raw = '';
+  req.on('data', (c) => { raw += c; });
+  req.on('end', () => {
+    if (!raw) return resolve({});
+    try { resolve(JSON.parse(raw)); } catch {
+      // OAuth token requests are form encoded
+      resolve(Object.fromEntries(new URLSearchParams(raw)));
+    }
+  });
+});
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, `http://localhost:${opts.port}`);
+  const body = await readBody(req);
+  console.log(`[mock] ${req.method} ${url.pathname}`, JSON.stringify(body));
+
+  if (req.method === 'POST' && url.pathname === '/v1/oauth2/token') {
+    return send(res, 200, { access_token: 'mock-access-token', token_type: 'Bearer', expires_in: 32400, scope: 'mock' });
+  }
+
+  if (req.method === 'POST' && url.pathname === '/v1/notifications/verify-webhook-signature') {
+    const complete = body.webhook_id && body.transmission_sig && body.webhook_event?.id;
+    return send(res, 200, { verification_status: complete && !opts.forged ? 'SUCCESS' : 'FAILURE' });
+  }
+
+  const capture = url.pathname.match(/^\/v2\/payments\/captures\/([^/]+)\/refund$/);
+  if (req.method === 'POST' && capture) {
+    if (opts.decline) {
+      return send(res, 422, {
+        name: 'UNPROCESSABLE_ENTITY',
+        message: 'The requested action could not be performed.',
+        details: [{ issue: 'REFUND_AMOUNT_EXCEEDED', description: 'The refund amount must be less than or equal to the capture amount that has not yet been refunded.' }]
+      });
+    }
+    const id = `MOCKREFUND${++seq}`;
+    return send(res, 201, {
+      id,
+      status: opts.pending ? 'PENDING' : 'COMPLETED',
+      ...(opts.pending ? { status_details: { reason: 'ECHECK' } } : {}),
+      amount: body.amount,
+      invoice_id: body.invoice_id,
+      note_to_payer: body.note_to_payer,
+      links: [{ href: `http://localhost:${opts.port}/v2/payments/refunds/${id}`, rel: 'self', method: 'GET' }],
+      capture_id: decodeURIComponent(capture[1]),
+      request_id: req.headers['paypal-request-id'] || null
+    });
+  }
+
+  if (req.method === 'POST' && /\/RefundSale$/i.test(url.pathname)) {
+    if (!body.GroupPrivateToken || !body.SaleId) return send(res, 200, { Status: 1, DebugMessage: 'Missing GroupPrivateToken or SaleId' });
+    if (opts.decline) return send(res, 200, { Status: 2, DebugMessage: 'Refund declined by mock' });
+    return send(res, 200, { Status: 0, RefundId: `MOCKCREDIT${++seq}`, SaleId: body.SaleId, Amount: body.Amount });
+  }
+
+  if (req.method === 'POST' && /\/Verify$/i.test(url.pathname)) {
+    const complete = body.GroupPrivateToken && body.SaleId && Number(body.TotalAmount) > 0;
+    return send(res, 200, { Status: complete && !opts.forged ? 'VERIFIED' : 'NOT VERIFIED' });
+  }
+
+  send(res, 404, { message: `No mock for ${req.method} ${url.pathname}` });
+});
+
+server.listen(opts.port, () => {
+  console.log(`[mock] PayPal + iCredit refund mock on http://localhost:${opts.port}`, { decline: opts.decline, pending: opts.pending, forged: opts.forged });
+});
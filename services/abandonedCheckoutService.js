@@ -0,0 +1,366 @@
+import jwt from 'jsonwebtoken';
+import { StatusCodes } from 'http-status-codes';
+import AbandonedCheckout from '../models/AbandonedCheckout.js';
+import PaymentSession from '../models/PaymentSession.js';
+import Order from '../models/Order.js';
+import Coupon from '../models/Coupon.js';
+import User from '../models/User.js';
+import MobilePushToken from '../models/MobilePushToken.js';
+import Settings from '../models/Settings.js';
+import { ApiError } from '../utils/ApiError.js';
+import { sendAbandonedCheckoutEmail } from '../utils/emailService.js';
+import { sendExpoPush } from './expoPushService.js';
+import { buildWhatsAppLink } from './whatsappService.js';
+
+const round2 = (n) => Math.round((Number(n) || 0) * 100) / 100;
+const DAY = 24 * 60 * 60 * 1000;
+const TOKEN_PURPOSE = 'cart_restore';
+const COUPON_CAMPAIGN = 'abandoned-checkout';
+const BATCH = 100;
+const escapeRegex = (s) => String(s).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const DEFAULT_SUBJECT = 'You left something in your cart';
+const DEFAULT_MESSAGE = 'Hi {name}, your cart is still waiting for you. Complete your order here: {link}';
+const COUPON_MESSAGE = 'Use code {coupon} at checkout for a little extra.';
+
+const fill = (template, vars) => String(template || '').replace(/\{(name|link|coupon|total)\}/g, (_, k) => vars[k] ?? '');
+
+class AbandonedCheckoutService {
+  async config() {
+    const settings = await Settings.findOne().select('abandonedCheckout').lean();
+    const c = settings?.abandonedCheckout || {};
+    return {
+      enabled: !!c.enabled,
+      abandonAfterMinutes: Math.max(5, Number(c.abandonAfterMinutes) || 60),
+      restoreUrl: c.restoreUrl || `${String(process.env.WEBSITE_URL || '').replace(/\/$/, '')}/checkout/restore`,
+      tokenTtlDays: Math.max(1, Number(c.tokenTtlDays) || 14),
+      attributionDays: Math.max(1, Number(c.attributionDays) || 7),
+      steps: Array.isArray(c.steps) ? c.steps : []
+    };
+  }
+
+  /**
+   * One pass of the recovery job: detect new abandoned sessions, send due reminders, expire stale records.
+   * Does nothing while the feature is disabled.
+   * @returns {Promise<{ detected: number, reminded: number, expired: number }|null>}
+   */
+  async sweep() {
+    const cfg = await this.config();
+    if (!cfg.enabled) return null;
+    const detected = await this.detect(cfg);
+    const reminded = await this.sendDue(cfg);
+    const expired = await this.expireStale(cfg);
+    return { detected, reminded, expired };
+  }
+
+  /**
+   * Turn sessions stuck in 'created' for abandonAfterMinutes into abandoned checkouts. Sessions of a customer
+   * who ordered in the meantime are skipped; a customer's repeated attempts fold into one open record.
+   */
+  async detect(cfg) {
+    const cutoff = new Date(Date.now() - cfg.abandonAfterMinutes * 60 * 1000);
+    const sessions = await PaymentSession.find({
+      status: 'created',
+      orderId: null,
+      abandonedCheckout: null,
+      createdAt: { $lte: cutoff },
+      'customerInfo.email': { $exists: true }
+    }).sort({ createdAt: 1 }).limit(BATCH).lean();
+
+    let count = 0;
+    for (const ps of sessions) {
+      const email = String(ps.customerInfo?.email || '').trim().toLowerCase();
+      const done = (ac) => PaymentSession.updateOne({ _id: ps._id }, { $set: { abandonedCheckout: ac._id } });
+      const ordered = await Order.exists({
+        'customerInfo.email': new RegExp(`^${escapeRegex(email)}$`, 'i'),
+        createdAt: { $gte: ps.createdAt }
+      });
+      const snapshot = {
+        paymentSession: ps._id,
+        user: ps.user || undefined,
+        email,
+        phone: ps.customerInfo?.mobile,
+        customerInfo: {
+          firstName: ps.customerInfo?.firstName,
+          lastName: ps.customerInfo?.lastName,
+          email: ps.customerInfo?.email,
+          mobile: ps.customerInfo?.mobile
+        },
+        shippingAddress: ps.shippingAddress,
+        items: (ps.items || []).map(it => ({
+          product: it.product, quantity: it.quantity, size: it.size, color: it.color, variantId: it.variantId,
+          sku: it.sku, bundleId: it.bundleId, name: it.name, price: it.price
+        })),
+        couponCode: ps.coupon?.code,
+        currency: ps.currency,
+        cartTotal: round2(ps.totalWithShipping ?? ps.totalAmount),
+        abandonedAt: ps.createdAt
+      };
+      if (ordered) {
+        // Recorded so the session is not looked at again, without reminding anyone
+        await done(await AbandonedCheckout.create({ ...snapshot, sessions: [ps._id], status: 'expired' }));
+        continue;
+      }
+      // A newer attempt replaces the cart of the customer's open record; an older one is only remembered
+      const merged = await AbandonedCheckout.findOneAndUpdate(
+        { email, status: 'open' },
+        { $addToSet: { sessions: ps._id } },
+        { new: true }
+      );
+      if (merged) {
+        if (ps.createdAt > merged.abandonedAt) {
+          const { email: _e, ...latest } = snapshot;
+          await AbandonedCheckout.updateOne({ _id: merged._id }, { $set: latest });
+        }
+        await done(merged);
+        continue;
+      }
+      await done(await AbandonedCheckout.create({ ...snapshot, sessions: [ps._id] }));
+      count++;
+    }
+    if (count) try { console.log('[abandoned-checkout][detect] new abandoned checkouts', { count }); } catch {}
+    return count;
+  }
+
+  // Send the next reminder of every open checkout whose step is due
+  async sendDue(cfg) {
+    if (!cfg.steps.length) return 0;
+    const now = Date.now();
+    const due = [];
+    for (const [index, step] of cfg.steps.entries()) {
+      const before = new Date(now - (Number(step.delayMinutes) || 0) * 60 * 1000);
+      const batch = await AbandonedCheckout.find({ status: 'open', reminders: { $size: index }, detectedAt: { $lte: before } })
+        .sort({ detectedAt: 1 }).limit(BATCH);
+      due.push(...batch.map(ac => ({ ac, index, step })));
+    }
+    let sent = 0;
+    for (const { ac, index, step } of due) {
+      // Claim the step first so concurrent sweeps never send it twice
+      const claimed = await AbandonedCheckout.findOneAndUpdate(
+        { _id: ac._id, status: 'open', reminders: { $size: index } },
+        { $push: { reminders: { step: index, sentAt: new Date(), channels: [] } }, $set: { lastReminderAt: new Date() } },
+        { new: true }
+      );
+      if (!claimed) continue;
+      try {
+        const { channels, couponCode } = await this.#deliver(claimed, step, index, cfg);
+        await AbandonedCheckout.updateOne(
+          { _id: claimed._id },
+          { $set: { [`reminders.${index}.channels`]: channels, [`reminders.${index}.couponCode`]: couponCode } }
+        );
+        sent++;
+      } catch (e) {
+        try { console.warn('[abandoned-checkout][remind] failed', { id: String(ac._id), step: index, error: e?.message || e }); } catch {}
+      }
+    }
+    return sent;
+  }
+
+  // Close records nothing came of: all reminders sent and the attribution window is over
+  async expireStale(cfg) {
+    const lastStep = cfg.steps.length - 1;
+    const before = new Date(Date.now() - cfg.attributionDays * DAY);
+    const filter = lastStep >= 0
+      ? { status: 'open', [`reminders.${lastStep}`]: { $exists: true }, lastReminderAt: { $lte: before } }
+      : { status: 'open', detectedAt: { $lte: before } };
+    const r = await AbandonedCheckout.updateMany(filter, { $set: { status: 'expired' } });
+    return r?.modifiedCount || 0;
+  }
+
+  async #deliver(ac, step, index, cfg) {
+    const token = this.signToken(ac, cfg);
+    const link = cfg.restoreUrl.includes('{token}')
+      ? cfg.restoreUrl.replace('{token}', encodeURIComponent(token))
+      : `${cfg.restoreUrl}${cfg.restoreUrl.includes('?') ? '&' : '?'}token=${encodeURIComponent(token)}`;
+    const couponCode = step.coupon?.enabled ? await this.#createCoupon(ac, step.coupon) : undefined;
+    const vars = {
+      name: ac.customerInfo?.firstName || '',
+      link,
+      coupon: couponCode || '',
+      total: `${round2(ac.cartTotal).toFixed(2)} ${ac.currency || ''}`.trim()
+    };
+    const subject = fill(step.subject || DEFAULT_SUBJECT, vars);
+    let message = fill(step.message || DEFAULT_MESSAGE, vars);
+    if (couponCode && !String(step.message || '').includes('{coupon}')) message = `${message}\n${fill(COUPON_MESSAGE, vars)}`;
+
+    const channels = [];
+    for (const channel of [...new Set(step.channels || [])]) {
+      try {
+        if (channel === 'email') {
+          if (!ac.email) throw new Error('no email');
+          await sendAbandonedCheckoutEmail({ to: ac.email, subject, message, link, items: ac.items, couponCode });
+          channels.push({ channel, ok: true });
+        } else if (channel === 'push') {
+          const userId = ac.user || (await User.findOne({ email: ac.email }).select('_id').lean())?._id;
+          const tokens = userId ? (await MobilePushToken.find({ user: userId }).select('expoPushToken').lean()).map(t => t.expoPushToken) : [];
+          if (!tokens.length) throw new Error('no push tokens');
+          await sendExpoPush({ tokens, title: subject, body: message.replace(link, '').trim(), data: { type: 'abandoned_checkout', token, link } });
+          channels.push({ channel, ok: true });
+        } else if (channel === 'whatsapp') {
+          if (!ac.phone) throw new Error('no phone');
+          // Links only: an admin opens the chat (no WhatsApp Business API)
+          const { url } = buildWhatsAppLink(ac.phone, message);
+          channels.push({ channel, ok: true, url });
+        }
+      } catch (e) {
+        channels.push({ channel, ok: false, error: e?.message || String(e) });
+      }
+    }
+    try { console.log('[abandoned-checkout][remind] sent', { id: String(ac._id), step: index, channels: channels.map(c => `${c.channel}:${c.ok ? 'ok' : 'fail'}`) }); } catch {}
+    return { channels, couponCode };
+  }
+
+  // Single-use coupon for one reminder, usable only by the checkout's account or email (a checkout known by
+  // phone alone gets a code that is single-use only)
+  async #createCoupon(ac, spec) {
+    const now = new Date();
+    const coupon = await Coupon.create({
+      type: spec.type || 'percentage',
+      value: spec.type === 'free_shipping' ? 0 : Math.max(0, Number(spec.value) || 0),
+      startDate: now,
+      endDate: new Date(now.getTime() + Math.max(1, Number(spec.validDays) || 3) * DAY),
+      usageLimit: 1,
+      perCustomerLimit: 1,
+      customerUser: ac.user || undefined,
+      customerEmail: ac.email || undefined,
+      campaign: COUPON_CAMPAIGN,
+      description: `Abandoned checkout ${ac._id}`
+    });
+    return coupon.code;
+  }
+
+  signToken(ac, cfg) {
+    const secret = process.env.JWT_SECRET;
+    if (!secret) throw new Error('JWT_SECRET not configured');
+    return jwt.sign({ ac: String(ac._id), purpose: TOKEN_PURPOSE }, secret, { expiresIn: `${cfg.tokenTtlDays}d` });
+  }
+
+  #verifyToken(token) {
+    try {
+      const payload = jwt.verify(String(token || ''), process.env.JWT_SECRET);
+      if (payload?.purpose !== TOKEN_PURPOSE || !payload.ac) throw new Error('wrong purpose');
+      return payload.ac;
+    } catch {
+      throw new ApiError(StatusCodes.BAD_REQUEST, 'Invalid or expired restore link');
+    }
+  }
+
+  /**
+   * Cart behind a restore link, for the storefront to refill the cart and checkout form.
+   * The latest reminder's coupon is included. Pass the token back as recoveryToken when ordering.
+   */
+  async restore(token) {
+    const id = this.#verifyToken(token);
+    const ac = await AbandonedCheckout.findByIdAndUpdate(id, { $inc: { restoreCount: 1 }, $set: { lastRestoredAt: new Date() } }, { new: true }).lean();
+    if (!ac) throw new ApiError(StatusCodes.NOT_FOUND, 'Cart not found');
+    if (ac.status === 'recovered') throw new ApiError(StatusCodes.GONE, 'This cart has already been ordered');
+    const couponCode = [...(ac.reminders || [])].reverse().find(r => r.couponCode)?.couponCode || ac.couponCode || null;
+    return {
+      items: ac.items.map(({ _id, ...it }) => it),
+      customerInfo: ac.customerInfo,
+      shippingAddress: ac.shippingAddress,
+      couponCode,
+      currency: ac.currency,
+      recoveryToken: token
+    };
+  }
+
+  /**
+   * Close the customer's open abandoned checkout once an order is placed. Matched by restore token, by the
+   * payment session that was finally paid, or by email. Never throws.
+   * @param {Object} order - Saved order
+   * @param {{ token?: string, paymentSession?: string }} [opts]
+   */
+  async markRecovered(order, { token, paymentSession } = {}) {
+    try {
+      const or = [];
+      if (token) {
+        try { or.push({ _id: this.#verifyToken(token) }); } catch {}
+      }
+      if (paymentSession) or.push({ sessions: paymentSession });
+      const email = String(order.customerInfo?.email || '').trim().toLowerCase();
+      if (email) or.push({ email });
+      if (!or.length) return null;
+      const ac = await AbandonedCheckout.findOne({ $or: or, status: 'open', abandonedAt: { $lte: order.createdAt || new Date() } }).sort({ detectedAt: -1 });
+      if (!ac) return null;
+      const r = await AbandonedCheckout.updateOne({ _id: ac._id, status: 'open' }, {
+        $set: {
+          status: 'recovered',
+          recoveredAt: new Date(),
+          recoveredOrder: order._id,
+          recoveredAmount: round2((Number(order.totalAmount) || 0) + (Number(order.shippingFee) || 0)),
+          attributed: ac.reminders.length > 0
+        }
+      });
+      if (r?.modifiedCount) try { console.log('[abandoned-checkout][recovered]', { id: String(ac._id), order: String(order._id) }); } catch {}
+      return ac._id;
+    } catch (e) {
+      try { console.warn('[abandoned-checkout][recovered] not recorded', e?.message || e); } catch {}
+      return null;
+    }
+  }
+
+  /**
+   * Recovery funnel of checkouts abandoned within [start, end]
+   * @returns {Promise<{ abandoned, abandonedValue, reminded, recovered, recoveredAfterReminder, recoveredRevenue, recoveryRate, open }>}
+   */
+  async stats({ start, end }) {
+    const [row] = await AbandonedCheckout.aggregate([
+      { $match: { abandonedAt: { $gte: start, $lte: end }, 'reminders.0': { $exists: true } } },
+      {
+        $group: {
+          _id: null,
+          reminded: { $sum: 1 },
+          remindedValue: { $sum: '$cartTotal' },
+          recoveredAfterReminder: { $sum: { $cond: [{ $eq: ['$status', 'recovered'] }, 1, 0] } },
+          recoveredRevenue: { $sum: { $cond: [{ $eq: ['$status', 'recovered'] }, { $ifNull: ['$recoveredAmount', 0] }, 0] } },
+          open: { $sum: { $cond: [{ $eq: ['$status', 'open'] }, 1, 0] } }
+        }
+      }
+    ]);
+    const [all] = await AbandonedCheckout.aggregate([
+      // Sessions skipped at detection (customer had already ordered) never had anything to recover
+      { $match: { abandonedAt: { $gte: start, $lte: end }, $or: [{ status: { $ne: 'expired' } }, { 'reminders.0': { $exists: true } }] } },
+      {
+        $group: {
+          _id: null,
+          abandoned: { $sum: 1 },
+          abandonedValue: { $sum: '$cartTotal' },
+          recovered: { $sum: { $cond: [{ $eq: ['$status', 'recovered'] }, 1, 0] } }
+        }
+      }
+    ]);
+    const reminded = row?.reminded || 0;
+    const recoveredAfterReminder = row?.recoveredAfterReminder || 0;
+    return {
+      abandoned: all?.abandoned || 0,
+      abandonedValue: round2(all?.abandonedValue),
+      reminded,
+      recovered: all?.recovered || 0,
+      recoveredAfterReminder,
+      recoveredRevenue: round2(row?.recoveredRevenue),
+      // Share of reminded checkouts that turned into orders
+      recoveryRate: reminded ? round2((recoveredAfterReminder / reminded) * 100) : 0,
+      open: row?.open || 0
+    };
+  }
+}
+
+export const abandonedCheckoutService = new AbandonedCheckoutService();
+
+// Periodic recovery job
+let _timer = null;
+
+export function startAbandonedCheckoutScheduler() {
+  if (_timer) return;
+  const tick = async () => {
+    try {
+      const r = await abandonedCheckoutService.sweep();
+      if (r && (r.reminded || r.expired)) console.log('[abandoned-checkout] sweep', r);
+    } catch (e) {
+      try { console.warn('[abandoned-checkout] sweep failed:', e?.message || e); } catch {}
+    }
+  };
+  _timer = setInterval(tick, 5 * 60 * 1000);
+  try { _timer.unref?.(); } catch {}
+}
@@ -0,0 +1,390 @@
+import mongoose from 'mongoose';
+import { StatusCodes } from 'http-status-codes';
+import Order from '../models/Order.js';
+import Product from '../models/Product.js';
+import Settings from '../models/Settings.js';
+import { ApiError } from '../utils/ApiError.js';
+import { inventoryService } from './inventoryService.js';
+import { reservationService, toStockKey, keyString } from './reservationService.js';
+import { recordOrderEvent, autoDispatchOrder, stockTakenAtOrder } from './orderStateMachine.js';
+import { realTimeEventService } from './realTimeEventService.js';
+import { sendPushToUser } from './pushService.js';
+
+const round2 = (n) => Math.round((Number(n) || 0) * 100) / 100;
+const MODES = ['backorder', 'preorder'];
+const CLOSED_STATUSES = ['delivered', 'returned', 'cancelled'];
+// Stock changes come in bursts (bulk updates, MCG pulls); allocate once the burst settles
+const ALLOCATE_DELAY_MS = 2000;
+
+// Inventory line fields of an order/cart line (what reserveItems and holds expect)
+const stockLine = (it, quantity) => ({
+  product: it.product?._id || it.product,
+  quantity,
+  ...(it.variantId ? { variantId: String(it.variantId) } : { size: it.size, color: it.color })
+});
+
+async function loadInventoryConfig() {
+  try { return (await Settings.findOne().lean())?.inventory || null; } catch { return null; }
+}
+
+class BackorderService {
+  #queue = Promise.resolve();
+  #pending = new Set();
+  #timer = null;
+
+  /**
+   * Effective backorder settings of a product or one of its variants (variant fields override the product's).
+   * @returns {{ mode: 'backorder'|'preorder', availableAt: Date|null, maxQuantity: number|null, maxScope: 'product'|'variant', preorderPayment: 'full'|'deposit', depositPercent: number }|null}
+   *   null when the item is only sold from stock; maxScope tells whether maxQuantity counts the variant or the whole product
+   */
+  policyFor(product, variantId = null) {
+    if (!product) return null;
+    const base = product.backorder || {};
+    const variant = variantId ? (product.variants || []).find(v => String(v._id) === String(variantId)) : null;
+    const own = variant?.backorder || {};
+    const mode = own.mode || base.mode || 'none';
+    if (!MODES.includes(mode)) return null;
+    const max = own.maxQuantity ?? base.maxQuantity;
+    return {
+      mode,
+      availableAt: own.availableAt || base.availableAt || null,
+      maxQuantity: Number.isFinite(Number(max)) && max !== null ? Number(max) : null,
+      maxScope: variant && own.maxQuantity != null ? 'variant' : 'product',
+      preorderPayment: base.preorderPayment === 'deposit' ? 'deposit' : 'full',
+      depositPercent: Math.min(100, Math.max(1, Number(base.depositPercent) || 100))
+    };
+  }
+
+  /**
+   * Clean admin input for Product.backorder (or a variant's override with { variant: true }, where
+   * mode 'inherit' or null clears the override). Returns undefined when nothing usable was sent.
+   */
+  normalizeSettings(input, { variant = false } = {}) {
+    if (input === null) return variant ? {} : { mode: 'none' };
+    if (!input || typeof input !== 'object') return undefined;
+    const out = {};
+    if (['none', ...MODES].includes(input.mode)) out.mode = input.mode;
+    else if (variant && input.mode === 'inherit') out.mode = undefined;
+    if (input.availableAt !== undefined) {
+      const d = input.availableAt ? new Date(input.availableAt) : null;
+      if (d && Number.isNaN(d.getTime())) throw new ApiError(StatusCodes.BAD_REQUEST, 'Invalid backorder availableAt date');
+      out.availableAt = d || undefined;
+    }
+    if (input.maxQuantity !== undefined) {
+      const n = input.maxQuantity === null || input.maxQuantity === '' ? null : Math.floor(Number(input.maxQuantity));
+      if (n !== null && !(n >= 0)) throw new ApiError(StatusCodes.BAD_REQUEST, 'Backorder maxQuantity must be a non-negative number');
+      out.maxQuantity = n === null ? undefined : n;
+    }
+    if (!variant) {
+      if (['full', 'deposit'].includes(input.preorderPayment)) out.preorderPayment = input.preorderPayment;
+      if (input.depositPercent !== undefined) {
+        const p = Number(input.depositPercent);
+        if (!(p >= 1 && p <= 100)) throw new ApiError(StatusCodes.BAD_REQUEST, 'Deposit percent must be between 1 and 100');
+        out.depositPercent = p;
+      }
+    }
+    return out;
+  }
+
+  // Units of a product (or variant) currently waiting on open orders
+  async openWaiting(key) {
+    const lineMatch = {
+      'items.product': new mongoose.Types.ObjectId(String(key.product)),
+      'items.backorder.waiting': { $gt: 0 },
+      ...(key.variantId ? { 'items.variantId': String(key.variantId) } : {})
+    };
+    const agg = await Order.aggregate([
+      { $match: { backorderStatus: 'waiting', status: { $nin: CLOSED_STATUSES } } },
+      { $unwind: '$items' },
+      { $match: lineMatch },
+      { $group: { _id: null, qty: { $sum: '$items.backorder.waiting' } } }
+    ]);
+    return agg[0]?.qty || 0;
+  }
+
+  /**
+   * Split order/cart lines into units sold from stock and units that wait for stock. Lines of items
+   * without backorder/pre-order settings must be fully in stock; maxQuantity caps the units waiting
+   * across open orders.
+   * @param {Array<{ product, quantity, variantId?, size?, color? }>} items
+   * @param {{ excludeFilter?: object, enforce?: boolean }} [opts] excludeFilter: holds of the buyer's own
+   *   cart/session; enforce: false keeps the legacy behaviour of stores that do not take stock at checkout
+   *   (no stock check for items sold from stock only)
+   * @returns {Promise<{ lines: Array<{ inStock: number, waiting: number, policy: object|null }>, stockItems: Array, waiting: boolean }>}
+   *   lines follow the order of items; stockItems are the in-stock units, ready for reserveItems/holdItems
+   */
+  async plan(items, { excludeFilter = null, enforce = true } = {}) {
+    const list = Array.isArray(items) ? items : [];
+    const invCfg = await loadInventoryConfig();
+    const ids = [...new Set(list.map(it => String(it.product?._id || it.product)))];
+    const products = await Product.find({ _id: { $in: ids } }).select('name backorder variants._id variants.backorder').lean();
+    const byId = new Map(products.map(p => [String(p._id), p]));
+
+    const sellable = new Map();
+    const waitingByKey = new Map();
+    const lines = [];
+    for (const it of list) {
+      const quantity = Number(it.quantity) || 0;
+      const key = toStockKey(it);
+      const ks = keyString(key);
+      const product = byId.get(key.product);
+      const policy = this.policyFor(product, it.variantId);
+      if (!sellable.has(ks)) {
+        const available = invCfg?.allowNegativeStock
+          ? Infinity
+          : Math.max(0, (await reservationService.availableFor(key, { excludeFilter })).available);
+        sellable.set(ks, available);
+      }
+      const available = sellable.get(ks);
+      let inStock = Math.min(quantity, available);
+      let waiting = quantity - inStock;
+      if (waiting > 0 && !policy) {
+        if (enforce) {
+          throw new ApiError(
+            StatusCodes.BAD_REQUEST,
+            `Insufficient stock for ${product?.name || 'product'}${key.variantId ? ' (variant)' : ''}. Available: ${available}, requested: ${quantity}`
+          );
+        }
+        inStock = quantity;
+        waiting = 0;
+      }
+      if (waiting > 0 && policy.maxQuantity !== null) {
+        const capKey = policy.maxScope === 'variant' ? ks : key.product;
+        if (!waitingByKey.has(capKey)) waitingByKey.set(capKey, await this.openWaiting(policy.maxScope === 'variant' ? key : { product: key.product }));
+        const open = waitingByKey.get(capKey);
+        if (open + waiting > policy.maxQuantity) {
+          const left = Math.max(0, policy.maxQuantity - open);
+          throw new ApiError(
+            StatusCodes.BAD_REQUEST,
+            `Only ${inStock + left} of ${product?.name || 'product'}${key.variantId ? ' (variant)' : ''} can be ordered now (${inStock} in stock, ${left} on ${policy.mode === 'preorder' ? 'pre-order' : 'backorder'})`
+          );
+        }
+        waitingByKey.set(capKey, open + waiting);
+      }
+      sellable.set(ks, available - inStock);
+      lines.push({ inStock, waiting, policy: waiting > 0 ? policy : null });
+    }
+    return {
+      lines,
+      stockItems: list.map((it, idx) => (lines[idx].inStock > 0 ? stockLine(it, lines[idx].inStock) : null)).filter(Boolean),
+      waiting: lines.some(l => l.waiting > 0)
+    };
+  }
+
+  // Order line flag for a planned line (undefined when it is fully in stock)
+  lineFlag(planLine) {
+    if (!(planLine?.waiting > 0)) return undefined;
+    return {
+      mode: planLine.policy.mode,
+      quantity: planLine.waiting,
+      waiting: planLine.waiting,
+      ...(planLine.policy.availableAt ? { availableAt: planLine.policy.availableAt } : {})
+    };
+  }
+
+  /**
+   * Part of the order left to pay once pre-ordered units arrive, for pre-order lines sold with a deposit.
+   * Only card/PayPal payments take deposits; cash on delivery collects everything at the door.
+   * @param {Array} planLines - plan().lines
+   * @param {number[]} lineAmounts - what each line costs the customer (after coupon and tax)
+   */
+  depositBalance(planLines, lineAmounts, { paymentMethod } = {}) {
+    if (!['card', 'paypal'].includes(paymentMethod)) return 0;
+    let deferred = 0;
+    planLines.forEach((l, idx) => {
+      const p = l.policy;
+      if (!(l.waiting > 0) || p?.mode !== 'preorder' || p.preorderPayment !== 'deposit') return;
+      const quantity = l.inStock + l.waiting;
+      deferred += (Number(lineAmounts[idx]) || 0) * (l.waiting / quantity) * (1 - p.depositPercent / 100);
+    });
+    return round2(deferred);
+  }
+
+  // Recompute Order.backorderStatus from its lines; the caller saves the order
+  refreshStatus(order) {
+    const flagged = (order.items || []).filter(l => l.backorder?.mode);
+    order.backorderStatus = !flagged.length
+      ? undefined
+      : (flagged.some(l => Number(l.backorder.waiting) > 0) ? 'waiting' : 'allocated');
+    return order.backorderStatus || null;
+  }
+
+  // Admin queue: lines waiting for stock, oldest order first (the allocation order)
+  async listWaiting({ product = null, limit = 500 } = {}) {
+    const lineMatch = { 'items.backorder.waiting': { $gt: 0 } };
+    if (product) {
+      if (!mongoose.Types.ObjectId.isValid(String(product))) throw new ApiError(StatusCodes.BAD_REQUEST, 'Invalid product id');
+      lineMatch['items.product'] = new mongoose.Types.ObjectId(String(product));
+    }
+    return Order.aggregate([
+      { $match: { backorderStatus: 'waiting', status: { $nin: CLOSED_STATUSES } } },
+      { $sort: { createdAt: 1, _id: 1 } },
+      { $unwind: '$items' },
+      { $match: lineMatch },
+      { $limit: Math.min(1000, Number(limit) || 500) },
+      {
+        $project: {
+          orderNumber: 1, status: 1, paymentMethod: 1, paymentStatus: 1, inventoryHeld: 1, createdAt: 1,
+          customerInfo: 1, preorderBalance: 1, line: '$items'
+        }
+      }
+    ]);
+  }
+
+  /**
+   * Give arriving stock to waiting order lines, oldest order first. Orders still awaiting online payment
+   * are skipped until paid. Where checkout takes stock (Settings.inventory), allocated units are taken out of
+   * inventory now; otherwise they are only marked, as the order's other units are.
+   * Runs are serialized so two triggers never hand the same units out twice.
+   * @param {{ productIds?: string[]|null, limit?: number }} [opts]
+   * @returns {Promise<{ orders: number, units: number }>}
+   */
+  allocate(opts = {}) {
+    const run = this.#queue.then(() => this.#allocate(opts));
+    this.#queue = run.catch(() => {});
+    return run;
+  }
+
+  // Debounced allocation for a product whose stock went up (inventoryService.onStockIncreased)
+  schedule(productId) {
+    this.#pending.add(String(productId));
+    if (this.#timer) return;
+    this.#timer = setTimeout(() => {
+      const productIds = [...this.#pending];
+      this.#pending.clear();
+      this.#timer = null;
+      this.allocate({ productIds }).catch(e => {
+        try { console.warn('[inventory][backorders] allocation failed', e?.message || e); } catch {}
+      });
+    }, ALLOCATE_DELAY_MS);
+    try { this.#timer.unref?.(); } catch {}
+  }
+
+  /**
+   * Record that the pre-order balance was collected (bank transfer, card terminal, courier).
+   * @returns {Promise<object>} the saved order
+   */
+  async markBalancePaid(order, { reference, actor = null } = {}) {
+    const balance = round2(order.preorderBalance?.amount);
+    if (!(balance > 0)) throw new ApiError(StatusCodes.BAD_REQUEST, 'Order has no pre-order balance');
+    if (order.preorderBalance.paidAt) throw new ApiError(StatusCodes.CONFLICT, 'Pre-order balance was already paid');
+    order.preorderBalance.paidAt = new Date();
+    if (reference) order.preorderBalance.reference = String(reference).trim();
+    await order.save();
+    await recordOrderEvent(order, {
+      type: 'note',
+      actor,
+      source: 'preorder_balance',
+      note: `Pre-order balance of ${balance} ${order.currency} paid`,
+      meta: { amount: balance, ...(reference ? { reference: String(reference) } : {}) }
+    });
+    try { realTimeEventService.emitOrderUpdate(order); } catch {}
+    return order;
+  }
+
+  async #allocate({ productIds = null, limit = 200 } = {}) {
+    const invCfg = await loadInventoryConfig();
+    const only = productIds?.length ? new Set(productIds.map(String)) : null;
+    const orders = await Order.find({
+      backorderStatus: 'waiting',
+      status: { $nin: CLOSED_STATUSES },
+      inventoryHeld: { $ne: true },
+      $or: [{ paymentMethod: 'cod' }, { paymentStatus: { $in: ['completed', 'partially_refunded'] } }],
+      ...(only ? {
+        items: {
+          $elemMatch: {
+            product: { $in: [...only].map(id => new mongoose.Types.ObjectId(id)) },
+            'backorder.waiting': { $gt: 0 }
+          }
+        }
+      } : {})
+    }).sort({ createdAt: 1, _id: 1 }).limit(limit);
+
+    // Sellable units per stock key, shared by all orders of this run
+    const sellable = new Map();
+    let allocatedOrders = 0;
+    let units = 0;
+    for (const order of orders) {
+      const takeStock = stockTakenAtOrder(order, invCfg);
+      const allocations = [];
+      for (const line of order.items) {
+        const waiting = Number(line.backorder?.waiting) || 0;
+        if (waiting <= 0 || (only && !only.has(String(line.product)))) continue;
+        const key = toStockKey(line);
+        const ks = keyString(key);
+        if (!sellable.has(ks)) sellable.set(ks, Math.max(0, (await reservationService.availableFor(key)).available));
+        const take = Math.min(waiting, sellable.get(ks));
+        if (take <= 0) continue;
+        if (takeStock) {
+          try {
+            await inventoryService.reserveItems([stockLine(line, take)], null);
+          } catch (e) {
+            console.warn('[inventory][backorders] stock not taken', { order: order.orderNumber, line: String(line._id), error: e?.message || e });
+            sellable.set(ks, 0);
+            continue;
+          }
+        }
+        sellable.set(ks, sellable.get(ks) - take);
+        line.backorder.waiting = waiting - take;
+        if (line.backorder.waiting === 0) line.backorder.allocatedAt = new Date();
+        allocations.push({ orderItem: String(line._id), name: line.name, quantity: take, waiting: line.backorder.waiting });
+      }
+      if (!allocations.length) continue;
+
+      const complete = this.refreshStatus(order) === 'allocated';
+      const balance = round2(order.preorderBalance?.amount);
+      if (complete && balance > 0 && !order.preorderBalance.paidAt) order.preorderBalance.dueSince = new Date();
+      await order.save();
+      allocatedOrders++;
+      units += allocations.reduce((n, a) => n + a.quantity, 0);
+      await recordOrderEvent(order, {
+        type: 'note',
+        source: 'backorder_allocation',
+        note: complete ? 'Stock allocated to all waiting lines' : 'Stock allocated to some waiting lines',
+        meta: { allocations, stockTaken: takeStock }
+      });
+      try { realTimeEventService.emitOrderUpdate(order); } catch {}
+      if (complete) {
+        await this.#notifyCustomer(order, balance > 0 && !order.preorderBalance.paidAt ? balance : 0);
+        const dispatch = await autoDispatchOrder(order);
+        if (dispatch.success) {
+          await recordOrderEvent(order, { type: 'note', source: 'backorder_allocation', note: 'Dispatched after stock allocation', meta: { dispatch: dispatch.trackingNumber || null } });
+        }
+      }
+    }
+    if (allocatedOrders) {
+      try { console.log('[inventory][backorders] allocated', { orders: allocatedOrders, units }); } catch {}
+    }
+    return { orders: allocatedOrders, units };
+  }
+
+  async #notifyCustomer(order, balanceDue) {
+    if (!order.user) return;
+    const body = balanceDue > 0
+      ? `Your pre-ordered items have arrived. The remaining ${balanceDue} ${order.currency} is due before shipping`
+      : 'Your backordered items are in stock and will ship soon';
+    try {
+      await sendPushToUser(order.user, { title: `Order ${order.orderNumber}`, body, url: `/orders/${order._id}`, tag: `order-${order._id}` });
+    } catch (e) {
+      console.warn('[inventory][backorders] customer push failed', e?.message || e);
+    }
+  }
+}
+
+export const backorderService = new BackorderService();
+
+// Stock increases trigger an allocation right away; the sweep catches stock that arrived while orders
+// could not take it yet (awaiting payment) and changes written outside inventoryService
+let _timer = null;
+
+export function startBackorderAllocationScheduler() {
+  if (_timer) return;
+  inventoryService.onStockIncreased((productId) => backorderService.schedule(productId));
+  const minutes = Math.max(1, Number(process.env.BACKORDER_ALLOCATION_INTERVAL_MINUTES || 15));
+  _timer = setInterval(() => {
+    backorderService.allocate().catch(e => {
+      try { console.warn('[inventory][backorders] sweep failed:', e?.message || e); } catch {}
+    });
+  }, minutes * 60 * 1000);
+  try { _timer.unref?.(); } catch {}
+}
@@ -175,6 +175,41 @@ function getByPath(obj, path) {
   return path.split('.').reduce((acc, key) => (acc ? acc[key] : undefined), obj);
 }
 
+// Order-shaped view of a single shipment so field mappings, payload building and status lookups work
+// unchanged: items are the shipment's lines, amounts and tracking are the shipment's own.
+export function buildShipmentOrderView(order, shipment) {
+  const lines = new Map((order.items || []).map(it => [String(it._id), it]));
+  const items = [];
+  let itemsValue = 0;
+  for (const s of shipment.items || []) {
+    const line = lines.get(String(s.orderItem));
+    if (!line) continue;
+    const unit = (line.pricing && typeof line.pricing.lineTotal === 'number' && line.quantity > 0)
+      ? line.pricing.lineTotal / line.quantity
+      : Number(line.price) || 0;
+    itemsValue += unit * s.quantity;
+    items.push({ ...line, quantity: s.quantity });
+  }
+  itemsValue = Math.round(itemsValue * 100) / 100;
+  const fee = Number(shipment.deliveryFee) || 0;
+  const totalAmount = typeof shipment.codAmount === 'number' ? shipment.codAmount : itemsValue;
+  return {
+    ...order,
+    items,
+    orderNumber: shipment.shipmentNumber,
+    parentOrderNumber: order.orderNumber,
+    shipmentId: shipment._id,
+    totalAmount,
+    totalWithShipping: totalAmount + fee,
+    shippingFee: fee,
+    deliveryFee: fee,
+    deliveryTrackingNumber: shipment.trackingNumber,
+    trackingNumber: shipment.trackingNumber,
+    deliveryStatus: shipment.status === 'pending' ? undefined : shipment.status,
+    deliveryNotes: shipment.notes || order.deliveryNotes
+  };
+}
+
 export function buildPayloadFromMappings(order, company) {
   const payload = {};
   const mappings = Array.isArray(company.fieldMappings) ? company.fieldMappings : [];
@@ -224,6 +259,10 @@ export function buildPayloadFromMappings(order, company) {
         ? items.map(item => item.name).filter(Boolean)
         : [];
       value = names.length ? names.join(', ') : '';
+    } else if (m.transform === 'delivery_slot') {
+      // Chosen delivery slot as one value, e.g. "2026-10-20 18:00-21:00" (store timezone)
+      const slot = getByPath(order, 'deliverySlot');
+      value = slot?.date ? `${slot.date} ${slot.window || `${slot.startTime}-${slot.endTime}`}` : (value ?? '');
     }
     if (value !== undefined) payload[m.targetField] = value;
   }
@@ -244,7 +283,11 @@ export function buildPayloadFromMappings(order, company) {
       productName: 'items.0.name',
       itemCount: 'items.length',
       currency: 'currency',
-      notes: 'deliveryNotes'
+      notes: 'deliveryNotes',
+      deliveryDate: 'deliverySlot.date',
+      deliveryWindow: 'deliverySlot.window',
+      deliveryWindowStart: 'deliverySlot.startsAt',
+      deliveryWindowEnd: 'deliverySlot.endsAt'
     };
     Object.entries(standard).forEach(([key, src]) => {
       const target = fm[key];
@@ -501,7 +544,9 @@ async function sendJsonRpc(order, company, payload) {
   return { trackingNumber: tracking, providerResponse: resp.data, providerStatus };
 }
 
+// extra.shipment: dispatch only that shipment (see buildShipmentOrderView) instead of the whole order
 export async function sendToCompany(order, company, extra = {}) {
+  if (extra.shipment) order = buildShipmentOrderView(order, extra.shipment);
   const payload = buildPayloadFromMappings(order, company);
   // Allow custom fields from company config
   if (company.customFields && typeof company.customFields === 'object') {
@@ -0,0 +1,300 @@
+import mongoose from 'mongoose';
+import { StatusCodes } from 'http-status-codes';
+import DeliverySlot from '../models/DeliverySlot.js';
+import ShippingZone from '../models/ShippingZone.js';
+import Settings from '../models/Settings.js';
+import { ApiError } from '../utils/ApiError.js';
+
+const TIME_RE = /^([01]\d|2[0-3]):([0-5]\d)$|^24:00$/;
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_HORIZON_DAYS = 60;
+
+const toMinutes = (hhmm) => {
+  const [h, m] = String(hhmm).split(':').map(Number);
+  return h * 60 + m;
+};
+const escapeRegex = (s) => String(s).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+const isValidDate = (s) => DATE_RE.test(String(s || '')) && new Date(`${s}T00:00:00Z`).toISOString().slice(0, 10) === s;
+
+/**
+ * UTC offset in minutes of a timezone at a given instant. Accepts IANA names ('Asia/Jerusalem') and fixed
+ * offsets as stored by older settings screens ('UTC-5', 'GMT+03:00', '+2'); unknown values fall back to UTC.
+ */
+export function timezoneOffsetMinutes(tz, at = new Date()) {
+  const value = String(tz || '').trim();
+  if (!value || /^(UTC|GMT|Z)$/i.test(value)) return 0;
+  const fixed = /^(?:UTC|GMT)?\s*([+-])(\d{1,2})(?::?(\d{2}))?$/i.exec(value);
+  if (fixed) return (fixed[1] === '-' ? -1 : 1) * (Number(fixed[2]) * 60 + Number(fixed[3] || 0));
+  try {
+    const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+      timeZone: value, hourCycle: 'h23', year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit'
+    }).formatToParts(at).map(p => [p.type, p.value]));
+    const wall = Date.UTC(Number(parts.year), Number(parts.month) - 1, Number(parts.day), Number(parts.hour) % 24, Number(parts.minute));
+    return Math.round((wall - Math.floor(at.getTime() / 60000) * 60000) / 60000);
+  } catch {
+    return 0;
+  }
+}
+
+// Wall clock of an instant in the store timezone: { date: 'YYYY-MM-DD', weekday: 0-6, minutes since midnight }
+export function storeClock(at, tz) {
+  const local = new Date(at.getTime() + timezoneOffsetMinutes(tz, at) * 60000);
+  return { date: local.toISOString().slice(0, 10), weekday: local.getUTCDay(), minutes: local.getUTCHours() * 60 + local.getUTCMinutes() };
+}
+
+// Instant of a store-local date and 'HH:mm' (second pass settles DST changes between guess and result)
+export function storeTime(date, hhmm, tz) {
+  const [y, mo, d] = date.split('-').map(Number);
+  const wall = Date.UTC(y, mo - 1, d) + toMinutes(hhmm) * 60000;
+  const first = timezoneOffsetMinutes(tz, new Date(wall));
+  const second = timezoneOffsetMinutes(tz, new Date(wall - first * 60000));
+  return new Date(wall - second * 60000);
+}
+
+export const addDays = (date, n) => {
+  const [y, mo, d] = date.split('-').map(Number);
+  return new Date(Date.UTC(y, mo - 1, d + n)).toISOString().slice(0, 10);
+};
+
+const weekdayOf = (date) => new Date(`${date}T00:00:00Z`).getUTCDay();
+
+class DeliverySlotService {
+  /** Settings.deliverySlots with defaults, plus the store timezone. */
+  async config() {
+    let s = null;
+    try { s = await Settings.findOne().select('timezone deliverySlots').lean(); } catch {}
+    const ds = s?.deliverySlots || {};
+    return {
+      enabled: !!ds.enabled,
+      required: !!ds.required,
+      horizonDays: Math.min(MAX_HORIZON_DAYS, Math.max(1, Number(ds.horizonDays) || 7)),
+      blackoutDates: Array.isArray(ds.blackoutDates) ? ds.blackoutDates.filter(b => b?.date) : [],
+      timezone: s?.timezone || 'UTC'
+    };
+  }
+
+  /**
+   * Clean admin input for a DeliverySlot. With { partial: true } only the fields sent are returned (updates).
+   * Throws ApiError 400 on invalid times, weekdays, dates or capacity.
+   */
+  normalize(input, { partial = false } = {}) {
+    const body = input && typeof input === 'object' ? input : {};
+    const out = {};
+    const has = (k) => body[k] !== undefined;
+    if (has('name') || !partial) {
+      if (!String(body.name || '').trim()) throw new ApiError(StatusCodes.BAD_REQUEST, 'Slot name is required');
+      out.name = String(body.name).trim();
+    }
+    for (const key of ['startTime', 'endTime']) {
+      if (has(key) || !partial) {
+        if (!TIME_RE.test(String(body[key] || ''))) throw new ApiError(StatusCodes.BAD_REQUEST, `${key} must be HH:mm`);
+        out[key] = body[key];
+      }
+    }
+    if (has('zones')) {
+      const zones = (Array.isArray(body.zones) ? body.zones : []).map(String);
+      if (zones.some(z => !mongoose.Types.ObjectId.isValid(z))) throw new ApiError(StatusCodes.BAD_REQUEST, 'Invalid shipping zone id');
+      out.zones = zones;
+    }
+    if (has('cities')) out.cities = (Array.isArray(body.cities) ? body.cities : []).map(c => String(c || '').trim()).filter(Boolean);
+    if (has('weekdays')) {
+      const days = (Array.isArray(body.weekdays) ? body.weekdays : []).map(Number);
+      if (days.some(d => !Number.isInteger(d) || d < 0 || d > 6)) throw new ApiError(StatusCodes.BAD_REQUEST, 'weekdays must be numbers 0 (Sunday) to 6');
+      out.weekdays = [...new Set(days)].sort();
+    }
+    if (has('cutoff')) {
+      const c = body.cutoff || {};
+      const daysBefore = c.daysBefore === undefined || c.daysBefore === '' ? 0 : Number(c.daysBefore);
+      if (!Number.isInteger(daysBefore) || daysBefore < 0) throw new ApiError(StatusCodes.BAD_REQUEST, 'cutoff.daysBefore must be a non-negative integer');
+      if (c.time && !TIME_RE.test(String(c.time))) throw new ApiError(StatusCodes.BAD_REQUEST, 'cutoff.time must be HH:mm');
+      out.cutoff = { daysBefore, time: c.time || undefined };
+    }
+    if (has('capacity')) {
+      const n = body.capacity === null || body.capacity === '' ? null : Math.floor(Number(body.capacity));
+      if (n !== null && !(n >= 0)) throw new ApiError(StatusCodes.BAD_REQUEST, 'capacity must be a non-negative number');
+      out.capacity = n || null;
+    }
+    if (has('blackoutDates')) {
+      const dates = Array.isArray(body.blackoutDates) ? body.blackoutDates.map(String) : [];
+      if (dates.some(d => !isValidDate(d))) throw new ApiError(StatusCodes.BAD_REQUEST, 'blackoutDates must be YYYY-MM-DD dates');
+      out.blackoutDates = [...new Set(dates)].sort();
+    }
+    if (has('isActive')) out.isActive = !!body.isActive;
+    if (has('order')) out.order = Number(body.order) || 0;
+    return out;
+  }
+
+  /** Checks a slot's time window once the stored and incoming fields are combined. */
+  assertWindow(slot) {
+    if (toMinutes(slot.endTime) <= toMinutes(slot.startTime)) {
+      throw new ApiError(StatusCodes.BAD_REQUEST, 'endTime must be after startTime');
+    }
+  }
+
+  // Active slots offered for a city / shipping zone (zones are matched by city like shipping rates)
+  async #slotsFor({ city, zoneId } = {}) {
+    const zoneIds = [];
+    if (zoneId && mongoose.Types.ObjectId.isValid(String(zoneId))) zoneIds.push(String(zoneId));
+    if (city) {
+      const zones = await ShippingZone.find({ countries: { $in: [city] }, isActive: true }).select('_id').lean();
+      zoneIds.push(...zones.map(z => String(z._id)));
+    }
+    const or = [{ zones: { $size: 0 }, cities: { $size: 0 } }];
+    if (zoneIds.length) or.push({ zones: { $in: zoneIds } });
+    if (city) or.push({ cities: new RegExp(`^${escapeRegex(String(city).trim())}$`, 'i') });
+    return DeliverySlot.find({ isActive: true, $or: or }).sort('order startTime').lean();
+  }
+
+  // Availability of one slot on one store-local date
+  #evaluate(slot, date, cfg, now) {
+    const tz = cfg.timezone;
+    const startsAt = storeTime(date, slot.startTime, tz);
+    const endsAt = storeTime(date, slot.endTime, tz);
+    const cutoffAt = storeTime(addDays(date, -(Number(slot.cutoff?.daysBefore) || 0)), slot.cutoff?.time || slot.startTime, tz);
+    const booked = (slot.bookings || []).find(b => b.date === date)?.count || 0;
+    const capacity = Number(slot.capacity) > 0 ? Number(slot.capacity) : null;
+    const remaining = capacity === null ? null : Math.max(0, capacity - booked);
+    let reason = null;
+    if ((slot.blackoutDates || []).includes(date)) reason = 'blackout';
+    else if (now >= cutoffAt) reason = 'cutoff_passed';
+    else if (remaining === 0) reason = 'full';
+    return {
+      _id: slot._id,
+      name: slot.name,
+      startTime: slot.startTime,
+      endTime: slot.endTime,
+      window: `${slot.startTime}-${slot.endTime}`,
+      startsAt,
+      endsAt,
+      cutoffAt,
+      capacity,
+      remaining,
+      available: !reason,
+      reason
+    };
+  }
+
+  /**
+   * Slots per store-local day from today for the storefront; unavailable slots are listed with a reason
+   * ('blackout' | 'cutoff_passed' | 'full') so they can be shown greyed out.
+   * @param {{ city?: string, zoneId?: string, days?: number, from?: string }} params from: first date (YYYY-MM-DD)
+   */
+  async availability({ city, zoneId, days, from } = {}) {
+    const cfg = await this.config();
+    const now = new Date();
+    const today = storeClock(now, cfg.timezone).date;
+    const base = { enabled: cfg.enabled, required: cfg.required, timezone: cfg.timezone, today, days: [] };
+    if (!cfg.enabled) return base;
+    const slots = await this.#slotsFor({ city, zoneId });
+    if (!slots.length) return base;
+    const last = addDays(today, cfg.horizonDays - 1);
+    let date = isValidDate(from) && from > today ? from : today;
+    const count = Math.min(cfg.horizonDays, Math.max(1, Number(days) || cfg.horizonDays));
+    for (let i = 0; i < count && date <= last; i++, date = addDays(date, 1)) {
+      const weekday = weekdayOf(date);
+      const blackout = cfg.blackoutDates.find(b => b.date === date);
+      const daySlots = slots.filter(s => !(s.weekdays || []).length || s.weekdays.includes(weekday));
+      if (!daySlots.length) continue;
+      base.days.push({
+        date,
+        weekday,
+        blackout: blackout ? (blackout.reason || 'unavailable') : null,
+        slots: daySlots.map(s => {
+          const ev = this.#evaluate(s, date, cfg, now);
+          return blackout ? { ...ev, available: false, reason: 'blackout' } : ev;
+        })
+      });
+    }
+    return base;
+  }
+
+  /**
+   * Validate the customer's choice at checkout and return the order snapshot (capacity is not counted
+   * here, see claim). Returns null when no slot was chosen and none is required for the address.
+   * @param {{ slot?: string, slotId?: string, _id?: string, date: string }|null} selection
+   * @param {{ city?: string, zoneId?: string }} where
+   * @param {{ strict?: boolean }} [opts] strict=false skips cutoff and capacity (payment already captured)
+   */
+  async resolve(selection, { city, zoneId } = {}, { strict = true } = {}) {
+    const slotId = selection && typeof selection === 'object' ? (selection.slot || selection.slotId || selection._id) : null;
+    const cfg = await this.config();
+    if (!cfg.enabled) return null;
+    if (!slotId) {
+      if (cfg.required && (await this.#slotsFor({ city, zoneId })).length) {
+        throw new ApiError(StatusCodes.BAD_REQUEST, 'Please choose a delivery slot');
+      }
+      return null;
+    }
+    const date = String(selection.date || '');
+    if (!mongoose.Types.ObjectId.isValid(String(slotId)) || !isValidDate(date)) {
+      throw new ApiError(StatusCodes.BAD_REQUEST, 'Invalid delivery slot selection');
+    }
+    const slot = (await this.#slotsFor({ city, zoneId })).find(s => String(s._id) === String(slotId));
+    if (!slot) throw new ApiError(StatusCodes.BAD_REQUEST, 'This delivery slot is not offered for the shipping address');
+    if ((slot.weekdays || []).length && !slot.weekdays.includes(weekdayOf(date))) {
+      throw new ApiError(StatusCodes.BAD_REQUEST, 'This delivery slot is not offered on the chosen day');
+    }
+    const ev = this.#evaluate(slot, date, cfg, new Date());
+    if (strict) {
+      const today = storeClock(new Date(), cfg.timezone).date;
+      if (date > addDays(today, cfg.horizonDays - 1)) throw new ApiError(StatusCodes.BAD_REQUEST, 'Delivery slots cannot be booked that far ahead');
+      if (cfg.blackoutDates.some(b => b.date === date) || ev.reason === 'blackout') throw new ApiError(StatusCodes.CONFLICT, 'Delivery is not available on the chosen day');
+      if (ev.reason === 'cutoff_passed') throw new ApiError(StatusCodes.CONFLICT, 'Ordering for this delivery slot has closed; please choose another slot');
+      if (ev.reason === 'full') throw new ApiError(StatusCodes.CONFLICT, 'This delivery slot is fully booked; please choose another slot');
+    }
+    return {
+      slot: slot._id,
+      name: slot.name,
+      date,
+      startTime: slot.startTime,
+      endTime: slot.endTime,
+      window: ev.window,
+      startsAt: ev.startsAt,
+      endsAt: ev.endsAt,
+      timezone: cfg.timezone
+    };
+  }
+
+  /**
+   * Count one order against the slot's capacity for its date. Two checkouts racing for the last place
+   * cannot both pass: the increment only matches while count < capacity.
+   * @param {{ slot: any, date: string }} snapshot Order.deliverySlot
+   * @param {{ session?: import('mongoose').ClientSession|null, strict?: boolean }} [opts] strict=false books even when full
+   */
+  async claim(snapshot, { session = null, strict = true } = {}) {
+    if (!snapshot?.slot || !snapshot.date) return false;
+    const { date } = snapshot;
+    const slot = await DeliverySlot.findById(snapshot.slot).select('capacity').session(session).lean();
+    if (!slot) return false;
+    const capacity = Number(slot.capacity) > 0 ? Number(slot.capacity) : null;
+    const bump = () => DeliverySlot.updateOne(
+      { _id: slot._id, bookings: { $elemMatch: { date, ...(capacity && strict ? { count: { $lt: capacity } } : {}) } } },
+      { $inc: { 'bookings.$.count': 1 } },
+      { session }
+    );
+    // First booking of the date adds its counter; a concurrent first booking makes this a no-op, so bump again
+    for (let attempt = 0; attempt < 2; attempt++) {
+      if ((await bump())?.modifiedCount) return true;
+      const pushed = await DeliverySlot.updateOne(
+        { _id: slot._id, 'bookings.date': { $ne: date } },
+        { $push: { bookings: { date, count: 1 } } },
+        { session }
+      );
+      if (pushed?.modifiedCount) return true;
+    }
+    if (strict) throw new ApiError(StatusCodes.CONFLICT, 'This delivery slot is fully booked; please choose another slot');
+    return false;
+  }
+
+  /** Give the order's place back (order cancelled or checkout failed). */
+  async release(snapshot) {
+    if (!snapshot?.slot || !snapshot.date) return false;
+    const r = await DeliverySlot.updateOne(
+      { _id: snapshot.slot, bookings: { $elemMatch: { date: snapshot.date, count: { $gt: 0 } } } },
+      { $inc: { 'bookings.$.count': -1 } }
+    );
+    return !!r?.modifiedCount;
+  }
+}
+
+export const deliverySlotService = new DeliverySlotService();
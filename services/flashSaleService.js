@@ -0,0 +1,198 @@
+import mongoose from 'mongoose';
+import { StatusCodes } from 'http-status-codes';
+import FlashSale from '../models/FlashSale.js';
+import Order from '../models/Order.js';
+import { ApiError } from '../utils/ApiError.js';
+import { realTimeEventService } from './realTimeEventService.js';
+
+const hasAllocation = (item) => Number(item?.allocatedQuantity) > 0;
+
+/**
+ * Units left of an item's dedicated sale stock
+ * @returns {number|null} null when the item has no allocation (unlimited)
+ */
+export const remainingOf = (item) => {
+  if (!hasAllocation(item)) return null;
+  const remaining = item.remainingQuantity ?? (Number(item.allocatedQuantity) - (Number(item.soldQuantity) || 0));
+  return Math.max(0, Number(remaining) || 0);
+};
+
+/**
+ * Align remainingQuantity with the allocation an admin saved, keeping units already sold
+ * @param {Array} items - Incoming flash sale items
+ * @param {Array} [previous] - Items currently stored on the sale
+ */
+export const prepareSaleItems = (items, previous = []) => {
+  const prevByProduct = new Map((previous || []).map(i => [String(i.product?._id || i.product), i]));
+  return (items || []).map(it => {
+    const prev = prevByProduct.get(String(it.product?._id || it.product));
+    const sold = Number(prev?.soldQuantity) || 0;
+    const allocated = Math.max(0, Number(it.allocatedQuantity) || 0);
+    const { remainingQuantity, soldQuantity, ...rest } = it;
+    return {
+      ...rest,
+      allocatedQuantity: allocated,
+      soldQuantity: sold,
+      ...(allocated > 0 ? { remainingQuantity: Math.max(0, allocated - sold) } : {})
+    };
+  });
+};
+
+// Flash-priced quantities from priceCart lines
+export const flashLinesFromPriced = (lines) => (lines || [])
+  .filter(l => l.breakdown?.flashSale)
+  .map(l => ({ flashSale: String(l.breakdown.flashSale), product: String(l.product._id), quantity: l.quantity, name: l.product.name }));
+
+// Flash-priced quantities from a placed order
+export const flashLinesFromOrder = (order) => (order?.items || [])
+  .filter(i => i.pricing?.flashSale)
+  .map(i => ({ flashSale: String(i.pricing.flashSale), product: String(i.product?._id || i.product), quantity: i.quantity, name: i.name }));
+
+// Sum quantities per (sale, product)
+const groupLines = (flashLines) => {
+  const map = new Map();
+  for (const l of flashLines || []) {
+    const key = `${l.flashSale}:${l.product}`;
+    const prev = map.get(key);
+    map.set(key, { ...l, quantity: (prev?.quantity || 0) + (Number(l.quantity) || 0) });
+  }
+  return [...map.values()];
+};
+
+const escapeRegex = (s) => String(s).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Units of a product a customer already bought at this sale's price (cancelled orders excluded)
+const purchasedByCustomer = async (saleId, productId, customer, session) => {
+  const or = [];
+  if (customer?.userId) or.push({ user: new mongoose.Types.ObjectId(String(customer.userId)) });
+  if (customer?.email) or.push({ 'customerInfo.email': new RegExp(`^${escapeRegex(String(customer.email).trim())}$`, 'i') });
+  if (!or.length) return 0;
+  const sale = new mongoose.Types.ObjectId(saleId);
+  const product = new mongoose.Types.ObjectId(productId);
+  const agg = Order.aggregate([
+    { $match: { $or: or, status: { $ne: 'cancelled' }, 'items.pricing.flashSale': sale } },
+    { $unwind: '$items' },
+    { $match: { 'items.pricing.flashSale': sale, 'items.product': product } },
+    { $group: { _id: null, qty: { $sum: '$items.quantity' } } }
+  ]);
+  const rows = session ? await agg.session(session) : await agg;
+  return rows[0]?.qty || 0;
+};
+
+/**
+ * Enforce per-order and per-customer caps and the remaining sale stock before an order is placed
+ * @param {Array} flashLines - From flashLinesFromPriced
+ * @param {{ userId?: string, email?: string }} customer
+ */
+export async function assertFlashSaleLimits(flashLines, customer, { session = null } = {}) {
+  const groups = groupLines(flashLines);
+  if (!groups.length) return;
+  const q = FlashSale.find({ _id: { $in: [...new Set(groups.map(g => g.flashSale))] } }).select('name items');
+  const sales = session ? await q.session(session).lean() : await q.lean();
+  const saleById = new Map(sales.map(s => [String(s._id), s]));
+
+  for (const g of groups) {
+    const item = (saleById.get(g.flashSale)?.items || []).find(i => String(i.product) === g.product);
+    if (!item) continue;
+    const name = g.name || 'this item';
+    if (Number(item.quantityLimit) > 0 && g.quantity > item.quantityLimit) {
+      throw new ApiError(StatusCodes.BAD_REQUEST, `Flash sale limit for ${name} is ${item.quantityLimit} per order`);
+    }
+    if (Number(item.perCustomerLimit) > 0) {
+      const bought = await purchasedByCustomer(g.flashSale, g.product, customer, session);
+      if (bought + g.quantity > item.perCustomerLimit) {
+        throw new ApiError(StatusCodes.BAD_REQUEST, `You can buy at most ${item.perCustomerLimit} of ${name} at the flash sale price (already bought ${bought})`);
+      }
+    }
+    const remaining = remainingOf(item);
+    if (remaining != null && g.quantity > remaining) {
+      throw new ApiError(StatusCodes.CONFLICT, remaining > 0 ? `Only ${remaining} of ${name} left at the flash sale price` : `${name} is sold out at the flash sale price`);
+    }
+  }
+}
+
+/**
+ * Count sold units down from the allocations. strict (checkout) fails when the allocation cannot cover
+ * the quantity; non-strict (payment already taken) always counts, clamping the remainder at 0.
+ * Without a session, units claimed before a failure are given back.
+ * @returns {Promise<Array>} Claimed lines (pass to releaseFlashSaleStock to undo)
+ */
+export async function claimFlashSaleStock(flashLines, { session = null, strict = true } = {}) {
+  const claimed = [];
+  try {
+    for (const g of groupLines(flashLines)) {
+      const r = await FlashSale.updateOne(
+        { _id: g.flashSale, items: { $elemMatch: { product: g.product, allocatedQuantity: { $gt: 0 }, remainingQuantity: { $gte: g.quantity } } } },
+        { $inc: { 'items.$.remainingQuantity': -g.quantity, 'items.$.soldQuantity': g.quantity } },
+        { session }
+      );
+      if (r?.modifiedCount) {
+        claimed.push(g);
+        continue;
+      }
+      const q = FlashSale.exists({ _id: g.flashSale, items: { $elemMatch: { product: g.product, allocatedQuantity: { $gt: 0 } } } });
+      const allocated = session ? await q.session(session) : await q;
+      // Items without an allocation have nothing to count down
+      if (!allocated) continue;
+      if (strict) throw new ApiError(StatusCodes.CONFLICT, `${g.name || 'Item'} is sold out at the flash sale price`);
+      await FlashSale.updateOne(
+        { _id: g.flashSale, items: { $elemMatch: { product: g.product } } },
+        { $inc: { 'items.$.soldQuantity': g.quantity }, $set: { 'items.$.remainingQuantity': 0 } },
+        { session }
+      );
+      claimed.push(g);
+    }
+  } catch (e) {
+    if (!session && claimed.length) {
+      try { await releaseFlashSaleStock(claimed); } catch {}
+    }
+    throw e;
+  }
+  return claimed;
+}
+
+// Give units back to the allocations (order cancelled or checkout failed); a sale that ended sold out reopens
+export async function releaseFlashSaleStock(flashLines) {
+  const groups = groupLines(flashLines);
+  const released = [];
+  for (const g of groups) {
+    const r = await FlashSale.updateOne(
+      { _id: g.flashSale, items: { $elemMatch: { product: g.product, allocatedQuantity: { $gt: 0 }, soldQuantity: { $gte: g.quantity } } } },
+      { $inc: { 'items.$.remainingQuantity': g.quantity, 'items.$.soldQuantity': -g.quantity } }
+    );
+    if (r?.modifiedCount) released.push(g);
+  }
+  if (!released.length) return 0;
+  const saleIds = [...new Set(released.map(g => g.flashSale))];
+  await FlashSale.updateMany(
+    { _id: { $in: saleIds }, endReason: 'sold_out', endDate: { $gt: new Date() } },
+    { $set: { active: true, endReason: null }, $unset: { endedAt: 1 } }
+  );
+  await syncFlashSales(saleIds);
+  return released.reduce((s, g) => s + g.quantity, 0);
+}
+
+/**
+ * End sales whose allocation is sold out and broadcast remaining stock to storefronts.
+ * A sale ends only when every item has an allocation and all of them are sold out.
+ */
+export async function syncFlashSales(saleIds) {
+  for (const id of new Set((saleIds || []).map(String))) {
+    const sale = await FlashSale.findById(id).lean();
+    if (!sale) continue;
+    const allocated = (sale.items || []).filter(hasAllocation);
+    const items = allocated.map(i => {
+      const remaining = remainingOf(i);
+      return { productId: String(i.product), remaining, sold: Number(i.soldQuantity) || 0, soldOut: remaining === 0 };
+    });
+    let ended = false;
+    if (sale.active && sale.endWhenSoldOut !== false && allocated.length && allocated.length === sale.items.length && items.every(i => i.soldOut)) {
+      const r = await FlashSale.updateOne({ _id: sale._id, active: true }, { $set: { active: false, endedAt: new Date(), endReason: 'sold_out' } });
+      ended = !!r?.modifiedCount;
+      if (ended) {
+        try { console.log('[flash-sales] sale sold out and ended', { sale: String(sale._id), name: sale.name }); } catch {}
+      }
+    }
+    try { realTimeEventService.emitFlashSaleStock({ saleId: String(sale._id), items, ended: ended || !sale.active }); } catch {}
+  }
+}
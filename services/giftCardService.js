@@ -0,0 +1,230 @@
+import mongoose from 'mongoose';
+import { StatusCodes } from 'http-status-codes';
+import GiftCard from '../models/GiftCard.js';
+import { ApiError } from '../utils/ApiError.js';
+import { reservationService } from './reservationService.js';
+
+const round2 = (n) => Math.round((Number(n) || 0) * 100) / 100;
+// Redemptions recorded before holds existed carry no status/restoredAmount
+const REDEEMED = { $in: ['redeemed', null] };
+const orNull = (v) => (v === 'redeemed' ? REDEEMED : (v === 0 ? { $in: [0, null] } : v));
+
+// Balance left to pay on an order once its gift cards and store credit are applied
+export const orderAmountDue = (order) => round2(Math.max(0,
+  (Number(order.totalAmount) || 0) + (Number(order.shippingFee) || 0)
+  - (Number(order.giftCardTotal) || 0) - (Number(order.storeCreditAmount) || 0)
+));
+
+class GiftCardService {
+  /**
+   * Gift card codes from a checkout payload: `giftCards: ['CODE' | { code, amount? }]` or `giftCardCode`.
+   * @returns {Array<{ code: string, amount: number|null }>}
+   */
+  parseCodes(body = {}) {
+    const raw = Array.isArray(body.giftCards) ? body.giftCards : (body.giftCardCode ? [body.giftCardCode] : []);
+    const seen = new Set();
+    const out = [];
+    for (const entry of raw) {
+      const code = String((entry && typeof entry === 'object' ? entry.code : entry) || '').trim().toUpperCase();
+      if (!code || seen.has(code)) continue;
+      seen.add(code);
+      const amount = entry && typeof entry === 'object' && entry.amount != null ? Number(entry.amount) : null;
+      out.push({ code, amount: Number.isFinite(amount) && amount > 0 ? amount : null });
+    }
+    return out;
+  }
+
+  /**
+   * Validate codes and split `total` across them (each card covers up to its balance or the requested amount).
+   * Nothing is deducted here; see hold()/redeem().
+   * @returns {Promise<{ lines: Array<{ giftCard: string, code: string, amount: number }>, total: number }>}
+   */
+  async plan(codes, total) {
+    let remaining = round2(total);
+    const lines = [];
+    const now = new Date();
+    for (const { code, amount } of codes) {
+      if (remaining <= 0) break;
+      const card = await GiftCard.findOne({ code }).lean();
+      if (!card) throw new ApiError(StatusCodes.NOT_FOUND, `Gift card not found: ${code}`);
+      if (card.expiryDate && card.expiryDate < now) throw new ApiError(StatusCodes.BAD_REQUEST, `Gift card ${code} is expired`);
+      if (card.status !== 'active') throw new ApiError(StatusCodes.BAD_REQUEST, `Gift card ${code} is ${card.status}`);
+      const applied = round2(Math.min(amount ?? card.currentBalance, card.currentBalance, remaining));
+      if (applied <= 0) continue;
+      lines.push({ giftCard: String(card._id), code: card.code, amount: applied });
+      remaining = round2(remaining - applied);
+    }
+    return { lines, total: round2(lines.reduce((s, l) => s + l.amount, 0)) };
+  }
+
+  // Hold balances for a hosted payment session; released by the expiry sweep unless captured in time
+  async hold(lines, { paymentSession }) {
+    const ttl = await reservationService.getTTLMinutes();
+    const expiresAt = new Date(Date.now() + ttl * 60 * 1000);
+    return this.#debitAll(lines, { paymentSession, status: 'held', expiresAt }, {});
+  }
+
+  // Spend balances on an order. Inside a transaction the caller's abort undoes partial debits.
+  async redeem(lines, { order }, { session = null } = {}) {
+    return this.#debitAll(lines, { order, status: 'redeemed' }, { session });
+  }
+
+  /**
+   * Turn a payment session's holds into redemptions of the order. Cards whose hold already lapsed are
+   * debited again; what cannot be debited any more is returned as shortfall.
+   */
+  async captureHolds(paymentSession, order, lines = []) {
+    let shortfall = 0;
+    for (const line of lines) {
+      const r = await GiftCard.updateOne(
+        { _id: line.giftCard, redemptions: { $elemMatch: { paymentSession, status: 'held' } } },
+        {
+          $set: { 'redemptions.$.status': 'redeemed', 'redemptions.$.order': order, 'redemptions.$.date': new Date() },
+          $unset: { 'redemptions.$.expiresAt': 1 }
+        }
+      );
+      if (r?.modifiedCount) continue;
+      try {
+        await this.#debitAll([line], { order, paymentSession, status: 'redeemed' }, {});
+      } catch (e) {
+        shortfall = round2(shortfall + line.amount);
+        try { console.warn('[giftcards][capture] hold lapsed and balance is gone', { code: line.code, amount: line.amount, error: e?.message }); } catch {}
+      }
+    }
+    return { shortfall };
+  }
+
+  // Give back held (not yet captured) balances of a payment session
+  async releaseHolds(paymentSession, reason = 'Released') {
+    const cards = await GiftCard.find({ redemptions: { $elemMatch: { paymentSession, status: 'held' } } });
+    let released = 0;
+    for (const card of cards) {
+      for (const r of card.redemptions) {
+        if (String(r.paymentSession) !== String(paymentSession) || r.status !== 'held') continue;
+        released = round2(released + await this.#giveBack(card, r, r.amount, 'released', reason));
+      }
+    }
+    return released;
+  }
+
+  /**
+   * Restore balance spent on an order (cancellation or refund), newest redemption first.
+   * @param {{ amount?: number, reason?: string }} [opts] amount caps the restore for partial refunds
+   * @returns {Promise<number>} amount restored
+   */
+  async restoreForOrder(orderId, { amount = Infinity, reason = 'Order cancelled' } = {}) {
+    let budget = amount;
+    let restored = 0;
+    const cards = await GiftCard.find({ redemptions: { $elemMatch: { order: orderId, status: REDEEMED } } });
+    const entries = cards.flatMap(card => card.redemptions
+      .filter(r => String(r.order) === String(orderId) && r.status === 'redeemed')
+      .map(r => ({ card, r })))
+      .sort((a, b) => new Date(b.r.date) - new Date(a.r.date));
+    for (const { card, r } of entries) {
+      if (budget <= 0) break;
+      const give = round2(Math.min(budget, (Number(r.amount) || 0) - (Number(r.restoredAmount) || 0)));
+      if (give <= 0) continue;
+      const done = await this.#giveBack(card, r, give, 'restored', reason);
+      budget = round2(budget - done);
+      restored = round2(restored + done);
+    }
+    return restored;
+  }
+
+  /**
+   * Debit an order's gift cards again after its balances were restored (cancelled order reinstated).
+   * @returns {Promise<number>} amount debited; 0 when the order still holds its redemptions
+   */
+  async reapplyForOrder(order) {
+    const lines = (order.giftCards || []).filter(l => l.amount > 0);
+    if (!lines.length) return 0;
+    const cards = await GiftCard.find({ redemptions: { $elemMatch: { order: order._id, status: REDEEMED } } }).lean();
+    if (cards.length) return 0;
+    const done = await this.redeem(lines.map(l => ({ giftCard: l.giftCard, code: l.code, amount: l.amount })), { order: order._id });
+    return round2(done.reduce((s, l) => s + l.amount, 0));
+  }
+
+  // Release holds whose payment session was never confirmed
+  async expireDueHolds() {
+    const now = new Date();
+    const cards = await GiftCard.find({ redemptions: { $elemMatch: { status: 'held', expiresAt: { $lte: now } } } });
+    let count = 0;
+    for (const card of cards) {
+      for (const r of card.redemptions) {
+        if (r.status !== 'held' || !r.expiresAt || r.expiresAt > now) continue;
+        if (await this.#giveBack(card, r, r.amount, 'released', 'Hold expired')) count++;
+      }
+    }
+    return count;
+  }
+
+  async #debitAll(lines, entry, { session }) {
+    const done = [];
+    try {
+      for (const line of lines) {
+        const now = new Date();
+        const redemption = { _id: new mongoose.Types.ObjectId(), ...entry, amount: round2(line.amount), date: now };
+        const card = await GiftCard.findOneAndUpdate(
+          { _id: line.giftCard, status: 'active', expiryDate: { $gt: now }, currentBalance: { $gte: redemption.amount } },
+          { $inc: { currentBalance: -redemption.amount }, $set: { lastUsed: now }, $push: { redemptions: redemption } },
+          { new: true, session }
+        );
+        if (!card) throw new ApiError(StatusCodes.CONFLICT, `Insufficient balance on gift card ${line.code}`);
+        if (card.currentBalance <= 0) {
+          await GiftCard.updateOne({ _id: card._id, currentBalance: { $lte: 0 } }, { $set: { status: 'redeemed' } }, { session });
+        }
+        done.push({ card, redemption });
+      }
+    } catch (e) {
+      if (!session) {
+        for (const { card, redemption } of done) {
+          try { await this.#giveBack(card, redemption, redemption.amount, 'released', 'Checkout failed'); } catch {}
+        }
+      }
+      throw e;
+    }
+    return done.map(({ card, redemption }) => ({ giftCard: card._id, code: card.code, amount: redemption.amount }));
+  }
+
+  // Atomically credit part of one redemption back; the restoredAmount match guards against double restores
+  async #giveBack(card, redemption, amount, finalStatus, reason) {
+    const give = round2(amount);
+    if (give <= 0) return 0;
+    const already = Number(redemption.restoredAmount) || 0;
+    const fully = round2(already + give) >= round2(redemption.amount);
+    const r = await GiftCard.updateOne(
+      { _id: card._id, redemptions: { $elemMatch: { _id: redemption._id, status: orNull(redemption.status), restoredAmount: orNull(already) } } },
+      {
+        $inc: { currentBalance: give, 'redemptions.$.restoredAmount': give },
+        $set: { 'redemptions.$.restoredAt': new Date(), ...(fully ? { 'redemptions.$.status': finalStatus } : {}) }
+      }
+    );
+    if (!r?.modifiedCount) return 0;
+    // A fully spent card becomes usable again unless it has expired in the meantime
+    await GiftCard.updateOne(
+      { _id: card._id, status: 'redeemed', currentBalance: { $gt: 0 }, expiryDate: { $gt: new Date() } },
+      { $set: { status: 'active' } }
+    );
+    try { console.log('[giftcards] balance restored', { code: card.code, amount: give, reason }); } catch {}
+    return give;
+  }
+}
+
+export const giftCardService = new GiftCardService();
+
+// Periodic sweep of lapsed payment-session holds
+let _timer = null;
+
+export function startGiftCardHoldExpiryScheduler() {
+  if (_timer) return;
+  const tick = async () => {
+    try {
+      const n = await giftCardService.expireDueHolds();
+      if (n) console.log('[giftcards][holds] released expired holds', { count: n });
+    } catch (e) {
+      try { console.warn('[giftcards][holds] sweep failed:', e?.message || e); } catch {}
+    }
+  };
+  _timer = setInterval(tick, 60 * 1000);
+  try { _timer.unref?.(); } catch {}
+}
@@ -323,6 +323,98 @@ export async function requestICreditPaymentUrl({ order, settings, overrides = {}
 			e.status = e.status || 400; throw e;
 }
 
+// Refund endpoint: explicit setting/env, else RefundSale on the PaymentPageRequest service of apiUrl
+export function resolveICreditRefundUrl(settings) {
+	const cfg = settings?.payments?.icredit || {};
+	const explicit = String(process.env.ICREDIT_REFUND_URL || cfg.refundUrl || '').trim();
+	if (explicit) return explicit;
+	return normalizeICreditUrl(cfg.apiUrl).replace(/\/(?:json\/)?GetUrl$/i, '/RefundSale');
+}
+
+/**
+ * Refund (credit) all or part of a completed iCredit sale.
+ * @param {{ saleId: string, transactionToken?: string, amount: number, reason?: string, reference?: string, settings?: object }} params
+ * @returns {Promise<{ ok: boolean, status: string, refundId: string|null, message: string, response: any, httpStatus: number }>}
+ *   ok=false when iCredit declined the refund; configuration and network errors throw
+ */
+export async function requestICreditRefund({ saleId, transactionToken, amount, reason, reference, settings }) {
+	const s = settings || (await loadSettings());
+	const cfg = s?.payments?.icredit || {};
+	const token = String(cfg.groupPrivateToken || '').trim();
+	if (!token) {
+		const e = new Error('Missing GroupPrivateToken'); e.status = 412; throw e;
+	}
+	if (!saleId) {
+		const e = new Error('iCredit sale id is required for a refund'); e.status = 400; throw e;
+	}
+	const url = resolveICreditRefundUrl(s);
+	const body = {
+		GroupPrivateToken: token,
+		SaleId: String(saleId),
+		Amount: Math.round(Number(amount) * 100) / 100,
+		Comments: reason || ''
+	};
+	if (transactionToken) body.TransactionToken = String(transactionToken);
+	if (reference) body.Reference = String(reference);
+	const resp = await postJson(url, body, perAttemptTimeout());
+	const httpStatus = resp?.status || 0;
+	const data = resp?.data;
+	// WCF JSON endpoints may wrap the result in { d: {...} }
+	const raw = data && typeof data === 'object' ? (data.d && typeof data.d === 'object' ? data.d : data) : {};
+	const status = raw.Status ?? raw.status ?? raw.ResultCode;
+	const message = String(raw.DebugMessage || raw.ErrorMessage || raw.Message || raw.message || (typeof data === 'string' ? data.slice(0, 160) : '') || '');
+	const accepted = status === undefined ? !raw.ErrorMessage && !raw.DebugMessage : ['0', 'ok', 'success', 'approved', 'completed'].includes(String(status).toLowerCase());
+	return {
+		ok: httpStatus >= 200 && httpStatus < 300 && accepted,
+		status: String(status ?? httpStatus),
+		refundId: String(raw.RefundId || raw.TransactionId || raw.CreditId || raw.DocumentNumber || '') || null,
+		message,
+		response: data,
+		httpStatus
+	};
+}
+
+// Sale verification endpoint: explicit setting/env, else Verify on the PaymentPageRequest service of apiUrl
+export function resolveICreditVerifyUrl(settings) {
+	const cfg = settings?.payments?.icredit || {};
+	const explicit = String(process.env.ICREDIT_VERIFY_URL || cfg.verifyUrl || '').trim();
+	if (explicit) return explicit;
+	return normalizeICreditUrl(cfg.apiUrl).replace(/\/(?:json\/)?GetUrl$/i, '/Verify');
+}
+
+/**
+ * Ask iCredit whether a sale really took place for the given amount (IPNs are otherwise unauthenticated).
+ * @param {{ saleId: string, amount: number, settings?: object }} params
+ * @returns {Promise<{ verified: boolean, status: string, response: any, httpStatus: number }>}
+ *   configuration and network errors throw
+ */
+export async function verifyICreditSale({ saleId, amount, settings }) {
+	const s = settings || (await loadSettings());
+	const token = String(s?.payments?.icredit?.groupPrivateToken || '').trim();
+	if (!token) {
+		const e = new Error('Missing GroupPrivateToken'); e.status = 412; throw e;
+	}
+	if (!saleId) {
+		const e = new Error('iCredit sale id is required for verification'); e.status = 400; throw e;
+	}
+	const resp = await postJson(resolveICreditVerifyUrl(s), {
+		GroupPrivateToken: token,
+		SaleId: String(saleId),
+		TotalAmount: Math.round(Number(amount) * 100) / 100
+	}, perAttemptTimeout());
+	const httpStatus = resp?.status || 0;
+	const data = resp?.data;
+	const raw = data && typeof data === 'object' ? (data.d && typeof data.d === 'object' ? data.d : data) : {};
+	// Answers { Status: 'VERIFIED' } or { Status: 'NOT VERIFIED' }
+	const status = String(raw.Status ?? raw.status ?? (typeof data === 'string' ? data.slice(0, 60) : httpStatus)).trim();
+	return {
+		verified: httpStatus >= 200 && httpStatus < 300 && status.toUpperCase() === 'VERIFIED',
+		status,
+		response: data,
+		httpStatus
+	};
+}
+
 export async function diagnoseICreditConnectivity(baseUrl) {
 	const candidates = buildICreditCandidates(baseUrl);
 	const agent = pickAgent();
@@ -369,6 +461,10 @@ export default {
 	buildICreditRequest,
 	buildICreditCandidates,
 	requestICreditPaymentUrl,
+	resolveICreditRefundUrl,
+	requestICreditRefund,
+	resolveICreditVerifyUrl,
+	verifyICreditSale,
 	diagnoseICreditConnectivity,
 	pingICredit
 };
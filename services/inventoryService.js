@@ -10,6 +10,13 @@ import Settings from '../models/Settings.js';
 import { updateItemsQuantities, setItemsList, getItemsList } from './mcgService.js';
 
 class InventoryService {
+  #stockListeners = [];
+
+  // Register a callback run (without awaiting) when a product's stock went up, e.g. to allocate backorders
+  onStockIncreased(listener) {
+    if (typeof listener === 'function') this.#stockListeners.push(listener);
+  }
+
   // Public: force recomputation of product and per-variant stock totals
   async recomputeProductStock(productId) {
     return this.#updateProductStock(productId);
@@ -282,6 +289,57 @@ class InventoryService {
     // Push absolute quantities to MCG where enabled (Uplîcali)
     try { await this.#pushMcgForSkus(touchedSkus); } catch {}
   }
+  // Put returned units back into a specific warehouse (creates the inventory row when missing)
+  async restockToWarehouse({ product, variantId, size, color, quantity, warehouse, userId, reason = 'Return restock' }) {
+    if (!product || !warehouse || !quantity || quantity <= 0) {
+      throw new ApiError(StatusCodes.BAD_REQUEST, 'Product, warehouse and a positive quantity are required');
+    }
+    const wh = await Warehouse.findById(warehouse).select('name');
+    if (!wh) throw new ApiError(StatusCodes.NOT_FOUND, 'Warehouse not found');
+    const usingVariant = !!variantId;
+    const filter = usingVariant
+      ? { product, variantId, warehouse }
+      : { product, size: (size && String(size).trim()) ? size : 'Default', color: (color && String(color).trim()) ? color : 'Default', warehouse };
+    let inv = await Inventory.findOne(filter);
+    if (!inv) inv = new Inventory({ ...filter, quantity: 0, location: wh.name, lowStockThreshold: 5 });
+    const beforeQuantity = Number(inv.quantity) || 0;
+    inv.quantity = beforeQuantity + quantity;
+    await inv.save();
+    await this.#createHistoryRecord({
+      product,
+      variantId: usingVariant ? variantId : undefined,
+      size: usingVariant ? undefined : filter.size,
+      color: usingVariant ? undefined : filter.color,
+      type: 'increase',
+      quantity,
+      beforeQuantity,
+      afterQuantity: inv.quantity,
+      reason,
+      user: userId
+    });
+    await this.#updateProductStock(product);
+    try { await this.#pushMcgForSkus([{ product, variantId: filter.variantId, size: filter.size, color: filter.color }]); } catch {}
+    return inv;
+  }
+
+  // Record returned units that will not go back to stock (damaged / unsellable). Stock is unchanged.
+  async recordWriteOff({ product, variantId, size, color, quantity, userId, reason = 'Return write-off' }) {
+    if (!product || !quantity || quantity <= 0) {
+      throw new ApiError(StatusCodes.BAD_REQUEST, 'Product and a positive quantity are required');
+    }
+    await this.#createHistoryRecord({
+      product,
+      variantId: variantId || undefined,
+      size: variantId ? undefined : size,
+      color: variantId ? undefined : color,
+      type: 'update',
+      quantity,
+      delta: 0,
+      reason,
+      user: userId
+    });
+  }
+
   // Move stock between warehouses
   async moveStockBetweenWarehouses({ product, size, color, variantId, quantity, fromWarehouse, toWarehouse, userId, reason }) {
     if (!product || !fromWarehouse || !toWarehouse || !userId || !quantity || quantity <= 0) {
@@ -742,7 +800,8 @@ class InventoryService {
         }
       }
       // Read product variants lean to avoid creating a Mongoose document (and its validations)
-      const productLean = await Product.findById(productId).select('variants').lean();
+      const productLean = await Product.findById(productId).select('stock variants').lean();
+      let increased = false;
       if (productLean && Array.isArray(productLean.variants) && productLean.variants.length) {
         // Prepare bulk updates to set each variant's stock explicitly (missing entries -> 0)
         const bulkOps = [];
@@ -751,6 +810,7 @@ class InventoryService {
           const vid = String(v._id);
           const qty = perVariant.get(vid) || 0;
           sumVariants += (Number(qty) || 0);
+          if (qty > (Number(v.stock) || 0)) increased = true;
           bulkOps.push({
             updateOne: {
               filter: { _id: productId, 'variants._id': v._id },
@@ -767,12 +827,24 @@ class InventoryService {
       } else {
         // No variants array: use total inventory sum directly
         await Product.updateOne({ _id: productId }, { $set: { stock: totalStock } }, { runValidators: false });
+        increased = !!productLean && totalStock > (Number(productLean.stock) || 0);
       }
+      if (increased) this.#notifyStockIncreased(productId);
     } catch (error) {
       throw new ApiError(StatusCodes.INTERNAL_SERVER_ERROR, 'Error updating product stock');
     }
   }
 
+  #notifyStockIncreased(productId) {
+    for (const listener of this.#stockListeners) {
+      try {
+        Promise.resolve(listener(String(productId))).catch(e => {
+          try { console.warn('[inventory][stock] listener failed', e?.message || e); } catch {}
+        });
+      } catch {}
+    }
+  }
+
   async #createHistoryRecord(data) {
     try {
       // Ensure delta computed if not provided
@@ -0,0 +1,612 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import axios from 'axios';
+import { StatusCodes } from 'http-status-codes';
+import Invoice from '../models/Invoice.js';
+import DocumentSequence from '../models/DocumentSequence.js';
+import Settings from '../models/Settings.js';
+import { ApiError } from '../utils/ApiError.js';
+import { PdfDocument } from '../utils/pdf.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const uploadDir = path.resolve(__dirname, '../../uploads');
+
+const round2 = (n) => Math.round((Number(n) || 0) * 100) / 100;
+// VAT contained in a tax-inclusive amount
+const taxOf = (gross, rate) => (rate > 0 ? round2((gross * rate) / (100 + rate)) : 0);
+// An invoice states the order was paid: online payments once captured, cash on delivery once collected or delivered
+const isInvoiceable = (order) => ['completed', 'partially_refunded', 'refunded'].includes(order.paymentStatus)
+  || (order.paymentMethod === 'cod' && ['delivered', 'returned'].includes(order.status));
+const LANGUAGES = ['en', 'ar', 'he'];
+const RTL = ['ar', 'he'];
+
+const LABELS = {
+  en: {
+    invoice: 'Tax Invoice', invoiceExempt: 'Invoice', credit_note: 'Credit Note', receipt: 'Receipt',
+    number: 'No.', date: 'Date', reference: 'Reference', refersTo: 'Refers to', billTo: 'Bill to', taxId: 'Tax ID',
+    description: 'Description', quantity: 'Qty', unitPrice: 'Unit price', discount: 'Discount', vat: 'VAT', total: 'Total',
+    subtotal: 'Subtotal', shipping: 'Shipping', vatIncluded: 'VAT included', vatExempt: 'Exempt from VAT',
+    payments: 'Payments', void: 'VOID'
+  },
+  ar: {
+    invoice: 'فاتورة ضريبية', invoiceExempt: 'فاتورة', credit_note: 'إشعار دائن', receipt: 'إيصال',
+    number: 'رقم', date: 'التاريخ', reference: 'المرجع', refersTo: 'بخصوص', billTo: 'إلى', taxId: 'الرقم الضريبي',
+    description: 'الوصف', quantity: 'الكمية', unitPrice: 'سعر الوحدة', discount: 'الخصم', vat: 'الضريبة', total: 'المجموع',
+    subtotal: 'المجموع الفرعي', shipping: 'الشحن', vatIncluded: 'شامل الضريبة', vatExempt: 'معفى من الضريبة',
+    payments: 'الدفعات', void: 'ملغاة'
+  },
+  he: {
+    invoice: 'חשבונית מס', invoiceExempt: 'חשבונית', credit_note: 'חשבונית זיכוי', receipt: 'קבלה',
+    number: 'מספר', date: 'תאריך', reference: 'אסמכתא', refersTo: 'בהתייחס ל', billTo: 'לכבוד', taxId: 'ע.מ./ח.פ.',
+    description: 'תיאור', quantity: 'כמות', unitPrice: 'מחיר יחידה', discount: 'הנחה', vat: 'מע"מ', total: 'סה"כ',
+    subtotal: 'סכום ביניים', shipping: 'משלוח', vatIncluded: 'כולל מע"מ', vatExempt: 'פטור ממע"מ',
+    payments: 'תשלומים', void: 'מבוטל'
+  }
+};
+
+const escapeHtml = (s) => String(s ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+const money = (n) => (Number(n) || 0).toFixed(2);
+const day = (d) => (d ? new Date(d).toISOString().slice(0, 10) : '');
+const titleOf = (inv, t) => (inv.type === 'invoice' && inv.vatExempt ? t.invoiceExempt : t[inv.type]);
+const methodLabel = (m) => String(m || '').replace(/[_-]/g, ' ');
+
+// Logo bytes for PDFs (JPEG only); kept for the process lifetime per URL
+let logoCache = { url: null, data: null };
+
+class InvoiceService {
+  // Per-order issuing in flight, so concurrent downloads share one run; across processes the unique
+  // Invoice revision index keeps a second invoice from being issued
+  #pending = new Map();
+
+  /**
+   * Effective invoicing configuration: Settings.invoicing plus store details and the iCredit VAT/language flags.
+   */
+  async config() {
+    const settings = await Settings.findOne().lean();
+    const inv = settings?.invoicing || {};
+    const icredit = settings?.payments?.icredit || {};
+    const language = [inv.language, icredit.documentLanguage, settings?.defaultLanguage].find(l => LANGUAGES.includes(l)) || 'en';
+    const vatExempt = !!icredit.exemptVAT;
+    return {
+      template: inv.template === 'compact' ? 'compact' : 'classic',
+      accentColor: inv.accentColor || '#1f2937',
+      footerText: inv.footerText || '',
+      language,
+      vatExempt,
+      vatRate: vatExempt ? 0 : Math.max(0, Number(inv.vatRate) || 0),
+      prefixes: {
+        invoice: inv.invoicePrefix || 'INV',
+        credit_note: inv.creditNotePrefix || 'CN',
+        receipt: inv.receiptPrefix || 'RCP'
+      },
+      yearlySequence: inv.yearlySequence !== false,
+      seller: {
+        name: settings?.name || '',
+        address: settings?.address || '',
+        phone: settings?.phone || '',
+        email: settings?.email || '',
+        taxId: inv.taxId || '',
+        logo: inv.showLogo !== false ? (settings?.logo || '') : ''
+      },
+      currency: settings?.currency || 'USD'
+    };
+  }
+
+  // Most recent issued invoice of an order
+  async latestInvoice(orderId) {
+    return Invoice.findOne({ order: orderId, type: 'invoice', status: 'issued' }).sort({ issuedAt: -1 });
+  }
+
+  /**
+   * Invoice for an order. Idempotent: the existing invoice is returned unless it was fully credited and the
+   * order is active again (reinstated after cancellation), in which case a new one is issued.
+   */
+  async issueForOrder(order, { createdBy } = {}) {
+    const key = String(order._id);
+    if (this.#pending.has(key)) return this.#pending.get(key);
+    const run = this.#issueForOrder(order, { createdBy }).finally(() => this.#pending.delete(key));
+    this.#pending.set(key, run);
+    return run;
+  }
+
+  /**
+   * Credit note against the order's invoice (refund or cancellation). Returns null when the order was never
+   * invoiced or nothing is left to credit. Idempotent per return request.
+   * @param {{ amount?: number, returnRequest?: object, reason?: string, createdBy?: string }} [opts]
+   *   amount defaults to the invoice amount not credited yet; returnRequest lines are itemised
+   */
+  async issueCreditNote(order, { amount, returnRequest, reason, createdBy } = {}) {
+    if (returnRequest) {
+      const existing = await Invoice.findOne({ type: 'credit_note', returnRequest: returnRequest._id, status: 'issued' });
+      if (existing) return existing;
+    }
+    const claim = await this.#claimCredit(order._id, amount);
+    if (!claim) return null;
+    const { invoice, open, value } = claim;
+
+    const rate = invoice.vatExempt ? 0 : (invoice.lines[0]?.taxRate || 0);
+    let lines;
+    let shipping = 0;
+    if (returnRequest) {
+      lines = (returnRequest.items || []).map(it => {
+        const quantity = it.receivedQuantity ?? it.quantity;
+        const total = round2(quantity * it.unitPrice);
+        return { description: [it.name, it.size, it.color].filter(Boolean).join(' / ') || 'Item', quantity, unitPrice: it.unitPrice, discount: 0, taxRate: rate, taxAmount: taxOf(total, rate), total };
+      }).filter(l => l.quantity > 0);
+    } else if (value === open && !invoice.creditedAmount) {
+      lines = invoice.lines.map(l => l.toObject());
+      shipping = invoice.shipping;
+    } else {
+      lines = [];
+    }
+    // Whatever the itemised lines do not explain (shipping refunds, fees, partial amounts) is one adjustment line
+    const itemised = round2(lines.reduce((s, l) => s + l.total, 0) + shipping);
+    const rest = round2(value - itemised);
+    if (rest !== 0) {
+      lines.push({ description: reason || `Refund ${invoice.number}`, quantity: 1, unitPrice: rest, discount: 0, taxRate: rate, taxAmount: taxOf(rest, rate), total: rest });
+    }
+    let note;
+    try {
+      const cfg = await this.config();
+      note = await this.#issue({
+        type: 'credit_note',
+        order: order._id,
+        returnRequest: returnRequest?._id,
+        relatedInvoice: invoice._id,
+        relatedNumber: invoice.number,
+        reference: order.orderNumber,
+        currency: invoice.currency,
+        language: invoice.language,
+        seller: cfg.seller,
+        buyer: invoice.buyer,
+        ...this.#totals(lines, shipping, rate),
+        vatExempt: invoice.vatExempt,
+        notes: reason,
+        createdBy
+      }, cfg);
+    } catch (e) {
+      // No note was issued: give the claimed amount back
+      try { await Invoice.updateOne({ _id: invoice._id }, { $inc: { creditedAmount: -value } }); } catch {}
+      throw e;
+    }
+    return note;
+  }
+
+  /**
+   * Receipt for a completed POS sale, or a credit note for a POS refund. Idempotent per transaction.
+   */
+  async issueReceipt(transaction, { createdBy } = {}) {
+    const existing = await Invoice.findOne({ posTransaction: transaction._id, status: 'issued' });
+    if (existing) return existing;
+    if (!['sale', 'refund'].includes(transaction.type) || !['completed', 'refunded'].includes(transaction.status)) {
+      throw new ApiError(StatusCodes.CONFLICT, 'Only completed sales and refunds have receipts');
+    }
+    const cfg = await this.config();
+    const lines = (transaction.items || []).map(it => ({
+      description: [it.productName, it.variantName].filter(Boolean).join(' / ') || 'Item',
+      sku: it.productSku,
+      quantity: it.quantity,
+      unitPrice: it.unitPrice,
+      discount: round2(it.discount?.amount || 0),
+      taxRate: it.tax?.rate || 0,
+      taxAmount: round2(it.tax?.amount || 0),
+      total: round2(it.totalPrice)
+    }));
+    const isRefund = transaction.type === 'refund';
+    const original = isRefund && transaction.originalTransaction
+      ? await Invoice.findOne({ posTransaction: transaction.originalTransaction, status: 'issued' })
+      : null;
+    return this.#issue({
+      type: isRefund ? 'credit_note' : 'receipt',
+      posTransaction: transaction._id,
+      relatedInvoice: original?._id,
+      relatedNumber: original?.number,
+      reference: transaction.receiptNumber || transaction.transactionNumber,
+      currency: transaction.currency || cfg.currency,
+      language: cfg.language,
+      seller: cfg.seller,
+      buyer: { name: transaction.customerInfo?.name, email: transaction.customerInfo?.email, phone: transaction.customerInfo?.phone },
+      lines,
+      subtotal: round2(transaction.subtotal),
+      discountTotal: round2(transaction.totalDiscount),
+      shipping: 0,
+      taxTotal: round2(transaction.totalTax),
+      total: round2(transaction.total),
+      payments: (transaction.payments || []).map(p => ({ method: p.method, amount: p.amount, reference: p.reference })),
+      vatExempt: cfg.vatExempt,
+      createdBy
+    }, cfg);
+  }
+
+  /**
+   * HTML rendering of one or more documents (each starts on a new printed page).
+   * @param {object|object[]} invoices
+   * @returns {Promise<string>}
+   */
+  async renderHtml(invoices) {
+    const list = Array.isArray(invoices) ? invoices : [invoices];
+    const cfg = await this.config();
+    const lang = list[0]?.language || cfg.language;
+    const compact = cfg.template === 'compact';
+    const accent = /^#[0-9a-f]{3,8}$/i.test(cfg.accentColor) ? cfg.accentColor : '#1f2937';
+    const docs = list.map(inv => this.#htmlDocument(inv, cfg)).join('\n');
+    return `<!DOCTYPE html>
+<html lang="${lang}" dir="${RTL.includes(lang) ? 'rtl' : 'ltr'}">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(list.length === 1 ? list[0].number : 'Documents')}</title>
+<style>
+  body { font-family: 'DejaVu Sans', Arial, sans-serif; color: #111; margin: 0; font-size: ${compact ? 11 : 13}px; }
+  .doc { max-width: 800px; margin: 0 auto; padding: ${compact ? 16 : 32}px; page-break-after: always; }
+  .doc:last-child { page-break-after: auto; }
+  .doc[dir="rtl"] { text-align: right; }
+  header { display: flex; justify-content: space-between; gap: 16px; border-bottom: 3px solid ${accent}; padding-bottom: 12px; }
+  header img { max-height: ${compact ? 40 : 64}px; }
+  h1 { color: ${accent}; margin: 0 0 4px; font-size: ${compact ? 18 : 24}px; }
+  .void { color: #b91c1c; font-weight: bold; }
+  .parties { display: flex; justify-content: space-between; gap: 16px; margin: 16px 0; }
+  table { width: 100%; border-collapse: collapse; }
+  th { background: ${accent}; color: #fff; padding: ${compact ? 4 : 8}px; text-align: start; }
+  td { padding: ${compact ? 3 : 6}px ${compact ? 4 : 8}px; border-bottom: 1px solid #e5e7eb; }
+  .num { text-align: end; white-space: nowrap; }
+  .totals { margin-inline-start: auto; width: ${compact ? 240 : 300}px; margin-top: 12px; }
+  .totals .grand td { font-weight: bold; border-top: 2px solid ${accent}; }
+  footer { margin-top: 24px; color: #6b7280; font-size: 0.9em; text-align: center; }
+</style>
+</head>
+<body>
+${docs}
+</body>
+</html>`;
+  }
+
+  /**
+   * PDF of one or more documents (each on its own page). Arabic/Hebrew need a Unicode font (see utils/pdf.js);
+   * without one the labels fall back to English.
+   * @param {object|object[]} invoices
+   * @returns {Promise<Buffer>}
+   */
+  async renderPdf(invoices) {
+    const list = Array.isArray(invoices) ? invoices : [invoices];
+    const cfg = await this.config();
+    const logo = cfg.seller.logo ? await this.#logoJpeg(cfg.seller.logo) : null;
+    const pdf = new PdfDocument({ unicode: true });
+    list.forEach((inv, i) => {
+      if (i > 0) pdf.addPage();
+      this.#pdfDocument(pdf, inv, cfg, logo);
+    });
+    return pdf.toBuffer();
+  }
+
+  // Claim part of the open invoice amount with a conditional $inc before the credit note is issued, so
+  // concurrent credit notes cannot credit more than the invoice; re-read when another one got there first
+  async #claimCredit(orderId, amount) {
+    for (let attempt = 1; ; attempt++) {
+      const invoice = await this.latestInvoice(orderId);
+      if (!invoice) return null;
+      const open = round2(invoice.total - (invoice.creditedAmount || 0));
+      const value = round2(Math.min(amount ?? open, open));
+      if (!(value > 0)) return null;
+      const r = await Invoice.updateOne(
+        { _id: invoice._id, $expr: { $lte: [{ $add: [{ $ifNull: ['$creditedAmount', 0] }, value] }, { $add: ['$total', 0.005] }] } },
+        { $inc: { creditedAmount: value } }
+      );
+      if (r.modifiedCount) return { invoice, open, value };
+      if (attempt >= 3) throw new ApiError(StatusCodes.CONFLICT, 'The invoice is being credited by another request; try again');
+    }
+  }
+
+  async #issueForOrder(order, { createdBy }) {
+    const existing = await this.latestInvoice(order._id);
+    const inactive = ['cancelled', 'returned'].includes(order.status);
+    if (existing && (inactive || round2(existing.total - (existing.creditedAmount || 0)) > 0)) return existing;
+    if (order.status === 'cancelled') throw new ApiError(StatusCodes.CONFLICT, 'Cancelled orders are not invoiced');
+    if (!isInvoiceable(order)) throw new ApiError(StatusCodes.CONFLICT, 'The order is invoiced once it is paid');
+
+    const cfg = await this.config();
+    // Orders taxed at checkout (services/taxService.js) carry their own rates; older ones use the invoicing VAT rate
+    const taxed = !!order.tax?.mode;
+    const exclusive = order.tax?.mode === 'exclusive';
+    const exempt = !!order.tax?.exempt;
+    const rate = taxed ? (order.items?.[0]?.tax?.rate || 0) : cfg.vatRate;
+    const lines = (order.items || []).map(line => {
+      const unitPrice = round2(line.pricing?.unitPrice ?? line.price);
+      const gross = round2(unitPrice * line.quantity);
+      const net = round2(line.pricing?.lineTotal ?? gross);
+      if (!taxed) {
+        return {
+          description: [line.name, line.size, line.color].filter(Boolean).join(' / ') || 'Item',
+          sku: line.sku,
+          quantity: line.quantity,
+          unitPrice,
+          discount: round2(gross - net),
+          taxRate: rate,
+          taxAmount: taxOf(net, rate),
+          total: net
+        };
+      }
+      // Line totals include tax: exclusive tax is added, an exempt customer's inclusive tax is taken off
+      const tax = line.tax || {};
+      const total = round2(exclusive ? net + (tax.amount || 0) : (exempt ? (tax.taxableAmount ?? net) : net));
+      return {
+        description: [line.name, line.size, line.color].filter(Boolean).join(' / ') || 'Item',
+        sku: line.sku,
+        quantity: line.quantity,
+        unitPrice,
+        discount: round2(gross - net),
+        taxRate: tax.rate || 0,
+        taxAmount: round2(tax.amount || 0),
+        total
+      };
+    });
+    const fee = round2(order.shippingFee);
+    const shippingTax = taxed ? round2(order.tax.shipping?.amount || 0) : taxOf(fee, rate);
+    // Shipping as charged: the tax engine folds exclusive shipping tax (or an exempt deduction) into totalAmount
+    const shipping = !taxed ? fee : round2(exclusive ? fee + shippingTax : (exempt ? (order.tax.shipping?.taxableAmount ?? fee) : fee));
+    // Order-level discounts not spread over the lines (orders priced before line breakdowns existed)
+    const rest = round2((Number(order.totalAmount) || 0) + fee - shipping - lines.reduce((s, l) => s + l.total, 0));
+    if (rest !== 0) {
+      lines.push({ description: order.coupon?.code ? `Coupon ${order.coupon.code}` : 'Discount', quantity: 1, unitPrice: rest, discount: 0, taxRate: rate, taxAmount: taxOf(rest, rate), total: rest });
+    }
+    const paidByMethod = round2(order.amountDue ?? (Number(order.totalAmount) + fee - (order.giftCardTotal || 0) - (order.storeCreditAmount || 0)));
+    const payments = [
+      ...(order.giftCards || []).map(g => ({ method: 'gift_card', amount: round2(g.amount), reference: g.code ? `****${String(g.code).slice(-4)}` : undefined })),
+      order.storeCreditAmount > 0 ? { method: 'store_credit', amount: round2(order.storeCreditAmount) } : null,
+      paidByMethod > 0 ? { method: order.paymentMethod, amount: paidByMethod, reference: order.paymentReference } : null
+    ].filter(Boolean);
+    const ci = order.customerInfo || {};
+    const addr = order.shippingAddress || {};
+    try {
+      return await this.#issue({
+        type: 'invoice',
+        order: order._id,
+        revision: existing ? (existing.revision ?? 0) + 1 : 0,
+        reference: order.orderNumber,
+        currency: order.currency || cfg.currency,
+        language: cfg.language,
+        seller: cfg.seller,
+        buyer: {
+          name: [ci.firstName, ci.lastName].filter(Boolean).join(' '),
+          address: [addr.street, addr.city, addr.country].filter(Boolean).join(', '),
+          phone: ci.mobile,
+          email: ci.email
+        },
+        ...this.#totals(lines, shipping, rate, shippingTax),
+        payments,
+        vatExempt: cfg.vatExempt,
+        createdBy
+      }, cfg);
+    } catch (e) {
+      // Another request issued this revision first: that invoice is the order's invoice
+      if (e?.code === 11000 && e?.keyPattern?.revision) {
+        const winner = await this.latestInvoice(order._id);
+        if (winner) return winner;
+      }
+      throw e;
+    }
+  }
+
+  #totals(lines, shipping, rate, shippingTax = taxOf(shipping, rate)) {
+    const subtotal = round2(lines.reduce((s, l) => s + l.unitPrice * l.quantity, 0));
+    const discountTotal = round2(lines.reduce((s, l) => s + (l.discount || 0), 0));
+    const taxTotal = round2(lines.reduce((s, l) => s + (l.taxAmount || 0), 0) + shippingTax);
+    const total = round2(lines.reduce((s, l) => s + l.total, 0) + shipping);
+    return { lines, subtotal, discountTotal, shipping, taxTotal, total };
+  }
+
+  // Next number of a series; numbers are drawn atomically and never handed out twice
+  async #nextNumber(type, cfg, { at, session = null }) {
+    const year = at.getFullYear();
+    const key = cfg.yearlySequence ? `${type}:${year}` : type;
+    let seq;
+    try {
+      seq = await DocumentSequence.findOneAndUpdate({ key }, { $inc: { value: 1 } }, { new: true, upsert: true, session });
+    } catch (e) {
+      // Two first-ever draws raced on the upsert; the counter exists now
+      if (e?.code !== 11000) throw e;
+      seq = await DocumentSequence.findOneAndUpdate({ key }, { $inc: { value: 1 } }, { new: true, session });
+    }
+    const padded = String(seq.value).padStart(6, '0');
+    const prefix = cfg.prefixes[type];
+    return { sequence: seq.value, number: cfg.yearlySequence ? `${prefix}-${year}-${padded}` : `${prefix}-${padded}` };
+  }
+
+  // Draw a number and store the document. A number whose document fails is kept as a void record so the
+  // series stays gap-free (inside a transaction the draw rolls back with it instead).
+  async #issue(doc, cfg, { session = null } = {}) {
+    const issuedAt = new Date();
+    const { number, sequence } = await this.#nextNumber(doc.type, cfg, { at: issuedAt, session });
+    try {
+      const [created] = await Invoice.create([{ ...doc, number, sequence, issuedAt, status: 'issued' }], { session });
+      try { console.log('[invoices] issued', { type: doc.type, number, total: created.total, order: doc.order ? String(doc.order) : undefined }); } catch {}
+      return created;
+    } catch (e) {
+      if (!session) {
+        try {
+          await Invoice.create({ type: doc.type, number, sequence, issuedAt, status: 'void', order: doc.order, posTransaction: doc.posTransaction, reference: doc.reference, notes: `Not issued: ${e?.message || e}` });
+        } catch (voidErr) {
+          console.error('[invoices] could not record void number', number, voidErr?.message || voidErr);
+        }
+      }
+      throw e;
+    }
+  }
+
+  async #logoJpeg(url) {
+    if (logoCache.url === url) return logoCache.data;
+    let data = null;
+    try {
+      if (/^https?:\/\//i.test(url)) {
+        const res = await axios.get(url, { responseType: 'arraybuffer', timeout: 5000, maxContentLength: 2 * 1024 * 1024 });
+        data = Buffer.from(res.data);
+      } else if (url.startsWith('/uploads/')) {
+        data = await fs.promises.readFile(path.join(uploadDir, path.basename(url)));
+      }
+    } catch (e) {
+      try { console.warn('[invoices] logo not loaded:', e?.message || e); } catch {}
+    }
+    // PDFs embed JPEG only; other formats are left out of the PDF (HTML still shows them)
+    if (data && !(data[0] === 0xff && data[1] === 0xd8)) data = null;
+    logoCache = { url, data };
+    return data;
+  }
+
+  #htmlDocument(inv, cfg) {
+    const lang = LANGUAGES.includes(inv.language) ? inv.language : 'en';
+    const t = LABELS[lang];
+    const e = escapeHtml;
+    const party = (p) => [p?.name && `<strong>${e(p.name)}</strong>`, p?.address, p?.phone, p?.email, p?.taxId && `${t.taxId}: ${p.taxId}`]
+      .filter(Boolean).map((v, i) => (i === 0 && p?.name ? v : e(v))).join('<br>');
+    const rows = (inv.lines || []).map(l => `<tr><td>${e(l.description)}${l.sku ? ` <small>(${e(l.sku)})</small>` : ''}</td>`
+      + `<td class="num">${e(l.quantity)}</td><td class="num">${money(l.unitPrice)}</td><td class="num">${l.discount ? money(l.discount) : ''}</td>`
+      + `<td class="num">${inv.vatExempt ? '' : `${e(l.taxRate)}%`}</td><td class="num">${money(l.total)}</td></tr>`).join('\n');
+    const totals = [
+      [t.subtotal, money(inv.subtotal)],
+      inv.discountTotal ? [t.discount, `-${money(inv.discountTotal)}`] : null,
+      inv.shipping ? [t.shipping, money(inv.shipping)] : null,
+      [inv.vatExempt ? t.vatExempt : `${t.vat} (${t.vatIncluded})`, inv.vatExempt ? '' : money(inv.taxTotal)]
+    ].filter(Boolean).map(([k, v]) => `<tr><td>${e(k)}</td><td class="num">${v}</td></tr>`).join('');
+    const payments = (inv.payments || []).map(p => `${e(methodLabel(p.method))}: ${money(p.amount)}${p.reference ? ` (${e(p.reference)})` : ''}`).join('<br>');
+    const logo = inv.seller?.logo ? `<img src="${e(inv.seller.logo)}" alt="">` : '';
+    return `<section class="doc" dir="${RTL.includes(lang) ? 'rtl' : 'ltr'}" lang="${lang}">
+<header>
+  <div>
+    <h1>${e(titleOf(inv, t))}${inv.status === 'void' ? ` <span class="void">${e(t.void)}</span>` : ''}</h1>
+    <div>${e(t.number)}: <strong>${e(inv.number)}</strong></div>
+    <div>${e(t.date)}: ${day(inv.issuedAt)}</div>
+    ${inv.reference ? `<div>${e(t.reference)}: ${e(inv.reference)}</div>` : ''}
+    ${inv.relatedNumber ? `<div>${e(t.refersTo)}: ${e(inv.relatedNumber)}</div>` : ''}
+  </div>
+  <div>${logo}</div>
+</header>
+<div class="parties">
+  <div>${party(inv.seller)}</div>
+  <div>${inv.buyer?.name || inv.buyer?.email ? `<div>${e(t.billTo)}:</div>${party(inv.buyer)}` : ''}</div>
+</div>
+<table>
+  <thead><tr><th>${e(t.description)}</th><th class="num">${e(t.quantity)}</th><th class="num">${e(t.unitPrice)}</th><th class="num">${e(t.discount)}</th><th class="num">${e(t.vat)}</th><th class="num">${e(t.total)}</th></tr></thead>
+  <tbody>
+${rows}
+  </tbody>
+</table>
+<table class="totals">
+  ${totals}
+  <tr class="grand"><td>${e(t.total)} (${e(inv.currency || cfg.currency)})</td><td class="num">${money(inv.total)}</td></tr>
+</table>
+${payments ? `<p><strong>${e(t.payments)}</strong><br>${payments}</p>` : ''}
+${inv.notes ? `<p>${e(inv.notes)}</p>` : ''}
+${cfg.footerText ? `<footer>${e(cfg.footerText)}</footer>` : ''}
+</section>`;
+  }
+
+  #pdfDocument(pdf, inv, cfg, logo) {
+    const lang = pdf.unicode && LANGUAGES.includes(inv.language) ? inv.language : 'en';
+    const t = LABELS[lang];
+    const rtl = RTL.includes(lang);
+    const compact = cfg.template === 'compact';
+    const size = compact ? 8 : 9;
+    const rowHeight = compact ? 12 : 15;
+    const { margin } = pdf;
+    const right = pdf.width - margin;
+    // x/width are laid out left-to-right and mirrored for right-to-left documents
+    const put = (str, x, y, w, { align = 'start', ...opts } = {}) => {
+      const left = rtl ? pdf.width - x - w : x;
+      const physical = align === 'center' ? 'center' : ((align === 'start') !== rtl ? 'left' : 'right');
+      pdf.text(str, left, y, { size, ...opts, align: physical, width: w, rtl });
+    };
+    const fit = (str, w, { size: fitSize = size, bold = false } = {}) => {
+      const s = String(str ?? '');
+      if (pdf.textWidth(s, fitSize, bold) <= w) return s;
+      const ellipsis = pdf.unicode ? '…' : '...';
+      let n = s.length;
+      while (n > 1 && pdf.textWidth(s.slice(0, n) + ellipsis, fitSize, bold) > w) n--;
+      return s.slice(0, n) + ellipsis;
+    };
+
+    let y = margin;
+    // Logo on the end side of the header
+    if (logo) pdf.image(logo, rtl ? margin : right - 120, y, { height: compact ? 30 : 45 });
+    put(titleOf(inv, t) + (inv.status === 'void' ? ` - ${t.void}` : ''), margin, y + 16, 300, { size: compact ? 14 : 18, bold: true });
+    y += compact ? 32 : 40;
+    put(`${t.number}: ${inv.number}`, margin, y, 300, { bold: true });
+    put(`${t.date}: ${day(inv.issuedAt)}`, margin, y += rowHeight, 300);
+    if (inv.reference) put(`${t.reference}: ${inv.reference}`, margin, y += rowHeight, 300);
+    if (inv.relatedNumber) put(`${t.refersTo}: ${inv.relatedNumber}`, margin, y += rowHeight, 300);
+    y += rowHeight + 6;
+
+    const partyLines = (p) => [p?.name, p?.address, p?.phone, p?.email, p?.taxId ? `${t.taxId}: ${p.taxId}` : null].filter(Boolean);
+    const seller = partyLines(inv.seller);
+    const buyer = partyLines(inv.buyer);
+    const half = (right - margin) / 2 - 10;
+    seller.forEach((s, i) => put(fit(s, half), margin, y + i * rowHeight, half, { bold: i === 0 }));
+    if (buyer.length) {
+      put(`${t.billTo}:`, margin + half + 20, y, half, { bold: true });
+      buyer.forEach((s, i) => put(fit(s, half), margin + half + 20, y + (i + 1) * rowHeight, half));
+    }
+    y += Math.max(seller.length, buyer.length + (buyer.length ? 1 : 0)) * rowHeight + 10;
+
+    const cols = [
+      { key: 'description', x: margin, w: 230, align: 'start' },
+      { key: 'quantity', x: margin + 235, w: 40, align: 'center' },
+      { key: 'unitPrice', x: margin + 280, w: 70, align: 'end' },
+      { key: 'discount', x: margin + 355, w: 55, align: 'end' },
+      { key: 'vat', x: margin + 415, w: 35, align: 'end' },
+      { key: 'total', x: margin + 455, w: right - margin - 455, align: 'end' }
+    ];
+    const header = () => {
+      cols.forEach(c => put(t[c.key], c.x, y, c.w, { align: c.align, bold: true }));
+      pdf.line(margin, y + 4, right, y + 4, { width: 1 });
+      y += rowHeight + 2;
+    };
+    header();
+    for (const l of inv.lines || []) {
+      if (y > pdf.height - margin - 140) {
+        pdf.addPage();
+        y = margin;
+        header();
+      }
+      const cells = {
+        description: fit(l.description, 230),
+        quantity: String(l.quantity),
+        unitPrice: money(l.unitPrice),
+        discount: l.discount ? money(l.discount) : '',
+        vat: inv.vatExempt ? '' : `${l.taxRate}%`,
+        total: money(l.total)
+      };
+      cols.forEach(c => put(cells[c.key], c.x, y, c.w, { align: c.align }));
+      y += rowHeight;
+    }
+    pdf.line(margin, y - rowHeight + 4, right, y - rowHeight + 4);
+    y += 6;
+
+    const totals = [
+      [t.subtotal, money(inv.subtotal)],
+      inv.discountTotal ? [t.discount, `-${money(inv.discountTotal)}`] : null,
+      inv.shipping ? [t.shipping, money(inv.shipping)] : null,
+      inv.vatExempt ? [t.vatExempt, ''] : [`${t.vat} (${t.vatIncluded})`, money(inv.taxTotal)]
+    ].filter(Boolean);
+    const labelX = right - 260;
+    for (const [label, value] of totals) {
+      put(label, labelX, y, 180);
+      put(value, right - 80, y, 80, { align: 'end' });
+      y += rowHeight;
+    }
+    pdf.line(labelX, y - rowHeight + 4, right, y - rowHeight + 4, { width: 1 });
+    put(`${t.total} (${inv.currency || cfg.currency})`, labelX, y + 2, 180, { bold: true, size: size + 2 });
+    put(money(inv.total), right - 80, y + 2, 80, { align: 'end', bold: true, size: size + 2 });
+    y += rowHeight * 2;
+
+    if (inv.payments?.length) {
+      put(t.payments, margin, y, 300, { bold: true });
+      for (const p of inv.payments) {
+        put(`${methodLabel(p.method)}: ${money(p.amount)}${p.reference ? ` (${p.reference})` : ''}`, margin, y += rowHeight, 300);
+      }
+      y += rowHeight;
+    }
+    if (inv.notes) put(fit(inv.notes, right - margin), margin, y += rowHeight, right - margin);
+    if (cfg.footerText) put(fit(cfg.footerText, right - margin, { size: size - 1 }), margin, pdf.height - margin / 2, right - margin, { align: 'center', size: size - 1 });
+  }
+}
+
+export const invoiceService = new InvoiceService();
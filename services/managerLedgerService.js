@@ -0,0 +1,337 @@
+import mongoose from 'mongoose';
+import { StatusCodes } from 'http-status-codes';
+import User from '../models/User.js';
+import Order from '../models/Order.js';
+import Product from '../models/Product.js';
+import Service from '../models/Service.js';
+import CategoryServiceLedger from '../models/CategoryServiceLedger.js';
+import ManagerLedgerEntry from '../models/ManagerLedgerEntry.js';
+import { ApiError } from '../utils/ApiError.js';
+
+const round2 = (n) => Math.round((Number(n) || 0) * 100) / 100;
+const oid = (v) => new mongoose.Types.ObjectId(String(v));
+const lineValue = (it) => (typeof it?.pricing?.lineTotal === 'number'
+  ? it.pricing.lineTotal
+  : (Number(it?.price) || 0) * (Number(it?.quantity) || 0));
+const productCategories = (p) => [p?.category, ...(Array.isArray(p?.categories) ? p.categories : [])]
+  .filter(Boolean).map(String);
+
+// Key of the sale/fee position an entry belongs to within an order
+const positionKey = (manager, type, category, service) => `${manager}|${type}|${category || ''}|${service || ''}`;
+
+class ManagerLedgerService {
+  // Last ledger rebuild started through startRebuild (one runs at a time per process)
+  #rebuildJob = null;
+
+  async getBalance(managerId) {
+    const user = await User.findById(managerId).select('earningsBalance').lean();
+    return round2(user?.earningsBalance || 0);
+  }
+
+  /**
+   * Bring an order's sale and fee entries in line with the order: a live order credits each manager with the
+   * value of the lines in their categories and debits the active service fees of those categories; a cancelled
+   * order nets both to zero. Only the difference to what is already booked is posted, so calling this again
+   * (status changes, backfill) is safe.
+   * @returns {Promise<number>} number of entries posted
+   */
+  async syncOrder(order) {
+    const desired = order.status === 'cancelled' ? new Map() : await this.#orderPositions(order);
+    const booked = await ManagerLedgerEntry.aggregate([
+      { $match: { order: oid(order._id), type: { $in: ['sale', 'fee'] } } },
+      { $group: { _id: { manager: '$manager', type: '$type', category: '$category', service: '$service' }, amount: { $sum: '$amount' } } }
+    ]);
+    const positions = new Map(desired);
+    const current = new Map();
+    for (const b of booked) {
+      const key = positionKey(b._id.manager, b._id.type, b._id.category, b._id.service);
+      current.set(key, round2(b.amount));
+      if (!positions.has(key)) positions.set(key, { ...b._id, amount: 0 });
+    }
+    let posted = 0;
+    for (const [key, pos] of positions) {
+      const diff = round2(pos.amount - (current.get(key) || 0));
+      if (Math.abs(diff) < 0.01) continue;
+      await this.#post(pos.manager, pos.type, diff, {
+        order: order._id,
+        category: pos.category || undefined,
+        service: pos.service || undefined,
+        currency: order.currency,
+        note: order.status === 'cancelled' ? `Order ${order.orderNumber} cancelled` : `Order ${order.orderNumber}`
+      });
+      posted++;
+    }
+    return posted;
+  }
+
+  /**
+   * Debit managers for a refunded return, in proportion to the refunded lines in their categories.
+   * A return is booked once.
+   */
+  async recordReturnRefund(order, returnRequest) {
+    const refund = Number(returnRequest?.refund?.amount) || 0;
+    if (refund <= 0) return 0;
+    if (await ManagerLedgerEntry.exists({ returnRequest: returnRequest._id })) return 0;
+    const lineById = new Map((order.items || []).map(l => [String(l._id), l]));
+    const returned = (returnRequest.items || []).map(it => ({
+      line: lineById.get(String(it.orderItem)),
+      value: (Number(it.receivedQuantity ?? it.quantity) || 0) * (Number(it.unitPrice) || 0)
+    })).filter(r => r.line && r.value > 0);
+    const returnedValue = returned.reduce((s, r) => s + r.value, 0);
+    if (returnedValue <= 0) return 0;
+    // A partial refund (e.g. restocking fee kept) is spread over the returned lines
+    const ratio = Math.min(1, refund / returnedValue);
+    const { managers, categoriesOf } = await this.#scope(returned.map(r => r.line));
+    let posted = 0;
+    for (const m of managers) {
+      const scope = new Set((m.assignedCategories || []).map(String));
+      const value = round2(returned
+        .filter(r => categoriesOf(r.line).some(c => scope.has(c)))
+        .reduce((s, r) => s + r.value * ratio, 0));
+      if (value <= 0) continue;
+      await this.#post(m._id, 'refund', -value, {
+        order: order._id,
+        returnRequest: returnRequest._id,
+        currency: order.currency,
+        note: `Refund ${returnRequest.returnNumber || ''}`.trim()
+      });
+      posted++;
+    }
+    return posted;
+  }
+
+  // Debit an approved withdrawal; fails with 409 when the balance does not cover it
+  async recordPayout(walletRequest, { createdBy } = {}) {
+    return this.#post(walletRequest.user, 'payout', -round2(walletRequest.amount), {
+      walletRequest: walletRequest._id,
+      note: walletRequest.note || 'Withdrawal',
+      createdBy
+    }, { requireBalance: true });
+  }
+
+  async adjust(managerId, amount, { note, createdBy } = {}) {
+    return this.#post(managerId, 'adjustment', round2(amount), { note, createdBy });
+  }
+
+  /**
+   * Totals per entry type, recent sales/fees and fees per service, from the ledger alone.
+   */
+  async summary(managerId) {
+    const manager = oid(managerId);
+    const [totals, recent, byService, balance] = await Promise.all([
+      ManagerLedgerEntry.aggregate([
+        { $match: { manager } },
+        { $group: { _id: '$type', amount: { $sum: '$amount' } } }
+      ]),
+      ManagerLedgerEntry.find({ manager, type: { $in: ['sale', 'fee'] } }).sort({ createdAt: -1 }).limit(40).lean(),
+      ManagerLedgerEntry.aggregate([
+        { $match: { manager, type: 'fee' } },
+        { $group: { _id: '$service', amount: { $sum: '$amount' } } },
+        { $match: { amount: { $ne: 0 } } }
+      ]),
+      this.getBalance(managerId)
+    ]);
+    const total = (type) => round2(totals.find(t => t._id === type)?.amount || 0);
+    const titles = new Map();
+    if (byService.length) {
+      try {
+        const svcDocs = await Service.find({ _id: { $in: byService.map(b => b._id).filter(Boolean) } }).select('title slug').lean();
+        for (const s of svcDocs) titles.set(String(s._id), s.title || s.slug || 'Service');
+      } catch {}
+    }
+    const toRecent = (e) => ({
+      orderId: e.order ? String(e.order) : null,
+      amount: round2(Math.abs(e.amount)),
+      reversal: e.type === 'sale' ? e.amount < 0 : e.amount > 0,
+      ...(e.service ? { service: String(e.service) } : {}),
+      ...(e.category ? { category: String(e.category) } : {}),
+      date: e.createdAt
+    });
+    return {
+      balance,
+      totalSales: total('sale'),
+      totalFees: round2(-total('fee')),
+      totalRefunds: round2(-total('refund')),
+      totalPayouts: round2(-total('payout')),
+      totalAdjustments: total('adjustment'),
+      recentSales: recent.filter(e => e.type === 'sale').slice(0, 20).map(toRecent),
+      recentFees: recent.filter(e => e.type === 'fee').slice(0, 20).map(toRecent),
+      serviceBreakdown: byService.map(b => ({
+        serviceId: String(b._id),
+        title: titles.get(String(b._id)) || 'Service',
+        totalFee: round2(-b.amount)
+      }))
+    };
+  }
+
+  async entries(managerId, { page = 1, limit = 50, type } = {}) {
+    const q = { manager: managerId, ...(type ? { type } : {}) };
+    const [items, total] = await Promise.all([
+      ManagerLedgerEntry.find(q).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit)
+        .populate('order', 'orderNumber').lean(),
+      ManagerLedgerEntry.countDocuments(q)
+    ]);
+    return { entries: items, total, page, limit };
+  }
+
+  /**
+   * Monthly statement: opening balance, the month's entries in order, totals per type and closing balance.
+   * @param {string} month - 'YYYY-MM' (UTC)
+   */
+  async statement(managerId, month) {
+    const m = /^(\d{4})-(\d{2})$/.exec(String(month || ''));
+    if (!m || Number(m[2]) < 1 || Number(m[2]) > 12) throw new ApiError(StatusCodes.BAD_REQUEST, 'month must be YYYY-MM');
+    const from = new Date(Date.UTC(Number(m[1]), Number(m[2]) - 1, 1));
+    const to = new Date(Date.UTC(Number(m[1]), Number(m[2]), 1));
+    const manager = oid(managerId);
+    const [opening, entries, user] = await Promise.all([
+      ManagerLedgerEntry.aggregate([
+        { $match: { manager, createdAt: { $lt: from } } },
+        { $group: { _id: null, amount: { $sum: '$amount' } } }
+      ]),
+      ManagerLedgerEntry.find({ manager, createdAt: { $gte: from, $lt: to } }).sort({ createdAt: 1, _id: 1 })
+        .populate('order', 'orderNumber').lean(),
+      User.findById(managerId).select('name email').lean()
+    ]);
+    if (!user) throw new ApiError(StatusCodes.NOT_FOUND, 'Manager not found');
+    const openingBalance = round2(opening[0]?.amount || 0);
+    const totals = { sale: 0, fee: 0, refund: 0, payout: 0, adjustment: 0 };
+    for (const e of entries) totals[e.type] = round2((totals[e.type] || 0) + e.amount);
+    const closingBalance = round2(openingBalance + Object.values(totals).reduce((s, v) => s + v, 0));
+    return { manager: { _id: user._id, name: user.name, email: user.email }, month, from, to, openingBalance, totals, closingBalance, entries };
+  }
+
+  /**
+   * Run rebuild() in the background; fails with 409 while a rebuild is still running.
+   * @param {{ since?: Date }} [opts]
+   * @returns {object} the job state, as rebuildStatus() reports it
+   */
+  startRebuild({ since } = {}) {
+    if (this.#rebuildJob?.status === 'running') {
+      throw new ApiError(StatusCodes.CONFLICT, 'A ledger rebuild is already running');
+    }
+    const job = { status: 'running', since: since || null, startedAt: new Date() };
+    this.#rebuildJob = job;
+    this.rebuild({ since })
+      .then((result) => Object.assign(job, { status: 'completed', result, finishedAt: new Date() }))
+      .catch((e) => {
+        try { console.error('[wallet][ledger] rebuild failed', e); } catch {}
+        Object.assign(job, { status: 'failed', error: e?.message || String(e), finishedAt: new Date() });
+      });
+    return this.rebuildStatus();
+  }
+
+  // State of the last background rebuild, or null when none ran since the server started
+  rebuildStatus() {
+    return this.#rebuildJob ? { ...this.#rebuildJob } : null;
+  }
+
+  /**
+   * Backfill the ledger from existing orders and recompute cached balances. Orders are streamed in batches,
+   * so the collection is never loaded at once.
+   * @param {{ since?: Date }} [opts]
+   */
+  async rebuild({ since } = {}) {
+    let orders = 0;
+    let posted = 0;
+    const cursor = Order.find(since ? { createdAt: { $gte: since } } : {})
+      .select('items status orderNumber currency createdAt')
+      .sort({ _id: 1 })
+      .lean()
+      .cursor({ batchSize: 200 });
+    for await (const order of cursor) {
+      posted += await this.syncOrder(order);
+      orders++;
+    }
+    // Every manager is recomputed, including those without entries (their balance goes back to 0)
+    const withEntries = await ManagerLedgerEntry.distinct('manager');
+    const managers = await User.find({
+      $or: [{ role: 'categoryManager' }, { _id: { $in: withEntries } }, { earningsBalance: { $nin: [0, null] } }]
+    }).select('_id').lean();
+    let corrected = 0;
+    for (const m of managers) {
+      if (await this.#reconcileBalance(m._id)) corrected++;
+    }
+    try { console.log('[wallet][ledger] rebuild done', { orders, posted, managers: managers.length, corrected }); } catch {}
+    return { orders, posted, managers: managers.length, corrected };
+  }
+
+  // Move a manager's cached balance to the sum of their entries. The difference is applied with $inc and only
+  // while the balance is still the one read, so an entry posted meanwhile is not overwritten (the sum is
+  // taken again instead).
+  async #reconcileBalance(managerId) {
+    for (let attempt = 0; attempt < 5; attempt++) {
+      const user = await User.findById(managerId).select('earningsBalance').lean();
+      if (!user) return false;
+      const [sum] = await ManagerLedgerEntry.aggregate([
+        { $match: { manager: oid(managerId) } },
+        { $group: { _id: null, amount: { $sum: '$amount' } } }
+      ]);
+      const current = user.earningsBalance ?? 0;
+      const diff = round2((sum?.amount || 0) - current);
+      if (Math.abs(diff) < 0.01) return false;
+      // A missing balance cannot be incremented; it is set while still missing
+      const res = user.earningsBalance == null
+        ? await User.updateOne({ _id: managerId, earningsBalance: null }, { $set: { earningsBalance: round2(sum?.amount || 0) } })
+        : await User.updateOne({ _id: managerId, earningsBalance: current }, { $inc: { earningsBalance: diff } });
+      if (res.modifiedCount) return true;
+    }
+    try { console.warn('[wallet][ledger] balance kept changing, not reconciled', { manager: String(managerId) }); } catch {}
+    return false;
+  }
+
+  // Category managers whose scope covers any of the given order lines
+  async #scope(lines) {
+    const productIds = [...new Set(lines.map(l => String(l.product?._id || l.product)).filter(Boolean))];
+    const products = await Product.find({ _id: { $in: productIds } }).select('category categories').lean();
+    const catsByProduct = new Map(products.map(p => [String(p._id), productCategories(p)]));
+    const categoriesOf = (line) => catsByProduct.get(String(line.product?._id || line.product)) || [];
+    const allCats = [...new Set(products.flatMap(productCategories))];
+    const managers = allCats.length
+      ? await User.find({ role: 'categoryManager', assignedCategories: { $in: allCats } }).select('assignedCategories').lean()
+      : [];
+    return { managers, categoriesOf };
+  }
+
+  // What an order should have booked per (manager, type, category, service)
+  async #orderPositions(order) {
+    const positions = new Map();
+    const lines = order.items || [];
+    if (!lines.length) return positions;
+    const [{ managers, categoriesOf }, fees] = await Promise.all([
+      this.#scope(lines),
+      CategoryServiceLedger.find({ order: order._id, status: { $ne: 'reversed' } }).select('category service totalFee').lean()
+    ]);
+    for (const m of managers) {
+      const scope = new Set((m.assignedCategories || []).map(String));
+      const sales = round2(lines.filter(l => categoriesOf(l).some(c => scope.has(c))).reduce((s, l) => s + lineValue(l), 0));
+      if (sales > 0) positions.set(positionKey(m._id, 'sale'), { manager: m._id, type: 'sale', amount: sales });
+      for (const f of fees) {
+        if (!f.category || !scope.has(String(f.category)) || !(f.totalFee > 0)) continue;
+        const key = positionKey(m._id, 'fee', f.category, f.service);
+        const prev = positions.get(key);
+        positions.set(key, { manager: m._id, type: 'fee', category: f.category, service: f.service, amount: round2((prev?.amount || 0) - f.totalFee) });
+      }
+    }
+    return positions;
+  }
+
+  // Move the cached balance atomically, then append the entry (the balance move is undone if that fails)
+  async #post(managerId, type, amount, entry, { requireBalance = false } = {}) {
+    const value = round2(amount);
+    const filter = requireBalance && value < 0 ? { _id: managerId, earningsBalance: { $gte: -value } } : { _id: managerId };
+    const user = await User.findOneAndUpdate(filter, { $inc: { earningsBalance: value } }, { new: true }).select('earningsBalance');
+    if (!user) {
+      if (!(await User.exists({ _id: managerId }))) throw new ApiError(StatusCodes.NOT_FOUND, 'Manager not found');
+      throw new ApiError(StatusCodes.CONFLICT, 'Insufficient balance');
+    }
+    try {
+      return await ManagerLedgerEntry.create({ manager: managerId, type, amount: value, balanceAfter: round2(user.earningsBalance), ...entry });
+    } catch (e) {
+      try { await User.updateOne({ _id: managerId }, { $inc: { earningsBalance: -value } }); } catch {}
+      throw e;
+    }
+  }
+}
+
+export const managerLedgerService = new ManagerLedgerService();
@@ -0,0 +1,473 @@
+import { StatusCodes } from 'http-status-codes';
+import Order from '../models/Order.js';
+import OrderChangeRequest from '../models/OrderChangeRequest.js';
+import Settings from '../models/Settings.js';
+import { ApiError } from '../utils/ApiError.js';
+import { giftCardService } from './giftCardService.js';
+import { storeCreditService } from './storeCreditService.js';
+import { managerLedgerService } from './managerLedgerService.js';
+import { invoiceService } from './invoiceService.js';
+import { realTimeEventService } from './realTimeEventService.js';
+import { sendPushToUser, sendPushToAdmins } from './pushService.js';
+import { releaseFlashSaleStock } from './flashSaleService.js';
+import { retaxLineQuantity } from './taxService.js';
+import { transitionOrder, releaseOrderUnits, recordOrderEvent } from './orderStateMachine.js';
+import { backorderService } from './backorderService.js';
+import { refundService } from './refundService.js';
+import { paymentGateways } from './payments/gatewayRegistry.js';
+
+const round2 = (n) => Math.round((Number(n) || 0) * 100) / 100;
+const MOBILE_PATTERN = /^\+[0-9]{1,4}[0-9]{9,10}$/;
+const CLOSED_STATUSES = ['delivered', 'returned', 'cancelled'];
+
+// Paid by card/PayPal: money handed back must go through the gateway (or the customer's wallet)
+const paidOnline = (order) => ['completed', 'partially_refunded'].includes(order.paymentStatus) && order.paymentMethod !== 'cod'
+  && !['gift_card', 'store_credit'].includes(order.paymentMethod);
+
+const paidAmount = (order) => {
+  const charged = order.amountDue ?? ((Number(order.totalAmount) || 0) + (Number(order.shippingFee) || 0));
+  return round2(Math.max(0, (Number(charged) || 0) - (Number(order.refundedAmount) || 0)));
+};
+
+// A courier has the parcel (or a tracking number) once the order or any shipment is dispatched
+const isDispatched = (order) => order.status === 'shipped'
+  || !!(order.deliveryTrackingNumber || order.trackingNumber)
+  || (order.shipments || []).some(s => !['pending', 'cancelled'].includes(s.status));
+
+class OrderChangeService {
+  async config() {
+    const settings = await Settings.findOne().select('orderChanges').lean();
+    const c = settings?.orderChanges || {};
+    return {
+      enabled: c.enabled !== false,
+      windowMinutes: Number(c.windowMinutes ?? 60),
+      allowCancellation: c.allowCancellation !== false,
+      allowAddressChange: c.allowAddressChange !== false,
+      allowPhoneChange: c.allowPhoneChange !== false,
+      allowQuantityChange: c.allowQuantityChange !== false,
+      autoApprove: c.autoApprove !== false
+    };
+  }
+
+  /**
+   * What the customer may request for an order right now (shown on /my-orders).
+   * autoApply: a request made now is applied at once (within the window and not dispatched).
+   */
+  eligibility(order, cfg) {
+    const open = cfg.enabled && !CLOSED_STATUSES.includes(order.status);
+    const until = cfg.windowMinutes > 0 ? new Date(new Date(order.createdAt).getTime() + cfg.windowMinutes * 60 * 1000) : null;
+    const withinWindow = !until || until > new Date();
+    const dispatched = isDispatched(order);
+    return {
+      canRequest: open,
+      cancel: open && cfg.allowCancellation,
+      changeAddress: open && cfg.allowAddressChange,
+      changePhone: open && cfg.allowPhoneChange,
+      changeQuantities: open && cfg.allowQuantityChange && !order.shipments?.length,
+      autoApply: open && cfg.autoApprove && withinWindow && !dispatched,
+      until: dispatched ? null : until,
+      dispatched
+    };
+  }
+
+  /**
+   * Customer submits a cancellation or modification. Applied at once when it keeps to the rules
+   * (window, not dispatched, no refund to the original payment); otherwise queued for an admin.
+   * @param {object} order - Order document
+   * @param {{ type: 'cancel'|'modify', reason?: string, shippingAddress?: object, mobile?: string,
+   *   secondaryMobile?: string, items?: Array<{ orderItem: string, quantity: number }>, refundTo?: string }} input
+   * @param {{ user?: object, actor?: object }} ctx
+   */
+  async submit(order, input = {}, { user, actor } = {}) {
+    const cfg = await this.config();
+    if (!cfg.enabled) throw new ApiError(StatusCodes.FORBIDDEN, 'Order changes are not accepted');
+    if (order.status === 'cancelled') throw new ApiError(StatusCodes.CONFLICT, 'Order is already cancelled');
+    if (CLOSED_STATUSES.includes(order.status)) {
+      throw new ApiError(StatusCodes.CONFLICT, 'Delivered orders cannot be changed; request a return instead');
+    }
+    if (await OrderChangeRequest.exists({ order: order._id, status: 'pending' })) {
+      throw new ApiError(StatusCodes.CONFLICT, 'A change request for this order is already awaiting review');
+    }
+
+    const type = input.type === 'cancel' ? 'cancel' : input.type === 'modify' ? 'modify' : null;
+    if (!type) throw new ApiError(StatusCodes.BAD_REQUEST, "type must be 'cancel' or 'modify'");
+    const refundTo = input.refundTo === 'store_credit' ? 'store_credit' : 'original_payment';
+    if (refundTo === 'store_credit' && !order.user) {
+      throw new ApiError(StatusCodes.BAD_REQUEST, 'Guest orders cannot be refunded to store credit');
+    }
+    if (type === 'cancel' && !cfg.allowCancellation) throw new ApiError(StatusCodes.FORBIDDEN, 'Cancellation requests are not accepted');
+    const changes = type === 'modify' ? this.#parseChanges(order, input, cfg) : {};
+
+    const reviewReasons = [];
+    const elig = this.eligibility(order, cfg);
+    if (elig.dispatched) reviewReasons.push('dispatched');
+    else if (elig.until && elig.until <= new Date()) reviewReasons.push('outside_window');
+    // Gateways that refund through their API pay back on approval; others need an admin to refund by hand
+    const givesMoneyBack = type === 'cancel' || changes.items?.length;
+    if (givesMoneyBack && refundTo === 'original_payment' && paidOnline(order) && paidAmount(order) > 0
+      && !paymentGateways.forOrder(order)?.supports('refund')) {
+      reviewReasons.push('refund_to_original_payment');
+    }
+    if (!cfg.autoApprove) reviewReasons.push('manual_review');
+
+    const rq = await OrderChangeRequest.create({
+      requestNumber: `CHG${Date.now()}`,
+      order: order._id,
+      user: order.user || user?._id,
+      type,
+      changes,
+      previous: {
+        shippingAddress: { street: order.shippingAddress?.street, city: order.shippingAddress?.city },
+        mobile: order.customerInfo?.mobile,
+        secondaryMobile: order.customerInfo?.secondaryMobile
+      },
+      reason: typeof input.reason === 'string' ? input.reason.trim().slice(0, 1000) : undefined,
+      refundTo,
+      reviewReasons
+    });
+    await recordOrderEvent(order, {
+      type: 'note',
+      actor,
+      source: 'customer_change_request',
+      note: `${type === 'cancel' ? 'Cancellation' : 'Change'} requested (${rq.requestNumber})${rq.reason ? `: ${rq.reason}` : ''}`,
+      meta: { changeRequest: String(rq._id), reviewReasons }
+    });
+    try { console.log('[orders][changes] requested', { order: order.orderNumber, request: rq.requestNumber, type, reviewReasons }); } catch {}
+
+    if (!reviewReasons.length) {
+      return this.#apply(rq, order, { actor, autoApproved: true });
+    }
+    await this.#notifyAdmins(order, rq);
+    return { request: rq, order, applied: false };
+  }
+
+  /**
+   * Admin approves a queued request: the change is applied as if it had been auto-approved.
+   * @param {{ actor?: object, adminNote?: string, refundTo?: 'original_payment'|'store_credit' }} opts
+   */
+  async approve(rq, { actor, adminNote, refundTo } = {}) {
+    if (rq.status !== 'pending') throw new ApiError(StatusCodes.CONFLICT, `Cannot approve a ${rq.status} request`);
+    const order = await Order.findById(rq.order);
+    if (!order) throw new ApiError(StatusCodes.NOT_FOUND, 'Order not found');
+    if (CLOSED_STATUSES.includes(order.status)) {
+      throw new ApiError(StatusCodes.CONFLICT, `Order is ${order.status}; reject the request instead`);
+    }
+    if (refundTo === 'store_credit' || refundTo === 'original_payment') {
+      if (refundTo === 'store_credit' && !order.user) throw new ApiError(StatusCodes.BAD_REQUEST, 'Guest orders cannot be refunded to store credit');
+      rq.refundTo = refundTo;
+    }
+    if (adminNote) rq.adminNote = adminNote;
+    // Claim the request so two admins cannot apply it twice
+    const claimed = await OrderChangeRequest.updateOne({ _id: rq._id, status: 'pending', decidedAt: null }, { $set: { decidedAt: new Date() } });
+    if (!claimed.modifiedCount) throw new ApiError(StatusCodes.CONFLICT, 'This request is already being decided');
+    try {
+      return await this.#apply(rq, order, { actor, autoApproved: false });
+    } catch (e) {
+      try { await OrderChangeRequest.updateOne({ _id: rq._id, status: 'pending' }, { $unset: { decidedAt: 1 } }); } catch {}
+      throw e;
+    }
+  }
+
+  async reject(rq, { actor, reason } = {}) {
+    if (rq.status !== 'pending') throw new ApiError(StatusCodes.CONFLICT, `Cannot reject a ${rq.status} request`);
+    const decided = { status: 'rejected', rejectionReason: reason || '', decidedAt: new Date(), decidedBy: actor?.user };
+    const claimed = await OrderChangeRequest.updateOne({ _id: rq._id, status: 'pending', decidedAt: null }, { $set: decided });
+    if (!claimed.modifiedCount) throw new ApiError(StatusCodes.CONFLICT, 'This request is already being decided');
+    rq.set(decided);
+    const order = await Order.findById(rq.order);
+    if (order) {
+      await recordOrderEvent(order, {
+        type: 'note',
+        actor,
+        source: 'admin_change_request',
+        note: `Change request ${rq.requestNumber} rejected${rq.rejectionReason ? `: ${rq.rejectionReason}` : ''}`,
+        meta: { changeRequest: String(rq._id) }
+      });
+      await this.#notifyCustomer(order, `Your request for order ${order.orderNumber} was declined`);
+    }
+    return rq;
+  }
+
+  // Validate a modification against the order; quantities may only go down and at least one line must remain
+  #parseChanges(order, input, cfg) {
+    const changes = {};
+    const sa = input.shippingAddress;
+    if (sa && typeof sa === 'object' && (sa.street || sa.city)) {
+      if (!cfg.allowAddressChange) throw new ApiError(StatusCodes.FORBIDDEN, 'Address changes are not accepted');
+      if (sa.country && sa.country !== order.shippingAddress?.country) {
+        throw new ApiError(StatusCodes.BAD_REQUEST, 'The delivery country cannot be changed');
+      }
+      changes.shippingAddress = {
+        street: typeof sa.street === 'string' && sa.street.trim() ? sa.street.trim() : order.shippingAddress?.street,
+        city: typeof sa.city === 'string' && sa.city.trim() ? sa.city.trim() : order.shippingAddress?.city
+      };
+    }
+    for (const key of ['mobile', 'secondaryMobile']) {
+      if (input[key] === undefined || input[key] === null || input[key] === '') continue;
+      if (!cfg.allowPhoneChange) throw new ApiError(StatusCodes.FORBIDDEN, 'Phone changes are not accepted');
+      const value = String(input[key]).replace(/[\s-]/g, '');
+      if (!MOBILE_PATTERN.test(value)) throw new ApiError(StatusCodes.BAD_REQUEST, `Invalid ${key} number format`);
+      changes[key] = value;
+    }
+    if (Array.isArray(input.items) && input.items.length) {
+      if (!cfg.allowQuantityChange) throw new ApiError(StatusCodes.FORBIDDEN, 'Quantity changes are not accepted');
+      if (order.shipments?.length) {
+        throw new ApiError(StatusCodes.CONFLICT, 'This order is split into shipments; quantities can no longer be changed');
+      }
+      const seen = new Set();
+      changes.items = [];
+      for (const it of input.items) {
+        const lineId = String(it?.orderItem || it?.itemId || '');
+        const line = order.items.id(lineId);
+        if (!line || seen.has(lineId)) throw new ApiError(StatusCodes.BAD_REQUEST, `Order line not found: ${lineId}`);
+        seen.add(lineId);
+        const quantity = Number(it.quantity);
+        if (!Number.isInteger(quantity) || quantity < 0) throw new ApiError(StatusCodes.BAD_REQUEST, `Invalid quantity for ${line.name || 'item'}`);
+        if (quantity > line.quantity) throw new ApiError(StatusCodes.BAD_REQUEST, 'Quantities can only be reduced; place a new order for more');
+        if (quantity === line.quantity) continue;
+        changes.items.push({ orderItem: line._id, name: line.name, fromQuantity: line.quantity, quantity });
+      }
+      const remaining = order.items.reduce((n, line) => {
+        const c = changes.items.find(x => String(x.orderItem) === String(line._id));
+        return n + (c ? c.quantity : line.quantity);
+      }, 0);
+      if (remaining <= 0) throw new ApiError(StatusCodes.BAD_REQUEST, 'To remove every item, cancel the order instead');
+      if (!changes.items.length) delete changes.items;
+    }
+    if (!changes.shippingAddress && !changes.mobile && !changes.secondaryMobile && !changes.items) {
+      throw new ApiError(StatusCodes.BAD_REQUEST, 'Nothing to change');
+    }
+    return changes;
+  }
+
+  async #apply(rq, order, { actor, autoApproved }) {
+    const userId = actor?.user || null;
+    let outcome;
+    if (rq.type === 'cancel') {
+      const due = paidOnline(order) && rq.refundTo === 'original_payment' ? paidAmount(order) : 0;
+      const refundedBefore = Number(order.refundedAmount) || 0;
+      const result = await transitionOrder(order, 'cancelled', {
+        actor,
+        source: 'customer_change_request',
+        note: `Cancelled on request ${rq.requestNumber}${rq.reason ? `: ${rq.reason}` : ''}`,
+        refundTo: rq.refundTo === 'store_credit' ? 'store_credit' : undefined
+      });
+      outcome = result.event?.meta || null;
+      rq.refund = {
+        amount: round2(due + (Number(order.refundedAmount) || 0) - refundedBefore),
+        giftCardAmount: 0,
+        storeCreditAmount: round2((Number(order.refundedAmount) || 0) - refundedBefore),
+        due
+      };
+    } else {
+      outcome = await this.#applyModification(rq, order, { actor, userId });
+    }
+
+    // Card/PayPal money owed goes straight back through the gateway; if that fails it stays due for an admin
+    if (rq.refund?.due > 0) {
+      try {
+        const { refund } = await refundService.refund(order, {
+          amount: rq.refund.due,
+          reason: `Order change ${rq.requestNumber}`,
+          actor,
+          source: 'order_change',
+          changeRequest: rq,
+          // cancellation and changes already issued their credit note
+          creditNote: false
+        });
+        rq.refund.refunded = refund.amount;
+        rq.refund.refundRecord = refund._id;
+        rq.refund.due = 0;
+      } catch (e) {
+        console.warn('[orders][changes] gateway refund failed', { request: rq.requestNumber, error: e?.message || e });
+      }
+    }
+
+    rq.status = 'approved';
+    rq.autoApproved = autoApproved;
+    rq.decidedAt = new Date();
+    if (!autoApproved) rq.decidedBy = userId;
+    rq.outcome = outcome;
+    await rq.save();
+    try { console.log('[orders][changes] applied', { order: order.orderNumber, request: rq.requestNumber, autoApproved, refund: rq.refund }); } catch {}
+    await this.#notifyCustomer(order, rq.type === 'cancel'
+      ? `Your order ${order.orderNumber} was cancelled`
+      : `Your changes to order ${order.orderNumber} were applied`);
+    if (rq.refund?.due > 0) await this.#notifyAdmins(order, rq, { refundDue: rq.refund.due });
+    return { request: rq, order, applied: true };
+  }
+
+  async #applyModification(rq, order, { actor, userId }) {
+    const { changes } = rq;
+    const outcome = {};
+    if (changes.shippingAddress?.street || changes.shippingAddress?.city) {
+      order.shippingAddress = {
+        ...(order.shippingAddress?.toObject?.() || order.shippingAddress || {}),
+        street: changes.shippingAddress.street || order.shippingAddress?.street,
+        city: changes.shippingAddress.city || order.shippingAddress?.city
+      };
+    }
+    if (changes.mobile || changes.secondaryMobile) {
+      order.customerInfo = {
+        ...(order.customerInfo?.toObject?.() || order.customerInfo || {}),
+        ...(changes.mobile ? { mobile: changes.mobile } : {}),
+        ...(changes.secondaryMobile ? { secondaryMobile: changes.secondaryMobile } : {})
+      };
+    }
+
+    let delta = 0;
+    if (changes.items?.length) {
+      const totalBefore = round2((Number(order.totalAmount) || 0) + (Number(order.shippingFee) || 0));
+      const removed = [];
+      const flashLines = [];
+      for (const c of changes.items) {
+        const line = order.items.id(c.orderItem);
+        if (!line) throw new ApiError(StatusCodes.CONFLICT, `Order line ${c.name || c.orderItem} no longer exists`);
+        if (c.quantity >= line.quantity) continue;
+        const drop = line.quantity - c.quantity;
+        // Units still waiting for stock go first; only the rest was taken from (or held in) stock
+        const waiting = Math.min(drop, Number(line.backorder?.waiting) || 0);
+        if (waiting > 0) line.backorder.waiting -= waiting;
+        if (drop > waiting) removed.push({ product: line.product, variantId: line.variantId, size: line.size, color: line.color, quantity: drop - waiting });
+        if (line.pricing?.flashSale) flashLines.push({ flashSale: String(line.pricing.flashSale), product: String(line.product), quantity: drop });
+        this.#reduceLine(order, line, c.quantity);
+      }
+      delta = round2(totalBefore - ((Number(order.totalAmount) || 0) + (Number(order.shippingFee) || 0)));
+      backorderService.refreshStatus(order);
+      try { outcome.inventory = await releaseOrderUnits(order, removed, { userId, reason: `Order ${order.orderNumber} changed (${rq.requestNumber})` }); } catch (e) {
+        console.warn('[orders][changes] stock not released', e?.message || e);
+        outcome.inventory = `failed: ${e?.message || e}`;
+      }
+      if (flashLines.length) {
+        try {
+          const n = await releaseFlashSaleStock(flashLines);
+          outcome.flashsale = n ? `released:${n}` : null;
+        } catch (e) {
+          console.warn('[orders][changes] flash sale stock not released', e?.message || e);
+        }
+      }
+      if (delta > 0) rq.refund = await this.#settleReduction(order, delta, rq);
+    }
+
+    await order.save();
+
+    if (delta > 0) {
+      try { outcome.ledger = await managerLedgerService.syncOrder(order); } catch (e) {
+        console.warn('[orders][changes] manager ledger not updated', e?.message || e);
+      }
+      try {
+        const note = await invoiceService.issueCreditNote(order, { amount: delta, reason: `Order change ${rq.requestNumber}`, createdBy: userId || undefined });
+        if (note) outcome.invoice = `credit_note:${note.number}`;
+      } catch (e) {
+        console.warn('[orders][changes] credit note not issued', e?.message || e);
+      }
+    }
+    try { realTimeEventService.emitOrderUpdate(order); } catch {}
+    await recordOrderEvent(order, {
+      type: 'note',
+      actor,
+      source: 'customer_change_request',
+      note: `Order changed on request ${rq.requestNumber}`,
+      meta: { changeRequest: String(rq._id), changes: rq.toObject().changes, ...(delta > 0 ? { totalReducedBy: delta } : {}), ...outcome }
+    });
+    return outcome;
+  }
+
+  // Scale an order line (price breakdown, tax) down to the new quantity and take it off the order totals
+  #reduceLine(order, line, quantity) {
+    const ratio = quantity / line.quantity;
+    const gross = line.pricing?.lineTotal ?? (Number(line.price) || 0) * line.quantity;
+    const subtotal = line.pricing?.lineSubtotal ?? (Number(line.price) || 0) * line.quantity;
+    const coupon = Number(line.pricing?.couponDiscount) || 0;
+    retaxLineQuantity(order, line, quantity);
+    const removedGross = round2(gross * (1 - ratio));
+    const removedSubtotal = round2(subtotal * (1 - ratio));
+    const removedCoupon = round2(coupon * (1 - ratio));
+    order.subtotal = round2(Math.max(0, (Number(order.subtotal) || 0) - removedSubtotal));
+    if (removedCoupon) {
+      order.discountTotal = round2(Math.max(0, (Number(order.discountTotal) || 0) - removedCoupon));
+      if (order.coupon?.code) order.coupon.discount = round2(Math.max(0, (Number(order.coupon.discount) || 0) - removedCoupon));
+    }
+    order.totalAmount = round2(Math.max(0, (Number(order.totalAmount) || 0) - removedGross));
+    if (quantity === 0) {
+      order.items.pull(line._id);
+      return;
+    }
+    if (line.pricing && typeof line.pricing.lineTotal === 'number') {
+      line.pricing.lineSubtotal = round2(subtotal - removedSubtotal);
+      line.pricing.couponDiscount = round2(coupon - removedCoupon);
+      line.pricing.lineTotal = round2(gross - removedGross);
+    }
+    line.quantity = quantity;
+  }
+
+  // Hand back the value taken off an order: unpaid orders simply owe less; then gift cards, store credit
+  // and finally the card/PayPal payment (to the wallet, or due for an admin to refund)
+  async #settleReduction(order, delta, rq) {
+    const refund = { amount: delta, giftCardAmount: 0, storeCreditAmount: 0, due: 0 };
+    let left = delta;
+    const online = paidOnline(order);
+    // A pre-order balance not paid yet was never collected: it shrinks first
+    const balance = order.preorderBalance?.paidAt ? 0 : (Number(order.preorderBalance?.amount) || 0);
+    if (balance > 0) {
+      const lower = round2(Math.min(left, balance));
+      order.preorderBalance.amount = round2(balance - lower);
+      left = round2(left - lower);
+      refund.amount = round2(refund.amount - lower);
+    }
+    if (left > 0 && !online && Number(order.amountDue) > 0) {
+      const lower = round2(Math.min(left, Number(order.amountDue)));
+      order.amountDue = round2(Number(order.amountDue) - lower);
+      left = round2(left - lower);
+      refund.amount = round2(refund.amount - lower);
+    }
+    if (left > 0 && Number(order.giftCardTotal) > 0) {
+      const gc = await giftCardService.restoreForOrder(order._id, { amount: left, reason: `Order change ${rq.requestNumber}` });
+      order.giftCardTotal = round2(Math.max(0, Number(order.giftCardTotal) - gc));
+      refund.giftCardAmount = gc;
+      left = round2(left - gc);
+    }
+    if (left > 0 && Number(order.storeCreditAmount) > 0) {
+      const sc = await storeCreditService.restoreForOrder(order, { amount: left, note: `Order change ${rq.requestNumber}` });
+      order.storeCreditAmount = round2(Math.max(0, Number(order.storeCreditAmount) - sc));
+      refund.storeCreditAmount = sc;
+      left = round2(left - sc);
+    }
+    if (left > 0 && online) {
+      const give = round2(Math.min(left, paidAmount(order)));
+      if (rq.refundTo === 'store_credit' && order.user) {
+        await storeCreditService.credit(order.user, give, { reason: 'cancellation_refund', order: order._id, note: `Order change ${rq.requestNumber}` });
+        order.refundedAmount = round2((Number(order.refundedAmount) || 0) + give);
+        refund.storeCreditAmount = round2(refund.storeCreditAmount + give);
+      } else {
+        refund.due = give;
+      }
+    }
+    return refund;
+  }
+
+  async #notifyAdmins(order, rq, { refundDue } = {}) {
+    const what = rq.type === 'cancel' ? 'Cancellation' : 'Change';
+    const body = refundDue
+      ? `${rq.requestNumber}: refund ${refundDue} ${order.currency} to the original payment`
+      : `${what} requested for ${order.orderNumber} (${rq.reviewReasons.join(', ')})`;
+    try {
+      await sendPushToAdmins({ title: refundDue ? `Refund due: ${order.orderNumber}` : `${what} request`, body, url: `/admin/orders?focus=${order._id}`, tag: `order-change-${rq._id}` });
+    } catch (e) {
+      console.warn('[orders][changes] admin push failed', e?.message || e);
+    }
+    try { realTimeEventService.emitSystemNotification({ type: 'order_change_request', message: body, orderId: String(order._id), requestId: String(rq._id) }); } catch {}
+  }
+
+  async #notifyCustomer(order, body) {
+    try { realTimeEventService.emitOrderUpdate(order); } catch {}
+    if (!order.user) return;
+    try {
+      await sendPushToUser(order.user, { title: `Order ${order.orderNumber}`, body, url: `/orders/${order._id}`, tag: `order-${order._id}` });
+    } catch (e) {
+      console.warn('[orders][changes] customer push failed', e?.message || e);
+    }
+  }
+}
+
+export const orderChangeService = new OrderChangeService();
@@ -0,0 +1,551 @@
+import { StatusCodes } from 'http-status-codes';
+import Order from '../models/Order.js';
+import OrderEvent from '../models/OrderEvent.js';
+import ReturnRequest from '../models/ReturnRequest.js';
+import CategoryServiceLedger from '../models/CategoryServiceLedger.js';
+import DeliveryCompany from '../models/DeliveryCompany.js';
+import Settings from '../models/Settings.js';
+import { ApiError } from '../utils/ApiError.js';
+import { inventoryService } from './inventoryService.js';
+import { reservationService } from './reservationService.js';
+import { giftCardService } from './giftCardService.js';
+import { storeCreditService } from './storeCreditService.js';
+import { managerLedgerService } from './managerLedgerService.js';
+import { claimFlashSaleStock, releaseFlashSaleStock, flashLinesFromOrder, syncFlashSales } from './flashSaleService.js';
+import { deliverySlotService } from './deliverySlotService.js';
+import { invoiceService } from './invoiceService.js';
+import { realTimeEventService } from './realTimeEventService.js';
+import { sendPushToUser } from './pushService.js';
+import { sendToCompany, mapStatus, validateRequiredMappings, validateCompanyConfiguration } from './deliveryIntegrationService.js';
+
+export const ORDER_STATUSES = ['pending', 'processing', 'shipped', 'delivered', 'cancelled', 'returned'];
+
+// Online orders must not be fulfilled once their payment has failed
+const paymentNotFailed = (order) => (
+  order.paymentMethod !== 'cod' && order.paymentStatus === 'failed'
+    ? 'Payment for this order failed; it cannot be fulfilled'
+    : null
+);
+
+const waitingUnits = (line) => Number(line.backorder?.waiting) || 0;
+
+// Units still waiting for stock (backorder / pre-order) cannot leave the warehouse. Split orders move
+// through shipments instead, which only carry allocated units (services/shipmentService.js).
+const noUnitsAwaitingStock = (order) => (
+  !(order.shipments || []).some(s => s.status !== 'cancelled') && (order.items || []).some(l => waitingUnits(l) > 0)
+    ? 'Some items of this order are still waiting for stock (backorder / pre-order)'
+    : null
+);
+
+// Pre-orders paid with a deposit ship once the balance is paid
+const preorderBalanceSettled = (order) => (
+  Number(order.preorderBalance?.amount) > 0 && !order.preorderBalance.paidAt
+    ? `The pre-order balance of ${order.preorderBalance.amount} ${order.currency || ''} is still due`.trim()
+    : null
+);
+
+// Allowed transitions per current status. Each target lists the guards that must pass before the
+// move and the side effects applied by it (inventory, ledger, giftcard, storecredit, flashsale, slot,
+// invoice, notify, dispatch; see apply*Effect below).
+export const ORDER_TRANSITIONS = {
+  pending: {
+    processing: { guards: [paymentNotFailed], effects: ['notify', 'dispatch'] },
+    shipped: { guards: [paymentNotFailed, noUnitsAwaitingStock, preorderBalanceSettled], effects: ['notify', 'dispatch'] },
+    cancelled: { effects: ['inventory', 'ledger', 'giftcard', 'storecredit', 'flashsale', 'slot', 'invoice', 'notify'] }
+  },
+  processing: {
+    pending: { effects: ['notify'] },
+    shipped: { guards: [paymentNotFailed, noUnitsAwaitingStock, preorderBalanceSettled], effects: ['notify', 'dispatch'] },
+    delivered: { guards: [paymentNotFailed, noUnitsAwaitingStock, preorderBalanceSettled], effects: ['inventory', 'notify'] },
+    cancelled: { effects: ['inventory', 'ledger', 'giftcard', 'storecredit', 'flashsale', 'slot', 'invoice', 'notify'] }
+  },
+  shipped: {
+    delivered: { guards: [paymentNotFailed], effects: ['inventory', 'notify'] },
+    cancelled: { effects: ['inventory', 'ledger', 'giftcard', 'storecredit', 'flashsale', 'slot', 'invoice', 'notify'] },
+    returned: { effects: ['inventory', 'notify'] }
+  },
+  delivered: {
+    returned: { effects: ['inventory', 'notify'] }
+  },
+  // Reinstating a cancelled order re-reserves stock, re-activates its fees, re-debits its gift cards and store credit
+// and re-invoices it when it had been invoiced
+  cancelled: {
+    pending: { guards: [paymentNotFailed], effects: ['inventory', 'ledger', 'giftcard', 'storecredit', 'flashsale', 'slot', 'invoice', 'notify'] },
+    processing: { guards: [paymentNotFailed], effects: ['inventory', 'ledger', 'giftcard', 'storecredit', 'flashsale', 'slot', 'invoice', 'notify', 'dispatch'] }
+  },
+  returned: {}
+};
+
+export const normalizeStatus = (status) => (status === 'canceled' ? 'cancelled' : status);
+
+export const allowedTransitions = (from) => Object.keys(ORDER_TRANSITIONS[from] || {});
+
+// Actor descriptor for the timeline from an Express request (admin, signed-in customer or guest)
+export const actorFromRequest = (req) => {
+  const u = req?.user;
+  if (!u) return { type: 'guest' };
+  return {
+    type: u.role === 'admin' || u.role === 'categoryManager' ? 'admin' : 'customer',
+    user: u._id,
+    name: u.name || u.email,
+    role: u.role
+  };
+};
+
+export async function recordOrderEvent(order, { type = 'status_changed', fromStatus = null, toStatus = null, actor = null, source, note, meta = null } = {}) {
+  try {
+    return await OrderEvent.create({
+      order: order._id,
+      type,
+      fromStatus,
+      toStatus,
+      actor: actor || { type: 'system' },
+      source,
+      note,
+      meta
+    });
+  } catch (e) {
+    console.warn('[orders][timeline] failed to record event', e?.message || e);
+    return null;
+  }
+}
+
+export async function getOrderTimeline(orderId) {
+  return OrderEvent.find({ order: orderId })
+    .sort({ createdAt: 1, _id: 1 })
+    .populate('actor.user', 'name email role')
+    .lean();
+}
+
+// Units of the lines that are (or would be) in stock; units still waiting for stock were never taken
+// `less` maps order line ids to units to leave out (already back in stock)
+const asInventoryItems = (items, less = null) => items.map(it => ({
+  product: it.product,
+  quantity: it.quantity - waitingUnits(it) - (less?.get(String(it._id)) || 0),
+  ...(it.variantId ? { variantId: it.variantId } : { size: it.size, color: it.color })
+})).filter(it => it.quantity > 0);
+
+// Units per order line that received return requests already restocked or wrote off
+async function unitsPostedByReturns(orderId) {
+  const returns = await ReturnRequest.find({ order: orderId, 'items.stockPostedAt': { $ne: null } }).select('items').lean();
+  const byLine = new Map();
+  for (const rr of returns) {
+    for (const it of rr.items || []) {
+      if (!it.stockPostedAt) continue;
+      const key = String(it.orderItem);
+      byLine.set(key, (byLine.get(key) || 0) + (Number(it.receivedQuantity) || 0));
+    }
+  }
+  return byLine;
+}
+
+async function loadInventoryConfig() {
+  try { return (await Settings.findOne())?.inventory || null; } catch { return null; }
+}
+
+// Whether placing the order took its units out of stock (rather than holding them until payment)
+export const stockTakenAtOrder = (order, invCfg) => {
+  const hasCfg = invCfg && (Object.prototype.hasOwnProperty.call(invCfg, 'reserveOnCheckout') || Object.prototype.hasOwnProperty.call(invCfg, 'autoDecrementOnOrder'));
+  return (hasCfg ? !!(invCfg?.reserveOnCheckout || invCfg?.autoDecrementOnOrder) : true) && !order.inventoryHeld;
+};
+
+// Stock side effects. Mutates order flags only; the caller persists the order.
+async function applyInventoryEffect(order, from, to, { userId }) {
+  const invCfg = await loadInventoryConfig();
+  // Orders awaiting online payment only hold stock (StockReservation) until captured
+  const heldUntilPaid = !!order.inventoryHeld;
+  const decrementedAtOrder = stockTakenAtOrder(order, invCfg);
+  const items = asInventoryItems(order.items);
+
+  if (to === 'delivered') {
+    if (heldUntilPaid) {
+      await reservationService.convertHolds({ order: order._id }, { items, order: order._id, userId });
+      order.inventoryHeld = false;
+      return 'holds_converted';
+    }
+    if (!decrementedAtOrder) {
+      await inventoryService.reserveItems(items, userId);
+      return 'decremented';
+    }
+    return null;
+  }
+
+  if (to === 'cancelled') {
+    // Cancelling an unpaid order just drops its stock holds
+    if (heldUntilPaid) {
+      await reservationService.releaseHolds({ order: order._id }, 'Order cancelled');
+      return 'holds_released';
+    }
+    // Restock after each genuine reserve cycle (initial or after reinstatement)
+    const inventoryCurrentlyReserved = !order.inventoryRestoredOnCancel || order.inventoryReReservedAfterRestore;
+    if (invCfg?.autoIncrementOnCancel && decrementedAtOrder && inventoryCurrentlyReserved) {
+      await inventoryService.incrementItems(items, userId, 'Order cancelled');
+      order.inventoryRestoredOnCancel = true;
+      // Reset re-reserve flag so future reinstatement can re-reserve again
+      order.inventoryReReservedAfterRestore = false;
+      return 'restocked';
+    }
+    return null;
+  }
+
+  // Re-reserve inventory exactly once if the order is reinstated after cancellation
+  if (from === 'cancelled') {
+    if (order.inventoryRestoredOnCancel && !order.inventoryReReservedAfterRestore && decrementedAtOrder) {
+      await inventoryService.reserveItems(items, userId);
+      order.inventoryReReservedAfterRestore = true;
+      return 're_reserved';
+    }
+    return null;
+  }
+
+  if (to === 'returned' && invCfg?.autoIncrementOnReturn) {
+    // Units received through an RMA were already restocked or written off at inspection
+    const pending = asInventoryItems(order.items, await unitsPostedByReturns(order._id));
+    if (!pending.length) return null;
+    await inventoryService.incrementItems(pending, userId, 'Order returned');
+    return 'restocked';
+  }
+  return null;
+}
+
+/**
+ * Give back the stock of order units dropped before fulfilment (a customer reduced a quantity): holds of
+ * an order awaiting payment shrink, stock taken at checkout is restocked as a cancellation would.
+ * @param {Array<{ product, quantity, variantId?, size?, color? }>} items - Units removed from the order
+ * @returns {Promise<string|null>} outcome for the timeline
+ */
+export async function releaseOrderUnits(order, items, { userId = null, reason = 'Order quantity reduced' } = {}) {
+  if (!items?.length) return null;
+  if (order.inventoryHeld) {
+    const n = await reservationService.reduceHolds({ order: order._id }, asInventoryItems(items), reason);
+    return n ? `holds_reduced:${n}` : null;
+  }
+  const invCfg = await loadInventoryConfig();
+  const inventoryCurrentlyReserved = !order.inventoryRestoredOnCancel || order.inventoryReReservedAfterRestore;
+  if (invCfg?.autoIncrementOnCancel && stockTakenAtOrder(order, invCfg) && inventoryCurrentlyReserved) {
+    await inventoryService.incrementItems(asInventoryItems(items), userId, reason);
+    return 'restocked';
+  }
+  return null;
+}
+
+// Category service fees are only owed for orders that go ahead
+async function applyLedgerEffect(order, from, to) {
+  let result = null;
+  if (to === 'cancelled') {
+    const r = await CategoryServiceLedger.updateMany(
+      { order: order._id, status: { $ne: 'reversed' } },
+      { $set: { status: 'reversed', reversedAt: new Date() } }
+    );
+    result = r?.modifiedCount ? `reversed:${r.modifiedCount}` : null;
+  } else if (from === 'cancelled') {
+    const r = await CategoryServiceLedger.updateMany(
+      { order: order._id, status: 'reversed' },
+      { $set: { status: 'active' }, $unset: { reversedAt: 1 } }
+    );
+    result = r?.modifiedCount ? `reactivated:${r.modifiedCount}` : null;
+  } else {
+    return null;
+  }
+  // Manager earnings follow: cancelling reverses the sale and fee entries, reinstating books them again
+  const posted = await managerLedgerService.syncOrder(order);
+  return [result, posted ? `earnings:${posted}` : null].filter(Boolean).join(',') || null;
+}
+
+// Gift card balances spent on the order go back to the cards on cancellation
+async function applyGiftCardEffect(order, from, to) {
+  if (!(Number(order.giftCardTotal) > 0)) return null;
+  if (to === 'cancelled') {
+    const restored = await giftCardService.restoreForOrder(order._id, { reason: 'Order cancelled' });
+    return restored ? `restored:${restored}` : null;
+  }
+  if (from === 'cancelled') {
+    const debited = await giftCardService.reapplyForOrder(order);
+    return debited ? `redeemed:${debited}` : null;
+  }
+  return null;
+}
+
+// Store credit spent on the order goes back to the wallet on cancellation. With refundTo 'store_credit'
+// the amount the customer already paid by card/PayPal is credited to the wallet as well.
+async function applyStoreCreditEffect(order, from, to, { refundTo } = {}) {
+  const parts = [];
+  if (to === 'cancelled') {
+    const restored = await storeCreditService.restoreForOrder(order);
+    if (restored) parts.push(`restored:${restored}`);
+    const paid = Math.round(Math.max(0, (Number(order.amountDue) || 0) - (Number(order.refundedAmount) || 0)) * 100) / 100;
+    if (refundTo === 'store_credit' && ['completed', 'partially_refunded'].includes(order.paymentStatus) && paid > 0) {
+      if (!order.user) throw new ApiError(StatusCodes.BAD_REQUEST, 'Guest orders cannot be refunded to store credit');
+      await storeCreditService.credit(order.user, paid, { reason: 'cancellation_refund', order: order._id, note: `Order ${order.orderNumber} cancelled` });
+      order.refundedAmount = Math.round(((Number(order.refundedAmount) || 0) + paid) * 100) / 100;
+      parts.push(`refunded:${paid}`);
+    }
+  } else if (from === 'cancelled') {
+    const debited = await storeCreditService.reapplyForOrder(order);
+    if (debited) parts.push(`debited:${debited}`);
+  }
+  return parts.length ? parts.join(',') : null;
+}
+
+// Reinstating an order refunded to store credit: the refund is debited back and no longer counts as refunded
+async function reclaimStoreCreditRefund(order) {
+  const reclaimed = await storeCreditService.reclaimCancellationRefund(order);
+  if (reclaimed) order.refundedAmount = Math.round(Math.max(0, (Number(order.refundedAmount) || 0) - reclaimed) * 100) / 100;
+  return reclaimed;
+}
+
+// Flash-priced units go back to the sale allocation on cancellation (reopening a sale that sold out)
+async function applyFlashSaleEffect(order, from, to) {
+  const lines = flashLinesFromOrder(order);
+  if (!lines.length) return null;
+  if (to === 'cancelled') {
+    const released = await releaseFlashSaleStock(lines);
+    return released ? `released:${released}` : null;
+  }
+  if (from === 'cancelled') {
+    const claimed = await claimFlashSaleStock(lines, { strict: false });
+    if (claimed.length) await syncFlashSales(claimed.map(l => l.flashSale));
+    return claimed.length ? `claimed:${claimed.reduce((n, l) => n + l.quantity, 0)}` : null;
+  }
+  return null;
+}
+
+// The delivery slot place is given back on cancellation and booked again (even if full) when reinstated
+async function applySlotEffect(order, from, to) {
+  if (!order.deliverySlot?.slot) return null;
+  if (to === 'cancelled') return (await deliverySlotService.release(order.deliverySlot)) ? `released:${order.deliverySlot.date}` : null;
+  if (from === 'cancelled') return (await deliverySlotService.claim(order.deliverySlot, { strict: false })) ? `booked:${order.deliverySlot.date}` : null;
+  return null;
+}
+
+// Invoiced orders get a credit note for the open invoice amount on cancellation and a new invoice when reinstated
+async function applyInvoiceEffect(order, from, to) {
+  if (to === 'cancelled') {
+    const note = await invoiceService.issueCreditNote(order, { reason: `Order ${order.orderNumber} cancelled` });
+    return note ? `credit_note:${note.number}` : null;
+  }
+  if (from === 'cancelled' && await invoiceService.latestInvoice(order._id)) {
+    const invoice = await invoiceService.issueForOrder(order);
+    return `invoice:${invoice.number}`;
+  }
+  return null;
+}
+
+const CUSTOMER_MESSAGES = {
+  processing: 'Your order is being prepared',
+  shipped: 'Your order is on its way',
+  delivered: 'Your order was delivered',
+  cancelled: 'Your order was cancelled',
+  returned: 'Your return was completed'
+};
+
+async function applyNotifyEffect(order, from, to) {
+  try { realTimeEventService.emitOrderUpdate(order); } catch {}
+  if (!order.user || !CUSTOMER_MESSAGES[to]) return null;
+  try {
+    await sendPushToUser(order.user, {
+      title: `Order ${order.orderNumber}`,
+      body: CUSTOMER_MESSAGES[to],
+      url: `/orders/${order._id}`,
+      tag: `order-${order._id}`
+    });
+    return 'customer_push';
+  } catch (e) {
+    console.warn('[orders][status] customer push failed', e?.message || e);
+    return null;
+  }
+}
+
+// Send an order to the active auto-dispatch delivery company when its status is eligible.
+// Never throws; returns the same result shape used by createOrder's `autoDispatch` response field.
+export async function autoDispatchOrder(order) {
+  try {
+    if (order.deliveryTrackingNumber) return { success: false, reason: 'ALREADY_DISPATCHED' };
+    // Split orders are dispatched shipment by shipment (services/shipmentService.js)
+    if (order.shipments?.length) return { success: false, reason: 'HAS_SHIPMENTS' };
+    // Backordered / pre-ordered units are dispatched once allocated (services/backorderService.js)
+    if (noUnitsAwaitingStock(order)) return { success: false, reason: 'AWAITING_STOCK' };
+    if (preorderBalanceSettled(order)) return { success: false, reason: 'PREORDER_BALANCE_DUE' };
+    // Guard against long waits to keep API responsive
+    const AUTO_DISPATCH_TIMEOUT_MS = Number(process.env.AUTO_DISPATCH_TIMEOUT_MS || 8000);
+    const withTimeout = (p) => new Promise((resolve) => {
+      let settled = false;
+      const t = setTimeout(() => { if (!settled) { settled = true; resolve({ timeout: true }); } }, AUTO_DISPATCH_TIMEOUT_MS);
+      p.then((v) => { if (!settled) { settled = true; clearTimeout(t); resolve(v); } })
+       .catch((e) => { if (!settled) { settled = true; clearTimeout(t); resolve({ error: e }); } });
+    });
+    // Find an active delivery company with autoDispatchOnOrderCreate enabled.
+    const autoCompany = await DeliveryCompany.findOne({ isActive: true, autoDispatchOnOrderCreate: true }).sort('-isDefault');
+    if (!autoCompany) return { success: false, reason: 'NO_AUTO_COMPANY' };
+
+    const statuses = Array.isArray(autoCompany.autoDispatchStatuses) && autoCompany.autoDispatchStatuses.length
+      ? autoCompany.autoDispatchStatuses
+      : ['pending'];
+    if (!statuses.includes(order.status)) {
+      return { success: false, reason: 'STATUS_NOT_ELIGIBLE', orderStatus: order.status };
+    }
+    // Validate configuration before sending
+    const cfg = validateCompanyConfiguration(autoCompany.toObject());
+    if (!cfg.ok) return { success: false, reason: 'INVALID_CONFIGURATION', issues: cfg.issues };
+    const mappingCheck = validateRequiredMappings(order.toObject(), autoCompany.toObject());
+    if (!mappingCheck.ok) return { success: false, reason: 'MISSING_MAPPINGS', missing: mappingCheck.missing };
+
+    const deliveryFee = order.shippingFee || order.deliveryFee || 0;
+    const dispatchResult = await withTimeout(sendToCompany(order.toObject(), autoCompany.toObject(), { deliveryFee }));
+    if (dispatchResult?.timeout) return { success: false, reason: 'TIMEOUT' };
+    if (dispatchResult?.error) throw dispatchResult.error;
+
+    const { trackingNumber, providerResponse, providerStatus } = dispatchResult;
+    order.deliveryCompany = autoCompany._id;
+    order.deliveryStatus = mapStatus(autoCompany, providerStatus || 'assigned');
+    order.deliveryTrackingNumber = trackingNumber;
+    order.trackingNumber = trackingNumber; // legacy
+    order.deliveryAssignedAt = new Date();
+    order.deliveryFee = deliveryFee || order.deliveryFee || 0;
+    order.deliveryResponse = providerResponse;
+    await order.save();
+    return {
+      success: true,
+      companyId: String(autoCompany._id),
+      trackingNumber,
+      status: order.deliveryStatus,
+      providerStatus: providerStatus || 'assigned'
+    };
+  } catch (autoErr) {
+    console.warn('Auto-dispatch failed (non-fatal):', autoErr);
+    return { success: false, reason: 'AUTO_DISPATCH_ERROR', error: autoErr?.message };
+  }
+}
+
+// Throws ApiError when `from -> to` is not an allowed transition or a guard rejects it
+export function assertTransition(order, to) {
+  const from = order.status;
+  if (!ORDER_STATUSES.includes(to)) {
+    throw new ApiError(StatusCodes.BAD_REQUEST, `Invalid order status: ${to}`);
+  }
+  const rule = ORDER_TRANSITIONS[from]?.[to];
+  if (!rule) {
+    const allowed = allowedTransitions(from);
+    throw new ApiError(
+      StatusCodes.CONFLICT,
+      `Cannot change order status from ${from} to ${to}${allowed.length ? `. Allowed: ${allowed.join(', ')}` : ''}`
+    );
+  }
+  for (const guard of rule.guards || []) {
+    const reason = guard(order, to);
+    if (reason) throw new ApiError(StatusCodes.CONFLICT, reason);
+  }
+  return rule;
+}
+
+/**
+ * Move an order to a new status through the state machine: validates the transition, applies its
+ * side effects, saves the order and appends an OrderEvent to the timeline.
+ * The move is claimed with a conditional update on the current status, so of concurrent transitions of
+ * the same order only one applies its effects; the others fail with 409 (or report no change when the
+ * order already reached the target status).
+ * Side effect failures are logged and recorded on the event; they never block the transition, except
+ * taking back a store credit cancellation refund when a cancelled order is reinstated.
+ * @param {import('mongoose').Document} order Order document
+ * @param {string} nextStatus Target status ('canceled' is accepted as 'cancelled')
+ * @param {{ actor?: object, source?: string, note?: string, skipEffects?: string[], refundTo?: 'store_credit' }} [opts]
+ *   refundTo: on cancellation, credit what the customer paid to their store credit wallet
+ * @returns {Promise<{ order: object, event: object|null, changed: boolean, autoDispatch?: object }>}
+ */
+export async function transitionOrder(order, nextStatus, { actor = null, source, note, skipEffects = [], refundTo } = {}) {
+  const to = normalizeStatus(nextStatus);
+  const from = order.status;
+  if (from === to) return { order, event: null, changed: false };
+
+  const rule = assertTransition(order, to);
+  const effects = (rule.effects || []).filter(e => !skipEffects.includes(e));
+  const userId = actor?.user || null;
+  const outcome = {};
+
+  const claimed = await Order.updateOne({ _id: order._id, status: from }, { $set: { status: to } });
+  if (!claimed.matchedCount) {
+    const current = await Order.findById(order._id).select('status').lean();
+    if (current?.status === to) {
+      order.status = to;
+      return { order, event: null, changed: false };
+    }
+    throw new ApiError(StatusCodes.CONFLICT, `Order status changed meanwhile (now ${current?.status || 'unknown'}); reload and try again`);
+  }
+
+  // The customer cannot keep both the refund and the order: an already spent refund keeps it cancelled (409)
+  if (from === 'cancelled' && effects.includes('storecredit')) {
+    try {
+      const reclaimed = await reclaimStoreCreditRefund(order);
+      if (reclaimed) outcome.refund = `reclaimed:${reclaimed}`;
+    } catch (e) {
+      await Order.updateOne({ _id: order._id, status: to }, { $set: { status: from } });
+      throw e;
+    }
+  }
+
+  order.status = to;
+  if (effects.includes('inventory')) {
+    try { outcome.inventory = await applyInventoryEffect(order, from, to, { userId }); } catch (e) {
+      console.warn(`[orders][status] inventory effect failed ${from}->${to}:`, e?.message || e);
+      outcome.inventory = `failed: ${e?.message || e}`;
+    }
+  }
+  if (effects.includes('ledger')) {
+    try { outcome.ledger = await applyLedgerEffect(order, from, to); } catch (e) {
+      console.warn(`[orders][status] ledger effect failed ${from}->${to}:`, e?.message || e);
+      outcome.ledger = `failed: ${e?.message || e}`;
+    }
+  }
+  if (effects.includes('giftcard')) {
+    try { outcome.giftcard = await applyGiftCardEffect(order, from, to); } catch (e) {
+      console.warn(`[orders][status] gift card effect failed ${from}->${to}:`, e?.message || e);
+      outcome.giftcard = `failed: ${e?.message || e}`;
+    }
+  }
+  if (effects.includes('storecredit')) {
+    try { outcome.storecredit = await applyStoreCreditEffect(order, from, to, { refundTo }); } catch (e) {
+      console.warn(`[orders][status] store credit effect failed ${from}->${to}:`, e?.message || e);
+      outcome.storecredit = `failed: ${e?.message || e}`;
+    }
+  }
+  if (effects.includes('flashsale')) {
+    try { outcome.flashsale = await applyFlashSaleEffect(order, from, to); } catch (e) {
+      console.warn(`[orders][status] flash sale effect failed ${from}->${to}:`, e?.message || e);
+      outcome.flashsale = `failed: ${e?.message || e}`;
+    }
+  }
+  if (effects.includes('slot')) {
+    try { outcome.slot = await applySlotEffect(order, from, to); } catch (e) {
+      console.warn(`[orders][status] delivery slot effect failed ${from}->${to}:`, e?.message || e);
+      outcome.slot = `failed: ${e?.message || e}`;
+    }
+  }
+
+  await order.save();
+
+  // Needs the saved status: a reinstated order is only re-invoiced once it is active again
+  if (effects.includes('invoice')) {
+    try { outcome.invoice = await applyInvoiceEffect(order, from, to); } catch (e) {
+      console.warn(`[orders][status] invoice effect failed ${from}->${to}:`, e?.message || e);
+      outcome.invoice = `failed: ${e?.message || e}`;
+    }
+  }
+  if (effects.includes('notify')) outcome.notify = await applyNotifyEffect(order, from, to);
+  let autoDispatch;
+  if (effects.includes('dispatch')) {
+    autoDispatch = await autoDispatchOrder(order);
+    outcome.dispatch = autoDispatch.success ? `dispatched:${autoDispatch.trackingNumber || ''}` : autoDispatch.reason;
+  }
+
+  const meta = Object.fromEntries(Object.entries(outcome).filter(([, v]) => v != null));
+  const event = await recordOrderEvent(order, {
+    fromStatus: from,
+    toStatus: to,
+    actor,
+    source,
+    note,
+    meta: Object.keys(meta).length ? meta : null
+  });
+  try { console.log('[orders][status] transition', { order: order.orderNumber, from, to, actor: actor?.type, source }); } catch {}
+  return { order, event, changed: true, ...(autoDispatch ? { autoDispatch } : {}) };
+}
@@ -0,0 +1,237 @@
+import jwt from 'jsonwebtoken';
+import { StatusCodes } from 'http-status-codes';
+import Order from '../models/Order.js';
+import OrderEvent from '../models/OrderEvent.js';
+import DeliveryCompany from '../models/DeliveryCompany.js';
+import { ApiError } from '../utils/ApiError.js';
+import { cacheWrap } from '../utils/cache/simpleCache.js';
+import { sendOrderConfirmationEmail } from '../utils/emailService.js';
+import { getDeliveryStatusFromCompany, buildShipmentOrderView, mapStatus } from './deliveryIntegrationService.js';
+
+const TOKEN_PURPOSE = 'order_track';
+// Courier APIs are slow at times; the tracking page shows what we know rather than wait for them
+const COURIER_TIMEOUT_MS = Number(process.env.ORDER_TRACKING_COURIER_TIMEOUT_MS || 5000);
+// A parcel's courier answer (or its failure) is reused for this long, so repeated page loads do not call the courier
+const COURIER_CACHE_MS = Number(process.env.ORDER_TRACKING_COURIER_CACHE_MS || 60 * 1000);
+const NOT_FOUND = 'Order not found';
+
+const digitsOf = (v) => String(v || '').replace(/\D/g, '');
+
+/**
+ * Signed link token for following an order without an account. Stateless: valid until it expires
+ * (ORDER_TRACKING_TOKEN_TTL_DAYS, default 180).
+ * @param {{ _id: any }} order
+ * @returns {string}
+ */
+export const signTrackingToken = (order) => {
+  const secret = process.env.JWT_SECRET;
+  if (!secret) throw new Error('JWT_SECRET not configured');
+  const days = Number(process.env.ORDER_TRACKING_TOKEN_TTL_DAYS || 180);
+  return jwt.sign({ order: String(order._id), purpose: TOKEN_PURPOSE }, secret, { expiresIn: `${days}d` });
+};
+
+/**
+ * Storefront tracking page for a token. ORDER_TRACKING_URL may hold a {token} placeholder;
+ * otherwise the token is appended as ?token=. Defaults to WEBSITE_URL/track-order.
+ * @param {string} token
+ * @returns {string}
+ */
+export const trackingUrl = (token) => {
+  const base = process.env.ORDER_TRACKING_URL || `${String(process.env.WEBSITE_URL || '').replace(/\/$/, '')}/track-order`;
+  return base.includes('{token}')
+    ? base.replace('{token}', encodeURIComponent(token))
+    : `${base}${base.includes('?') ? '&' : '?'}token=${encodeURIComponent(token)}`;
+};
+
+/**
+ * Token and link returned with a new order. Never throws (null when JWT_SECRET is missing).
+ * @returns {{ token: string, url: string }|null}
+ */
+export const trackingLinkFor = (order) => {
+  try {
+    const token = signTrackingToken(order);
+    return { token, url: trackingUrl(token) };
+  } catch (e) {
+    try { console.warn('[orders][track] tracking token not issued', e?.message || e); } catch {}
+    return null;
+  }
+};
+
+/**
+ * Email the customer an order confirmation with the tracking link. Skipped without SMTP
+ * or when ORDER_CONFIRMATION_EMAIL=false; never throws.
+ * @param {object} order - Saved order
+ * @param {{ url: string }|null} tracking - Result of trackingLinkFor
+ */
+export const sendOrderConfirmation = async (order, tracking) => {
+  const enabled = String(process.env.ORDER_CONFIRMATION_EMAIL || 'true').toLowerCase() !== 'false';
+  const to = order?.customerInfo?.email;
+  if (!enabled || !process.env.SMTP_HOST || !to) return false;
+  try {
+    await sendOrderConfirmationEmail({ to, order, trackingUrl: tracking?.url || null });
+    return true;
+  } catch (e) {
+    try { console.warn('[orders][track] confirmation email failed', { order: order.orderNumber, error: e?.message || e }); } catch {}
+    return false;
+  }
+};
+
+// Phone numbers are stored as +<country><number>; customers often type the local form (0791234567)
+const sameMobile = (stored, given) => {
+  const a = digitsOf(stored);
+  const b = digitsOf(given);
+  if (b.length < 9 || a.length < 9) return false;
+  return a === b || a.slice(-9) === b.slice(-9);
+};
+
+/**
+ * Order behind a tracking token, or behind an order number confirmed with the customer's email or mobile.
+ * Mismatches answer 404 like unknown orders so lookups cannot be used to probe order numbers.
+ * @param {{ token?: string, orderNumber?: string, email?: string, mobile?: string }} query
+ */
+export const findTrackedOrder = async ({ token, orderNumber, email, mobile } = {}) => {
+  if (token) {
+    let payload;
+    try {
+      payload = jwt.verify(String(token), process.env.JWT_SECRET);
+    } catch {
+      throw new ApiError(StatusCodes.UNAUTHORIZED, 'Invalid or expired tracking link');
+    }
+    if (payload?.purpose !== TOKEN_PURPOSE || !payload.order) {
+      throw new ApiError(StatusCodes.UNAUTHORIZED, 'Invalid or expired tracking link');
+    }
+    const order = await Order.findById(payload.order);
+    if (!order) throw new ApiError(StatusCodes.NOT_FOUND, NOT_FOUND);
+    return order;
+  }
+  const number = String(orderNumber || '').trim();
+  if (!number || (!email && !mobile)) {
+    throw new ApiError(StatusCodes.BAD_REQUEST, 'Provide a tracking token, or orderNumber with email or mobile');
+  }
+  const order = await Order.findOne({ orderNumber: number });
+  if (!order) throw new ApiError(StatusCodes.NOT_FOUND, NOT_FOUND);
+  const emailOk = email && String(email).trim().toLowerCase() === String(order.customerInfo?.email || '').trim().toLowerCase();
+  const mobileOk = mobile && [order.customerInfo?.mobile, order.customerInfo?.secondaryMobile].some(m => sameMobile(m, mobile));
+  if (!emailOk && !mobileOk) throw new ApiError(StatusCodes.NOT_FOUND, NOT_FOUND);
+  return order;
+};
+
+const maskEmail = (email) => {
+  const [local, domain] = String(email || '').split('@');
+  if (!domain) return null;
+  return `${local.slice(0, Math.min(2, local.length - 1))}***@${domain}`;
+};
+
+const maskPhone = (phone) => {
+  const d = digitsOf(phone);
+  return d ? `${'*'.repeat(Math.max(0, d.length - 3))}${d.slice(-3)}` : null;
+};
+
+const maskName = (first, last) => [first, last ? `${String(last).charAt(0)}.` : ''].filter(Boolean).join(' ') || null;
+
+const withTimeout = (promise) => new Promise((resolve, reject) => {
+  const t = setTimeout(() => reject(new Error('courier timeout')), COURIER_TIMEOUT_MS);
+  promise.then(v => { clearTimeout(t); resolve(v); }, e => { clearTimeout(t); reject(e); });
+});
+
+// Live courier status of a dispatched parcel, cached briefly per parcel (concurrent lookups share one call);
+// failures degrade to null so tracking still answers
+const courierStatus = (orderView, companyId) => {
+  const trackingNumber = orderView.deliveryTrackingNumber || orderView.trackingNumber;
+  if (!companyId || !trackingNumber) return Promise.resolve(null);
+  return cacheWrap(`order-track:courier:${companyId}:${trackingNumber}`, COURIER_CACHE_MS, () => fetchCourierStatus(orderView, companyId));
+};
+
+const fetchCourierStatus = async (orderView, companyId) => {
+  try {
+    const company = await DeliveryCompany.findById(companyId).lean();
+    if (!company) return null;
+    const status = await withTimeout(getDeliveryStatusFromCompany(orderView, company));
+    return {
+      company: company.name || null,
+      status: mapStatus(company, status.status),
+      estimatedDelivery: status.estimatedDelivery || null,
+      events: Array.isArray(status.events) ? status.events : []
+    };
+  } catch (e) {
+    try { console.warn('[orders][track] courier status unavailable', { order: orderView.orderNumber, error: e?.message || e }); } catch {}
+    return null;
+  }
+};
+
+/**
+ * Customer-facing view of an order: status, timeline, shipments and courier events, with the
+ * customer's name, email, phone and street masked. Internal notes and actors are left out.
+ * @param {import('mongoose').Document} order
+ */
+export const buildTrackingView = async (order) => {
+  const obj = order.toObject();
+  const events = await OrderEvent.find({ order: obj._id, type: { $in: ['created', 'status_changed'] } })
+    .sort({ createdAt: 1, _id: 1 })
+    .select('type fromStatus toStatus createdAt')
+    .lean();
+
+  const [courier, shipments] = await Promise.all([
+    obj.shipments?.length ? null : courierStatus(obj, obj.deliveryCompany),
+    Promise.all((obj.shipments || []).map(async (s) => ({
+      shipmentNumber: s.shipmentNumber,
+      status: s.status,
+      trackingNumber: s.trackingNumber || null,
+      deliveredAt: s.deliveredAt || null,
+      updatedAt: s.statusUpdatedAt || s.updatedAt || null,
+      items: (s.items || []).map(it => ({ name: it.name, quantity: it.quantity })),
+      courier: s.status === 'pending' ? null : await courierStatus(buildShipmentOrderView(obj, s), s.deliveryCompany)
+    })))
+  ]);
+
+  return {
+    order: {
+      orderNumber: obj.orderNumber,
+      status: obj.status,
+      paymentStatus: obj.paymentStatus,
+      deliveryStatus: obj.deliveryStatus || null,
+      trackingNumber: obj.deliveryTrackingNumber || obj.trackingNumber || null,
+      estimatedDelivery: obj.deliveryEstimatedDate || courier?.estimatedDelivery || null,
+      deliverySlot: obj.deliverySlot?.date ? { date: obj.deliverySlot.date, window: obj.deliverySlot.window, name: obj.deliverySlot.name } : null,
+      createdAt: obj.createdAt,
+      currency: obj.currency,
+      totalAmount: obj.totalAmount,
+      shippingFee: obj.shippingFee || obj.deliveryFee || 0,
+      items: (obj.items || []).map(it => ({
+        name: it.name,
+        image: it.image,
+        quantity: it.quantity,
+        size: it.size,
+        color: it.color,
+        price: it.price,
+        // Units waiting for stock (backorder / pre-order) and when they are expected
+        backorder: it.backorder?.waiting > 0
+          ? { mode: it.backorder.mode, waiting: it.backorder.waiting, availableAt: it.backorder.availableAt || null }
+          : null
+      })),
+      preorderBalanceDue: obj.preorderBalance?.amount > 0 && !obj.preorderBalance.paidAt ? obj.preorderBalance.amount : 0,
+      customer: {
+        name: maskName(obj.customerInfo?.firstName, obj.customerInfo?.lastName),
+        email: maskEmail(obj.customerInfo?.email),
+        mobile: maskPhone(obj.customerInfo?.mobile)
+      },
+      shippingAddress: {
+        street: obj.shippingAddress?.street ? `${String(obj.shippingAddress.street).slice(0, 3)}***` : null,
+        city: obj.shippingAddress?.city || null,
+        country: obj.shippingAddress?.country || null
+      }
+    },
+    timeline: events.map(e => ({ type: e.type, fromStatus: e.fromStatus, toStatus: e.toStatus, at: e.createdAt })),
+    shipments,
+    courier
+  };
+};
+
+export default {
+  signTrackingToken,
+  trackingUrl,
+  trackingLinkFor,
+  sendOrderConfirmation,
+  findTrackedOrder,
+  buildTrackingView
+};
@@ -0,0 +1,26 @@
+import { PaymentGateway } from './paymentGateway.js';
+
+/** Cash on delivery: nothing to redirect to; the courier collects, and capture records the cash. */
+export class CodGateway extends PaymentGateway {
+  constructor() {
+    super({
+      id: 'cod',
+      label: 'Cash on delivery',
+      paymentMethod: 'cod',
+      capabilities: { capture: true }
+    });
+  }
+
+  isEnabled(settings) {
+    return settings?.payments?.visibility?.cod !== false;
+  }
+
+  async capture(order, { reference } = {}) {
+    return {
+      captured: true,
+      status: 'COLLECTED',
+      details: { collectedAt: new Date(), amount: Number(order.amountDue) || 0, ...(reference ? { reference } : {}) },
+      reference
+    };
+  }
+}
@@ -0,0 +1,51 @@
+import { StatusCodes } from 'http-status-codes';
+import { ApiError } from '../../utils/ApiError.js';
+import { PaymentGateway } from './paymentGateway.js';
+import { ICreditGateway } from './icreditGateway.js';
+import { PayPalGateway } from './paypalGateway.js';
+import { CodGateway } from './codGateway.js';
+
+// Orders from before Order.paymentGateway existed are matched by their payment method
+const LEGACY_METHOD_GATEWAYS = { card: 'icredit', paypal: 'paypal', cod: 'cod' };
+
+class GatewayRegistry {
+  #gateways = new Map();
+
+  /** Add an adapter; a new acquirer is a PaymentGateway subclass registered below. */
+  register(gateway) {
+    if (!(gateway instanceof PaymentGateway)) throw new TypeError('Payment gateways must extend PaymentGateway');
+    if (this.#gateways.has(gateway.id)) throw new Error(`Payment gateway already registered: ${gateway.id}`);
+    this.#gateways.set(gateway.id, gateway);
+    return gateway;
+  }
+
+  get(id) {
+    return this.#gateways.get(String(id || '').toLowerCase()) || null;
+  }
+
+  /**
+   * Registered gateway by id, optionally requiring a capability; 404 / 501 otherwise.
+   * @param {string} id
+   * @param {string} [capability] one of GATEWAY_CAPABILITIES
+   */
+  require(id, capability) {
+    const gateway = this.get(id);
+    if (!gateway) throw new ApiError(StatusCodes.NOT_FOUND, `Unknown payment gateway: ${id}`);
+    if (capability && !gateway.supports(capability)) throw gateway.unsupported(capability);
+    return gateway;
+  }
+
+  list() {
+    return [...this.#gateways.values()];
+  }
+
+  /** Gateway an order is paid through, or null (gift cards, store credit). */
+  forOrder(order) {
+    return this.get(order?.paymentGateway) || this.get(LEGACY_METHOD_GATEWAYS[order?.paymentMethod]);
+  }
+}
+
+export const paymentGateways = new GatewayRegistry();
+paymentGateways.register(new ICreditGateway());
+paymentGateways.register(new PayPalGateway());
+paymentGateways.register(new CodGateway());
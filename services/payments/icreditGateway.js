@@ -0,0 +1,260 @@
+import { StatusCodes } from 'http-status-codes';
+import GatewaySale from '../../models/GatewaySale.js';
+import Order from '../../models/Order.js';
+import PaymentSession from '../../models/PaymentSession.js';
+import { ApiError } from '../../utils/ApiError.js';
+import { deriveOrigin, getClientIp, getFallbackIpFromEnv, validateIPv4, parseIpList } from '../../utils/requestIp.js';
+import { loadSettings, requestICreditPaymentUrl, requestICreditRefund, verifyICreditSale } from '../icreditService.js';
+import { priceOrder } from '../pricingService.js';
+import { PaymentGateway } from './paymentGateway.js';
+
+const round2 = (n) => Math.round((Number(n) || 0) * 100) / 100;
+
+// Optional IPN source IP allowlist: set ICREDIT_IPN_ALLOWED_IPS as comma-separated IPv4 list to enforce
+const IPN_ALLOWED = parseIpList(process.env.ICREDIT_IPN_ALLOWED_IPS || '');
+
+/**
+ * iCredit (Rivhit) hosted payment page; card payments, paid on the page and announced by IPN. The IPN is
+ * checked with iCredit's Verify call and completes the payment itself (./icreditIpnService.js).
+ */
+export class ICreditGateway extends PaymentGateway {
+  constructor() {
+    super({
+      id: 'icredit',
+      label: 'iCredit',
+      paymentMethod: 'card',
+      capabilities: { sessions: true, confirm: true, notifications: true, refund: true, partialRefund: true }
+    });
+  }
+
+  isEnabled(settings) {
+    return !!settings?.payments?.icredit?.enabled && settings?.payments?.visibility?.card !== false;
+  }
+
+  // Gateways that require IPAddress get the client's IPv4, else ICREDIT_DEFAULT_IP, the body's, or a safe literal
+  #clientIp(req) {
+    if (!req) return '1.1.1.1';
+    return getClientIp(req) || getFallbackIpFromEnv()
+      || validateIPv4(req.body?.clientIp || req.body?.ip || req.body?.ipAddress)
+      || '1.1.1.1';
+  }
+
+  async createSession({ session, order, req, overrides } = {}) {
+    const settings = await loadSettings();
+    if (order) {
+      // Charge the server-priced amount due (the IPN is checked against it): shipping and exclusive tax as
+      // their own lines; coupon, tax exemption, gift cards, store credit and a pre-order balance left for
+      // later as the discount
+      const totals = await priceOrder(order);
+      if (totals.amountDue <= 0) {
+        throw new ApiError(StatusCodes.BAD_REQUEST, 'Order is fully covered by gift cards or store credit');
+      }
+      const orderLike = {
+        _id: order._id,
+        items: [
+          ...(order.items || []).map(it => ({ quantity: it.quantity, price: it.price, name: it.name, sku: it.sku })),
+          ...(totals.shippingFee > 0 ? [{ quantity: 1, price: totals.shippingFee, name: 'Shipping', sku: 'SHIPPING' }] : []),
+          ...(totals.taxAdjustment > 0 ? [{ quantity: 1, price: totals.taxAdjustment, name: 'Tax', sku: 'TAX' }] : [])
+        ],
+        shippingAddress: order.shippingAddress,
+        customerInfo: order.customerInfo,
+        currency: order.currency,
+        orderNumber: order.orderNumber
+      };
+      const ipOverrides = {
+        ...(overrides || {}),
+        IPAddress: this.#clientIp(req),
+        Discount: round2(totals.discountTotal + Math.max(0, -totals.taxAdjustment) + totals.giftCardTotal + totals.storeCreditAmount + totals.preorderBalance)
+      };
+      const { url } = await requestICreditPaymentUrl({ order: orderLike, settings, overrides: ipOverrides });
+      return { url };
+    }
+
+    // Lightweight order-like object for the iCredit payload from the server-priced session snapshot
+    const ps = session;
+    const taxAdjustment = Number(ps.tax?.adjustment) || 0;
+    const orderLike = {
+      _id: ps._id,
+      items: [
+        ...ps.items.map(it => ({
+          product: it.product,
+          quantity: it.quantity,
+          price: it.price,
+          name: it.name,
+          sku: it.sku,
+          variantId: it.variantId
+        })),
+        ...(ps.shippingFee > 0 ? [{ quantity: 1, price: ps.shippingFee, name: 'Shipping', sku: 'SHIPPING' }] : []),
+        // Exclusive tax is charged as its own line
+        ...(taxAdjustment > 0 ? [{ quantity: 1, price: taxAdjustment, name: 'Tax', sku: 'TAX' }] : [])
+      ],
+      shippingAddress: ps.shippingAddress,
+      customerInfo: ps.customerInfo,
+      currency: ps.currency,
+      orderNumber: ps.reference,
+      totalAmount: ps.totalAmount,
+      shippingFee: ps.shippingFee
+    };
+
+    // RedirectURL to our frontend return page, preserving any configured base
+    const origin = req ? deriveOrigin(req) : '';
+    const frontendReturn = origin ? `${origin}/payment/return` : (settings?.payments?.icredit?.redirectURL || '');
+
+    // Optional client overrides (e.g., deep links) with {sessionId} placeholders; only a valid IPv4 IPAddress is kept
+    const clientOverrides = overrides && typeof overrides === 'object' ? { ...overrides } : {};
+    if (typeof clientOverrides.IPAddress !== 'undefined') {
+      const valid = validateIPv4(String(clientOverrides.IPAddress));
+      if (!valid) delete clientOverrides.IPAddress; else clientOverrides.IPAddress = valid;
+    }
+    const payload = {
+      RedirectURL: frontendReturn,
+      Custom1: String(ps._id),
+      Reference: ps.reference,
+      ...clientOverrides,
+      // Coupon, tax exemption and gift card amounts are server-computed and must not be overridden by the client
+      Discount: round2((Number(ps.discountTotal) || 0) + Math.max(0, -taxAdjustment) + (Number(ps.giftCardTotal) || 0))
+    };
+    const sid = String(ps._id);
+    if (typeof payload.RedirectURL === 'string') payload.RedirectURL = payload.RedirectURL.replace('{sessionId}', sid);
+    if (typeof payload.FailRedirectURL === 'string') payload.FailRedirectURL = payload.FailRedirectURL.replace('{sessionId}', sid);
+
+    // IPNURL: configured, else this server's public IPN endpoint
+    const cfgIpn = String(settings?.payments?.icredit?.ipnURL || '').trim();
+    if (cfgIpn) {
+      payload.IPNURL = cfgIpn;
+    } else if (req) {
+      const h = req.headers || {};
+      const host = String(h['x-forwarded-host'] || h.host || '').trim();
+      const proto = (String(h['x-forwarded-proto'] || '')).split(',')[0] || 'https';
+      if (host) payload.IPNURL = `${`${proto}://${host}`.replace(/\/$/, '')}/api/payments/icredit/ipn`;
+    }
+
+    const clientIp = this.#clientIp(req);
+    try {
+      console.log('[payments][icredit][session][ip]', {
+        fromHeaders: req ? getClientIp(req) || null : null,
+        fromEnv: getFallbackIpFromEnv() || null,
+        final: clientIp
+      });
+    } catch {}
+    const { url } = await requestICreditPaymentUrl({ order: orderLike, settings, overrides: { ...payload, IPAddress: clientIp } });
+    return { url };
+  }
+
+  // The return from the payment page approves the session only once iCredit verifies its sale for the amount
+  // due. Only a sale id the IPN stored on the session is trusted (the redirect's can name anyone's sale);
+  // without one the customer waits for the IPN, which creates the order itself.
+  async confirmSession(session) {
+    if (['amount_mismatch', 'sale_not_verified'].includes(session.flag?.reason)) {
+      return { approved: false, message: 'payment_under_review' };
+    }
+    const saleId = String(session.paymentDetails?.SaleId || '').trim();
+    if (!saleId) return { approved: false, message: 'awaiting_payment_notification' };
+    let check;
+    try {
+      check = await verifyICreditSale({ saleId, amount: session.amountDue });
+    } catch (e) {
+      throw new ApiError(StatusCodes.BAD_GATEWAY, `iCredit sale verification failed: ${e?.message || e}`);
+    }
+    if (!check.verified) {
+      try { console.warn('[payments][icredit][confirm] sale not verified', { session: String(session._id), saleId, status: check.status }); } catch {}
+      return { approved: false, message: 'payment_not_verified' };
+    }
+    await this.claimSale(saleId, { session });
+    return { approved: true, details: session.paymentDetails };
+  }
+
+  /**
+   * Record that a sale paid this session or order; a sale already recorded for another one fails with 409
+   * (one payment cannot confirm several checkouts). Claiming again for the same owner is a no-op.
+   * @param {{ session?: object, order?: object }} owner
+   */
+  async claimSale(saleId, { session, order } = {}) {
+    const sameOwner = (claim) => (session && String(claim?.paymentSession) === String(session._id))
+      || (order && (String(claim?.order) === String(order._id)
+        || (order.paymentSession && String(claim?.paymentSession) === String(order.paymentSession))));
+    const existing = await GatewaySale.findOne({ gateway: this.id, saleId }).lean();
+    if (existing) {
+      if (sameOwner(existing)) return;
+      throw new ApiError(StatusCodes.CONFLICT, 'sale_already_used');
+    }
+    // Orders paid before sales were recorded carry the sale id as their payment reference
+    const legacy = await Order.findOne({ paymentReference: saleId }).select('_id paymentSession').lean();
+    if (legacy && !sameOwner({ order: legacy._id, paymentSession: legacy.paymentSession })) {
+      throw new ApiError(StatusCodes.CONFLICT, 'sale_already_used');
+    }
+    try {
+      await GatewaySale.create({ gateway: this.id, saleId, paymentSession: session?._id, order: order?._id });
+    } catch (e) {
+      if (e?.code !== 11000) throw e;
+      // Claimed concurrently: fine only when it was for the same owner
+      if (!sameOwner(await GatewaySale.findOne({ gateway: this.id, saleId }).lean())) {
+        throw new ApiError(StatusCodes.CONFLICT, 'sale_already_used');
+      }
+    }
+  }
+
+  /**
+   * Ask iCredit whether the IPN's sale took place for the amount due; the IPN itself is unsigned.
+   * @param {{ amount?: number }} [ctx] Amount we asked for (defaults to the IPN's)
+   */
+  async verifyNotification(req, { amount } = {}) {
+    const payload = req.body || {};
+    if (!payload.SaleId) return { verified: false, status: 'missing_sale_id' };
+    try {
+      const r = await verifyICreditSale({ saleId: payload.SaleId, amount: amount ?? payload.TransactionAmount });
+      return { verified: r.verified, status: r.status };
+    } catch (e) {
+      // Not a verdict: the IPN is answered with an error and processed again on redelivery
+      throw new ApiError(StatusCodes.BAD_GATEWAY, `iCredit sale verification failed: ${e?.message || e}`);
+    }
+  }
+
+  async handleNotification(req) {
+    const srcIp = getClientIp(req) || (req.ip ? String(req.ip) : '') || '';
+    if (IPN_ALLOWED.length && (!srcIp || !IPN_ALLOWED.includes(srcIp))) {
+      try { console.warn('[payments][icredit][ipn] rejecting by IP allowlist', { srcIp, allowed: IPN_ALLOWED }); } catch {}
+      throw new ApiError(StatusCodes.FORBIDDEN, 'forbidden_ip');
+    }
+    try { console.log('[payments][icredit][ipn]', { ip: srcIp, enforced: IPN_ALLOWED.length > 0 }, JSON.stringify(req.body || {}).slice(0, 2000)); } catch {}
+    // Loaded lazily: it depends on the registry
+    const { icreditIpnService } = await import('./icreditIpnService.js');
+    return { handled: true, ...(await icreditIpnService.handle(req, { ip: srcIp })) };
+  }
+
+  async paymentOf(order) {
+    let details = order.paymentDetails;
+    if (!details?.SaleId && order.paymentSession) {
+      details = (await PaymentSession.findById(order.paymentSession).select('paymentDetails').lean())?.paymentDetails || details;
+    }
+    const captured = Number(details?.TransactionAmount ?? details?.Amount);
+    return {
+      reference: details?.SaleId || details?.saleId || order.paymentReference || null,
+      transactionToken: details?.TransactionToken || details?.transactionToken || undefined,
+      captured: round2(Number.isFinite(captured) && captured > 0 ? captured : order.amountDue)
+    };
+  }
+
+  async refund(order, refund, payment) {
+    const r = await requestICreditRefund({
+      saleId: payment.reference,
+      transactionToken: payment.transactionToken,
+      amount: refund.amount,
+      reason: refund.reason || `Order ${order.orderNumber}`,
+      reference: refund.refundNumber
+    });
+    return {
+      status: r.ok ? 'completed' : 'failed',
+      providerStatus: r.status,
+      providerRefundId: r.refundId,
+      response: r.response,
+      error: r.ok ? undefined : (r.message || `HTTP ${r.httpStatus}`)
+    };
+  }
+
+  // iCredit sale being paid, for refunds
+  orderFields(session) {
+    const saleId = session?.paymentDetails?.SaleId;
+    return { paymentMethod: this.paymentMethod, paymentGateway: this.id, ...(saleId ? { paymentReference: String(saleId) } : {}) };
+  }
+}
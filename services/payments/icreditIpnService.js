@@ -0,0 +1,175 @@
+import mongoose from 'mongoose';
+import { StatusCodes } from 'http-status-codes';
+import Order from '../../models/Order.js';
+import PaymentSession from '../../models/PaymentSession.js';
+import { ApiError } from '../../utils/ApiError.js';
+import { priceOrder } from '../pricingService.js';
+import { recordOrderEvent } from '../orderStateMachine.js';
+import { realTimeEventService } from '../realTimeEventService.js';
+import { paymentGateways } from './gatewayRegistry.js';
+import { paymentEventService } from './paymentEventService.js';
+import { paymentSessionService } from './paymentSessionService.js';
+import { orderPaymentService } from './orderPaymentService.js';
+
+const round2 = (n) => Math.round((Number(n) || 0) * 100) / 100;
+const PAID_STATUSES = ['completed', 'refunded', 'partially_refunded'];
+const ACTOR = { type: 'payment', name: 'iCredit' };
+const SOURCE = 'icredit_ipn';
+
+/**
+ * iCredit IPNs (POST /api/payments/icredit/ipn): stored as PaymentEvents (one per sale), checked against
+ * what we asked to be paid and with iCredit's Verify call, then completed through the same code path as the
+ * customer's return: a cart session becomes its order (paymentSessionService.confirm), an existing order
+ * is marked paid.
+ */
+class ICreditIpnService {
+  /**
+   * @param {import('express').Request} req
+   * @param {{ ip?: string }} [ctx] Source address, kept with the event
+   * @returns {Promise<{ event: string, status: string, duplicate?: boolean, outcome?: any }>}
+   *   throws 400 for amount mismatches, unverified sales and sales already used, 502 when iCredit could not be asked
+   */
+  async handle(req, { ip } = {}) {
+    const payload = req.body || {};
+    const saleId = String(payload.SaleId || '').trim();
+    if (!saleId) throw new ApiError(StatusCodes.BAD_REQUEST, 'SaleId is required');
+    const gateway = paymentGateways.require('icredit');
+    const paid = Number(payload.TransactionAmount ?? payload.Amount);
+    const { event, duplicate } = await paymentEventService.begin(gateway.id, {
+      eventId: saleId,
+      type: 'sale',
+      resourceType: 'sale',
+      resourceId: saleId,
+      summary: `Sale ${saleId} of ${Number.isFinite(paid) ? paid : '?'}`,
+      payload,
+      headers: ip ? { ip } : undefined
+    });
+    if (duplicate) return { event: String(event?._id || ''), status: event?.status, duplicate: true };
+
+    try {
+      const target = await this.#target(payload);
+      if (!target) {
+        // Rejected, not ignored: the event is keyed by the (unsigned) SaleId, and a final status would make
+        // the genuine IPN of that sale a duplicate of a forged one
+        await paymentEventService.reject(event, `No checkout or order for Custom1 ${String(payload.Custom1 || '').slice(0, 64) || '(empty)'}`);
+        try { console.warn('[payments][icredit][ipn] unknown session or order', { saleId, custom1: payload.Custom1 }); } catch {}
+        throw new ApiError(StatusCodes.BAD_REQUEST, 'unknown_session_or_order');
+      }
+      const { session, order, expected } = target;
+      if (session) event.paymentSession = session._id;
+      if (order) event.order = order._id;
+
+      // The IPN is unsigned: nothing is flagged or completed until iCredit confirms the sale
+      const check = await gateway.verifyNotification(req, { amount: expected });
+      const mismatch = !Number.isFinite(paid) || Math.abs(round2(paid) - expected) >= 0.01;
+      if (!check.verified) {
+        // A genuine sale for another amount needs a person; a sale iCredit does not know only rejects the event
+        const forPaid = mismatch && Number.isFinite(paid) ? await gateway.verifyNotification(req, { amount: paid }) : null;
+        if (!forPaid?.verified) {
+          await this.#refuse(event, 'sale_not_verified', `iCredit did not verify sale ${saleId} for ${expected} (${check.status})`, check.status);
+        }
+        await this.#claim(gateway, event, saleId, target);
+        await this.#reject(event, target, 'amount_mismatch', `iCredit reported ${paid} for sale ${saleId} but ${expected} was due`, forPaid.status);
+      }
+      await this.#claim(gateway, event, saleId, target);
+      event.verified = true;
+      event.verification = check.status;
+
+      const result = session
+        ? await this.#completeSession(session, payload, saleId)
+        : await this.#completeOrder(gateway, order, payload, saleId);
+      await paymentEventService.finish(event, result);
+      try { console.log('[payments][icredit][ipn] sale', { saleId, status: event.status, outcome: result.outcome }); } catch {}
+      return { event: String(event._id), status: event.status, outcome: event.outcome };
+    } catch (e) {
+      if (event.status !== 'rejected') {
+        try { await paymentEventService.fail(event, e); } catch {}
+        try { console.warn('[payments][icredit][ipn] sale failed', { saleId, error: e?.message || e }); } catch {}
+      }
+      throw e;
+    }
+  }
+
+  // Custom1 carries the payment session id (cart checkout) or the order id (existing order), with what was due
+  async #target(payload) {
+    const id = String(payload.Custom1 || '').trim();
+    if (!mongoose.Types.ObjectId.isValid(id)) return null;
+    const session = await PaymentSession.findById(id);
+    if (session) return session.gateway === 'icredit' ? { session, expected: round2(session.amountDue) } : null;
+    const order = await Order.findById(id);
+    if (!order) return null;
+    return { order, expected: (await priceOrder(order)).amountDue };
+  }
+
+  // A verified sale is accepted for one session or order only; replayed against another it is refused
+  async #claim(gateway, event, saleId, { session, order }) {
+    try {
+      await gateway.claimSale(saleId, { session, order });
+    } catch (e) {
+      if (e?.statusCode !== StatusCodes.CONFLICT) throw e;
+      await this.#refuse(event, 'sale_already_used', `iCredit sale ${saleId} already paid another checkout or order`);
+    }
+  }
+
+  // Not genuine or not ours: the event is rejected and iCredit answered with 400; the target is left alone
+  async #refuse(event, reason, detail, verification) {
+    await paymentEventService.reject(event, detail, { verification });
+    try { console.warn('[payments][icredit][ipn] refused', { reason, detail }); } catch {}
+    throw new ApiError(StatusCodes.BAD_REQUEST, reason);
+  }
+
+  // A verified sale that cannot be completed: flag it for the team and answer iCredit with 400. A session
+  // whose order the customer's return already created is flagged together with that order.
+  async #reject(event, { session, order }, reason, detail, verification) {
+    await paymentEventService.reject(event, detail, { verification });
+    if (session) {
+      await paymentSessionService.flag(session._id, reason, detail);
+      const sessionOrder = (session.orderId && await Order.findById(session.orderId)) || await Order.findOne({ paymentSession: session._id });
+      if (sessionOrder) await this.#flagOrder(sessionOrder, reason, detail);
+    } else {
+      await this.#flagOrder(order, reason, detail);
+    }
+    try { console.warn('[payments][icredit][ipn] rejected', { reason, detail }); } catch {}
+    throw new ApiError(StatusCodes.BAD_REQUEST, reason);
+  }
+
+  async #flagOrder(order, reason, detail) {
+    order.paymentReview = { reason, detail, at: new Date() };
+    await order.save();
+    await recordOrderEvent(order, { type: 'note', actor: ACTOR, source: SOURCE, note: `Payment needs review: ${detail}`, meta: { reason } });
+    try { realTimeEventService.emitSystemNotification({ type: 'payment_review', message: `Order ${order.orderNumber}: ${detail}`, orderId: String(order._id), reason }); } catch {}
+  }
+
+  async #completeSession(session, payload, saleId) {
+    if (session.status === 'failed') {
+      // Paid although checkout had given up on the session (stock or gift cards released): a person decides
+      await paymentSessionService.flag(session._id, 'approved_without_order', `iCredit sale ${saleId} paid a failed checkout`);
+      return { status: 'processed', outcome: 'session_failed_flagged', paymentSession: session };
+    }
+    // The sale details are what refunds use (TransactionToken); the redirect only knows the sale id
+    await PaymentSession.updateOne({ _id: session._id, status: 'created' }, { $set: { status: 'approved' } });
+    await PaymentSession.updateOne({ _id: session._id, 'paymentDetails.TransactionToken': { $exists: false } }, { $set: { paymentDetails: payload } });
+    const { order, created } = await paymentSessionService.confirm(session._id, { gateway: 'icredit', source: SOURCE });
+    if (!created && (!order.paymentReference || !order.paymentDetails?.TransactionToken)) {
+      order.paymentReference = order.paymentReference || saleId;
+      order.paymentDetails = payload;
+      await order.save();
+    }
+    return { status: 'processed', outcome: created ? 'order_created' : 'order_exists', order, paymentSession: session };
+  }
+
+  async #completeOrder(gateway, order, payload, saleId) {
+    if (PAID_STATUSES.includes(order.paymentStatus)) return { status: 'ignored', outcome: 'already_paid', order };
+    const cancelled = order.status === 'cancelled';
+    await orderPaymentService.markPaid(order, gateway, {
+      details: payload,
+      reference: saleId,
+      actor: ACTOR,
+      source: SOURCE,
+      note: `iCredit sale ${saleId} paid${cancelled ? ' after the order was cancelled; refund it' : ''}`
+    });
+    return { status: 'processed', outcome: cancelled ? 'cancelled_order_paid' : 'order_paid', order };
+  }
+}
+
+export const icreditIpnService = new ICreditIpnService();
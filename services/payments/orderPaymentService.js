@@ -0,0 +1,129 @@
+import { StatusCodes } from 'http-status-codes';
+import { ApiError } from '../../utils/ApiError.js';
+import { reservationService } from '../reservationService.js';
+import { transitionOrder, recordOrderEvent } from '../orderStateMachine.js';
+import { realTimeEventService } from '../realTimeEventService.js';
+import { paymentGateways } from './gatewayRegistry.js';
+
+// Payment statuses after which an order must not be charged again
+const PAID_STATUSES = ['completed', 'refunded', 'partially_refunded'];
+
+/**
+ * Payments of existing orders (order placed first, paid afterwards): start a gateway payment,
+ * capture or void it, and book the outcome on the order whichever gateway it went through.
+ */
+class OrderPaymentService {
+  #assertPayable(order) {
+    if (PAID_STATUSES.includes(order.paymentStatus)) throw new ApiError(StatusCodes.BAD_REQUEST, 'Order is already paid');
+    // A cancelled unpaid order is void: it must not be charged afterwards
+    if (order.status === 'cancelled') throw new ApiError(StatusCodes.BAD_REQUEST, 'Order was cancelled');
+  }
+
+  /**
+   * Start paying an unpaid order on a gateway's page; the order remembers the gateway and its reference.
+   * @returns {Promise<{ url: string|null, reference?: string, data?: object }>}
+   */
+  async start(order, gatewayId, { req = null, overrides } = {}) {
+    const gateway = paymentGateways.require(gatewayId, 'sessions');
+    this.#assertPayable(order);
+    const result = await gateway.createSession({ order, req, overrides });
+    order.paymentMethod = gateway.paymentMethod;
+    order.paymentGateway = gateway.id;
+    if (result.reference) order.paymentReference = result.reference;
+    await order.save();
+    return result;
+  }
+
+  /**
+   * Collect the payment of an order through its gateway (PayPal capture, cash collected on delivery).
+   * @param {object} order Order document
+   * @param {{ gateway?: string, reference?: string, actor?: object, source?: string }} [opts]
+   *   gateway defaults to the order's; actor defaults to the gateway itself
+   * @returns {Promise<{ captured: boolean, status?: string, order: object }>}
+   */
+  async capture(order, { gateway: gatewayId, reference, actor, source } = {}) {
+    const gateway = gatewayId ? paymentGateways.require(gatewayId, 'capture') : paymentGateways.forOrder(order);
+    if (!gateway) throw new ApiError(StatusCodes.BAD_REQUEST, 'Order has no payment gateway');
+    if (!gateway.supports('capture')) throw gateway.unsupported('capture');
+    if (PAID_STATUSES.includes(order.paymentStatus)) throw new ApiError(StatusCodes.BAD_REQUEST, 'Order is already paid');
+    const result = await gateway.capture(order, { reference });
+    const by = actor || { type: 'payment', name: gateway.label };
+    const from = source || `${gateway.id}_capture`;
+    if (result.captured) {
+      await this.markPaid(order, gateway, {
+        details: result.details,
+        reference: result.reference,
+        actor: by,
+        source: from,
+        note: `${gateway.label} payment${result.reference ? ` ${result.reference}` : ''} captured`
+      });
+    } else {
+      await this.markFailed(order, { details: result.details, reason: 'Payment failed' });
+    }
+    return { captured: !!result.captured, status: result.status, order };
+  }
+
+  /** Cancel an approved, uncaptured payment; the order is left unpaid and its stock holds released. */
+  async void(order, { actor = null, source } = {}) {
+    const gateway = paymentGateways.forOrder(order);
+    if (!gateway) throw new ApiError(StatusCodes.BAD_REQUEST, 'Order has no payment gateway');
+    if (!gateway.supports('void')) throw gateway.unsupported('void');
+    if (PAID_STATUSES.includes(order.paymentStatus)) throw new ApiError(StatusCodes.CONFLICT, 'Captured payments are refunded, not voided');
+    const result = await gateway.void(order);
+    await this.markFailed(order, { details: result?.details, reason: 'Payment voided' });
+    await recordOrderEvent(order, { type: 'note', actor, source: source || `${gateway.id}_void`, note: `${gateway.label} payment voided` });
+    return { order };
+  }
+
+  /**
+   * Book a captured payment: payment completed, checkout stock holds become a real decrement, and a
+   * pending order moves on to processing.
+   */
+  async markPaid(order, gateway, { details, reference, actor, source, note } = {}) {
+    order.paymentStatus = 'completed';
+    order.paymentGateway = gateway.id;
+    if (details !== undefined) order.paymentDetails = details;
+    if (reference && !order.paymentReference) order.paymentReference = reference;
+    if (order.inventoryHeld) {
+      try {
+        await reservationService.convertHolds({ order: order._id }, { order: order._id });
+        order.inventoryHeld = false;
+      } catch (invErr) {
+        console.warn(`[payments][${gateway.id}][capture] hold conversion failed`, invErr?.message || invErr);
+        await this.flagStockNotTaken(order, invErr, { actor, source });
+      }
+    }
+    if (order.status === 'pending') {
+      await transitionOrder(order, 'processing', { actor, source, note });
+    } else {
+      await order.save();
+      await recordOrderEvent(order, { type: 'note', actor, source, note });
+    }
+    return order;
+  }
+
+  /**
+   * Paid, but the checkout's stock holds could not become a real decrement: the order keeps them
+   * (inventoryHeld, converted on delivery) and is flagged for the team, since the units may be sold again
+   * meanwhile. The caller saves the order.
+   */
+  async flagStockNotTaken(order, error, { actor = null, source } = {}) {
+    const detail = `Stock was not taken for the paid order: ${error?.message || error}`;
+    order.inventoryHeld = true;
+    order.paymentReview = { reason: 'stock_not_taken', detail, at: new Date() };
+    await recordOrderEvent(order, { type: 'note', actor, source, note: detail, meta: { reason: 'stock_not_taken' } });
+    try { realTimeEventService.emitSystemNotification({ type: 'stock_not_taken', message: `Order ${order.orderNumber}: ${detail}`, orderId: String(order._id) }); } catch {}
+  }
+
+  /** Book a failed (declined, voided, denied) payment: the order stays unpaid and its stock holds are released. */
+  async markFailed(order, { details, reason } = {}) {
+    order.paymentStatus = 'failed';
+    if (details !== undefined) order.paymentDetails = details;
+    if (order.inventoryHeld) {
+      try { await reservationService.releaseHolds({ order: order._id }, reason); } catch {}
+    }
+    await order.save();
+  }
+}
+
+export const orderPaymentService = new OrderPaymentService();
@@ -0,0 +1,95 @@
+import PaymentEvent from '../../models/PaymentEvent.js';
+
+// An event still 'processing' after this long is assumed crashed and may be processed again
+const LOCK_MS = 2 * 60 * 1000;
+const MAX_LIMIT = 100;
+
+/**
+ * Persisted store of gateway webhooks / IPNs and exactly-once processing of them: the first delivery
+ * claims the event, redeliveries of a processed or ignored event are reported as duplicates.
+ */
+class PaymentEventService {
+  /**
+   * Record an incoming event and claim it for processing.
+   * @param {string} gateway Gateway id
+   * @param {{ eventId: string, type?: string, resourceType?: string, resourceId?: string, summary?: string, payload?: any, headers?: object }} data
+   * @returns {Promise<{ event: object, duplicate: boolean }>} duplicate: already handled (or being handled) elsewhere
+   */
+  async begin(gateway, { eventId, type, resourceType, resourceId, summary, payload, headers }) {
+    const now = new Date();
+    try {
+      const event = await PaymentEvent.create({
+        gateway, eventId, type, resourceType, resourceId, summary, payload, headers,
+        status: 'processing',
+        processingAt: now
+      });
+      return { event, duplicate: false };
+    } catch (e) {
+      if (e?.code !== 11000) throw e;
+    }
+    const event = await PaymentEvent.findOneAndUpdate(
+      {
+        gateway,
+        eventId,
+        $or: [
+          { status: { $in: ['failed', 'rejected'] } },
+          { status: 'processing', processingAt: { $lt: new Date(now.getTime() - LOCK_MS) } }
+        ]
+      },
+      { $set: { status: 'processing', processingAt: now, payload, headers }, $unset: { error: 1 }, $inc: { attempts: 1 } },
+      { new: true }
+    );
+    if (event) return { event, duplicate: false };
+    return { event: await PaymentEvent.findOne({ gateway, eventId }), duplicate: true };
+  }
+
+  /** Processing done; status 'ignored' when the event needed nothing from us. */
+  async finish(event, { status = 'processed', outcome, order, paymentSession } = {}) {
+    event.status = status;
+    event.processedAt = new Date();
+    if (outcome !== undefined) event.outcome = outcome;
+    if (order) event.order = order._id || order;
+    if (paymentSession) event.paymentSession = paymentSession._id || paymentSession;
+    await event.save();
+    return event;
+  }
+
+  async fail(event, error) {
+    event.status = 'failed';
+    event.error = String(error?.message || error || 'failed').slice(0, 1000);
+    await event.save();
+    return event;
+  }
+
+  /**
+   * The event is not genuine or does not match what we expect (bad signature, unverified sale, wrong amount).
+   * @param {string} reason Stored as the event's error
+   * @param {{ verification?: string }} [opts] Verdict of the gateway's verification, when it gave one
+   */
+  async reject(event, reason, { verification } = {}) {
+    event.status = 'rejected';
+    event.verified = false;
+    if (verification !== undefined) event.verification = verification;
+    event.error = String(reason || 'rejected').slice(0, 1000);
+    await event.save();
+    return event;
+  }
+
+  /** Events newest first, filtered by gateway / status / type / order. */
+  async list({ gateway, status, type, order, page = 1, limit = 50 } = {}) {
+    const filter = {};
+    if (gateway) filter.gateway = String(gateway);
+    if (status) filter.status = String(status);
+    if (type) filter.type = String(type);
+    if (order) filter.order = order;
+    const size = Math.min(MAX_LIMIT, Math.max(1, parseInt(limit, 10) || 50));
+    const skip = (Math.max(1, parseInt(page, 10) || 1) - 1) * size;
+    const [events, total] = await Promise.all([
+      PaymentEvent.find(filter).select('-headers').sort('-createdAt').skip(skip).limit(size).lean(),
+      PaymentEvent.countDocuments(filter)
+    ]);
+    return { events, total, page: skip / size + 1, limit: size };
+  }
+}
+
+export const paymentEventService = new PaymentEventService();
@@ -0,0 +1,129 @@
+import { StatusCodes } from 'http-status-codes';
+import { ApiError } from '../../utils/ApiError.js';
+
+// What a gateway can do; routes and services check these before calling the matching method
+export const GATEWAY_CAPABILITIES = [
+  'sessions',       // hosted payment for a cart snapshot (PaymentSession) or an existing order
+  'confirm',        // the customer's return from the payment page completes the payment
+  'notifications',  // server-to-server IPN / webhook
+  'capture',        // collect an approved payment of an existing order
+  'void',           // cancel an approved payment before it is captured
+  'refund',
+  'partialRefund'
+];
+
+/**
+ * Base class of the payment gateway adapters registered in ./gatewayRegistry.js.
+ * Adapters override what they support and list it in `capabilities`; the rest answers 501.
+ * Amounts are in the order / session currency.
+ */
+export class PaymentGateway {
+  /**
+   * @param {{ id: string, label: string, paymentMethod: string, capabilities?: Partial<Record<string, boolean>> }} opts
+   *   paymentMethod is stored on Order.paymentMethod ('card', 'paypal', 'cod'); id on Order.paymentGateway
+   */
+  constructor({ id, label, paymentMethod, capabilities = {} }) {
+    this.id = id;
+    this.label = label;
+    this.paymentMethod = paymentMethod;
+    this.capabilities = Object.fromEntries(GATEWAY_CAPABILITIES.map(c => [c, !!capabilities[c]]));
+  }
+
+  supports(capability) {
+    return !!this.capabilities[capability];
+  }
+
+  /** Whether checkout may offer this gateway with the given Settings document. */
+  isEnabled() {
+    return true;
+  }
+
+  /**
+   * Start a hosted payment for a PaymentSession (cart checkout) or an existing unpaid Order.
+   * @param {{ session?: object, order?: object, req?: import('express').Request, overrides?: object }} ctx
+   * @returns {Promise<{ url: string|null, reference?: string, data?: object }>}
+   */
+  async createSession() {
+    throw this.unsupported('sessions');
+  }
+
+  /**
+   * The customer came back from the payment page: may the session become an order?
+   * @param {object} session PaymentSession document
+   * @param {{ payload?: object }} ctx Request body of the confirmation
+   * @returns {Promise<{ approved: boolean, details?: any, reference?: string, message?: string }>}
+   */
+  async confirmSession() {
+    throw this.unsupported('confirm');
+  }
+
+  /**
+   * Server-to-server notification (IPN / webhook).
+   * @param {import('express').Request} req
+   * @returns {Promise<{ sessionId?: string, approved?: boolean, details?: any, reference?: string, handled?: boolean }>}
+   *   sessionId/approved: the session to confirm; handled: the adapter processed the event itself.
+   *   Throws an ApiError to reject the request
+   */
+  async handleNotification() {
+    throw this.unsupported('notifications');
+  }
+
+  /**
+   * Check that a notification really comes from the gateway (signature, or asking the gateway about it).
+   * @param {import('express').Request} req
+   * @param {{ amount?: number }} [ctx] What we expect to have been paid, for gateways that verify amounts
+   * @returns {Promise<{ verified: boolean, status?: string }>} throws when the check itself could not be made
+   */
+  async verifyNotification() {
+    return { verified: false, status: 'not_supported' };
+  }
+
+  /**
+   * Collect the payment of an existing order.
+   * @returns {Promise<{ captured: boolean, status?: string, details?: any, reference?: string }>}
+   */
+  async capture() {
+    throw this.unsupported('capture');
+  }
+
+  /** Cancel an approved, uncaptured payment of an existing order. */
+  async void() {
+    throw this.unsupported('void');
+  }
+
+  /**
+   * Payment of an order as the gateway knows it, for refunds.
+   * @returns {Promise<{ reference: string|null, captured: number, [key: string]: any }>}
+   */
+  async paymentOf(order) {
+    return { reference: order.paymentReference || null, captured: Number(order.amountDue) || 0 };
+  }
+
+  /**
+   * Send `refund.amount` back to the customer.
+   * @param {object} order Order document
+   * @param {object} refund Refund document (refundNumber doubles as the provider idempotency key)
+   * @param {object} payment Result of paymentOf
+   * @returns {Promise<{ status: 'completed'|'pending'|'failed', providerStatus?: string, providerRefundId?: string, response?: any, error?: string }>}
+   */
+  async refund() {
+    throw this.unsupported('refund');
+  }
+
+  /** Fields stamped on the order created from a confirmed session. */
+  orderFields(session) {
+    return {
+      paymentMethod: this.paymentMethod,
+      paymentGateway: this.id,
+      ...(session?.gatewayReference ? { paymentReference: session.gatewayReference } : {})
+    };
+  }
+
+  unsupported(capability) {
+    return new ApiError(StatusCodes.NOT_IMPLEMENTED, `${this.label} does not support ${capability}`);
+  }
+
+  toJSON() {
+    return { id: this.id, label: this.label, paymentMethod: this.paymentMethod, capabilities: this.capabilities };
+  }
+}
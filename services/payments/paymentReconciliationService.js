@@ -0,0 +1,55 @@
+import PaymentSession from '../../models/PaymentSession.js';
+import { paymentSessionService } from './paymentSessionService.js';
+
+// Time the redirect and the IPN get to create the order before a paid session counts as stuck
+const GRACE_MS = Math.max(1, Number(process.env.PAYMENT_RECONCILIATION_GRACE_MINUTES || 15)) * 60 * 1000;
+// A confirmation holding the session longer than this has crashed (paymentSessionService CONFIRM_LOCK_MS)
+const CONFIRM_STALE_MS = 2 * 60 * 1000;
+const BATCH = 100;
+
+/**
+ * Finds checkouts that were paid but never became an order (IPN rejected by a bug, confirmation crashed,
+ * customer closed the tab and no IPN arrived) and flags them for the team, see GET /api/payments/sessions/flagged.
+ * Nothing is created automatically: an admin confirms the session (POST /api/payments/sessions/:id/confirm).
+ */
+class PaymentReconciliationService {
+  /** @returns {Promise<{ checked: number, flagged: number }>} */
+  async sweep(now = new Date()) {
+    // Approved and charged (sessions fully paid by gift cards are approved from the start; abandoning those costs nothing)
+    const stuck = await PaymentSession.find({
+      status: 'approved',
+      orderId: null,
+      amountDue: { $gt: 0 },
+      'flag.reason': { $ne: 'approved_without_order' },
+      createdAt: { $lt: new Date(now.getTime() - GRACE_MS) },
+      $or: [{ confirmingAt: null }, { confirmingAt: { $lt: new Date(now.getTime() - CONFIRM_STALE_MS) } }]
+    }).select('_id gateway paymentDetails createdAt').limit(BATCH).lean();
+    let flagged = 0;
+    for (const ps of stuck) {
+      const sale = ps.paymentDetails?.SaleId || ps.paymentDetails?.id;
+      const detail = `Paid on ${ps.gateway}${sale ? ` (${sale})` : ''} at ${ps.createdAt?.toISOString?.() || ps.createdAt} but no order was created`;
+      if (await paymentSessionService.flag(ps._id, 'approved_without_order', detail)) flagged++;
+    }
+    return { checked: stuck.length, flagged };
+  }
+}
+
+export const paymentReconciliationService = new PaymentReconciliationService();
+
+let _timer = null;
+
+// Sweep every PAYMENT_RECONCILIATION_INTERVAL_MINUTES (default 10)
+export function startPaymentReconciliationScheduler() {
+  if (_timer) return;
+  const minutes = Math.max(1, Number(process.env.PAYMENT_RECONCILIATION_INTERVAL_MINUTES || 10));
+  const tick = async () => {
+    try {
+      const r = await paymentReconciliationService.sweep();
+      if (r.flagged) console.log('[payments][reconciliation] sweep', r);
+    } catch (e) {
+      try { console.warn('[payments][reconciliation] sweep failed:', e?.message || e); } catch {}
+    }
+  };
+  _timer = setInterval(tick, minutes * 60 * 1000);
+  try { _timer.unref?.(); } catch {}
+}
@@ -0,0 +1,486 @@
+import { StatusCodes } from 'http-status-codes';
+import Order from '../../models/Order.js';
+import Product from '../../models/Product.js';
+import PaymentSession from '../../models/PaymentSession.js';
+import Coupon from '../../models/Coupon.js';
+import { ApiError } from '../../utils/ApiError.js';
+import { reservationService } from '../reservationService.js';
+import { backorderService } from '../backorderService.js';
+import { deliverySlotService } from '../deliverySlotService.js';
+import { managerLedgerService } from '../managerLedgerService.js';
+import { giftCardService } from '../giftCardService.js';
+import { priceCart, toPricingSnapshot, recordCouponUse, expandBundleItems, recordBundleSales } from '../pricingService.js';
+import { computeTax, toTaxSnapshot } from '../taxService.js';
+import { resolveCheckoutShippingFee } from '../shippingService.js';
+import { assertFlashSaleLimits, claimFlashSaleStock, flashLinesFromPriced, flashLinesFromOrder, syncFlashSales } from '../flashSaleService.js';
+import { recordOrderEvent } from '../orderStateMachine.js';
+import { realTimeEventService } from '../realTimeEventService.js';
+import { abandonedCheckoutService } from '../abandonedCheckoutService.js';
+import { trackingLinkFor, sendOrderConfirmation } from '../orderTrackingService.js';
+import { paymentGateways } from './gatewayRegistry.js';
+import { orderPaymentService } from './orderPaymentService.js';
+
+// A confirmation that crashed midway stops blocking its retries after this long
+const CONFIRM_LOCK_MS = 2 * 60 * 1000;
+
+// Checkout step that failed, with the underlying reason for the client (message stays a stable code)
+const checkoutError = (message, cause, status) => Object.assign(
+  new ApiError(status || (cause?.isOperational && cause.statusCode) || StatusCodes.BAD_REQUEST, message),
+  { detail: cause?.message || String(cause), ...(cause?.isOperational && typeof cause.code === 'string' ? { code: cause.code } : {}) }
+);
+
+/**
+ * Cart checkouts paid on a gateway's page (PaymentSession). Gateway-agnostic: the adapter in
+ * ./gatewayRegistry.js only starts the payment and approves it; pricing, holds and the order live here.
+ */
+class PaymentSessionService {
+  /**
+   * Price a cart, hold its stock and gift cards, and start the gateway payment for the remainder.
+   * @param {string} gatewayId Registered gateway with the 'sessions' capability
+   * @param {object} body Checkout payload (items, shippingAddress, customerInfo, currency, shippingFee, coupon, giftCards, deliverySlot, overrides)
+   * @param {{ user?: object, req?: import('express').Request }} [ctx]
+   * @returns {Promise<{ ok: true, url: string|null, sessionId: string, gateway?: string, data?: object, paidByGiftCard?: boolean, amountDue?: number }>}
+   */
+  async createFromCart(gatewayId, body = {}, { user = null, req = null } = {}) {
+    const gateway = paymentGateways.require(gatewayId, 'sessions');
+    const { shippingAddress, customerInfo, currency, shippingFee, coupon } = body;
+    if (!Array.isArray(body.items) || body.items.length === 0) throw new ApiError(StatusCodes.BAD_REQUEST, 'items required');
+    if (!shippingAddress?.street || !shippingAddress?.city || !shippingAddress?.country) throw new ApiError(StatusCodes.BAD_REQUEST, 'invalid_shipping');
+    if (!customerInfo?.email || !customerInfo?.mobile) throw new ApiError(StatusCodes.BAD_REQUEST, 'invalid_customer');
+    if (!currency) throw new ApiError(StatusCodes.BAD_REQUEST, 'currency required');
+    // The cart's own holds are taken over only by the caller holding its token
+    const cart = body.cartId && await reservationService.canUseCart(body.cartId, { token: body.cartToken, userId: user?._id })
+      ? { cartId: String(body.cartId) }
+      : null;
+
+    // Price the cart server-side (bundle lines expanded into components); the gateway is asked for exactly these amounts
+    let items;
+    let priced;
+    try {
+      items = await expandBundleItems(body.items);
+      priced = await priceCart({
+        items,
+        couponCode: coupon?.code || body.couponCode || null,
+        customer: { userId: user?._id, email: customerInfo.email }
+      });
+      await assertFlashSaleLimits(flashLinesFromPriced(priced.lines), { email: customerInfo.email });
+    } catch (priceErr) {
+      throw checkoutError('pricing_failed', priceErr);
+    }
+    // Shipping is priced server-side like POST /orders; a free_shipping coupon waives it
+    const resolvedShipping = await resolveCheckoutShippingFee({
+      items: priced.lines.map((line, idx) => ({ product: line.product._id, quantity: line.quantity, variantId: items[idx].variantId })),
+      subtotal: priced.total,
+      country: shippingAddress.country,
+      city: shippingAddress.city,
+      clientFees: [shippingFee]
+    });
+    const shipping = priced.freeShipping ? 0 : resolvedShipping.fee;
+    const tax = await computeTax({
+      lines: priced.lines,
+      shippingFee: shipping,
+      address: { country: shippingAddress.country, city: shippingAddress.city },
+      customer: { userId: user?._id }
+    });
+    const totalAmount = Math.max(0, Math.round((priced.total + tax.adjustment) * 100) / 100);
+
+    // Units beyond stock of backorder / pre-order items wait for stock; pre-orders are paid in full on this path
+    let stockPlan;
+    try {
+      stockPlan = await backorderService.plan(items.map((it, idx) => ({
+        product: priced.lines[idx].product._id,
+        quantity: priced.lines[idx].quantity,
+        ...(it.variantId ? { variantId: it.variantId } : { size: it.size, color: (typeof it.color === 'string' ? it.color : (it.color?.name || it.color?.code || undefined)) })
+      })), { excludeFilter: cart });
+    } catch (planErr) {
+      throw checkoutError('insufficient_stock', planErr);
+    }
+    // The delivery slot is checked now and booked once the payment is confirmed
+    let deliverySlot;
+    try {
+      deliverySlot = await deliverySlotService.resolve(body.deliverySlot, { city: shippingAddress.city });
+    } catch (slotErr) {
+      throw checkoutError('delivery_slot_unavailable', slotErr);
+    }
+
+    // Persist a temporary session to tie the gateway redirect back to the cart snapshot
+    const ps = await PaymentSession.create({
+      gateway: gateway.id,
+      status: 'created',
+      reference: `PS-${Date.now()}`,
+      user: user?._id,
+      items: items.map((it, idx) => ({
+        product: priced.lines[idx].product._id,
+        quantity: priced.lines[idx].quantity,
+        size: it.size,
+        color: (typeof it.color === 'string' ? it.color : (it.color?.name || it.color?.code || undefined)),
+        variantId: it.variantId,
+        sku: it.sku || priced.lines[idx].variant?.sku || undefined,
+        bundleId: it.bundleId ? String(it.bundleId) : undefined,
+        name: priced.lines[idx].product.name,
+        price: priced.lines[idx].unitPrice,
+        pricing: toPricingSnapshot(priced.lines[idx]),
+        tax: tax.enabled ? tax.lines[idx] : undefined,
+        backorder: backorderService.lineFlag(stockPlan.lines[idx]),
+        variants: Array.isArray(it.variants) ? it.variants.map(v => ({
+          attributeId: v.attributeId || v.attribute || undefined,
+          attributeName: v.attributeName || v.name || undefined,
+          valueId: v.valueId || v.value || undefined,
+          valueName: v.valueName || v.valueLabel || v.label || undefined
+        })) : undefined
+      })),
+      shippingAddress: {
+        street: shippingAddress.street,
+        city: shippingAddress.city,
+        country: shippingAddress.country
+      },
+      customerInfo: {
+        firstName: customerInfo.firstName,
+        lastName: customerInfo.lastName,
+        email: customerInfo.email,
+        mobile: customerInfo.mobile,
+        secondaryMobile: customerInfo.secondaryMobile
+      },
+      coupon: priced.coupon
+        ? { code: priced.coupon.code, discount: priced.coupon.discount, type: priced.coupon.type, freeShipping: priced.coupon.freeShipping || undefined }
+        : undefined,
+      currency,
+      subtotal: priced.subtotal,
+      discountTotal: priced.discountTotal,
+      totalAmount,
+      ...(tax.enabled ? { tax: toTaxSnapshot(tax), taxTotal: tax.taxTotal } : {}),
+      shippingFee: shipping,
+      ...(deliverySlot ? { deliverySlot } : {}),
+      totalWithShipping: Math.round((totalAmount + shipping) * 100) / 100
+    });
+
+    // Hold the in-stock units for the session until /confirm; holds lapse after Settings.inventory.reservationTTLMinutes
+    try {
+      await reservationService.holdItems(stockPlan.stockItems, { paymentSession: ps._id }, { exclude: cart });
+      if (cart) await reservationService.releaseHolds(cart, 'Checked out');
+    } catch (holdErr) {
+      ps.status = 'failed';
+      await ps.save();
+      throw checkoutError('insufficient_stock', holdErr);
+    }
+
+    // Hold gift card balances for the session; the gateway is only asked for the remainder
+    const giftCardCodes = giftCardService.parseCodes(body);
+    if (giftCardCodes.length) {
+      try {
+        const plan = await giftCardService.plan(giftCardCodes, ps.totalWithShipping);
+        await giftCardService.hold(plan.lines, { paymentSession: ps._id });
+        ps.giftCards = plan.lines;
+        ps.giftCardTotal = plan.total;
+      } catch (gcErr) {
+        await reservationService.releaseHolds({ paymentSession: ps._id }, 'Gift card rejected');
+        ps.status = 'failed';
+        await ps.save();
+        throw checkoutError('gift_card_rejected', gcErr);
+      }
+    }
+    ps.amountDue = Math.max(0, Math.round((ps.totalWithShipping - (ps.giftCardTotal || 0)) * 100) / 100);
+    // Fully covered by gift cards: nothing to charge, the client confirms the session directly
+    if (ps.amountDue === 0) ps.status = 'approved';
+    await ps.save();
+    if (ps.amountDue === 0) {
+      return { ok: true, url: null, sessionId: String(ps._id), paidByGiftCard: true, amountDue: 0 };
+    }
+
+    let started;
+    try {
+      started = await gateway.createSession({ session: ps, req, overrides: body.overrides });
+    } catch (gwErr) {
+      // The checkout never reached the gateway: give its stock and gift card holds back at once
+      try { await reservationService.releaseHolds({ paymentSession: ps._id }, 'Gateway session failed'); } catch {}
+      try { await giftCardService.releaseHolds(ps._id, 'Gateway session failed'); } catch {}
+      ps.status = 'failed';
+      try { await ps.save(); } catch {}
+      throw checkoutError(`${gateway.id}_session_failed`, gwErr, StatusCodes.BAD_REQUEST);
+    }
+    if (started.reference) {
+      ps.gatewayReference = started.reference;
+      await ps.save();
+    }
+    return { ok: true, url: started.url, sessionId: String(ps._id), gateway: gateway.id, ...(started.data ? { data: started.data } : {}) };
+  }
+
+  /**
+   * Order of a paid session, created exactly once. The redirect (/confirm) and the IPN may arrive together:
+   * the first caller claims the session, later callers get the order it created.
+   * @param {string} sessionId
+   * @param {{ gateway?: string, source?: string, recoveryToken?: string, payload?: object }} [opts]
+   *   gateway: the session must belong to it; payload: body of the confirmation request
+   * @returns {Promise<{ order: object, created: boolean }>}
+   */
+  async confirm(sessionId, { gateway: gatewayId, source, recoveryToken, payload } = {}) {
+    const existingOrder = async (ps) => (ps?.orderId && await Order.findById(ps.orderId)) || Order.findOne({ paymentSession: sessionId });
+    let ps = await PaymentSession.findById(sessionId);
+    if (!ps || (gatewayId && ps.gateway !== gatewayId)) throw new ApiError(StatusCodes.NOT_FOUND, 'session_not_found');
+    const done = await existingOrder(ps);
+    if (done) return { order: done, created: false };
+
+    const now = new Date();
+    ps = await PaymentSession.findOneAndUpdate(
+      { _id: sessionId, orderId: null, $or: [{ confirmingAt: null }, { confirmingAt: { $lt: new Date(now.getTime() - CONFIRM_LOCK_MS) } }] },
+      { $set: { confirmingAt: now } },
+      { new: true }
+    );
+    if (!ps) {
+      // Another confirmation holds the session: wait briefly for its order
+      for (let i = 0; i < 10; i++) {
+        await new Promise(r => setTimeout(r, 500));
+        const order = await existingOrder(await PaymentSession.findById(sessionId).select('orderId').lean());
+        if (order) return { order, created: false };
+      }
+      throw new ApiError(StatusCodes.CONFLICT, 'confirmation_in_progress');
+    }
+
+    try {
+      const gateway = paymentGateways.require(ps.gateway);
+      // The gateway has the last word on payment (e.g. PayPal captures now); sessions approved by an IPN
+      // or fully paid by gift cards skip it
+      if (ps.status !== 'approved' && Number(ps.amountDue) > 0) {
+        const result = await gateway.confirmSession(ps, { payload });
+        if (!result?.approved) {
+          throw new ApiError(StatusCodes.PAYMENT_REQUIRED, `payment_not_approved${result?.message ? `: ${result.message}` : ''}`);
+        }
+        ps.status = 'approved';
+        if (result.details !== undefined) ps.paymentDetails = result.details;
+        await ps.save();
+      }
+
+      // Build order lines from the server-priced session snapshot (what the customer was charged).
+      // Legacy sessions created before the snapshot existed are re-priced through the pricing engine.
+      const hasSnapshot = ps.items.length > 0 && ps.items.every(it => it.pricing && typeof it.price === 'number');
+      const priced = hasSnapshot ? null : await priceCart({
+        items: ps.items.map(it => ({ product: it.product, quantity: it.quantity, variantId: it.variantId, bundleId: it.bundleId })),
+        couponCode: ps.coupon?.code || null,
+        customer: { userId: ps.user, email: ps.customerInfo?.email }
+      });
+      const orderItems = [];
+      for (let idx = 0; idx < ps.items.length; idx++) {
+        const item = ps.items[idx];
+        const product = priced ? priced.lines[idx].product : await Product.findById(item.product).select('name images');
+        if (!product) throw new ApiError(StatusCodes.NOT_FOUND, `Product not found: ${item.product}`);
+        orderItems.push({
+          product: product._id,
+          quantity: item.quantity,
+          price: priced ? priced.lines[idx].unitPrice : item.price,
+          pricing: priced ? toPricingSnapshot(priced.lines[idx]) : item.pricing,
+          ...(!priced && item.tax ? { tax: item.tax } : {}),
+          name: product.name,
+          image: Array.isArray(product.images) && product.images.length ? product.images[0] : undefined,
+          size: item.variantId ? undefined : (item.size || undefined),
+          color: item.color || undefined,
+          variants: item.variants,
+          variantId: item.variantId,
+          sku: item.sku,
+          bundle: item.bundleId || undefined,
+          ...(item.backorder?.waiting > 0 ? { backorder: item.backorder } : {})
+        });
+      }
+      const subtotal = priced ? priced.subtotal : (ps.subtotal ?? orderItems.reduce((s, it) => s + (it.pricing?.lineSubtotal || 0), 0));
+      const discountTotal = priced ? priced.discountTotal : (ps.discountTotal || 0);
+      const totalAmount = priced ? priced.total : (ps.totalAmount ?? Math.max(0, subtotal - discountTotal));
+      const couponSnapshot = priced
+        ? (priced.coupon ? { code: priced.coupon.code, discount: priced.coupon.discount, type: priced.coupon.type } : undefined)
+        : (ps.coupon?.code ? { code: ps.coupon.code, discount: ps.coupon.discount || 0, type: ps.coupon.type, freeShipping: ps.coupon.freeShipping } : undefined);
+
+      // Fee resolved server-side when the session was created
+      let shippingFee = Number(ps.shippingFee) || 0;
+      if (!isFinite(shippingFee) || shippingFee < 0) shippingFee = 0;
+
+      const giftCardLines = (ps.giftCards || []).map(l => ({ giftCard: l.giftCard, code: l.code, amount: l.amount }));
+      const giftCardTotal = Number(ps.giftCardTotal) || 0;
+      const amountDue = Math.max(0, Math.round((totalAmount + shippingFee - giftCardTotal) * 100) / 100);
+
+      // Create the order now
+      const order = await Order.create({
+        ...(ps.user ? { user: ps.user } : {}),
+        items: orderItems,
+        subtotal,
+        discountTotal,
+        totalAmount,
+        ...(!priced && ps.tax?.mode ? { tax: ps.tax, taxTotal: ps.taxTotal || 0 } : {}),
+        ...(couponSnapshot ? { coupon: couponSnapshot } : {}),
+        giftCards: giftCardLines,
+        giftCardTotal,
+        amountDue,
+        currency: ps.currency,
+        exchangeRate: 1,
+        shippingAddress: ps.shippingAddress,
+        ...(amountDue > 0 ? gateway.orderFields(ps) : { paymentMethod: 'gift_card' }),
+        customerInfo: ps.customerInfo,
+        status: 'pending',
+        orderNumber: `ORD${Date.now()}`,
+        shippingFee,
+        deliveryFee: shippingFee,
+        paymentStatus: 'completed',
+        paymentSession: ps._id,
+        ...(ps.deliverySlot?.slot ? { deliverySlot: ps.deliverySlot, deliveryEstimatedDate: ps.deliverySlot.startsAt } : {}),
+        ...(orderItems.some(it => it.backorder) ? { backorderStatus: 'waiting' } : {})
+      });
+
+      ps.status = 'confirmed';
+      ps.orderId = order._id;
+      ps.confirmingAt = undefined;
+      await ps.save();
+      // Payment confirmed: convert the session's stock holds into a real decrement (units waiting for stock
+      // were not held). Done once the order exists, so a failed create retried later cannot decrement twice.
+      const reservationItems = orderItems.map(it => ({
+        product: it.product,
+        quantity: it.quantity - (Number(it.backorder?.waiting) || 0),
+        ...(it.variantId ? { variantId: it.variantId } : { size: it.size, color: it.color })
+      })).filter(it => it.quantity > 0);
+      try {
+        await reservationService.convertHolds({ paymentSession: ps._id }, { items: reservationItems, order: order._id });
+      } catch (invErr) {
+        console.warn('[payments][sessions][confirm] inventory reserve failed', invErr?.message || invErr);
+        try {
+          await reservationService.assignToOrder({ paymentSession: ps._id }, order._id);
+          await orderPaymentService.flagStockNotTaken(order, invErr, { actor: { type: 'payment', name: gateway.label }, source });
+          await order.save();
+        } catch (flagErr) {
+          console.error('[payments][sessions][confirm] stock failure not recorded on the order', flagErr?.message || flagErr);
+        }
+      }
+      try { await recordBundleSales(order); } catch (bErr) {
+        console.warn('[payments][sessions][confirm] bundle metrics not updated', bErr?.message || bErr);
+      }
+      await abandonedCheckoutService.markRecovered(order, { paymentSession: ps._id, token: recoveryToken });
+      try { await managerLedgerService.syncOrder(order); } catch (mlErr) {
+        console.warn('[payments][sessions][confirm] manager ledger not updated', mlErr?.message || mlErr);
+      }
+      // The customer has paid at the flash price: count the units even if the allocation ran out meanwhile
+      const flashLines = flashLinesFromOrder(order);
+      if (flashLines.length) {
+        try {
+          await claimFlashSaleStock(flashLines, { strict: false });
+          await syncFlashSales(flashLines.map(l => l.flashSale));
+        } catch (fErr) {
+          console.warn('[payments][sessions][confirm] flash sale stock not updated', fErr?.message || fErr);
+        }
+      }
+      // The customer has paid for this slot: book it even if it filled up meanwhile
+      if (order.deliverySlot?.slot) {
+        try { await deliverySlotService.claim(order.deliverySlot, { strict: false }); } catch (dsErr) {
+          console.warn('[payments][sessions][confirm] delivery slot not booked', dsErr?.message || dsErr);
+        }
+      }
+      // The customer has paid: count the coupon use even if the limit was reached meanwhile
+      if (couponSnapshot?.code) {
+        try {
+          const c = await Coupon.findOne({ code: couponSnapshot.code }).select('_id').lean();
+          if (c) await recordCouponUse(c._id, { enforceLimit: false });
+        } catch (cErr) {
+          console.warn('[payments][sessions][confirm] coupon usage not recorded', cErr?.message || cErr);
+        }
+      }
+      // Held gift card balances become redemptions of the order
+      let giftCardShortfall = 0;
+      if (giftCardLines.length) {
+        try {
+          ({ shortfall: giftCardShortfall } = await giftCardService.captureHolds(ps._id, order._id, giftCardLines));
+        } catch (gcErr) {
+          giftCardShortfall = giftCardTotal;
+          console.warn('[payments][sessions][confirm] gift card capture failed', gcErr?.message || gcErr);
+        }
+      }
+      await recordOrderEvent(order, {
+        type: 'created',
+        toStatus: order.status,
+        actor: { type: 'payment', name: gateway.label },
+        source,
+        meta: {
+          paymentSession: String(ps._id),
+          ...(giftCardTotal ? { giftCardTotal, amountDue } : {}),
+          ...(giftCardShortfall ? { giftCardShortfall } : {})
+        }
+      });
+
+      sendOrderConfirmation(order, trackingLinkFor(order));
+
+      return { order, created: true };
+    } catch (e) {
+      // Release the claim so the confirmation can be retried; a duplicate order means another caller won
+      try { await PaymentSession.updateOne({ _id: sessionId, orderId: null }, { $unset: { confirmingAt: 1 } }); } catch {}
+      if (e?.code === 11000) {
+        const order = await Order.findOne({ paymentSession: sessionId });
+        if (order) return { order, created: false };
+      }
+      throw e;
+    }
+  }
+
+  /**
+   * Mark a session for review by the team (amount mismatch, unverified sale, paid without an order);
+   * the session is kept past its TTL and admins are notified once per reason.
+   * @returns {Promise<boolean>} false when it was already flagged for that reason
+   */
+  async flag(sessionId, reason, detail) {
+    const flagged = await PaymentSession.findOneAndUpdate(
+      { _id: sessionId, 'flag.reason': { $ne: reason } },
+      { $set: { flag: { reason, detail, at: new Date() } }, $unset: { expiresAt: 1 } },
+      { new: true }
+    ).select('reference gateway amountDue currency');
+    if (!flagged) return false;
+    try { console.warn('[payments][sessions] flagged', { session: String(sessionId), reason, detail }); } catch {}
+    try {
+      realTimeEventService.emitSystemNotification({
+        type: 'payment_session_flagged',
+        message: `Checkout ${flagged.reference || sessionId} (${flagged.gateway}, ${flagged.amountDue} ${flagged.currency || ''}) needs review: ${detail || reason}`.trim(),
+        sessionId: String(sessionId),
+        reason
+      });
+    } catch {}
+    return true;
+  }
+
+  /**
+   * Flagged sessions, newest first: those that still have no order, and those whose order the customer's
+   * return created before the IPN was rejected (the order carries paymentReview).
+   */
+  async listFlagged({ gateway, reason, limit = 50 } = {}) {
+    const filter = {
+      'flag.at': { $ne: null },
+      $or: [{ orderId: null }, { 'flag.reason': { $in: ['amount_mismatch', 'sale_not_verified'] } }]
+    };
+    if (gateway) filter.gateway = String(gateway);
+    if (reason) filter['flag.reason'] = String(reason);
+    return PaymentSession.find(filter)
+      .select('gateway gatewayReference status reference customerInfo currency amountDue totalWithShipping paymentDetails flag orderId createdAt')
+      .populate('orderId', 'orderNumber status paymentStatus paymentReview')
+      .sort('-flag.at')
+      .limit(Math.min(200, Math.max(1, parseInt(limit, 10) || 50)))
+      .lean();
+  }
+
+  /**
+   * Server-to-server notification of a gateway: approve the session it names and create its order,
+   * unless the customer's redirect to /confirm already did.
+   * @returns {Promise<{ session: string|null, order: string|null, created: boolean }>}
+   */
+  async handleNotification(gatewayId, req) {
+    const gateway = paymentGateways.require(gatewayId, 'notifications');
+    const notice = await gateway.handleNotification(req);
+    // Adapters with their own event handling (PayPal webhooks) are done at this point
+    if (notice?.handled) return { session: null, order: null, created: false, ...notice };
+    if (!notice?.sessionId) return { session: null, order: null, created: false };
+    const ps = await PaymentSession.findById(notice.sessionId);
+    if (!ps || ps.gateway !== gateway.id) return { session: null, order: null, created: false };
+    if (ps.status === 'created' && notice.approved) {
+      ps.status = 'approved';
+      ps.paymentDetails = notice.details;
+      await ps.save();
+    }
+    if (ps.status !== 'approved' || ps.orderId) {
+      return { session: String(ps._id), order: ps.orderId ? String(ps.orderId) : null, created: false };
+    }
+    const { order, created } = await this.confirm(ps._id, { source: `${gateway.id}_ipn` });
+    try { console.log(`[payments][${gateway.id}][notify] session confirmed`, { session: String(ps._id), order: String(order._id), created }); } catch {}
+    return { session: String(ps._id), order: String(order._id), created };
+  }
+}
+
+export const paymentSessionService = new PaymentSessionService();
@@ -0,0 +1,205 @@
+import { StatusCodes } from 'http-status-codes';
+import { ApiError } from '../../utils/ApiError.js';
+import { getPayPalClient, getPayPalWebhookId, paypalSdk } from '../paypalClient.js';
+import { priceOrder } from '../pricingService.js';
+import { PaymentGateway } from './paymentGateway.js';
+
+const round2 = (n) => Math.round((Number(n) || 0) * 100) / 100;
+const REFUND_STATUSES = { COMPLETED: 'completed', PENDING: 'pending', CANCELLED: 'failed', FAILED: 'failed' };
+// Headers PayPal signs webhook deliveries with
+export const PAYPAL_SIGNATURE_HEADERS = ['paypal-auth-algo', 'paypal-cert-url', 'paypal-transmission-id', 'paypal-transmission-sig', 'paypal-transmission-time'];
+
+// PayPal SDK errors carry the API's JSON body as the message
+export const paypalErrorBody = (e) => {
+  try { return JSON.parse(e?.message); } catch { return null; }
+};
+
+/**
+ * PayPal Checkout (Orders v2, intent CAPTURE): the buyer approves on PayPal, we capture on return or when
+ * the webhook reports the approval (./paypalWebhookService.js).
+ */
+export class PayPalGateway extends PaymentGateway {
+  constructor() {
+    super({
+      id: 'paypal',
+      label: 'PayPal',
+      paymentMethod: 'paypal',
+      capabilities: { sessions: true, confirm: true, notifications: true, capture: true, refund: true, partialRefund: true }
+    });
+  }
+
+  isEnabled(settings) {
+    return !!settings?.payments?.paypal?.enabled && settings?.payments?.visibility?.paypal !== false;
+  }
+
+  // PayPal order for what is due, with a breakdown matching it
+  async #createOrder({ referenceId, description, currency, totals }) {
+    const currency_code = currency || 'USD';
+    const money = (v) => ({ currency_code, value: Number(v).toFixed(2) });
+    // Exclusive tax is charged on top; an exempt customer's tax deduction counts as a discount, and so does
+    // everything already paid otherwise (gift cards, store credit) or left for later (pre-order balance)
+    const amount = {
+      ...money(totals.amountDue),
+      breakdown: {
+        item_total: money(totals.subtotal),
+        shipping: money(totals.shippingFee),
+        ...(totals.taxAdjustment > 0 ? { tax_total: money(totals.taxAdjustment) } : {}),
+        discount: money(totals.discount)
+      }
+    };
+    const client = await getPayPalClient();
+    const request = new paypalSdk.orders.OrdersCreateRequest();
+    request.prefer('return=representation');
+    request.requestBody({
+      intent: 'CAPTURE',
+      purchase_units: [{ reference_id: referenceId, description, amount }]
+    });
+    const response = await client.execute(request);
+    const result = response.result;
+    return {
+      url: (result.links || []).find(l => l.rel === 'approve' || l.rel === 'payer-action')?.href || null,
+      reference: result.id,
+      data: { id: result.id, status: result.status, links: result.links }
+    };
+  }
+
+  async createSession({ session, order } = {}) {
+    if (order) {
+      // Charge the server-priced total (items after coupon + tax + shipping, less gift cards and store credit)
+      const totals = await priceOrder(order);
+      if (totals.amountDue <= 0) {
+        throw new ApiError(StatusCodes.BAD_REQUEST, 'Order is fully covered by gift cards or store credit');
+      }
+      return this.#createOrder({
+        referenceId: order._id.toString(),
+        description: `Order ${order.orderNumber}`,
+        currency: order.currency,
+        totals: {
+          ...totals,
+          discount: totals.discountTotal + Math.max(0, -totals.taxAdjustment) + totals.giftCardTotal + totals.storeCreditAmount + totals.preorderBalance
+        }
+      });
+    }
+    const taxAdjustment = Number(session.tax?.adjustment) || 0;
+    return this.#createOrder({
+      referenceId: String(session._id),
+      description: `Checkout ${session.reference}`,
+      currency: session.currency,
+      totals: {
+        amountDue: session.amountDue,
+        subtotal: session.subtotal,
+        shippingFee: Number(session.shippingFee) || 0,
+        taxAdjustment,
+        discount: round2((Number(session.discountTotal) || 0) + Math.max(0, -taxAdjustment) + (Number(session.giftCardTotal) || 0))
+      }
+    });
+  }
+
+  async #capture(paypalOrderId) {
+    const client = await getPayPalClient();
+    const request = new paypalSdk.orders.OrdersCaptureRequest(paypalOrderId);
+    request.requestBody({});
+    const capture = await client.execute(request);
+    return capture?.result || {};
+  }
+
+  // The buyer approved the PayPal order of the session: capture it now
+  async confirmSession(session) {
+    if (!session.gatewayReference) throw new ApiError(StatusCodes.CONFLICT, 'PayPal order of this session is unknown');
+    const result = await this.#capture(session.gatewayReference);
+    if (result.purchase_units?.[0]?.reference_id !== String(session._id)) {
+      throw new ApiError(StatusCodes.CONFLICT, 'PayPal order does not belong to this session');
+    }
+    return { approved: result.status === 'COMPLETED', details: result, reference: result.id, message: result.status };
+  }
+
+  /**
+   * Check a webhook delivery's signature with PayPal (verify-webhook-signature) against the configured webhook id.
+   * @returns {Promise<{ verified: boolean, status: string }>}
+   */
+  async verifyNotification(req) {
+    const webhookId = await getPayPalWebhookId();
+    if (!webhookId) throw new ApiError(StatusCodes.SERVICE_UNAVAILABLE, 'PayPal webhook id is not configured');
+    const h = req.headers || {};
+    if (PAYPAL_SIGNATURE_HEADERS.some(name => !h[name])) return { verified: false, status: 'missing_signature_headers' };
+    const client = await getPayPalClient();
+    // The SDK has no request class for this endpoint; its HTTP client executes any { verb, path, body, headers }
+    const response = await client.execute({
+      verb: 'POST',
+      path: '/v1/notifications/verify-webhook-signature',
+      headers: { 'Content-Type': 'application/json' },
+      body: {
+        auth_algo: h['paypal-auth-algo'],
+        cert_url: h['paypal-cert-url'],
+        transmission_id: h['paypal-transmission-id'],
+        transmission_sig: h['paypal-transmission-sig'],
+        transmission_time: h['paypal-transmission-time'],
+        webhook_id: webhookId,
+        webhook_event: req.body
+      }
+    });
+    const status = String(response?.result?.verification_status || 'FAILURE');
+    return { verified: status === 'SUCCESS', status };
+  }
+
+  // Webhooks reconcile orders, sessions and refunds themselves (loaded lazily: it depends on the registry)
+  async handleNotification(req) {
+    const { paypalWebhookService } = await import('./paypalWebhookService.js');
+    return { handled: true, ...(await paypalWebhookService.handle(req)) };
+  }
+
+  async capture(order, { reference } = {}) {
+    const paypalOrderId = reference || order.paymentReference;
+    if (!paypalOrderId) throw new ApiError(StatusCodes.BAD_REQUEST, 'paypalOrderId is required');
+    const result = await this.#capture(paypalOrderId);
+    const referenceId = result.purchase_units?.[0]?.reference_id;
+    if (!referenceId) throw new ApiError(StatusCodes.BAD_REQUEST, 'Missing reference id from PayPal capture');
+    if (referenceId !== String(order._id)) throw new ApiError(StatusCodes.CONFLICT, 'PayPal order does not belong to this order');
+    return { captured: result.status === 'COMPLETED', status: result.status, details: result, reference: paypalOrderId };
+  }
+
+  async paymentOf(order) {
+    const captures = (order.paymentDetails?.purchase_units || [])
+      .flatMap(pu => pu?.payments?.captures || [])
+      .filter(c => c?.id && c.status !== 'DECLINED' && c.status !== 'FAILED');
+    const captured = captures.reduce((s, c) => s + (Number(c.amount?.value) || 0), 0);
+    return { reference: captures[0]?.id || null, captured: round2(captured || order.amountDue) };
+  }
+
+  async refund(order, refund, payment) {
+    const client = await getPayPalClient();
+    const request = new paypalSdk.payments.CapturesRefundRequest(payment.reference);
+    // Same refund retried (timeouts) is not paid out twice
+    request.headers['PayPal-Request-Id'] = refund.refundNumber;
+    request.requestBody({
+      amount: { value: refund.amount.toFixed(2), currency_code: order.currency || 'USD' },
+      invoice_id: refund.refundNumber,
+      ...(refund.reason ? { note_to_payer: String(refund.reason).slice(0, 255) } : {})
+    });
+    let result;
+    try {
+      result = (await client.execute(request))?.result || {};
+    } catch (e) {
+      const body = paypalErrorBody(e);
+      return {
+        status: 'failed',
+        providerStatus: String(e?.statusCode || e?.status || ''),
+        response: body,
+        error: body?.details?.[0]?.description || body?.message || e?.message || String(e)
+      };
+    }
+    const status = REFUND_STATUSES[result.status] || 'pending';
+    return {
+      status,
+      providerStatus: result.status,
+      providerRefundId: result.id,
+      response: result,
+      error: status === 'failed' ? (result.status_details?.reason || result.status) : undefined
+    };
+  }
+
+  // PayPal order id as the reference (like /api/paypal/create-order) and the capture for refunds
+  orderFields(session) {
+    return { ...super.orderFields(session), ...(session?.paymentDetails ? { paymentDetails: session.paymentDetails } : {}) };
+  }
+}
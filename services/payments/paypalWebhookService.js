@@ -0,0 +1,201 @@
+import { StatusCodes } from 'http-status-codes';
+import Order from '../../models/Order.js';
+import PaymentSession from '../../models/PaymentSession.js';
+import Refund from '../../models/Refund.js';
+import { ApiError } from '../../utils/ApiError.js';
+import { reservationService } from '../reservationService.js';
+import { giftCardService } from '../giftCardService.js';
+import { recordOrderEvent } from '../orderStateMachine.js';
+import { refundService } from '../refundService.js';
+import { paymentGateways } from './gatewayRegistry.js';
+import { paymentEventService } from './paymentEventService.js';
+import { paymentSessionService } from './paymentSessionService.js';
+import { orderPaymentService } from './orderPaymentService.js';
+import { PAYPAL_SIGNATURE_HEADERS } from './paypalGateway.js';
+
+const PAID_STATUSES = ['completed', 'refunded', 'partially_refunded'];
+const ACTOR = { type: 'payment', name: 'PayPal' };
+const SOURCE = 'paypal_webhook';
+
+/**
+ * PayPal webhooks (POST /api/paypal/webhook): verified against the configured webhook id, stored as
+ * PaymentEvents and applied once each. Covers buyers who never come back from PayPal (approval captured
+ * here), captures that complete or fail later, and refunds settled or made in the PayPal dashboard.
+ */
+class PayPalWebhookService {
+  /**
+   * @param {import('express').Request} req
+   * @returns {Promise<{ event: string, status: string, duplicate?: boolean, outcome?: any }>}
+   *   throws 400 for unsigned / forged events; other errors mean "retry later"
+   */
+  async handle(req) {
+    const body = req.body || {};
+    if (!body.id || !body.event_type) throw new ApiError(StatusCodes.BAD_REQUEST, 'Not a PayPal webhook event');
+    const gateway = paymentGateways.require('paypal');
+    const resource = body.resource || {};
+    const { event, duplicate } = await paymentEventService.begin(gateway.id, {
+      eventId: String(body.id),
+      type: String(body.event_type),
+      resourceType: body.resource_type,
+      resourceId: resource.id,
+      summary: body.summary,
+      payload: body,
+      headers: Object.fromEntries(PAYPAL_SIGNATURE_HEADERS.filter(h => req.headers?.[h]).map(h => [h, req.headers[h]]))
+    });
+    if (duplicate) return { event: String(event?._id || ''), status: event?.status, duplicate: true };
+
+    try {
+      const check = await gateway.verifyNotification(req);
+      if (!check.verified) {
+        await paymentEventService.reject(event, `Signature verification failed: ${check.status}`, { verification: check.status });
+        try { console.warn('[payments][paypal][webhook] signature rejected', { eventId: body.id, type: body.event_type, status: check.status }); } catch {}
+        throw new ApiError(StatusCodes.BAD_REQUEST, 'Webhook signature verification failed');
+      }
+      event.verified = true;
+      event.verification = check.status;
+      const result = await this.#dispatch(gateway, body.event_type, resource);
+      await paymentEventService.finish(event, result);
+      try { console.log('[payments][paypal][webhook] event', { eventId: body.id, type: body.event_type, status: event.status, outcome: result.outcome }); } catch {}
+      return { event: String(event._id), status: event.status, outcome: event.outcome };
+    } catch (e) {
+      if (event.status !== 'rejected') {
+        try { await paymentEventService.fail(event, e); } catch {}
+        try { console.warn('[payments][paypal][webhook] event failed', { eventId: body.id, type: body.event_type, error: e?.message || e }); } catch {}
+      }
+      throw e;
+    }
+  }
+
+  async #dispatch(gateway, type, resource) {
+    switch (type) {
+      case 'CHECKOUT.ORDER.APPROVED': return this.#orderApproved(gateway, resource);
+      case 'PAYMENT.CAPTURE.COMPLETED': return this.#captureCompleted(gateway, resource);
+      case 'PAYMENT.CAPTURE.DENIED': return this.#captureDenied(gateway, resource);
+      case 'PAYMENT.CAPTURE.REFUNDED': return this.#captureRefunded(gateway, resource);
+      default: return { status: 'ignored', outcome: 'unhandled_event_type' };
+    }
+  }
+
+  // Cart session or order a PayPal order (Orders v2 id) was created for
+  async #target(paypalOrderId) {
+    if (!paypalOrderId) return { session: null, order: null };
+    const session = await PaymentSession.findOne({ gateway: 'paypal', gatewayReference: paypalOrderId });
+    const order = session
+      ? ((session.orderId && await Order.findById(session.orderId)) || await Order.findOne({ paymentSession: session._id }))
+      : await Order.findOne({ paymentReference: paypalOrderId, $or: [{ paymentGateway: 'paypal' }, { paymentMethod: 'paypal' }] });
+    return { session, order };
+  }
+
+  // Create the order of an approved cart session, unless the buyer's return already did
+  async #confirmSession(session) {
+    const { order, created } = await paymentSessionService.confirm(session._id, { gateway: 'paypal', source: SOURCE });
+    return { status: 'processed', outcome: created ? 'order_created' : 'order_exists', order, paymentSession: session };
+  }
+
+  // The buyer approved but may never come back to the store: capture now
+  async #orderApproved(gateway, resource) {
+    const { session, order } = await this.#target(resource.id);
+    if (order) {
+      if (PAID_STATUSES.includes(order.paymentStatus)) return { status: 'ignored', outcome: 'already_paid', order, paymentSession: session };
+      try {
+        const { captured, status } = await orderPaymentService.capture(order, { gateway: gateway.id, reference: resource.id, actor: ACTOR, source: SOURCE });
+        return { status: 'processed', outcome: { captured, captureStatus: status }, order, paymentSession: session };
+      } catch (e) {
+        // The buyer's return captured it meanwhile (PayPal answers ORDER_ALREADY_CAPTURED)
+        const fresh = await Order.findById(order._id).select('paymentStatus').lean();
+        if (PAID_STATUSES.includes(fresh?.paymentStatus)) return { status: 'ignored', outcome: 'already_paid', order, paymentSession: session };
+        throw e;
+      }
+    }
+    if (session) {
+      if (session.status === 'failed') return { status: 'ignored', outcome: 'session_failed', paymentSession: session };
+      return this.#confirmSession(session);
+    }
+    return { status: 'ignored', outcome: 'unknown_paypal_order' };
+  }
+
+  // A capture completed (possibly after being PENDING): book the payment if nothing did yet
+  async #captureCompleted(gateway, resource) {
+    const paypalOrderId = resource.supplementary_data?.related_ids?.order_id;
+    const { session, order } = await this.#target(paypalOrderId);
+    const details = (referenceId) => ({
+      id: paypalOrderId,
+      status: 'COMPLETED',
+      purchase_units: [{ reference_id: referenceId, payments: { captures: [resource] } }]
+    });
+    if (order) {
+      if (PAID_STATUSES.includes(order.paymentStatus)) return { status: 'ignored', outcome: 'already_paid', order, paymentSession: session };
+      await orderPaymentService.markPaid(order, gateway, {
+        details: details(String(order._id)),
+        reference: paypalOrderId,
+        actor: ACTOR,
+        source: SOURCE,
+        note: `PayPal capture ${resource.id} completed`
+      });
+      return { status: 'processed', outcome: 'order_paid', order, paymentSession: session };
+    }
+    if (session) {
+      if (session.status === 'failed') return { status: 'ignored', outcome: 'session_failed', paymentSession: session };
+      // Approve without touching a confirmation in progress; /confirm then skips its own capture
+      await PaymentSession.updateOne(
+        { _id: session._id, status: 'created' },
+        { $set: { status: 'approved', paymentDetails: details(String(session._id)) } }
+      );
+      return this.#confirmSession(session);
+    }
+    return { status: 'ignored', outcome: 'unknown_paypal_order' };
+  }
+
+  async #captureDenied(gateway, resource) {
+    const paypalOrderId = resource.supplementary_data?.related_ids?.order_id;
+    const { session, order } = await this.#target(paypalOrderId);
+    const reason = `PayPal capture ${resource.id} denied${resource.status_details?.reason ? ` (${resource.status_details.reason})` : ''}`;
+    if (order) {
+      // Already booked as paid (e.g. a later capture succeeded): flag it for the team instead of unbooking it
+      if (!PAID_STATUSES.includes(order.paymentStatus)) await orderPaymentService.markFailed(order, { reason: 'Payment denied' });
+      await recordOrderEvent(order, { type: 'note', actor: ACTOR, source: SOURCE, note: reason, meta: { capture: resource.id, paypalOrderId } });
+      return { status: 'processed', outcome: PAID_STATUSES.includes(order.paymentStatus) ? 'paid_order_flagged' : 'order_failed', order, paymentSession: session };
+    }
+    if (session) {
+      const failed = await PaymentSession.updateOne({ _id: session._id, status: { $in: ['created', 'approved'] }, orderId: null }, { $set: { status: 'failed' } });
+      if (!failed?.modifiedCount) return { status: 'ignored', outcome: 'session_closed', paymentSession: session };
+      try { await reservationService.releaseHolds({ paymentSession: session._id }, 'Payment denied'); } catch {}
+      try { await giftCardService.releaseHolds(session._id, 'Payment denied'); } catch {}
+      return { status: 'processed', outcome: 'session_failed', paymentSession: session };
+    }
+    return { status: 'ignored', outcome: 'unknown_paypal_order' };
+  }
+
+  // resource is the refund; ours carry the Refund number as invoice_id
+  async #captureRefunded(gateway, resource) {
+    const refund = await Refund.findOne({
+      provider: gateway.id,
+      $or: [{ providerRefundId: resource.id }, ...(resource.invoice_id ? [{ refundNumber: resource.invoice_id }] : [])]
+    });
+    const status = resource.status === 'FAILED' || resource.status === 'CANCELLED' ? 'failed' : 'completed';
+    if (refund) {
+      if (refund.status !== 'pending') return { status: 'ignored', outcome: 'refund_recorded', order: refund.order };
+      // Our refund call has not returned yet; PayPal retries the event
+      if (!refund.providerRefundId) throw new Error(`Refund ${refund.refundNumber} is still being requested`);
+      await refundService.settle(refund, { status, providerStatus: resource.status, response: resource, actor: ACTOR });
+      return { status: 'processed', outcome: `refund_${status}`, order: refund.order };
+    }
+    if (status !== 'completed') return { status: 'ignored', outcome: 'refund_not_completed' };
+    // Refunded in the PayPal dashboard: book it so the order and the refundable amount stay right
+    const captureId = (resource.links || []).find(l => l.rel === 'up')?.href?.split('/').pop();
+    const order = captureId && await Order.findOne({ 'paymentDetails.purchase_units.payments.captures.id': captureId });
+    if (!order) return { status: 'ignored', outcome: 'unknown_capture' };
+    const external = await refundService.recordExternal(order, {
+      gateway,
+      amount: Number(resource.amount?.value),
+      providerRefundId: resource.id,
+      providerStatus: resource.status,
+      response: resource,
+      reason: resource.note_to_payer,
+      actor: ACTOR
+    });
+    return { status: 'processed', outcome: { refund: external.refundNumber, amount: external.amount }, order };
+  }
+}
+
+export const paypalWebhookService = new PayPalWebhookService();
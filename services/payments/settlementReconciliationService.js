@@ -0,0 +1,457 @@
+import * as XLSX from 'xlsx';
+import { StatusCodes } from 'http-status-codes';
+import Order from '../../models/Order.js';
+import PaymentSession from '../../models/PaymentSession.js';
+import Refund from '../../models/Refund.js';
+import SettlementImport from '../../models/SettlementImport.js';
+import SettlementEntry from '../../models/SettlementEntry.js';
+import { ApiError } from '../../utils/ApiError.js';
+
+const round2 = (n) => Math.round((Number(n) || 0) * 100) / 100;
+const MAX_ROWS = 20000;
+const MAX_EXPORT_ROWS = 50000;
+const PAID_STATUSES = ['completed', 'refunded', 'partially_refunded'];
+// Gateways with settlement files, and the day/month order of their text dates
+export const SETTLEMENT_PROVIDERS = { icredit: { dateOrder: 'DMY' }, paypal: { dateOrder: 'MDY' } };
+
+// Spreadsheet headers for each field, compared without case, spaces and punctuation. iCredit's Reference is
+// the checkout reference (PaymentSession.reference) or the order number; its SaleId is Order.paymentReference.
+const COLUMN_ALIASES = {
+  reference: ['transactionid', 'saleid', 'txnid', 'transaction', 'id'],
+  otherReferences: ['reference', 'invoicenumber', 'invoiceid', 'customnumber', 'customfield', 'custom', 'custom1', 'referencetxnid', 'orderid', 'ordernumber', 'order'],
+  date: ['date', 'transactiondate', 'saledate', 'createdat', 'datetime'],
+  time: ['time'],
+  gross: ['gross', 'grossamount', 'amount', 'transactionamount', 'total', 'sum'],
+  fee: ['fee', 'fees', 'feeamount', 'commission'],
+  net: ['net', 'netamount'],
+  currency: ['currency', 'currencycode'],
+  type: ['type', 'transactiontype', 'description'],
+  status: ['status', 'transactionstatus']
+};
+const normalizeHeader = (h) => String(h || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/** Number from a spreadsheet cell: 1,234.56 / 1.234,56 / (12.00) / "₪ 12" */
+export function parseAmount(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : 0;
+  let s = String(value ?? '').trim();
+  if (!s) return 0;
+  const negative = /^\(.*\)$/.test(s) || /^-|-$/.test(s.replace(/[^\d\-.,()]/g, ''));
+  s = s.replace(/[^\d.,]/g, '');
+  if (s.includes('.') && s.includes(',')) {
+    s = s.lastIndexOf(',') > s.lastIndexOf('.') ? s.replace(/\./g, '').replace(',', '.') : s.replace(/,/g, '');
+  } else if (/,\d{1,2}$/.test(s)) {
+    s = s.replace(',', '.');
+  } else {
+    s = s.replace(/,/g, '');
+  }
+  const n = Number(s);
+  return Number.isFinite(n) ? (negative ? -n : n) : 0;
+}
+
+// Date from a cell: Date (XLSX), ISO text, or d/m/y or m/d/y text per the provider
+function parseDate(value, time, dateOrder) {
+  if (value instanceof Date) return Number.isNaN(value.getTime()) ? null : value;
+  const s = String(value ?? '').trim();
+  if (!s) return null;
+  const m = s.match(/^(\d{1,2})[./-](\d{1,2})[./-](\d{2,4})(?:[ T](\d{1,2}:\d{2}(?::\d{2})?))?$/);
+  if (m) {
+    const [a, b, y] = [Number(m[1]), Number(m[2]), Number(m[3].length === 2 ? `20${m[3]}` : m[3])];
+    const [day, month] = dateOrder === 'MDY' ? [b, a] : [a, b];
+    const clock = String(m[4] || time || '00:00:00').trim().split(':').map(Number);
+    const d = new Date(y, month - 1, day, clock[0] || 0, clock[1] || 0, clock[2] || 0);
+    return Number.isNaN(d.getTime()) ? null : d;
+  }
+  const d = new Date(time ? `${s} ${time}` : s);
+  return Number.isNaN(d.getTime()) ? null : d;
+}
+
+/**
+ * Settlement reconciliation: imports iCredit / PayPal settlement files (CSV or XLSX), matches each
+ * transaction to our orders (Order.paymentReference, order number), checkouts (PaymentSession.reference)
+ * and refunds, flags what does not add up, and reports per date range together with the orders still
+ * waiting for their money (online payments without a settlement row, COD cash not collected yet).
+ */
+class SettlementReconciliationService {
+  // Spreadsheet column of each field: given by the caller or found among the headers
+  #columns(headers, given = {}) {
+    const byNorm = new Map(headers.map(h => [normalizeHeader(h), h]));
+    const pick = (field) => {
+      if (given[field]) {
+        const list = (Array.isArray(given[field]) ? given[field] : [given[field]]).filter(h => headers.includes(h));
+        return field === 'otherReferences' ? list : list[0];
+      }
+      const found = COLUMN_ALIASES[field].map(a => byNorm.get(a)).filter(Boolean);
+      return field === 'otherReferences' ? [...new Set(found)] : found[0];
+    };
+    const columns = Object.fromEntries(Object.keys(COLUMN_ALIASES).map(f => [f, pick(f)]));
+    if (!columns.reference) {
+      throw new ApiError(StatusCodes.BAD_REQUEST, `No transaction id column found (expected one of: ${COLUMN_ALIASES.reference.join(', ')}); pass columns.reference`);
+    }
+    if (!columns.gross && !columns.net) {
+      throw new ApiError(StatusCodes.BAD_REQUEST, 'No amount column found (gross, amount, net); pass columns.gross');
+    }
+    columns.otherReferences = (columns.otherReferences || []).filter(h => h !== columns.reference);
+    return columns;
+  }
+
+  #readRows(buffer, fileName) {
+    let wb;
+    try {
+      // raw: CSV cells stay text, dates and amounts are parsed below
+      wb = XLSX.read(buffer, { type: 'buffer', cellDates: true, raw: true });
+    } catch (e) {
+      throw new ApiError(StatusCodes.BAD_REQUEST, `Could not read ${fileName || 'the file'}: ${e?.message || e}`);
+    }
+    const sheet = wb.Sheets[wb.SheetNames[0]];
+    if (!sheet) throw new ApiError(StatusCodes.BAD_REQUEST, 'The file has no sheet');
+    const rows = XLSX.utils.sheet_to_json(sheet, { defval: '', raw: true });
+    if (!rows.length) throw new ApiError(StatusCodes.BAD_REQUEST, 'The file has no rows');
+    if (rows.length > MAX_ROWS) throw new ApiError(StatusCodes.BAD_REQUEST, `Too many rows (${rows.length}); split the file (max ${MAX_ROWS})`);
+    return rows;
+  }
+
+  // A customer payment or refund, or null for payouts, fee-only lines, holds and unfinished transactions
+  #toTransaction(row, columns, dateOrder) {
+    const cell = (field) => (columns[field] ? row[columns[field]] : '');
+    const reference = String(cell('reference') ?? '').trim();
+    if (!reference) return null;
+    const status = String(cell('status') || '').toLowerCase();
+    if (/pending|denied|declined|failed|cancel|void|hold/.test(status)) return null;
+    const kind = String(cell('type') || '').toLowerCase();
+    if (/withdraw|transfer|payout|bank deposit|hold|currency conversion|authori[sz]ation/.test(kind)) return null;
+    // Fees are kept negative whatever sign the file gives them (PayPal: negative, others: positive)
+    const fee = -Math.abs(round2(parseAmount(cell('fee'))));
+    const net = columns.net ? round2(parseAmount(cell('net'))) : null;
+    const gross = columns.gross ? round2(parseAmount(cell('gross'))) : round2(net - fee);
+    if (!gross) return null;
+    return {
+      reference,
+      otherReferences: [...new Set(columns.otherReferences.map(h => String(row[h] ?? '').trim()).filter(v => v && v !== reference))],
+      type: gross < 0 || /refund|reversal|chargeback/.test(kind) ? 'refund' : 'payment',
+      occurredAt: parseDate(cell('date'), columns.time ? String(row[columns.time] || '').trim() : '', dateOrder),
+      currency: String(cell('currency') || '').trim().toUpperCase() || undefined,
+      gross,
+      fee,
+      net: net ?? round2(gross + fee)
+    };
+  }
+
+  // Our orders, checkouts and refunds referenced by the transactions, keyed by every id they may appear under
+  async #lookup(provider, txs) {
+    const keys = [...new Set(txs.flatMap(t => [t.reference, ...t.otherReferences]))];
+    const payKeys = [...new Set(txs.filter(t => t.type === 'payment').flatMap(t => [t.reference, ...t.otherReferences]))];
+    const orderFields = 'orderNumber paymentReference paymentSession paymentStatus paymentGateway paymentMethod amountDue totalAmount currency status createdAt';
+    const [byRef, byNumber, byCapture, sessions, refunds] = await Promise.all([
+      Order.find({ paymentReference: { $in: payKeys } }).select(orderFields).lean(),
+      Order.find({ orderNumber: { $in: payKeys } }).select(orderFields).lean(),
+      // PayPal settlement rows carry the capture id, orders the PayPal order id
+      provider === 'paypal'
+        ? Order.find({ 'paymentDetails.purchase_units.payments.captures.id': { $in: payKeys } }).select(`${orderFields} paymentDetails.purchase_units.payments.captures.id`).lean()
+        : [],
+      PaymentSession.find({ $or: [{ reference: { $in: payKeys } }, { gatewayReference: { $in: payKeys } }] }).select('reference gatewayReference orderId amountDue currency').lean(),
+      Refund.find({ provider, $or: [{ providerRefundId: { $in: keys } }, { refundNumber: { $in: keys } }] }).select('refundNumber providerRefundId order amount status').lean()
+    ]);
+    const sessionOrders = sessions.some(s => s.orderId)
+      ? await Order.find({ _id: { $in: sessions.filter(s => s.orderId).map(s => s.orderId) } }).select(orderFields).lean()
+      : [];
+    const orders = new Map();
+    for (const o of byRef) orders.set(o.paymentReference, o);
+    for (const o of byNumber) if (!orders.has(o.orderNumber)) orders.set(o.orderNumber, o);
+    for (const o of byCapture) {
+      for (const pu of o.paymentDetails?.purchase_units || []) for (const c of pu?.payments?.captures || []) if (c?.id) orders.set(c.id, o);
+    }
+    const orderById = new Map(sessionOrders.map(o => [String(o._id), o]));
+    const sessionByKey = new Map();
+    for (const s of sessions) {
+      if (s.reference) sessionByKey.set(s.reference, s);
+      if (s.gatewayReference) sessionByKey.set(s.gatewayReference, s);
+    }
+    const refundByKey = new Map();
+    for (const r of refunds) {
+      if (r.providerRefundId) refundByKey.set(r.providerRefundId, r);
+      refundByKey.set(r.refundNumber, r);
+    }
+    return {
+      order: (t) => {
+        for (const k of [t.reference, ...t.otherReferences]) {
+          if (orders.has(k)) return { order: orders.get(k) };
+          const s = sessionByKey.get(k);
+          if (s) return { order: s.orderId ? orderById.get(String(s.orderId)) || null : null, session: s };
+        }
+        return {};
+      },
+      refund: (t) => [t.reference, ...t.otherReferences].map(k => refundByKey.get(k)).find(Boolean) || null
+    };
+  }
+
+  /**
+   * Import a settlement file and match its transactions. Transactions already imported (overlapping
+   * exports) are skipped, so the same file can be uploaded again.
+   * @param {{ provider: string, buffer: Buffer, fileName?: string, columns?: object, dateOrder?: 'DMY'|'MDY', actor?: object }} input
+   *   columns: spreadsheet header per field (reference, otherReferences[], date, time, gross, fee, net, currency, type, status)
+   * @returns {Promise<object>} the SettlementImport document
+   */
+  async importFile({ provider, buffer, fileName, columns: givenColumns, dateOrder, actor = null }) {
+    if (!SETTLEMENT_PROVIDERS[provider]) {
+      throw new ApiError(StatusCodes.BAD_REQUEST, `provider must be one of: ${Object.keys(SETTLEMENT_PROVIDERS).join(', ')}`);
+    }
+    const rows = this.#readRows(buffer, fileName);
+    const columns = this.#columns(Object.keys(rows[0]), givenColumns || {});
+    const dayMonth = dateOrder === 'MDY' || dateOrder === 'DMY' ? dateOrder : SETTLEMENT_PROVIDERS[provider].dateOrder;
+
+    const txs = [];
+    const seen = new Set();
+    let ignored = 0;
+    rows.forEach((row, i) => {
+      const tx = this.#toTransaction(row, columns, dayMonth);
+      if (!tx) { ignored++; return; }
+      const key = `${tx.reference}|${tx.type}`;
+      if (seen.has(key)) { ignored++; return; }
+      seen.add(key);
+      txs.push({ ...tx, rowNumber: i + 2, raw: row });
+    });
+    const existing = new Set((await SettlementEntry.find({ provider, reference: { $in: txs.map(t => t.reference) } }).select('reference type').lean())
+      .map(e => `${e.reference}|${e.type}`));
+    const fresh = txs.filter(t => !existing.has(`${t.reference}|${t.type}`));
+
+    const lookup = await this.#lookup(provider, fresh);
+    const matched = fresh.map(t => ({ t, ...(t.type === 'payment' ? lookup.order(t) : { refund: lookup.refund(t) }) }));
+    // Payments of the same order already settled, to spot customers charged twice
+    const orderIds = [...new Set(matched.map(m => m.order?._id || m.refund?.order).filter(Boolean).map(String))];
+    const paidBefore = new Map((await SettlementEntry.find({ order: { $in: orderIds }, type: 'payment' }).select('order reference').lean())
+      .map(e => [String(e.order), e.reference]));
+
+    const dates = fresh.map(t => t.occurredAt).filter(Boolean).map(d => d.getTime());
+    const batch = await SettlementImport.create({
+      provider,
+      fileName,
+      format: /\.csv$/i.test(fileName || '') ? 'csv' : 'xlsx',
+      columns,
+      rowCount: rows.length,
+      skipped: txs.length - fresh.length,
+      ignored,
+      ...(dates.length ? { periodFrom: new Date(Math.min(...dates)), periodTo: new Date(Math.max(...dates)) } : {}),
+      importedBy: actor?.user || undefined
+    });
+    const entries = matched.map(({ t, order: o, session, refund }) => {
+      const entry = {
+        import: batch._id,
+        provider,
+        rowNumber: t.rowNumber,
+        reference: t.reference,
+        otherReferences: t.otherReferences,
+        type: t.type,
+        occurredAt: t.occurredAt || batch.createdAt,
+        currency: t.currency,
+        gross: t.gross,
+        fee: t.fee,
+        net: t.net,
+        raw: t.raw
+      };
+      if (t.type === 'refund') {
+        if (!refund) return { ...entry, status: 'unmatched', note: 'No refund with this id; refunded outside the store?' };
+        const expected = round2(refund.amount);
+        const amountOk = Math.abs(Math.abs(t.gross) - expected) < 0.01;
+        return {
+          ...entry,
+          refund: refund._id,
+          order: refund.order,
+          expectedAmount: expected,
+          status: amountOk ? 'matched' : 'amount_mismatch',
+          ...(amountOk ? {} : { note: `Refund ${refund.refundNumber} is ${expected}, the settlement ${Math.abs(t.gross)}` })
+        };
+      }
+      if (!o) {
+        return {
+          ...entry,
+          status: 'unmatched',
+          ...(session
+            ? { paymentSession: session._id, expectedAmount: round2(session.amountDue), note: `Checkout ${session.reference || session._id} was paid but has no order` }
+            : { note: 'No order or checkout with this reference' })
+        };
+      }
+      const expected = round2(o.amountDue ?? o.totalAmount);
+      const base = { ...entry, order: o._id, ...(session ? { paymentSession: session._id } : {}), expectedAmount: expected };
+      const previous = paidBefore.get(String(o._id));
+      if (previous && previous !== t.reference) {
+        return { ...base, status: 'duplicate', note: `Order ${o.orderNumber} was already paid by ${previous}` };
+      }
+      paidBefore.set(String(o._id), t.reference);
+      if (Math.abs(t.gross - expected) >= 0.01) {
+        return { ...base, status: 'amount_mismatch', note: `Order ${o.orderNumber} is due ${expected}, the settlement ${t.gross}` };
+      }
+      if (!PAID_STATUSES.includes(o.paymentStatus)) {
+        return { ...base, status: 'matched', note: `Settled, but order ${o.orderNumber} is still marked ${o.paymentStatus}` };
+      }
+      return { ...base, status: 'matched' };
+    });
+
+    try {
+      if (entries.length) await SettlementEntry.insertMany(entries, { ordered: false });
+    } catch (e) {
+      // Another upload of the same transactions got there first; what it stored is kept
+      if (e?.code !== 11000 && !e?.writeErrors?.every?.(w => (w.code ?? w.err?.code) === 11000)) throw e;
+    }
+    const counts = await SettlementEntry.aggregate([
+      { $match: { import: batch._id } },
+      { $group: { _id: '$status', n: { $sum: 1 } } }
+    ]);
+    batch.counts = { matched: 0, unmatched: 0, amount_mismatch: 0, duplicate: 0, ...Object.fromEntries(counts.map(c => [c._id, c.n])) };
+    await batch.save();
+    try { console.log('[payments][settlements] imported', { provider, file: fileName, rows: rows.length, counts: batch.counts, skipped: batch.skipped, ignored }); } catch {}
+    return batch;
+  }
+
+  async listImports({ provider, limit = 50 } = {}) {
+    return SettlementImport.find(provider ? { provider: String(provider) } : {})
+      .sort('-createdAt')
+      .limit(Math.min(200, Math.max(1, parseInt(limit, 10) || 50)))
+      .lean();
+  }
+
+  /** Entries of an import, optionally only one status. */
+  async entries(importId, { status } = {}) {
+    return SettlementEntry.find({ import: importId, ...(status ? { status: String(status) } : {}) })
+      .select('-raw')
+      .populate('order', 'orderNumber paymentStatus')
+      .sort('rowNumber')
+      .lean();
+  }
+
+  /**
+   * Reconciliation of a date range: settlement totals per status, the flagged transactions, orders paid
+   * online without a settlement row, and COD orders whose cash is not collected yet.
+   * @param {{ from: Date, to: Date, provider?: string }} range
+   */
+  async report({ from, to, provider }) {
+    const occurredAt = { $gte: from, $lte: to };
+    const entryFilter = { occurredAt, ...(provider ? { provider } : {}) };
+    const online = Object.keys(SETTLEMENT_PROVIDERS).filter(id => !provider || id === provider);
+    const [byStatus, flagged, paidOrders, cod] = await Promise.all([
+      SettlementEntry.aggregate([
+        { $match: entryFilter },
+        { $group: { _id: { status: '$status', type: '$type' }, count: { $sum: 1 }, gross: { $sum: '$gross' }, fee: { $sum: '$fee' }, net: { $sum: '$net' } } }
+      ]),
+      SettlementEntry.find({ ...entryFilter, status: { $ne: 'matched' } })
+        .select('-raw')
+        .populate('order', 'orderNumber paymentStatus')
+        .sort('occurredAt')
+        .limit(MAX_EXPORT_ROWS)
+        .lean(),
+      !online.length ? [] : Order.find({
+        createdAt: occurredAt,
+        paymentStatus: { $in: PAID_STATUSES },
+        $or: [{ paymentGateway: { $in: online } }, { paymentGateway: { $exists: false }, paymentMethod: { $in: online.map(id => (id === 'icredit' ? 'card' : id)) } }]
+      }).select('orderNumber paymentGateway paymentMethod paymentReference amountDue totalAmount currency createdAt').sort('createdAt').limit(MAX_EXPORT_ROWS).lean(),
+      provider && provider !== 'cod' ? [] : Order.find({
+        createdAt: occurredAt,
+        $or: [{ paymentGateway: 'cod' }, { paymentMethod: 'cod' }],
+        paymentStatus: 'pending',
+        status: { $nin: ['cancelled', 'returned'] }
+      }).select('orderNumber status deliveryStatus amountDue totalAmount currency customerInfo.firstName customerInfo.lastName customerInfo.mobile createdAt').sort('createdAt').limit(MAX_EXPORT_ROWS).lean()
+    ]);
+    const settled = new Set((await SettlementEntry.distinct('order', { order: { $in: paidOrders.map(o => o._id) }, type: 'payment' })).map(String));
+    const unsettled = paidOrders.filter(o => !settled.has(String(o._id)));
+
+    const totals = { count: 0, gross: 0, fee: 0, net: 0 };
+    const statuses = {};
+    for (const row of byStatus) {
+      const s = (statuses[row._id.status] ||= { count: 0, gross: 0, fee: 0, net: 0, payments: 0, refunds: 0 });
+      s.count += row.count;
+      s.gross = round2(s.gross + row.gross);
+      s.fee = round2(s.fee + row.fee);
+      s.net = round2(s.net + row.net);
+      s[row._id.type === 'refund' ? 'refunds' : 'payments'] += row.count;
+      totals.count += row.count;
+      totals.gross = round2(totals.gross + row.gross);
+      totals.fee = round2(totals.fee + row.fee);
+      totals.net = round2(totals.net + row.net);
+    }
+    const due = (o) => round2(o.amountDue ?? o.totalAmount);
+    return {
+      from,
+      to,
+      provider: provider || null,
+      summary: {
+        settlements: { ...totals, byStatus: statuses },
+        unsettledOrders: { count: unsettled.length, amount: round2(unsettled.reduce((s, o) => s + due(o), 0)) },
+        codAwaitingCollection: {
+          count: cod.length,
+          amount: round2(cod.reduce((s, o) => s + due(o), 0)),
+          delivered: cod.filter(o => o.status === 'delivered').length
+        }
+      },
+      flagged,
+      unsettledOrders: unsettled,
+      codAwaitingCollection: cod
+    };
+  }
+
+  /** The report of a date range as a workbook (Summary, Settlements, Flagged, Unsettled orders, COD to collect). */
+  async exportWorkbook({ from, to, provider }) {
+    const report = await this.report({ from, to, provider });
+    const entries = await SettlementEntry.find({ occurredAt: { $gte: from, $lte: to }, ...(provider ? { provider } : {}) })
+      .select('-raw')
+      .populate('order', 'orderNumber')
+      .sort('occurredAt')
+      .limit(MAX_EXPORT_ROWS)
+      .lean();
+    const iso = (d) => (d ? new Date(d).toISOString() : '');
+    const entryRow = (e) => ({
+      Date: iso(e.occurredAt),
+      Provider: e.provider,
+      Type: e.type,
+      Reference: e.reference,
+      'Other References': (e.otherReferences || []).join(', '),
+      Currency: e.currency || '',
+      Gross: e.gross,
+      Fee: e.fee,
+      Net: e.net,
+      Status: e.status,
+      Order: e.order?.orderNumber || '',
+      Expected: e.expectedAmount ?? '',
+      Note: e.note || ''
+    });
+    const s = report.summary;
+    const summaryRows = [
+      { Item: 'From', Value: iso(from) },
+      { Item: 'To', Value: iso(to) },
+      { Item: 'Provider', Value: provider || 'all' },
+      { Item: 'Settlement transactions', Value: s.settlements.count },
+      { Item: 'Gross', Value: s.settlements.gross },
+      { Item: 'Fees', Value: s.settlements.fee },
+      { Item: 'Net', Value: s.settlements.net },
+      ...['matched', 'unmatched', 'amount_mismatch', 'duplicate'].map(st => ({ Item: `Status: ${st}`, Value: s.settlements.byStatus[st]?.count || 0 })),
+      { Item: 'Orders paid online without settlement', Value: s.unsettledOrders.count },
+      { Item: 'Amount not settled yet', Value: s.unsettledOrders.amount },
+      { Item: 'COD orders awaiting cash', Value: s.codAwaitingCollection.count },
+      { Item: 'COD amount to collect', Value: s.codAwaitingCollection.amount },
+      { Item: 'COD delivered, cash not recorded', Value: s.codAwaitingCollection.delivered }
+    ];
+    const wb = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet(summaryRows), 'Summary');
+    XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet(entries.map(entryRow)), 'Settlements');
+    XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet(report.flagged.map(entryRow)), 'Flagged');
+    XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet(report.unsettledOrders.map(o => ({
+      'Order Number': o.orderNumber,
+      'Created At': iso(o.createdAt),
+      Gateway: o.paymentGateway || o.paymentMethod,
+      'Payment Reference': o.paymentReference || '',
+      Currency: o.currency || '',
+      Amount: round2(o.amountDue ?? o.totalAmount)
+    }))), 'Unsettled orders');
+    XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet(report.codAwaitingCollection.map(o => ({
+      'Order Number': o.orderNumber,
+      'Created At': iso(o.createdAt),
+      Status: o.status,
+      'Delivery Status': o.deliveryStatus || '',
+      Customer: [o.customerInfo?.firstName, o.customerInfo?.lastName].filter(Boolean).join(' '),
+      Mobile: o.customerInfo?.mobile || '',
+      Currency: o.currency || '',
+      'Amount To Collect': round2(o.amountDue ?? o.totalAmount)
+    }))), 'COD to collect');
+    return XLSX.write(wb, { type: 'buffer', bookType: 'xlsx' });
+  }
+}
+
+export const settlementReconciliationService = new SettlementReconciliationService();
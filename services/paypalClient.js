@@ -8,14 +8,20 @@ async function getConfig() {
   const clientId = cfg.clientId || process.env.PAYPAL_CLIENT_ID;
   const clientSecret = cfg.secret || process.env.PAYPAL_SECRET;
   const mode = (cfg.mode || process.env.PAYPAL_MODE || 'sandbox').toLowerCase();
-  return { clientId, clientSecret, mode };
+  // API host override for a local mock or proxy; the mode then only labels the environment
+  const baseUrl = (cfg.apiBaseUrl || process.env.PAYPAL_API_BASE || '').trim().replace(/\/$/, '');
+  const webhookId = (cfg.webhookId || process.env.PAYPAL_WEBHOOK_ID || '').trim();
+  return { clientId, clientSecret, mode, baseUrl, webhookId };
 }
 
 async function environment() {
-  const { clientId, clientSecret, mode } = await getConfig();
+  const { clientId, clientSecret, mode, baseUrl } = await getConfig();
   if (!clientId || !clientSecret) {
     throw new Error('Missing PayPal credentials. Configure in Admin > Settings or set PAYPAL_CLIENT_ID and PAYPAL_SECRET.');
   }
+  if (baseUrl) {
+    return new checkoutNodeJssdk.core.PayPalEnvironment(clientId, clientSecret, baseUrl, baseUrl);
+  }
   if (mode === 'live' || mode === 'production') {
     return new checkoutNodeJssdk.core.LiveEnvironment(clientId, clientSecret);
   }
@@ -26,4 +32,9 @@ export async function getPayPalClient() {
   return new checkoutNodeJssdk.core.PayPalHttpClient(await environment());
 }
 
+// Webhook id that incoming webhook signatures are verified against ('' when not configured)
+export async function getPayPalWebhookId() {
+  return (await getConfig()).webhookId;
+}
+
 export const paypalSdk = checkoutNodeJssdk;
@@ -2,6 +2,7 @@ import mongoose from 'mongoose';
 import POSTransaction from '../models/POSTransaction.js';
 import POSSession from '../models/POSSession.js';
 import Product from '../models/Product.js';
+import { computeTax } from './taxService.js';
 
 export class POSService {
   
@@ -9,7 +10,7 @@ export class POSService {
    * Validate and calculate transaction totals
    */
   async validateAndCalculateTransaction(transactionData) {
-    const { items, paymentMethod, payments, customerInfo, discounts = [], currency } = transactionData;
+    const { items, paymentMethod, payments, customerInfo, discounts = [], currency, customer } = transactionData;
     
     if (!items || items.length === 0) {
       throw new Error('Transaction must have at least one item');
@@ -53,6 +54,7 @@ export class POSService {
         
         return {
           ...item,
+          product,
           unitPrice,
           totalPrice: itemTotal + itemTax,
           productName: product.name,
@@ -70,6 +72,28 @@ export class POSService {
       })
     );
     
+    // With the tax engine enabled, rates come from the store's tax classes (default rates, no destination)
+    // instead of the register; inclusive prices already contain the tax
+    let taxSnapshot = {};
+    const tax = await computeTax({
+      lines: processedItems.map(it => ({ product: it.product, lineTotal: it.totalPrice - it.tax.amount })),
+      customer: customer ? { userId: customer } : null
+    });
+    if (tax.enabled) {
+      const inclusive = tax.mode === 'inclusive';
+      processedItems.forEach((it, idx) => {
+        const line = tax.lines[idx];
+        const net = it.totalPrice - it.tax.amount;
+        // An exempt customer pays the inclusive price without its tax
+        it.totalPrice = inclusive ? (tax.exempt ? line.taxableAmount : net) : net + line.amount;
+        it.tax = line;
+      });
+      subtotal = processedItems.reduce((s, it) => s + it.totalPrice - (inclusive ? 0 : it.tax.amount), 0);
+      totalTax = inclusive ? 0 : tax.taxTotal;
+      taxSnapshot = { taxMode: tax.mode, taxExempt: tax.exempt, taxBreakdown: tax.breakdown };
+    }
+    processedItems.forEach(it => { it.product = it.product._id; });
+
     // Apply transaction-level discounts
     discounts.forEach(discount => {
       if (discount.type === 'percentage') {
@@ -80,6 +104,8 @@ export class POSService {
     });
     
     const total = subtotal + totalTax - totalDiscount;
+    // Reported tax: in inclusive mode it is contained in the subtotal rather than added to it
+    if (taxSnapshot.taxMode === 'inclusive') totalTax = tax.taxTotal;
     
     // Validate payment
     let amountPaid = 0;
@@ -100,7 +126,8 @@ export class POSService {
       totalDiscount,
       total,
       amountPaid,
-      change
+      change,
+      ...taxSnapshot
     };
   }
   
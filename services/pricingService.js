@@ -0,0 +1,582 @@
+import mongoose from 'mongoose';
+import { StatusCodes } from 'http-status-codes';
+import Product from '../models/Product.js';
+import FlashSale from '../models/FlashSale.js';
+import BundleOffer from '../models/BundleOffer.js';
+import Coupon from '../models/Coupon.js';
+import Order from '../models/Order.js';
+import { ApiError } from '../utils/ApiError.js';
+import { remainingOf } from './flashSaleService.js';
+
+const round2 = (n) => Math.round((Number(n) || 0) * 100) / 100;
+
+// Same rounding rules as the storefront flash price (see productController)
+const computePercentPrice = (base, pct) => {
+  if (typeof base !== 'number' || !isFinite(base) || base <= 0) return 0;
+  if (typeof pct !== 'number' || !isFinite(pct) || pct <= 0 || pct >= 100) return 0;
+  const v = base * (1 - pct / 100);
+  const r = Math.round(v * 100) / 100;
+  if (r <= 0) return 0;
+  if (r >= base) return Math.max(0, Math.round((base - 0.01) * 100) / 100);
+  return r;
+};
+
+const productCategoryIds = (product) => {
+  const primary = product?.category ? String(product.category._id || product.category) : null;
+  const extra = Array.isArray(product?.categories) ? product.categories.map(c => String(c?._id || c)) : [];
+  return [...(primary ? [primary] : []), ...extra];
+};
+
+const findVariant = (product, variantId) => {
+  if (!variantId || !Array.isArray(product?.variants)) return null;
+  return product.variants.find(v => String(v._id) === String(variantId)) || null;
+};
+
+/**
+ * Load the currently running flash sales once per pricing call
+ * @returns {Promise<Array>} Active flash sale documents (lean)
+ */
+export const loadActiveFlashSales = async () => {
+  const now = new Date();
+  try {
+    return await FlashSale.find({ active: true, startDate: { $lte: now }, endDate: { $gte: now } })
+      .select('items targetType categoryIds pricingMode discountPercent')
+      .lean();
+  } catch {
+    return [];
+  }
+};
+
+/**
+ * Resolve the best flash price for a product at a given base price
+ * @param {Object} product - Product document
+ * @param {number} basePrice - Price before flash sale (variant or product price)
+ * @param {Array} sales - Active flash sales
+ * @returns {{ price: number, flashSale: string }|null} Lowest applicable flash price, if any
+ */
+export const resolveFlashPrice = (product, basePrice, sales) => {
+  let best = null;
+  const pid = String(product._id);
+  const prodCats = productCategoryIds(product);
+  for (const s of sales || []) {
+    let price = null;
+    if (s.targetType === 'categories') {
+      const catIds = (s.categoryIds || []).map(c => String(c));
+      const pct = Number(s.discountPercent);
+      if (prodCats.some(c => catIds.includes(c)) && pct > 0 && pct < 100) {
+        const calc = computePercentPrice(basePrice, pct);
+        if (calc > 0) price = calc;
+      }
+    } else if (Array.isArray(s.items)) {
+      const hit = s.items.find(it => String(it?.product?._id || it?.product) === pid);
+      // Items whose dedicated sale stock is sold out fall back to the regular price
+      if (hit && Number(hit.flashPrice) > 0 && remainingOf(hit) !== 0) price = Number(hit.flashPrice);
+    }
+    if (price != null && (best == null || price < best.price)) {
+      best = { price, flashSale: String(s._id) };
+    }
+  }
+  // A flash sale never raises the price
+  return best && best.price < basePrice ? best : null;
+};
+
+/**
+ * Ratio between a bundle's final price and the list price of its components
+ * @param {Object} bundle - BundleOffer document
+ * @param {Map<string, number>} unitPriceByProduct - Component unit prices before bundle pricing
+ * @returns {number|null} Multiplier in (0, 1], or null when the bundle has no effective discount
+ */
+export const bundlePriceRatio = (bundle, unitPriceByProduct) => {
+  let listTotal = 0;
+  for (const bp of bundle.products || []) {
+    const unit = unitPriceByProduct.get(String(bp.product?._id || bp.product));
+    if (unit == null) return null;
+    listTotal += unit * (Number(bp.quantity) || 1);
+  }
+  if (!(listTotal > 0)) return null;
+  let finalTotal = listTotal;
+  if (typeof bundle.price === 'number' && bundle.price > 0) {
+    finalTotal = bundle.price;
+  } else if (bundle.discountType === 'percent' && Number(bundle.discountValue) > 0) {
+    finalTotal = listTotal * (1 - Math.min(100, Number(bundle.discountValue)) / 100);
+  } else if (bundle.discountType === 'fixed' && Number(bundle.discountValue) > 0) {
+    finalTotal = listTotal - Number(bundle.discountValue);
+  }
+  finalTotal = Math.max(0, finalTotal);
+  if (finalTotal >= listTotal) return null;
+  return finalTotal / listTotal;
+};
+
+const isBundleLive = (bundle, now = new Date()) => {
+  if (!bundle || bundle.active === false) return false;
+  if (bundle.startDate && new Date(bundle.startDate) > now) return false;
+  if (bundle.endDate && new Date(bundle.endDate) < now) return false;
+  return true;
+};
+
+const idList = (arr) => (Array.isArray(arr) ? arr.map(x => String(x?._id || x)) : []);
+
+// Coupon errors carry a machine-readable code the storefront already understands
+const couponError = (message, code) => Object.assign(new ApiError(StatusCodes.BAD_REQUEST, message), code ? { code } : {});
+
+const matchesScope = (line, productIds, categoryIds) => {
+  if (productIds.includes(String(line.product._id))) return true;
+  if (!categoryIds.length) return false;
+  const prodCats = productCategoryIds(line.product);
+  return categoryIds.some(c => prodCats.includes(c));
+};
+
+// Spread an amount over lines in proportion to their subtotal; the last line absorbs rounding
+const spreadDiscount = (lines, indexes, amount) => {
+  const out = lines.map(() => 0);
+  const base = indexes.reduce((s, idx) => s + lines[idx].lineSubtotal, 0);
+  let remaining = amount;
+  indexes.forEach((idx, i) => {
+    const share = i === indexes.length - 1
+      ? remaining
+      : round2(base > 0 ? (amount * lines[idx].lineSubtotal) / base : 0);
+    out[idx] = round2(Math.min(share, lines[idx].lineSubtotal));
+    remaining = round2(remaining - out[idx]);
+  });
+  return out;
+};
+
+/**
+ * Buy-X-get-Y reward per line. Reward units are the cheapest ones, so the customer always pays for the dearest.
+ * @returns {number[]} Discount per line (aligned with lines)
+ */
+const computeBuyXGetY = (coupon, lines, eligibleIndexes, isExcluded) => {
+  const rule = coupon.buyXGetY || {};
+  const buy = Number(rule.buyQuantity) || 0;
+  const get = Number(rule.getQuantity) || 0;
+  const pct = rule.discountPercent == null ? 100 : Math.min(100, Math.max(0, Number(rule.discountPercent)));
+  const out = lines.map(() => 0);
+  if (buy <= 0 || get <= 0 || pct <= 0) return out;
+
+  const units = (indexes) => indexes
+    .flatMap(idx => Array.from({ length: lines[idx].quantity }, () => ({ idx, price: lines[idx].unitPrice })))
+    .sort((a, b) => b.price - a.price);
+  const getProductIds = idList(rule.getProducts);
+  const getCategoryIds = idList(rule.getCategories);
+  let rewards;
+  let applications;
+  if (getProductIds.length || getCategoryIds.length) {
+    const rewardIndexes = lines.map((l, idx) => idx).filter(idx => !isExcluded(lines[idx]) && matchesScope(lines[idx], getProductIds, getCategoryIds));
+    const buyUnits = units(eligibleIndexes.filter(idx => !rewardIndexes.includes(idx)));
+    const rewardUnits = units(rewardIndexes);
+    applications = Math.min(Math.floor(buyUnits.length / buy), Math.floor(rewardUnits.length / get));
+    rewards = rewardUnits;
+  } else {
+    rewards = units(eligibleIndexes);
+    applications = Math.floor(rewards.length / (buy + get));
+  }
+  if (Number(rule.maxApplications) > 0) applications = Math.min(applications, Number(rule.maxApplications));
+  for (const unit of applications > 0 ? rewards.slice(rewards.length - applications * get) : []) {
+    out[unit.idx] = round2(out[unit.idx] + unit.price * pct / 100);
+  }
+  return out.map((d, idx) => round2(Math.min(d, lines[idx].lineSubtotal)));
+};
+
+/**
+ * Expand bundle lines (`{ bundleId, quantity, components?: [{ product, variantId?, size?, color? }] }` without a product)
+ * into one cart line per component, so each component is priced and stock-reserved on its own.
+ * Component lines keep `bundleId`; priceCart then applies the bundle price to them.
+ * @param {Array} items - Cart lines as sent by the client
+ * @param {{ session?: Object }} [opts]
+ * @returns {Promise<Array>} Cart lines with bundle lines replaced by their components
+ */
+export const expandBundleItems = async (items, { session = null } = {}) => {
+  if (!Array.isArray(items)) return items;
+  const isBundleLine = (it) => (it?.bundleId || it?.bundle) && !(it.product || it.productId) && it.type !== 'product';
+  if (!items.some(isBundleLine)) return items;
+
+  const out = [];
+  for (const item of items) {
+    if (!isBundleLine(item)) {
+      out.push(item);
+      continue;
+    }
+    const bundleId = String(item.bundleId || item.bundle?._id || item.bundle);
+    if (!mongoose.Types.ObjectId.isValid(bundleId)) throw new ApiError(StatusCodes.BAD_REQUEST, `Invalid bundle: ${bundleId}`);
+    const q = BundleOffer.findById(bundleId);
+    const bundle = session ? await q.session(session).lean() : await q.lean();
+    if (!bundle) throw new ApiError(StatusCodes.NOT_FOUND, 'Bundle offer not found');
+    if (!isBundleLive(bundle) || !(bundle.products || []).length) {
+      throw new ApiError(StatusCodes.BAD_REQUEST, `Bundle offer "${bundle.title}" is not available`);
+    }
+    const quantity = Math.floor(Number(item.quantity) || 0);
+    if (quantity <= 0) throw new ApiError(StatusCodes.BAD_REQUEST, `Invalid quantity for bundle ${bundle.title}`);
+    const selections = Array.isArray(item.components) ? item.components : [];
+    for (const bp of bundle.products) {
+      const productId = String(bp.product);
+      const sel = selections.find(s => String(s?.product?._id || s?.product || s?.productId) === productId) || {};
+      out.push({
+        product: productId,
+        quantity: (Number(bp.quantity) || 1) * quantity,
+        bundleId,
+        ...(sel.variantId ? { variantId: sel.variantId } : {}),
+        ...(sel.size ? { size: sel.size } : {}),
+        ...(sel.color ? { color: sel.color } : {}),
+        ...(Array.isArray(sel.variants) ? { variants: sel.variants } : {}),
+        ...(sel.sku ? { sku: sel.sku } : {})
+      });
+    }
+  }
+  return out;
+};
+
+/**
+ * Count a placed order in the metrics of the bundles it was priced with
+ * @param {Object} order - Order (items carry pricing.bundle when a bundle price applied)
+ */
+export const recordBundleSales = async (order) => {
+  const byBundle = new Map();
+  for (const it of order.items || []) {
+    const bundleId = it.pricing?.bundle;
+    if (!bundleId) continue;
+    const amount = typeof it.pricing.lineTotal === 'number' ? it.pricing.lineTotal : (Number(it.price) || 0) * (Number(it.quantity) || 0);
+    byBundle.set(String(bundleId), round2((byBundle.get(String(bundleId)) || 0) + amount));
+  }
+  for (const [bundleId, salesAmount] of byBundle) {
+    await BundleOffer.updateOne({ _id: bundleId }, { $inc: { 'metrics.ordersCount': 1, 'metrics.salesAmount': salesAmount } });
+  }
+  return byBundle.size;
+};
+
+/**
+ * Recompute a coupon discount against server-priced lines
+ * @param {Object} coupon - Coupon document
+ * @param {Array} lines - Priced lines from priceCart
+ * @returns {{ discount: number, baseAmount: number, eligibleIndexes: number[], lineDiscounts: number[], appliedScope: string, freeShipping: boolean }}
+ */
+export const computeCouponDiscount = (coupon, lines) => {
+  const couponProductIds = idList(coupon.products);
+  const couponCategoryIds = idList(coupon.categories);
+  const excludedProductIds = idList(coupon.excludedProducts);
+  const excludedBrandIds = idList(coupon.excludedBrands);
+  const isRestrictedScope = couponProductIds.length > 0 || couponCategoryIds.length > 0;
+  const isExcluded = (line) => excludedProductIds.includes(String(line.product._id))
+    || (line.product.brand && excludedBrandIds.includes(String(line.product.brand?._id || line.product.brand)))
+    || (coupon.flashSaleStacking === 'exclude' && !!line.breakdown?.flashSale);
+  const hasExclusions = excludedProductIds.length > 0 || excludedBrandIds.length > 0 || coupon.flashSaleStacking === 'exclude';
+
+  const eligibleIndexes = [];
+  let baseAmount = 0;
+  lines.forEach((line, idx) => {
+    if (isExcluded(line)) return;
+    if (isRestrictedScope && !matchesScope(line, couponProductIds, couponCategoryIds)) return;
+    eligibleIndexes.push(idx);
+    baseAmount += line.lineSubtotal;
+  });
+  baseAmount = round2(baseAmount);
+
+  if ((isRestrictedScope || hasExclusions) && baseAmount <= 0) {
+    throw couponError('Coupon is not applicable to the items in your cart', 'COUPON_NOT_ELIGIBLE_CATEGORY');
+  }
+  if (baseAmount < (coupon.minPurchase || 0)) {
+    throw couponError(`Minimum purchase amount of ${coupon.minPurchase} required`, 'COUPON_MIN_PURCHASE');
+  }
+
+  let lineDiscounts;
+  if (coupon.type === 'free_shipping') {
+    lineDiscounts = lines.map(() => 0);
+  } else if (coupon.type === 'buy_x_get_y') {
+    lineDiscounts = computeBuyXGetY(coupon, lines, eligibleIndexes, isExcluded);
+    if (!lineDiscounts.some(d => d > 0)) {
+      const { buyQuantity, getQuantity } = coupon.buyXGetY || {};
+      throw couponError(`Add ${(buyQuantity || 0) + (getQuantity || 0)} eligible items to use this coupon`, 'COUPON_BXGY_NOT_MET');
+    }
+    const total = lineDiscounts.reduce((s, d) => s + d, 0);
+    if (coupon.maxDiscount && total > coupon.maxDiscount) {
+      const rewarded = lineDiscounts.map((d, idx) => idx).filter(idx => lineDiscounts[idx] > 0);
+      lineDiscounts = spreadDiscount(lineDiscounts.map(d => ({ lineSubtotal: d })), rewarded, coupon.maxDiscount);
+    }
+  } else {
+    let discount = coupon.type === 'percentage' ? (baseAmount * coupon.value) / 100 : coupon.value;
+    if (coupon.maxDiscount) discount = Math.min(discount, coupon.maxDiscount);
+    // A coupon never discounts more than the eligible subtotal
+    lineDiscounts = spreadDiscount(lines, eligibleIndexes, round2(Math.min(discount, baseAmount)));
+  }
+
+  return {
+    discount: round2(lineDiscounts.reduce((s, d) => s + d, 0)),
+    baseAmount,
+    eligibleIndexes,
+    lineDiscounts,
+    appliedScope: isRestrictedScope ? 'restricted' : 'cart',
+    freeShipping: coupon.type === 'free_shipping'
+  };
+};
+
+const escapeRegex = (s) => String(s).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Prior non-cancelled orders of a customer (by user id or email), optionally with a given coupon
+const countCustomerOrders = async (customer, extra = {}, session = null) => {
+  const or = [];
+  if (customer?.userId) or.push({ user: customer.userId });
+  if (customer?.email) or.push({ 'customerInfo.email': new RegExp(`^${escapeRegex(String(customer.email).trim())}$`, 'i') });
+  if (!or.length) return null;
+  const q = Order.countDocuments({ $or: or, status: { $ne: 'cancelled' }, ...extra });
+  return session ? q.session(session) : q;
+};
+
+/**
+ * Load an applicable coupon by code and check the customer-level rules (personal coupon, per-customer limit,
+ * first order)
+ * @param {string} code - Coupon code (case-insensitive)
+ * @param {Object} [session] - Optional mongoose session
+ * @param {{ customer?: { userId?: string, email?: string } }} [opts]
+ * @returns {Promise<Object>} Coupon document
+ */
+export const loadApplicableCoupon = async (code, session = null, { customer = null } = {}) => {
+  const now = new Date();
+  const q = Coupon.findOne({
+    code: String(code).trim().toUpperCase(),
+    isActive: true,
+    startDate: { $lte: now },
+    endDate: { $gte: now }
+  });
+  const coupon = session ? await q.session(session) : await q;
+  if (!coupon) throw new ApiError(StatusCodes.BAD_REQUEST, 'Invalid or expired coupon code');
+  if (coupon.usageLimit && coupon.usedCount >= coupon.usageLimit) {
+    throw couponError('Coupon usage limit reached', 'COUPON_USAGE_LIMIT');
+  }
+  if (coupon.customerUser || coupon.customerEmail) {
+    const email = String(customer?.email || '').trim().toLowerCase();
+    const isOwner = (coupon.customerUser && customer?.userId && String(coupon.customerUser) === String(customer.userId))
+      || (coupon.customerEmail && email && coupon.customerEmail === email);
+    if (!customer?.userId && !email) {
+      throw couponError('Sign in or enter your email to use this coupon', 'COUPON_CUSTOMER_REQUIRED');
+    }
+    if (!isOwner) throw couponError('This coupon was issued to another customer', 'COUPON_NOT_YOURS');
+  }
+  if (coupon.firstOrderOnly || coupon.perCustomerLimit) {
+    if (!customer?.userId && !customer?.email) {
+      throw couponError('Sign in or enter your email to use this coupon', 'COUPON_CUSTOMER_REQUIRED');
+    }
+    if (coupon.firstOrderOnly && await countCustomerOrders(customer, {}, session) > 0) {
+      throw couponError('Coupon is only valid on your first order', 'COUPON_FIRST_ORDER_ONLY');
+    }
+    if (coupon.perCustomerLimit && await countCustomerOrders(customer, { 'coupon.code': coupon.code }, session) >= coupon.perCustomerLimit) {
+      throw couponError('You have already used this coupon the maximum number of times', 'COUPON_CUSTOMER_LIMIT');
+    }
+  }
+  return coupon;
+};
+
+/**
+ * Count one use of a coupon when an order is placed. With enforceLimit the increment only happens
+ * while usedCount < usageLimit, so concurrent checkouts cannot overshoot the limit.
+ * @returns {Promise<boolean>} whether the use was counted
+ */
+export const recordCouponUse = async (couponId, { session = null, enforceLimit = true } = {}) => {
+  const filter = enforceLimit
+    ? { _id: couponId, $or: [{ usageLimit: { $in: [null, 0] } }, { $expr: { $lt: ['$usedCount', '$usageLimit'] } }] }
+    : { _id: couponId };
+  const r = await Coupon.updateOne(filter, { $inc: { usedCount: 1 } }, { session });
+  if (!r?.modifiedCount && enforceLimit) throw couponError('Coupon usage limit reached', 'COUPON_USAGE_LIMIT');
+  return !!r?.modifiedCount;
+};
+
+/**
+ * Server-authoritative cart pricing shared by order creation and payment gateways.
+ * Each line resolves its unit price as variant price -> flash sale -> bundle, then
+ * the coupon (if any) is recomputed from the Coupon document and spread over eligible lines.
+ * @param {Object} params
+ * @param {Array} params.items - Cart lines ({ product, quantity, variantId?, bundleId? })
+ * @param {string} [params.couponCode] - Coupon code supplied by the client
+ * @param {Object} [params.customer] - { userId?, email? } for per-customer and first-order coupon rules
+ * @param {Object} [params.session] - Optional mongoose session
+ * @returns {Promise<Object>} { lines, subtotal, discountTotal, total, coupon, freeShipping }
+ */
+export const priceCart = async ({ items, couponCode, customer = null, session = null }) => {
+  if (!Array.isArray(items) || items.length === 0) {
+    throw new ApiError(StatusCodes.BAD_REQUEST, 'Order must contain at least one item');
+  }
+  const sales = await loadActiveFlashSales();
+
+  const lines = [];
+  for (const item of items) {
+    const productId = item?.product?._id || item?.product || item?.productId;
+    if (!productId || !mongoose.Types.ObjectId.isValid(String(productId))) {
+      throw new ApiError(StatusCodes.BAD_REQUEST, `Invalid product: ${productId}`);
+    }
+    const q = Product.findById(productId);
+    const product = session ? await q.session(session) : await q;
+    if (!product) throw new ApiError(StatusCodes.NOT_FOUND, `Product not found: ${productId}`);
+
+    const quantity = Number(item.quantity) || 0;
+    if (quantity <= 0) throw new ApiError(StatusCodes.BAD_REQUEST, `Invalid quantity for product ${product.name}`);
+
+    const basePrice = Number(product.price);
+    if (!isFinite(basePrice)) throw new ApiError(StatusCodes.BAD_REQUEST, `Product ${product.name} has invalid price`);
+
+    const breakdown = { basePrice, source: 'catalog' };
+    let unitPrice = basePrice;
+
+    const variant = findVariant(product, item.variantId);
+    if (item.variantId && !variant) {
+      throw new ApiError(StatusCodes.BAD_REQUEST, `Variant not found for product ${product.name}`);
+    }
+    if (variant && typeof variant.price === 'number' && isFinite(variant.price)) {
+      unitPrice = variant.price;
+      breakdown.variantPrice = variant.price;
+      breakdown.source = 'variant';
+    }
+
+    const flash = resolveFlashPrice(product, unitPrice, sales);
+    if (flash) {
+      unitPrice = flash.price;
+      breakdown.flashSalePrice = flash.price;
+      breakdown.flashSale = flash.flashSale;
+      breakdown.source = 'flash_sale';
+    }
+
+    lines.push({
+      product,
+      variant,
+      quantity,
+      bundleId: item.bundleId || item.bundleOffer || undefined,
+      unitPrice,
+      breakdown
+    });
+  }
+
+  // Bundle pricing applies last, scaling the component units of a live bundle by the same ratio. Only whole
+  // bundle sets are discounted; units beyond them keep their price (the line's unit price is the average)
+  const bundleIds = [...new Set(lines.map(l => l.bundleId).filter(id => id && mongoose.Types.ObjectId.isValid(String(id))).map(String))];
+  if (bundleIds.length) {
+    const bundles = await BundleOffer.find({ _id: { $in: bundleIds } }).lean();
+    for (const bundle of bundles) {
+      if (!isBundleLive(bundle)) continue;
+      const bundleLines = lines.filter(l => String(l.bundleId) === String(bundle._id));
+      const unitPriceByProduct = new Map(bundleLines.map(l => [String(l.product._id), l.unitPrice]));
+      const ratio = bundlePriceRatio(bundle, unitPriceByProduct);
+      if (ratio == null) continue;
+      const unitsOf = (productId) => bundleLines.filter(l => String(l.product._id) === productId).reduce((s, l) => s + l.quantity, 0);
+      const sets = Math.min(...bundle.products.map(bp => Math.floor(unitsOf(String(bp.product?._id || bp.product)) / (Number(bp.quantity) || 1))));
+      if (!(sets >= 1)) continue;
+      for (const bp of bundle.products) {
+        let left = sets * (Number(bp.quantity) || 1);
+        for (const line of bundleLines) {
+          if (left <= 0) break;
+          if (String(line.product._id) !== String(bp.product?._id || bp.product)) continue;
+          const units = Math.min(left, line.quantity);
+          left -= units;
+          const bundlePrice = round2(line.unitPrice * ratio);
+          line.unitPrice = round2((bundlePrice * units + line.unitPrice * (line.quantity - units)) / line.quantity);
+          line.breakdown.bundlePrice = bundlePrice;
+          line.breakdown.bundleUnits = units;
+          line.breakdown.bundle = String(bundle._id);
+          line.breakdown.source = 'bundle';
+        }
+      }
+    }
+  }
+
+  for (const line of lines) {
+    line.lineSubtotal = round2(line.unitPrice * line.quantity);
+    line.couponDiscount = 0;
+  }
+  const subtotal = round2(lines.reduce((s, l) => s + l.lineSubtotal, 0));
+
+  let coupon = null;
+  if (couponCode) {
+    const couponDoc = await loadApplicableCoupon(couponCode, session, { customer });
+    const result = computeCouponDiscount(couponDoc, lines);
+    result.lineDiscounts.forEach((d, idx) => { lines[idx].couponDiscount = d; });
+    coupon = {
+      code: couponDoc.code,
+      type: couponDoc.type,
+      discount: result.discount,
+      baseAmount: result.baseAmount,
+      appliedScope: result.appliedScope,
+      freeShipping: result.freeShipping,
+      doc: couponDoc
+    };
+  }
+
+  for (const line of lines) {
+    line.lineTotal = round2(line.lineSubtotal - line.couponDiscount);
+  }
+  const discountTotal = coupon ? coupon.discount : 0;
+
+  return {
+    lines,
+    subtotal,
+    discountTotal,
+    total: round2(Math.max(0, subtotal - discountTotal)),
+    coupon,
+    freeShipping: !!coupon?.freeShipping
+  };
+};
+
+/**
+ * Shape a priced line into the persisted per-line breakdown (Order / PaymentSession items)
+ * @param {Object} line - Priced line from priceCart
+ * @returns {Object} Breakdown snapshot
+ */
+export const toPricingSnapshot = (line) => ({
+  ...line.breakdown,
+  unitPrice: line.unitPrice,
+  lineSubtotal: line.lineSubtotal,
+  couponDiscount: line.couponDiscount,
+  lineTotal: line.lineTotal
+});
+
+/**
+ * Amount payable for an existing order. Uses the persisted per-line breakdown when present
+ * and re-prices legacy orders (without breakdown) through priceCart. The tax adjustment recorded at
+ * checkout (exclusive tax, or an exempt customer's deduction) is part of itemsTotal. An unpaid pre-order
+ * balance (deposit checkout) is not charged now.
+ * @param {Object} order - Order document
+ * @returns {Promise<Object>} { subtotal, discountTotal, taxTotal, taxAdjustment, shippingFee, itemsTotal, total, giftCardTotal, storeCreditAmount, preorderBalance, amountDue }
+ */
+export const priceOrder = async (order) => {
+  const shippingFee = round2(
+    (typeof order.shippingFee === 'number' && order.shippingFee > 0) ? order.shippingFee : (order.deliveryFee || 0)
+  );
+  const items = Array.isArray(order.items) ? order.items : [];
+  const snapshotted = items.length > 0 && items.every(it => it?.pricing && typeof it.pricing.lineTotal === 'number');
+  let subtotal;
+  let discountTotal;
+  if (snapshotted) {
+    subtotal = round2(items.reduce((s, it) => s + (it.pricing.lineSubtotal || 0), 0));
+    discountTotal = round2(items.reduce((s, it) => s + (it.pricing.couponDiscount || 0), 0));
+  } else {
+    // Legacy orders keep their recorded coupon amount; the coupon itself may have expired since
+    const priced = await priceCart({
+      items: items.map(it => ({ product: it.product, quantity: it.quantity, variantId: it.variantId }))
+    });
+    subtotal = priced.subtotal;
+    discountTotal = round2(Math.min(Number(order.coupon?.discount) || 0, subtotal));
+  }
+  const taxAdjustment = round2(order.tax?.adjustment || 0);
+  const taxTotal = round2(order.taxTotal || 0);
+  const itemsTotal = round2(Math.max(0, subtotal - discountTotal + taxAdjustment));
+  const total = round2(itemsTotal + shippingFee);
+  // Gift cards and store credit spent on the order reduce what the payment provider is asked for
+  const giftCardTotal = round2(Math.min(Number(order.giftCardTotal) || 0, total));
+  const storeCreditAmount = round2(Math.min(Number(order.storeCreditAmount) || 0, total - giftCardTotal));
+  const preorderBalance = order.preorderBalance?.paidAt
+    ? 0
+    : round2(Math.min(Number(order.preorderBalance?.amount) || 0, total - giftCardTotal - storeCreditAmount));
+  return {
+    subtotal, discountTotal, taxTotal, taxAdjustment, shippingFee, itemsTotal, total, giftCardTotal, storeCreditAmount, preorderBalance,
+    amountDue: round2(total - giftCardTotal - storeCreditAmount - preorderBalance)
+  };
+};
+
+export default {
+  priceCart,
+  priceOrder,
+  toPricingSnapshot,
+  computeCouponDiscount,
+  loadApplicableCoupon,
+  recordCouponUse,
+  resolveFlashPrice,
+  bundlePriceRatio,
+  loadActiveFlashSales,
+  expandBundleItems,
+  recordBundleSales
+};
@@ -103,6 +103,25 @@ class RealTimeEventService {
     }
   }
 
+  // Emit remaining flash sale stock so countdown pages stay accurate
+  // Payload example: { saleId, items: [{ productId, remaining, sold, soldOut }], ended?: boolean }
+  emitFlashSaleStock(update) {
+    try {
+      const payload = {
+        type: 'flash_sale_stock',
+        data: {
+          saleId: update?.saleId,
+          items: update?.items || [],
+          ended: !!update?.ended
+        }
+      };
+      broadcastToClients(payload);
+      console.log('[realtime] Broadcasted flash_sale_stock:', { saleId: payload.data.saleId, items: payload.data.items.length, ended: payload.data.ended });
+    } catch (e) {
+      try { console.warn('emitFlashSaleStock failed:', e?.message || e); } catch {}
+    }
+  }
+
   // Real-time sales updates based on actual database data
   async startPeriodicUpdates() {
     // Cache the last sales data to avoid unnecessary broadcasts
@@ -0,0 +1,246 @@
+import { StatusCodes } from 'http-status-codes';
+import Order from '../models/Order.js';
+import Refund from '../models/Refund.js';
+import { ApiError } from '../utils/ApiError.js';
+import { invoiceService } from './invoiceService.js';
+import { recordOrderEvent } from './orderStateMachine.js';
+import { realTimeEventService } from './realTimeEventService.js';
+import { paymentGateways } from './payments/gatewayRegistry.js';
+
+const round2 = (n) => Math.round((Number(n) || 0) * 100) / 100;
+// Payment statuses with money captured by the gateway that may still be refunded
+export const REFUNDABLE_PAYMENT_STATUSES = ['completed', 'partially_refunded'];
+// A refund that crashed midway stops blocking new ones after this long
+const LOCK_MS = 2 * 60 * 1000;
+
+class RefundService {
+  /** Gateway an order was paid through, if it can refund it. */
+  gatewayFor(order) {
+    const gateway = paymentGateways.forOrder(order);
+    return gateway?.supports('refund') ? gateway : null;
+  }
+
+  async #totals(orderId) {
+    const rows = await Refund.aggregate([
+      { $match: { order: orderId, status: { $in: ['completed', 'pending'] } } },
+      { $group: { _id: '$status', amount: { $sum: '$amount' } } }
+    ]);
+    const by = Object.fromEntries(rows.map(r => [r._id, round2(r.amount)]));
+    return { completed: by.completed || 0, pending: by.pending || 0 };
+  }
+
+  // Refunds recorded outside the gateway (store credit on cancellation, returns) also come off the payment
+  #refundable(order, pay, totals) {
+    const elsewhere = Math.max(0, (Number(order.refundedAmount) || 0) - totals.completed);
+    return round2(Math.max(0, pay.captured - totals.completed - totals.pending - elsewhere));
+  }
+
+  /** Refunds of an order and what may still be refunded through its gateway. */
+  async summary(order) {
+    const gateway = this.gatewayFor(order);
+    const refunds = await Refund.find({ order: order._id }).sort('-createdAt').lean();
+    if (!gateway) return { provider: null, captured: 0, refunded: 0, pending: 0, refundable: 0, refunds };
+    const [pay, totals] = await Promise.all([gateway.paymentOf(order), this.#totals(order._id)]);
+    const paid = REFUNDABLE_PAYMENT_STATUSES.includes(order.paymentStatus);
+    return {
+      provider: gateway.id,
+      partialRefunds: gateway.supports('partialRefund'),
+      captured: pay.captured,
+      refunded: totals.completed,
+      pending: totals.pending,
+      refundable: paid ? this.#refundable(order, pay, totals) : 0,
+      refunds
+    };
+  }
+
+  /**
+   * Refund all or part of an order's payment through the gateway it was paid with (./payments/gatewayRegistry.js).
+   * Every call leaves a Refund document, including declined ones; a declined refund throws 502.
+   * @param {import('mongoose').Document} order Order document
+   * @param {{ amount?: number, reason?: string, actor?: object, source?: 'admin'|'order_change', changeRequest?: object, creditNote?: boolean }} [opts]
+   *   amount defaults to everything still refundable; creditNote=false skips the credit note (e.g. already issued)
+   * @returns {Promise<{ refund: object, order: object }>}
+   */
+  async refund(order, { amount, reason, actor = null, source = 'admin', changeRequest = null, creditNote = true } = {}) {
+    const gateway = this.gatewayFor(order);
+    if (!gateway) throw new ApiError(StatusCodes.BAD_REQUEST, 'Order was not paid through a gateway that can refund it');
+    const provider = gateway.id;
+    if (!REFUNDABLE_PAYMENT_STATUSES.includes(order.paymentStatus)) {
+      throw new ApiError(StatusCodes.CONFLICT, 'Order has no captured payment to refund');
+    }
+    // One refund per order at a time: the refundable amount is checked and spent under this claim
+    const claimed = await Order.updateOne(
+      { _id: order._id, $or: [{ refundingAt: null }, { refundingAt: { $lt: new Date(Date.now() - LOCK_MS) } }] },
+      { $set: { refundingAt: new Date() } }
+    );
+    if (!claimed?.modifiedCount) throw new ApiError(StatusCodes.CONFLICT, 'Another refund of this order is in progress');
+    try {
+      const pay = await gateway.paymentOf(order);
+      if (!pay.reference) {
+        throw new ApiError(StatusCodes.CONFLICT, `The ${gateway.label} payment id of this order is unknown; refund it from the provider dashboard`);
+      }
+      const totals = await this.#totals(order._id);
+      const refundable = this.#refundable(order, pay, totals);
+      const value = amount === undefined || amount === null || amount === '' ? refundable : round2(amount);
+      if (!(value > 0) || value > refundable) {
+        throw new ApiError(StatusCodes.BAD_REQUEST, `Invalid refund amount. Refundable: ${refundable}`);
+      }
+      if (value < refundable && !gateway.supports('partialRefund')) {
+        throw new ApiError(StatusCodes.BAD_REQUEST, `${gateway.label} only refunds the full amount (${refundable})`);
+      }
+
+      const refund = await Refund.create({
+        refundNumber: `RF${Date.now()}`,
+        order: order._id,
+        provider,
+        amount: value,
+        currency: order.currency,
+        reason: reason || undefined,
+        paymentReference: pay.reference,
+        source,
+        changeRequest: changeRequest?._id || undefined,
+        requestedBy: actor?.user || undefined
+      });
+      let result;
+      try {
+        result = await gateway.refund(order, refund, pay);
+      } catch (e) {
+        result = {
+          status: 'failed',
+          providerStatus: String(e?.statusCode || e?.status || ''),
+          response: e?.response?.data ?? null,
+          error: e?.message || String(e)
+        };
+      }
+      refund.status = result.status;
+      refund.providerStatus = result.providerStatus;
+      refund.providerRefundId = result.providerRefundId || undefined;
+      refund.providerResponse = result.response;
+      refund.error = result.error || undefined;
+      await refund.save();
+      try { console.log('[payments][refunds] refund', { order: order.orderNumber, refund: refund.refundNumber, provider, amount: value, status: refund.status }); } catch {}
+
+      if (refund.status === 'failed') {
+        await recordOrderEvent(order, {
+          type: 'note',
+          actor,
+          source: 'refund',
+          note: `${gateway.label} refund of ${value} ${order.currency || ''} failed: ${refund.error || 'declined'}`.trim(),
+          meta: { refund: refund.refundNumber, provider, amount: value }
+        });
+        throw new ApiError(StatusCodes.BAD_GATEWAY, `${gateway.label} did not refund the payment: ${refund.error || 'declined'}`);
+      }
+      if (refund.status === 'completed') {
+        await this.#applyCompleted(order, refund, { gateway, actor, creditNote, captured: pay.captured });
+      } else {
+        await recordOrderEvent(order, {
+          type: 'note',
+          actor,
+          source: 'refund',
+          note: `${gateway.label} refund of ${value} ${order.currency || ''} is pending at the provider`.trim(),
+          meta: { refund: refund.refundNumber, provider, amount: value, providerRefundId: refund.providerRefundId || null }
+        });
+      }
+      return { refund, order };
+    } finally {
+      try { await Order.updateOne({ _id: order._id }, { $unset: { refundingAt: 1 } }); } catch {}
+    }
+  }
+
+  /**
+   * Settle a refund the provider left pending (webhook / status poll).
+   * @param {import('mongoose').Document} refund Refund document
+   * @param {{ status: 'completed'|'failed', providerStatus?: string, response?: any, error?: string, actor?: object }} update
+   */
+  async settle(refund, { status, providerStatus, response, error, actor = null } = {}) {
+    if (refund.status !== 'pending' || !['completed', 'failed'].includes(status)) return refund;
+    // Settled once, even when the webhook and a status poll race
+    const claimed = await Refund.updateOne({ _id: refund._id, status: 'pending' }, { $set: { status } });
+    if (!claimed?.modifiedCount) return refund;
+    refund.status = status;
+    if (providerStatus) refund.providerStatus = providerStatus;
+    if (response !== undefined) refund.providerResponse = response;
+    if (error) refund.error = error;
+    await refund.save();
+    const order = await Order.findById(refund.order);
+    const gateway = paymentGateways.get(refund.provider);
+    if (!order || !gateway) return refund;
+    if (status === 'completed') {
+      const pay = await gateway.paymentOf(order);
+      await this.#applyCompleted(order, refund, { gateway, actor, creditNote: true, captured: pay.captured });
+    } else {
+      await recordOrderEvent(order, {
+        type: 'note',
+        actor,
+        source: 'refund',
+        note: `${gateway.label} refund ${refund.refundNumber} failed${error ? `: ${error}` : ''}`,
+        meta: { refund: refund.refundNumber, provider: refund.provider, amount: refund.amount }
+      });
+    }
+    return refund;
+  }
+
+  /**
+   * Book a refund the provider reports but this app did not request (made in the provider's dashboard).
+   * @param {import('mongoose').Document} order Order document
+   * @param {{ gateway: object, amount: number, providerRefundId?: string, providerStatus?: string, response?: any, reason?: string, actor?: object }} data
+   * @returns {Promise<object>} the completed Refund document
+   */
+  async recordExternal(order, { gateway, amount, providerRefundId, providerStatus, response, reason, actor = null }) {
+    const value = round2(amount);
+    if (!(value > 0)) throw new ApiError(StatusCodes.BAD_REQUEST, 'Invalid refund amount');
+    const pay = await gateway.paymentOf(order);
+    const refund = await Refund.create({
+      refundNumber: `RF${Date.now()}`,
+      order: order._id,
+      provider: gateway.id,
+      amount: value,
+      currency: order.currency,
+      status: 'completed',
+      reason: reason || `Refunded outside the store through ${gateway.label}`,
+      paymentReference: pay.reference || undefined,
+      providerRefundId: providerRefundId || undefined,
+      providerStatus,
+      providerResponse: response,
+      source: 'provider'
+    });
+    try { console.log('[payments][refunds] external refund', { order: order.orderNumber, refund: refund.refundNumber, provider: gateway.id, amount: value }); } catch {}
+    await this.#applyCompleted(order, refund, { gateway, actor, creditNote: true, captured: pay.captured });
+    return refund;
+  }
+
+  // Money is back with the customer: book it on the order, credit the invoice and note it on the timeline
+  async #applyCompleted(order, refund, { gateway, actor, creditNote, captured }) {
+    refund.completedAt = new Date();
+    const totals = await this.#totals(order._id);
+    order.refundedAmount = round2((Number(order.refundedAmount) || 0) + refund.amount);
+    order.paymentStatus = totals.completed >= captured ? 'refunded' : 'partially_refunded';
+    await order.save();
+    if (creditNote) {
+      try {
+        const note = await invoiceService.issueCreditNote(order, { amount: refund.amount, reason: `Refund ${refund.refundNumber}`, createdBy: actor?.user });
+        if (note) refund.creditNote = note._id;
+      } catch (e) {
+        console.warn('[payments][refunds] credit note not issued', e?.message || e);
+      }
+    }
+    await refund.save();
+    await recordOrderEvent(order, {
+      type: 'note',
+      actor,
+      source: 'refund',
+      note: `Refunded ${refund.amount}${order.currency ? ` ${order.currency}` : ''} through ${gateway.label}`,
+      meta: {
+        refund: refund.refundNumber,
+        provider: refund.provider,
+        amount: refund.amount,
+        providerRefundId: refund.providerRefundId || null,
+        paymentStatus: order.paymentStatus,
+        ...(refund.creditNote ? { creditNote: String(refund.creditNote) } : {})
+      }
+    });
+    try { realTimeEventService.emitOrderUpdate(order); } catch {}
+  }
+}
+
+export const refundService = new RefundService();
@@ -0,0 +1,337 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import { StatusCodes } from 'http-status-codes';
+import StockReservation from '../models/StockReservation.js';
+import StockHoldVersion from '../models/StockHoldVersion.js';
+import Inventory from '../models/Inventory.js';
+import Product from '../models/Product.js';
+import Settings from '../models/Settings.js';
+import { ApiError } from '../utils/ApiError.js';
+import { inventoryService } from './inventoryService.js';
+import { realTimeEventService } from './realTimeEventService.js';
+
+const DEFAULT_TTL_MINUTES = 15;
+// Checkouts racing for the same stock retry this many times before giving up
+const HOLD_ATTEMPTS = 5;
+// Public cart holds: units per line, units and lines per cart, carts held at once per client address
+export const CART_LIMITS = { lineQuantity: 20, units: 100, lines: 50, cartsPerClient: 3 };
+
+// Normalize an order/cart line into the same key inventory rows use
+export function toStockKey(it) {
+  if (it.variantId) {
+    return { product: String(it.product?._id || it.product), variantId: String(it.variantId) };
+  }
+  return {
+    product: String(it.product?._id || it.product),
+    size: (it.size && String(it.size).trim()) ? String(it.size) : 'Default',
+    color: (it.color && String(it.color).trim()) ? String(it.color) : 'Default'
+  };
+}
+
+export function keyString(k) {
+  return k.variantId ? `${k.product}:v:${k.variantId}` : `${k.product}:${k.size}:${k.color}`;
+}
+
+class ReservationService {
+  async #loadInventoryConfig() {
+    const s = await Settings.findOne().lean();
+    return s?.inventory || {};
+  }
+
+  async getTTLMinutes() {
+    const cfg = await this.#loadInventoryConfig();
+    const ttl = Number(cfg.reservationTTLMinutes);
+    return Number.isFinite(ttl) && ttl > 0 ? ttl : DEFAULT_TTL_MINUTES;
+  }
+
+  // Sellable quantity for a stock key: on-hand inventory minus other active, unexpired holds
+  // (excludeFilter: owner filter, or a list of them, whose holds do not count)
+  async availableFor(key, { excludeFilter = null } = {}) {
+    const invFilter = key.variantId
+      ? { product: key.product, variantId: key.variantId }
+      : { product: key.product, size: key.size, color: key.color };
+    const invs = await Inventory.find(invFilter).select('quantity').lean();
+    const onHand = invs.reduce((s, x) => s + (Number(x.quantity) || 0), 0);
+
+    const holdMatch = {
+      ...invFilter,
+      product: new mongoose.Types.ObjectId(key.product),
+      ...(key.variantId ? { variantId: new mongoose.Types.ObjectId(key.variantId) } : {}),
+      status: 'active',
+      expiresAt: { $gt: new Date() }
+    };
+    if (excludeFilter) holdMatch.$nor = Array.isArray(excludeFilter) ? excludeFilter : [excludeFilter];
+    const agg = await StockReservation.aggregate([
+      { $match: holdMatch },
+      { $group: { _id: null, qty: { $sum: '$quantity' } } }
+    ]);
+    const held = agg[0]?.qty || 0;
+    return { onHand, held, available: onHand - held };
+  }
+
+  // Throws when any line exceeds sellable stock (respects allowNegativeStock)
+  async assertAvailable(items, { excludeFilter = null } = {}) {
+    const cfg = await this.#loadInventoryConfig();
+    if (cfg.allowNegativeStock) return;
+    const totals = new Map();
+    for (const it of items || []) {
+      const key = toStockKey(it);
+      const ks = keyString(key);
+      const prev = totals.get(ks);
+      totals.set(ks, { key, quantity: (prev?.quantity || 0) + (Number(it.quantity) || 0) });
+    }
+    for (const { key, quantity } of totals.values()) {
+      const { available } = await this.availableFor(key, { excludeFilter });
+      if (available < quantity) {
+        let displayName = 'product';
+        try {
+          const pdoc = await Product.findById(key.product).select('name').lean();
+          if (pdoc?.name) displayName = pdoc.name;
+        } catch {}
+        throw new ApiError(
+          StatusCodes.BAD_REQUEST,
+          `Insufficient stock for ${displayName}${key.variantId ? ' (variant)' : ''}. Available: ${Math.max(0, available)}, requested: ${quantity}`
+        );
+      }
+    }
+  }
+
+  // Carts are identified by the client; the token handed out with a cart's holds proves later calls come from it
+  cartToken(cartId) {
+    const secret = process.env.CART_TOKEN_SECRET || process.env.JWT_SECRET || '';
+    return crypto.createHmac('sha256', secret).update(`cart:${cartId}`).digest('base64url');
+  }
+
+  /**
+   * Whether a caller may use a cart's holds (replace, release, check out). A cart without active holds is
+   * free; one with holds needs its token, and once a signed-in customer holds it, that customer.
+   * @param {{ token?: string, userId?: string }} caller
+   */
+  async canUseCart(cartId, { token, userId } = {}) {
+    if (!cartId) return false;
+    const held = await StockReservation.findOne({ cartId: String(cartId), status: 'active' }).select('user').lean();
+    if (!held) return true;
+    if (held.user && String(held.user) !== String(userId || '')) return false;
+    const expected = Buffer.from(this.cartToken(String(cartId)));
+    const given = Buffer.from(String(token || ''));
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+  }
+
+  // Throws 400 when a cart exceeds CART_LIMITS, 429 when the client already holds too many other carts
+  async assertCartLimits(cartId, items, { clientIp } = {}) {
+    if (items.length > CART_LIMITS.lines) {
+      throw new ApiError(StatusCodes.BAD_REQUEST, `A cart holds at most ${CART_LIMITS.lines} lines`);
+    }
+    let units = 0;
+    for (const it of items) {
+      const quantity = Number(it?.quantity);
+      if (!Number.isInteger(quantity) || quantity < 1 || quantity > CART_LIMITS.lineQuantity) {
+        throw new ApiError(StatusCodes.BAD_REQUEST, `Quantity must be between 1 and ${CART_LIMITS.lineQuantity}`);
+      }
+      units += quantity;
+    }
+    if (units > CART_LIMITS.units) {
+      throw new ApiError(StatusCodes.BAD_REQUEST, `A cart holds at most ${CART_LIMITS.units} units`);
+    }
+    if (!clientIp) return;
+    const carts = await StockReservation.distinct('cartId', {
+      clientIp,
+      cartId: { $ne: String(cartId) },
+      status: 'active',
+      expiresAt: { $gt: new Date() }
+    });
+    if (carts.length >= CART_LIMITS.cartsPerClient) {
+      throw new ApiError(StatusCodes.TOO_MANY_REQUESTS, 'Too many carts holding stock; try again later');
+    }
+  }
+
+  // Place holds for an owner ({ cartId } | { paymentSession } | { order }). Existing active holds
+  // of the same owner are replaced so re-submitting a cart does not double count; holds of `exclude`
+  // (the cart being checked out) do not count against the new ones, the caller releases them after.
+  // Check and insert are atomic per stock key: the holds are kept only if no other checkout placed
+  // holds on the same keys since availability was read (StockHoldVersion), otherwise they are checked again.
+  async holdItems(items, owner, { userId = null, exclude = null, clientIp = null } = {}) {
+    if (!Array.isArray(items) || !items.length) return [];
+    const ownerFilter = this.#ownerFilter(owner);
+    const excludeFilter = exclude ? [ownerFilter, this.#ownerFilter(exclude)] : ownerFilter;
+    const keys = [...new Set(items.map(it => keyString(toStockKey(it))))];
+    const ttl = await this.getTTLMinutes();
+
+    for (let attempt = 1; ; attempt++) {
+      const versions = new Map((await StockHoldVersion.find({ key: { $in: keys } }).select('key version').lean()).map(v => [v.key, v.version]));
+      await this.assertAvailable(items, { excludeFilter });
+
+      const expiresAt = new Date(Date.now() + ttl * 60 * 1000);
+      const docs = items.map(it => {
+        const key = toStockKey(it);
+        return {
+          ...key,
+          quantity: Number(it.quantity) || 0,
+          ...ownerFilter,
+          user: userId || undefined,
+          clientIp: clientIp || undefined,
+          status: 'active',
+          expiresAt
+        };
+      });
+      const holds = await StockReservation.insertMany(docs);
+      const ids = holds.map(h => h._id);
+      if (await this.#claimVersions(keys, versions)) {
+        await StockReservation.updateMany(
+          { ...ownerFilter, status: 'active', _id: { $nin: ids } },
+          { $set: { status: 'released', releasedAt: new Date(), releaseReason: 'Replaced' } }
+        );
+        this.#notify(holds, 'reserved');
+        return holds;
+      }
+      // Another checkout held the same stock meanwhile: withdraw and check again
+      await StockReservation.deleteMany({ _id: { $in: ids } });
+      if (attempt >= HOLD_ATTEMPTS) {
+        throw new ApiError(StatusCodes.CONFLICT, 'Stock is being reserved by another checkout; please try again');
+      }
+    }
+  }
+
+  // Release active holds of an owner (cancelled order, failed payment, emptied cart)
+  async releaseHolds(owner, reason = 'Released') {
+    const ownerFilter = this.#ownerFilter(owner);
+    const holds = await StockReservation.find({ ...ownerFilter, status: 'active' }).lean();
+    if (!holds.length) return 0;
+    await StockReservation.updateMany(
+      { _id: { $in: holds.map(h => h._id) } },
+      { $set: { status: 'released', releasedAt: new Date(), releaseReason: reason } }
+    );
+    this.#notify(holds, 'released');
+    return holds.length;
+  }
+
+  // Hand an owner's unconverted holds to an order (paid session whose conversion failed); the order converts them later
+  async assignToOrder(owner, orderId) {
+    const r = await StockReservation.updateMany(
+      { ...this.#ownerFilter(owner), status: { $in: ['active', 'expired'] } },
+      { $set: { order: orderId } }
+    );
+    return r.modifiedCount || 0;
+  }
+
+  // Shrink an owner's holds by the given quantities (order lines reduced before payment); a hold that
+  // reaches zero is released. Returns the number of units given back.
+  async reduceHolds(owner, items, reason = 'Quantity reduced') {
+    const ownerFilter = this.#ownerFilter(owner);
+    const touched = [];
+    let reduced = 0;
+    for (const it of items || []) {
+      let left = Number(it.quantity) || 0;
+      if (left <= 0) continue;
+      const holds = await StockReservation.find({ ...ownerFilter, ...toStockKey(it), status: { $in: ['active', 'expired'] } }).sort({ createdAt: -1 });
+      for (const hold of holds) {
+        if (left <= 0) break;
+        const take = Math.min(left, hold.quantity);
+        if (take === hold.quantity) {
+          hold.status = 'released';
+          hold.releasedAt = new Date();
+          hold.releaseReason = reason;
+        } else {
+          hold.quantity -= take;
+        }
+        await hold.save();
+        left -= take;
+        reduced += take;
+        touched.push(hold);
+      }
+    }
+    if (touched.length) this.#notify(touched, 'released');
+    return reduced;
+  }
+
+  // Turn an owner's holds into a real stock decrement. Expired holds are converted too as long as
+  // stock is still available; the decrement itself goes through inventoryService.reserveItems.
+  async convertHolds(owner, { items = null, order = null, userId = null, session = null } = {}) {
+    const ownerFilter = this.#ownerFilter(owner);
+    const holds = await StockReservation.find({ ...ownerFilter, status: { $in: ['active', 'expired'] } });
+    const lines = Array.isArray(items) && items.length
+      ? items
+      : holds.map(h => ({
+        product: h.product,
+        quantity: h.quantity,
+        ...(h.variantId ? { variantId: h.variantId } : { size: h.size, color: h.color })
+      }));
+    if (!lines.length) return { converted: 0 };
+
+    await this.assertAvailable(lines, { excludeFilter: ownerFilter });
+    await inventoryService.reserveItems(lines, userId, session);
+
+    if (holds.length) {
+      await StockReservation.updateMany(
+        { _id: { $in: holds.map(h => h._id) } },
+        { $set: { status: 'converted', convertedAt: new Date(), ...(order ? { order } : {}) } }
+      );
+    }
+    return { converted: holds.length };
+  }
+
+  // Mark lapsed holds expired so their stock becomes sellable again
+  async expireDue() {
+    const now = new Date();
+    const due = await StockReservation.find({ status: 'active', expiresAt: { $lte: now } }).limit(500).lean();
+    if (!due.length) return 0;
+    await StockReservation.updateMany(
+      { _id: { $in: due.map(h => h._id) } },
+      { $set: { status: 'expired', releasedAt: now, releaseReason: 'TTL expired' } }
+    );
+    this.#notify(due, 'reservation_expired');
+    return due.length;
+  }
+
+  // Bump each stock key's version, only if it is still the one availability was checked at
+  async #claimVersions(keys, versions) {
+    for (const key of keys) {
+      try {
+        const r = await StockHoldVersion.updateOne(
+          { key, version: versions.get(key) || 0 },
+          { $inc: { version: 1 } },
+          { upsert: !versions.has(key) }
+        );
+        if (!r.modifiedCount && !r.upsertedCount) return false;
+      } catch (e) {
+        // Another checkout created the key's counter first
+        if (e?.code === 11000) return false;
+        throw e;
+      }
+    }
+    return true;
+  }
+
+  #ownerFilter(owner = {}) {
+    if (owner.order) return { order: owner.order };
+    if (owner.paymentSession) return { paymentSession: owner.paymentSession };
+    if (owner.cartId) return { cartId: String(owner.cartId) };
+    throw new ApiError(StatusCodes.BAD_REQUEST, 'Reservation owner is required');
+  }
+
+  #notify(holds, action) {
+    const productIds = new Set(holds.map(h => String(h.product)));
+    for (const productId of productIds) {
+      try { realTimeEventService.emitInventoryChanged({ productId, action }); } catch {}
+    }
+  }
+}
+
+export const reservationService = new ReservationService();
+
+// Periodic sweep of expired holds
+let _timer = null;
+
+export function startReservationExpiryScheduler() {
+  if (_timer) return;
+  const tick = async () => {
+    try {
+      const n = await reservationService.expireDue();
+      if (n) console.log('[inventory][reservations] expired holds', { count: n });
+    } catch (e) {
+      try { console.warn('[inventory][reservations] sweep failed:', e?.message || e); } catch {}
+    }
+  };
+  _timer = setInterval(tick, 60 * 1000);
+  try { _timer.unref?.(); } catch {}
+}
@@ -1,5 +1,21 @@
 import Order from '../models/Order.js';
 import Product from '../models/Product.js';
+import ReturnRequest from '../models/ReturnRequest.js';
+import Refund from '../models/Refund.js';
+import { taxInItemsTotal } from './taxService.js';
+import { abandonedCheckoutService } from './abandonedCheckoutService.js';
+
+// Orders that count as booked revenue. Returned orders keep their original sale; the refund is
+// booked separately as negative revenue on the day it was issued.
+const REVENUE_STATUSES = ['delivered', 'processing', 'shipped', 'returned'];
+const ORDER_FIELDS = 'totalAmount taxTotal tax status refundedAmount';
+
+// Tax share of a refund, in the proportion of tax in the refunded order's total
+const refundTax = (r) => {
+  const orderTotal = Number(r.order?.totalAmount) || 0;
+  if (!orderTotal) return 0;
+  return (Number(r.amount) || 0) * Math.min(1, taxInItemsTotal(r.order) / orderTotal);
+};
 
 class RevenueAnalyticsService {
   async getRevenueAnalytics({ start, end }) {
@@ -9,36 +25,44 @@ class RevenueAnalyticsService {
       // Get orders within the date range
       const orders = await Order.find({
         createdAt: { $gte: start, $lte: end },
-        status: { $in: ['delivered', 'processing', 'shipped'] }
+        status: { $in: REVENUE_STATUSES }
       }).populate('items.product');
 
       console.log(`Found ${orders.length} orders in period`);
 
+      // Refunded returns and gateway refunds issued within the period (negative revenue)
+      const returns = await this.getRefundedReturns(start, end);
+      const refunds = this.refundEntries(returns, await this.getGatewayRefunds(start, end));
+
       // Calculate summary metrics
-      const summary = this.calculateSummaryMetrics(orders, start, end);
+      const summary = this.calculateSummaryMetrics(orders, start, end, refunds);
       
       // Calculate daily revenue breakdown
-      const dailyRevenue = this.calculateDailyRevenue(orders, start, end);
+      const dailyRevenue = this.calculateDailyRevenue(orders, start, end, refunds);
       
       // Calculate hourly revenue for today
       const hourlyRevenue = this.calculateHourlyRevenue(orders, start, end);
       
       // Calculate category revenue
-      const categoryRevenue = this.calculateCategoryRevenue(orders);
+      const categoryRevenue = this.calculateCategoryRevenue(orders, returns);
       
       // Calculate top products
-      const topProducts = this.calculateTopProducts(orders);
+      const topProducts = this.calculateTopProducts(orders, returns);
       
       // Calculate trends
       const trends = await this.calculateTrends(start, end);
 
+      // Abandoned checkout recovery funnel
+      const checkoutRecovery = await this.getCheckoutRecovery(start, end);
+
       return {
         summary,
         dailyRevenue,
         hourlyRevenue,
         categoryRevenue,
         topProducts,
-        trends
+        trends,
+        checkoutRecovery
       };
     } catch (error) {
       console.error('Error in getRevenueAnalytics:', error);
@@ -46,8 +70,70 @@ class RevenueAnalyticsService {
     }
   }
 
-  calculateSummaryMetrics(orders, start, end) {
-    const totalRevenue = orders.reduce((sum, order) => sum + order.totalAmount, 0);
+  async getCheckoutRecovery(start, end) {
+    try {
+      return await abandonedCheckoutService.stats({ start, end });
+    } catch (error) {
+      console.warn('Failed to load checkout recovery for revenue analytics:', error?.message || error);
+      return null;
+    }
+  }
+
+  async getRefundedReturns(start, end) {
+    try {
+      return await ReturnRequest.find({
+        status: 'refunded',
+        'refund.refundedAt': { $gte: start, $lte: end }
+      }).populate('items.product', 'name category').populate('order', ORDER_FIELDS).lean();
+    } catch (error) {
+      console.warn('Failed to load refunded returns for revenue analytics:', error?.message || error);
+      return [];
+    }
+  }
+
+  // Money sent back through the payment gateway within the period. Refunds of an order change are left
+  // out: the change already lowered the order's total.
+  async getGatewayRefunds(start, end) {
+    try {
+      return await Refund.find({
+        status: 'completed',
+        source: { $ne: 'order_change' },
+        completedAt: { $gte: start, $lte: end }
+      }).populate('order', ORDER_FIELDS).lean();
+    } catch (error) {
+      console.warn('Failed to load gateway refunds for revenue analytics:', error?.message || error);
+      return [];
+    }
+  }
+
+  // One entry per refund of a booked order: { kind, amount, refundedAt, order }. An order never loses more
+  // than its refundedAmount, so the same money recorded on a return and as a gateway refund counts once.
+  refundEntries(returns = [], gatewayRefunds = []) {
+    const entries = [
+      ...returns.map(r => ({ kind: 'return', amount: Number(r.refund?.amount) || 0, refundedAt: r.refund.refundedAt, order: r.order })),
+      ...gatewayRefunds.map(r => ({ kind: 'refund', amount: Number(r.amount) || 0, refundedAt: r.completedAt, order: r.order }))
+    ].filter(e => e.order && REVENUE_STATUSES.includes(e.order.status))
+      .sort((a, b) => new Date(a.refundedAt) - new Date(b.refundedAt));
+
+    const left = new Map();
+    return entries.map(e => {
+      const key = String(e.order._id);
+      const room = left.has(key) ? left.get(key) : (Number(e.order.refundedAmount) || 0);
+      const amount = Math.round(Math.min(e.amount, Math.max(0, room)) * 100) / 100;
+      left.set(key, room - amount);
+      return { ...e, amount };
+    }).filter(e => e.amount > 0);
+  }
+
+  calculateSummaryMetrics(orders, start, end, refunds = []) {
+    const grossRevenue = orders.reduce((sum, order) => sum + order.totalAmount, 0);
+    const returnsAmount = refunds.filter(r => r.kind === 'return').reduce((sum, r) => sum + r.amount, 0);
+    const refundsAmount = refunds.filter(r => r.kind === 'refund').reduce((sum, r) => sum + r.amount, 0);
+    const totalRevenue = grossRevenue - returnsAmount - refundsAmount;
+    // Net of tax: what the store keeps once collected tax is passed on
+    const taxCollected = orders.reduce((sum, order) => sum + taxInItemsTotal(order), 0)
+      - refunds.reduce((sum, r) => sum + refundTax(r), 0);
+    const netRevenue = totalRevenue - taxCollected;
     const totalOrders = orders.length;
     const averageOrderValue = totalOrders > 0 ? totalRevenue / totalOrders : 0;
 
@@ -66,6 +152,13 @@ class RevenueAnalyticsService {
     
     return {
       totalRevenue,
+      grossRevenue,
+      netRevenue: Math.round(netRevenue * 100) / 100,
+      taxCollected: Math.round(taxCollected * 100) / 100,
+      returnsAmount: -returnsAmount,
+      returnsCount: refunds.filter(r => r.kind === 'return').length,
+      refundsAmount: -refundsAmount,
+      refundsCount: refunds.filter(r => r.kind === 'refund').length,
       totalOrders,
       averageOrderValue,
       todayRevenue,
@@ -79,7 +172,7 @@ class RevenueAnalyticsService {
     };
   }
 
-  calculateDailyRevenue(orders, start, end) {
+  calculateDailyRevenue(orders, start, end, refunds = []) {
     const dailyData = {};
     
     // Initialize all days in the range
@@ -89,7 +182,11 @@ class RevenueAnalyticsService {
       dailyData[dateKey] = {
         date: dateKey,
         revenue: 0,
-        orders: 0
+        netRevenue: 0,
+        tax: 0,
+        orders: 0,
+        returns: 0,
+        refunds: 0
       };
       currentDate.setDate(currentDate.getDate() + 1);
     }
@@ -98,11 +195,26 @@ class RevenueAnalyticsService {
     orders.forEach(order => {
       const dateKey = order.createdAt.toISOString().split('T')[0];
       if (dailyData[dateKey]) {
+        const tax = taxInItemsTotal(order);
         dailyData[dateKey].revenue += order.totalAmount;
+        dailyData[dateKey].netRevenue += order.totalAmount - tax;
+        dailyData[dateKey].tax += tax;
         dailyData[dateKey].orders += 1;
       }
     });
 
+    // Refunds reduce revenue on the day they were issued
+    refunds.forEach(r => {
+      const dateKey = new Date(r.refundedAt).toISOString().split('T')[0];
+      if (dailyData[dateKey]) {
+        const tax = refundTax(r);
+        dailyData[dateKey].revenue -= r.amount;
+        dailyData[dateKey].netRevenue -= r.amount - tax;
+        dailyData[dateKey].tax -= tax;
+        dailyData[dateKey][r.kind === 'return' ? 'returns' : 'refunds'] -= r.amount;
+      }
+    });
+
     return Object.values(dailyData).sort((a, b) => new Date(a.date) - new Date(b.date));
   }
 
@@ -131,7 +243,20 @@ class RevenueAnalyticsService {
     return hourlyData;
   }
 
-  calculateCategoryRevenue(orders) {
+  // Returned line value (what the customer paid for the returned units) keyed by product id
+  returnedLineValues(returns) {
+    const lines = [];
+    for (const r of returns) {
+      for (const it of r.items || []) {
+        const qty = it.receivedQuantity ?? it.quantity;
+        if (!it.product || !qty) continue;
+        lines.push({ product: it.product, quantity: qty, amount: qty * (Number(it.unitPrice) || 0) });
+      }
+    }
+    return lines;
+  }
+
+  calculateCategoryRevenue(orders, returns = []) {
     const categoryData = {};
 
     orders.forEach(order => {
@@ -153,6 +278,14 @@ class RevenueAnalyticsService {
       });
     });
 
+    this.returnedLineValues(returns).forEach(line => {
+      const category = line.product.category;
+      if (category && categoryData[category]) {
+        categoryData[category].revenue -= line.amount;
+        categoryData[category].quantity -= line.quantity;
+      }
+    });
+
     // Convert sets to counts and sort by revenue
     return Object.values(categoryData)
       .map(cat => ({
@@ -162,7 +295,7 @@ class RevenueAnalyticsService {
       .sort((a, b) => b.revenue - a.revenue);
   }
 
-  calculateTopProducts(orders) {
+  calculateTopProducts(orders, returns = []) {
     const productData = {};
 
     orders.forEach(order => {
@@ -185,6 +318,14 @@ class RevenueAnalyticsService {
       });
     });
 
+    this.returnedLineValues(returns).forEach(line => {
+      const productId = line.product._id.toString();
+      if (productData[productId]) {
+        productData[productId].revenue -= line.amount;
+        productData[productId].quantity -= line.quantity;
+      }
+    });
+
     return Object.values(productData)
       .map(prod => ({
         ...prod,
@@ -202,12 +343,12 @@ class RevenueAnalyticsService {
 
     const currentOrders = await Order.find({
       createdAt: { $gte: start, $lte: end },
-      status: { $in: ['delivered', 'processing', 'shipped'] }
+      status: { $in: REVENUE_STATUSES }
     });
 
     const previousOrders = await Order.find({
       createdAt: { $gte: previousStart, $lte: previousEnd },
-      status: { $in: ['delivered', 'processing', 'shipped'] }
+      status: { $in: REVENUE_STATUSES }
     });
 
     const currentRevenue = currentOrders.reduce((sum, order) => sum + order.totalAmount, 0);
@@ -256,7 +397,7 @@ class RevenueAnalyticsService {
 
       const historicalOrders = await Order.find({
         createdAt: { $gte: start, $lte: end },
-        status: { $in: ['delivered', 'processing', 'shipped'] }
+        status: { $in: REVENUE_STATUSES }
       });
 
       // Calculate average daily revenue
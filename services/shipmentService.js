@@ -0,0 +1,196 @@
+import { StatusCodes } from 'http-status-codes';
+import { ApiError } from '../utils/ApiError.js';
+import { sendToCompany, mapStatus, validateRequiredMappings, validateCompanyConfiguration, buildShipmentOrderView } from './deliveryIntegrationService.js';
+import { transitionOrder, assertTransition } from './orderStateMachine.js';
+
+const SHIPMENT_STATUSES = ['pending', 'assigned', 'picked_up', 'in_transit', 'out_for_delivery', 'delivered', 'delivery_failed', 'returned', 'cancelled'];
+// Statuses meaning the parcel has left the store
+const DISPATCHED = new Set(['assigned', 'picked_up', 'in_transit', 'out_for_delivery', 'delivered']);
+// Forward path the order status is walked along when shipments progress
+const FORWARD_PATH = ['pending', 'processing', 'shipped', 'delivered'];
+
+// Units of a line that may be shipped: those still waiting for stock (backorder / pre-order) may not
+const shippableQuantity = (line) => line.quantity - (Number(line.backorder?.waiting) || 0);
+
+const sumByLine = (shipments, predicate) => {
+  const map = new Map();
+  for (const s of shipments) {
+    if (!predicate(s)) continue;
+    for (const it of s.items || []) {
+      const key = String(it.orderItem);
+      map.set(key, (map.get(key) || 0) + (Number(it.quantity) || 0));
+    }
+  }
+  return map;
+};
+
+export function findShipment(order, shipmentId) {
+  const shipment = order.shipments?.id ? order.shipments.id(shipmentId) : null;
+  if (!shipment) throw new ApiError(StatusCodes.NOT_FOUND, 'Shipment not found');
+  return shipment;
+}
+
+// Quantities per order line already covered by non-cancelled shipments
+export function allocatedQuantities(order, { excludeId = null } = {}) {
+  return sumByLine(order.shipments || [], s => s.status !== 'cancelled' && (!excludeId || String(s._id) !== String(excludeId)));
+}
+
+// Fulfillment summary derived from shipments, plus the order status it implies (null = leave as is)
+export function computeFulfillment(order) {
+  const shipments = (order.shipments || []).filter(s => s.status !== 'cancelled');
+  if (!shipments.length) return { fulfillmentStatus: 'unfulfilled', orderStatus: null };
+  const delivered = sumByLine(shipments, s => s.status === 'delivered');
+  const dispatched = sumByLine(shipments, s => DISPATCHED.has(s.status));
+  const lines = order.items || [];
+  const covered = (map) => lines.every(l => (map.get(String(l._id)) || 0) >= l.quantity);
+  const any = (map) => [...map.values()].some(q => q > 0);
+
+  if (covered(delivered)) return { fulfillmentStatus: 'delivered', orderStatus: 'delivered' };
+  if (any(delivered)) return { fulfillmentStatus: 'partially_delivered', orderStatus: 'shipped' };
+  if (covered(dispatched)) return { fulfillmentStatus: 'shipped', orderStatus: 'shipped' };
+  if (any(dispatched)) return { fulfillmentStatus: 'partially_shipped', orderStatus: 'shipped' };
+  return { fulfillmentStatus: 'unfulfilled', orderStatus: 'processing' };
+}
+
+/**
+ * Recompute fulfillmentStatus and move the order forward (never backwards) along
+ * pending -> processing -> shipped -> delivered through the state machine, one step at a time.
+ * Saves the order.
+ */
+export async function syncOrderFromShipments(order, { actor = null, source = 'shipment_update', note } = {}) {
+  const { fulfillmentStatus, orderStatus } = computeFulfillment(order);
+  order.fulfillmentStatus = fulfillmentStatus;
+  const from = FORWARD_PATH.indexOf(order.status);
+  const target = FORWARD_PATH.indexOf(orderStatus);
+  if (from < 0 || target <= from) {
+    await order.save();
+    return order;
+  }
+  for (let i = from + 1; i <= target; i++) {
+    await transitionOrder(order, FORWARD_PATH[i], { actor, source, note });
+  }
+  return order;
+}
+
+// Throws what syncOrderFromShipments would, before anything irreversible happens: walks the order view
+// along the forward path to the status its shipments imply and checks each step's guards
+function assertForwardSync(view) {
+  const { orderStatus } = computeFulfillment(view);
+  const from = FORWARD_PATH.indexOf(view.status);
+  const target = FORWARD_PATH.indexOf(orderStatus);
+  if (from < 0 || target <= from) return;
+  for (let i = from + 1; i <= target; i++) {
+    assertTransition({ ...view, status: FORWARD_PATH[i - 1] }, FORWARD_PATH[i]);
+  }
+}
+
+/**
+ * Create a shipment for some lines of an order. Without items, all still unallocated quantities are taken.
+ * @param {import('mongoose').Document} order
+ * @param {{ items?: Array<{ orderItem: string, quantity: number }>, warehouse?: string, deliveryCompany?: string, deliveryFee?: number, codAmount?: number, notes?: string }} data
+ */
+export async function createShipment(order, { items, warehouse, deliveryCompany, deliveryFee = 0, codAmount, notes } = {}, { actor = null } = {}) {
+  if (['cancelled', 'returned', 'delivered'].includes(order.status)) {
+    throw new ApiError(StatusCodes.CONFLICT, `Cannot add a shipment to a ${order.status} order`);
+  }
+  const allocated = allocatedQuantities(order);
+  const requested = Array.isArray(items) && items.length
+    ? items.map(it => ({ orderItem: String(it?.orderItem || it?.itemId || ''), quantity: Number(it?.quantity) || 0 }))
+    : order.items.map(l => ({ orderItem: String(l._id), quantity: shippableQuantity(l) - (allocated.get(String(l._id)) || 0) })).filter(x => x.quantity > 0);
+  if (!requested.length) throw new ApiError(StatusCodes.BAD_REQUEST, 'All order items in stock are already allocated to shipments');
+
+  const lines = [];
+  for (const it of requested) {
+    const line = order.items.id(it.orderItem);
+    if (!line) throw new ApiError(StatusCodes.BAD_REQUEST, `Order line not found: ${it.orderItem}`);
+    const already = allocated.get(it.orderItem) || 0;
+    if (it.quantity <= 0 || it.quantity + already > shippableQuantity(line)) {
+      const waiting = line.quantity - shippableQuantity(line);
+      throw new ApiError(StatusCodes.BAD_REQUEST, `Invalid shipment quantity for ${line.name || 'item'}. Remaining: ${Math.max(0, shippableQuantity(line) - already)}${waiting > 0 ? ` (${waiting} waiting for stock)` : ''}`);
+    }
+    allocated.set(it.orderItem, already + it.quantity);
+    lines.push({ orderItem: line._id, product: line.product, name: line.name, quantity: it.quantity });
+  }
+
+  order.shipments.push({
+    shipmentNumber: `${order.orderNumber}-S${order.shipments.length + 1}`,
+    items: lines,
+    warehouse: warehouse || undefined,
+    deliveryCompany: deliveryCompany || undefined,
+    deliveryFee: Number(deliveryFee) || 0,
+    ...(codAmount != null && codAmount !== '' ? { codAmount: Number(codAmount) } : {}),
+    notes
+  });
+  const shipment = order.shipments[order.shipments.length - 1];
+  await syncOrderFromShipments(order, { actor, source: 'shipment_created', note: `Shipment ${shipment.shipmentNumber} created` });
+  return shipment;
+}
+
+// Send one shipment to a delivery company and record its tracking on the shipment
+export async function dispatchShipment(order, shipmentId, company, { deliveryFee, actor = null } = {}) {
+  const shipment = findShipment(order, shipmentId);
+  if (shipment.status === 'cancelled') throw new ApiError(StatusCodes.CONFLICT, 'Shipment is cancelled');
+  if (shipment.trackingNumber && shipment.status !== 'delivery_failed') {
+    throw new ApiError(StatusCodes.CONFLICT, `Shipment already dispatched (${shipment.trackingNumber})`);
+  }
+  if (typeof deliveryFee === 'number') shipment.deliveryFee = deliveryFee;
+
+  const cfg = validateCompanyConfiguration(company.toObject());
+  if (!cfg.ok) {
+    throw Object.assign(new Error('Delivery company configuration is incomplete'), { code: 'CONFIG_INVALID', details: cfg.issues });
+  }
+  const orderObj = order.toObject();
+  // The courier cannot be called back: the order must be able to follow the dispatched shipment
+  const dispatchedView = {
+    ...orderObj,
+    shipments: orderObj.shipments.map(s => (String(s._id) === String(shipment._id) ? { ...s, status: 'assigned' } : s))
+  };
+  assertForwardSync(dispatchedView);
+  const mappingCheck = validateRequiredMappings(buildShipmentOrderView(orderObj, shipment.toObject()), company.toObject());
+  if (!mappingCheck.ok) {
+    throw Object.assign(new Error('Missing required mapped fields'), { code: 'MAPPING_MISSING', details: mappingCheck.missing, missing: mappingCheck.missing });
+  }
+
+  const { trackingNumber, providerResponse, providerStatus } = await sendToCompany(orderObj, company.toObject(), {
+    deliveryFee: shipment.deliveryFee,
+    shipment: shipment.toObject()
+  });
+  shipment.deliveryCompany = company._id;
+  shipment.trackingNumber = trackingNumber;
+  shipment.status = mapStatus(company, providerStatus || 'assigned');
+  shipment.assignedAt = new Date();
+  shipment.statusUpdatedAt = new Date();
+  shipment.deliveryResponse = providerResponse;
+  // Keep the order-level company set so existing delivery listings still find the order
+  if (!order.deliveryCompany) order.deliveryCompany = company._id;
+  // The courier has the parcel: keep its tracking even if moving the order on fails below
+  await order.save();
+
+  try {
+    await syncOrderFromShipments(order, { actor, source: 'shipment_dispatched', note: `Shipment ${shipment.shipmentNumber} sent (${trackingNumber})` });
+  } catch (e) {
+    console.warn('[orders][shipments] order status not synced after dispatch:', { order: order.orderNumber, shipment: shipment.shipmentNumber, error: e?.message || e });
+  }
+  return shipment;
+}
+
+// Manual/admin or provider driven status update of one shipment
+export async function updateShipment(order, shipmentId, { status, trackingNumber, deliveryFee, notes } = {}, { actor = null } = {}) {
+  const shipment = findShipment(order, shipmentId);
+  if (status != null) {
+    if (!SHIPMENT_STATUSES.includes(status)) throw new ApiError(StatusCodes.BAD_REQUEST, `Invalid shipment status: ${status}`);
+    if (shipment.status === 'delivered' && status !== 'returned') {
+      throw new ApiError(StatusCodes.CONFLICT, 'Delivered shipments can only be marked returned');
+    }
+    if (status !== shipment.status) {
+      shipment.status = status;
+      shipment.statusUpdatedAt = new Date();
+      if (status === 'delivered') shipment.deliveredAt = new Date();
+    }
+  }
+  if (trackingNumber !== undefined) shipment.trackingNumber = trackingNumber || undefined;
+  if (typeof deliveryFee === 'number' && deliveryFee >= 0) shipment.deliveryFee = deliveryFee;
+  if (notes !== undefined) shipment.notes = notes;
+  await syncOrderFromShipments(order, { actor, source: 'shipment_update', note: `Shipment ${shipment.shipmentNumber}: ${shipment.status}` });
+  return shipment;
+}
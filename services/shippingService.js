@@ -1,6 +1,8 @@
 import ShippingZone from '../models/ShippingZone.js';
 import ShippingRate from '../models/ShippingRate.js';
 import Settings from '../models/Settings.js';
+import Product from '../models/Product.js';
+import ShippingClass from '../models/ShippingClass.js';
 
 /**
  * Calculate shipping fee based on order details
@@ -258,6 +260,117 @@ function resolveCityCost(rate, baseCost, city) {
   return baseCost;
 }
 
+/**
+ * Compute the shipping weight of a cart server-side from product/variant attributes
+ * @param {Array<{product: string, variantId?: string, quantity: number}>} items - Cart or order lines
+ * @returns {Promise<Object>} actualWeight, dimensionalWeight and chargeableWeight (kg), plus shipping class usage
+ */
+export const calculateCartWeight = async (items = []) => {
+  const lines = (Array.isArray(items) ? items : []).filter(it => it && it.product && Number(it.quantity) > 0);
+  const productIds = [...new Set(lines.map(it => String(it.product?._id || it.product)))];
+  const products = productIds.length
+    ? await Product.find({ _id: { $in: productIds } }).select('weight dimensions shippingClass variants._id variants.weight variants.dimensions').lean()
+    : [];
+  const byId = new Map(products.map(p => [String(p._id), p]));
+
+  let dimensionalEnabled = false;
+  let divisor = 5000;
+  try {
+    const s = await Settings.findOne().lean();
+    dimensionalEnabled = !!s?.shipping?.dimensionalWeightEnabled;
+    if (Number(s?.shipping?.dimensionalWeightDivisor) > 0) divisor = Number(s.shipping.dimensionalWeightDivisor);
+  } catch (e) {
+    // Non-fatal; actual weight only
+  }
+
+  let actualWeight = 0;
+  let volume = 0;
+  const classQty = new Map();
+  for (const it of lines) {
+    const product = byId.get(String(it.product?._id || it.product));
+    if (!product) continue;
+    const qty = Number(it.quantity);
+    const variant = it.variantId && Array.isArray(product.variants)
+      ? product.variants.find(v => String(v._id) === String(it.variantId))
+      : null;
+    const weight = Number(variant?.weight) > 0 ? Number(variant.weight) : (Number(product.weight) || 0);
+    const vd = variant?.dimensions;
+    const dims = (vd && (vd.length || vd.width || vd.height)) ? vd : (product.dimensions || {});
+    actualWeight += weight * qty;
+    volume += (Number(dims.length) || 0) * (Number(dims.width) || 0) * (Number(dims.height) || 0) * qty;
+    if (product.shippingClass) {
+      const key = String(product.shippingClass);
+      classQty.set(key, (classQty.get(key) || 0) + qty);
+    }
+  }
+
+  const round3 = (n) => Math.round(n * 1000) / 1000;
+  const dimensionalWeight = round3(volume / divisor);
+  actualWeight = round3(actualWeight);
+  return {
+    actualWeight,
+    dimensionalWeight,
+    chargeableWeight: dimensionalEnabled ? Math.max(actualWeight, dimensionalWeight) : actualWeight,
+    dimensionalWeightApplied: dimensionalEnabled && dimensionalWeight > actualWeight,
+    shippingClasses: [...classQty.entries()].map(([shippingClass, quantity]) => ({ shippingClass, quantity }))
+  };
+};
+
+/**
+ * Calculate the shipping fee of a cart: weight is derived from the items, shipping class
+ * surcharges (handling fee once per class, plus per-item fee) are added to the rate cost.
+ * @param {Object} params - Same as calculateShippingFee, with items instead of weight
+ * @returns {Promise<Object>} fee, weight details and cost components
+ */
+export const calculateCartShippingFee = async ({ items, subtotal, country, region, city }) => {
+  const weight = await calculateCartWeight(items);
+  const baseFee = await calculateShippingFee({ subtotal, weight: weight.chargeableWeight, country, region, city });
+
+  const components = [{ label: 'Shipping', amount: baseFee }];
+  if (weight.shippingClasses.length) {
+    const classes = await ShippingClass.find({ _id: { $in: weight.shippingClasses.map(c => c.shippingClass) }, isActive: true }).lean();
+    const qtyByClass = new Map(weight.shippingClasses.map(c => [c.shippingClass, c.quantity]));
+    for (const sc of classes) {
+      const amount = (Number(sc.handlingFee) || 0) + (Number(sc.feePerItem) || 0) * (qtyByClass.get(String(sc._id)) || 0);
+      if (amount > 0) components.push({ label: sc.name, amount: Math.round(amount * 100) / 100 });
+    }
+  }
+  const fee = Math.round(components.reduce((sum, c) => sum + c.amount, 0) * 100) / 100;
+  return { fee, baseFee, weight, components };
+};
+
+/**
+ * Shipping fee of a checkout. The server-side calculation wins whenever a rate applies (free shipping
+ * included); a client-sent fee is only used when no rate applies and ALLOW_CLIENT_SHIPPING_FEE=true.
+ * The last resort is DEFAULT_SHIPPING_FEE (50).
+ * @param {Object} params - items, subtotal, country, city; clientFees: fees the client sent, in order of
+ *   preference; clientTotalWithShipping: the client's total, the fee being its excess over the subtotal
+ * @returns {Promise<Object>} fee, computed (a rate applied), weight details and cost components
+ */
+export const resolveCheckoutShippingFee = async ({ items, subtotal, country, city, clientFees = [], clientTotalWithShipping }) => {
+  try {
+    const cart = await calculateCartShippingFee({ items, subtotal, country, region: undefined, city });
+    return { fee: isFinite(cart.fee) && cart.fee > 0 ? cart.fee : 0, computed: true, weight: cart.weight, components: cart.components };
+  } catch (e) {
+    console.warn('Shipping fee calculation failed, will use fallback logic:', e?.message || e);
+  }
+  let fee = 0;
+  if (String(process.env.ALLOW_CLIENT_SHIPPING_FEE || 'false').toLowerCase() === 'true') {
+    fee = clientFees
+      .map(v => Number(typeof v === 'string' ? v.trim() : v))
+      .find(v => isFinite(v) && v > 0) || 0;
+    const total = Number(clientTotalWithShipping);
+    if (!fee && isFinite(total) && total > subtotal) fee = Math.round((total - subtotal) * 100) / 100;
+  }
+  if (!fee) {
+    const fallback = Number(process.env.DEFAULT_SHIPPING_FEE || 50);
+    if (isFinite(fallback) && fallback > 0) fee = fallback;
+  }
+  let weight = null;
+  try { weight = await calculateCartWeight(items); } catch (e) { console.warn('Cart weight calculation failed:', e?.message || e); }
+  return { fee, computed: false, weight, components: [] };
+};
+
 /**
  * Validate shipping address
  * @param {Object} address - Shipping address
@@ -0,0 +1,166 @@
+import mongoose from 'mongoose';
+import { StatusCodes } from 'http-status-codes';
+import Order from '../models/Order.js';
+import User from '../models/User.js';
+import StoreCreditTransaction from '../models/StoreCreditTransaction.js';
+import { ApiError } from '../utils/ApiError.js';
+
+const round2 = (n) => Math.round((Number(n) || 0) * 100) / 100;
+
+class StoreCreditService {
+  async getBalance(userId) {
+    if (!userId) return 0;
+    const user = await User.findById(userId).select('storeCreditBalance').lean();
+    return round2(user?.storeCreditBalance || 0);
+  }
+
+  /**
+   * Store credit requested at checkout: `storeCreditAmount: number` or `useStoreCredit: true` (whole balance).
+   * @returns {number} requested amount (Infinity for the whole balance, 0 when none)
+   */
+  parseRequest(body = {}) {
+    if (body.storeCreditAmount != null) {
+      const amount = Number(body.storeCreditAmount);
+      return Number.isFinite(amount) && amount > 0 ? round2(amount) : 0;
+    }
+    return body.useStoreCredit === true || body.useStoreCredit === 'true' ? Infinity : 0;
+  }
+
+  // Add to a wallet (goodwill, refunds, reversals)
+  async credit(userId, amount, entry = {}, { session = null } = {}) {
+    return this.#post(userId, 'credit', amount, entry, { session });
+  }
+
+  // Take from a wallet; fails with 409 when the balance does not cover the amount
+  async debit(userId, amount, entry = {}, { session = null } = {}) {
+    return this.#post(userId, 'debit', amount, entry, { session });
+  }
+
+  async history(userId, { page = 1, limit = 20 } = {}) {
+    const skip = (page - 1) * limit;
+    const [transactions, total] = await Promise.all([
+      StoreCreditTransaction.find({ user: userId })
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .populate('order', 'orderNumber')
+        .lean(),
+      StoreCreditTransaction.countDocuments({ user: userId })
+    ]);
+    return { transactions, total, page, limit };
+  }
+
+  // Balance spent on an order that has not been given back yet
+  async spentOnOrder(orderId) {
+    const rows = await StoreCreditTransaction.aggregate([
+      { $match: { order: new mongoose.Types.ObjectId(String(orderId)), reason: { $in: ['order_payment', 'order_reversal'] } } },
+      { $group: { _id: '$reason', amount: { $sum: '$amount' } } }
+    ]);
+    const sum = (reason) => rows.find(r => r._id === reason)?.amount || 0;
+    return round2(Math.max(0, sum('order_payment') - sum('order_reversal')));
+  }
+
+  /**
+   * Give balance spent on an order back to the wallet (cancellation or refund). The amount is first claimed
+   * on Order.storeCreditRestored, so concurrent cancellations / refunds cannot give the same balance back twice.
+   * @param {{ amount?: number, note?: string, returnRequest?: string, createdBy?: string }} [opts] amount caps partial refunds
+   * @returns {Promise<number>} amount restored
+   */
+  async restoreForOrder(order, { amount = Infinity, note = 'Order cancelled', returnRequest, createdBy } = {}) {
+    if (!order?.user || !(Number(order.storeCreditAmount) > 0)) return 0;
+    const spent = await this.spentOnOrder(order._id);
+    const give = round2(Math.min(amount, spent));
+    if (give <= 0) return 0;
+    // Orders from before the counter start from what the ledger says was given back already
+    await Order.updateOne(
+      { _id: order._id, storeCreditRestored: { $exists: false } },
+      { $set: { storeCreditRestored: round2(Math.max(0, order.storeCreditAmount - spent)) } }
+    );
+    const claimed = await Order.updateOne(
+      { _id: order._id, $expr: { $lte: [{ $add: ['$storeCreditRestored', give] }, { $add: ['$storeCreditAmount', 0.001] }] } },
+      { $inc: { storeCreditRestored: give } }
+    );
+    if (!claimed.modifiedCount) return 0;
+    try {
+      await this.credit(order.user, give, { reason: 'order_reversal', order: order._id, returnRequest, note, createdBy });
+    } catch (e) {
+      try { await Order.updateOne({ _id: order._id }, { $inc: { storeCreditRestored: -give } }); } catch {}
+      throw e;
+    }
+    return give;
+  }
+
+  /**
+   * Debit an order's store credit again after it was given back (cancelled order reinstated).
+   * @returns {Promise<number>} amount debited; 0 when the order still holds its debit
+   */
+  async reapplyForOrder(order) {
+    if (!order?.user || !(Number(order.storeCreditAmount) > 0)) return 0;
+    const missing = round2(order.storeCreditAmount - await this.spentOnOrder(order._id));
+    if (missing <= 0) return 0;
+    await this.debit(order.user, missing, { reason: 'order_payment', order: order._id, note: 'Order reinstated' });
+    await Order.updateOne({ _id: order._id, storeCreditRestored: { $gte: missing } }, { $inc: { storeCreditRestored: -missing } });
+    return missing;
+  }
+
+  /**
+   * Take back a cancellation refund paid out as store credit (cancelled order reinstated).
+   * @returns {Promise<number>} amount debited; fails with 409 when the customer already spent it
+   */
+  async reclaimCancellationRefund(order) {
+    if (!order?.user) return 0;
+    const rows = await StoreCreditTransaction.aggregate([
+      { $match: { order: new mongoose.Types.ObjectId(String(order._id)), reason: 'cancellation_refund' } },
+      { $group: { _id: '$type', amount: { $sum: '$amount' } } }
+    ]);
+    const sum = (type) => rows.find(r => r._id === type)?.amount || 0;
+    const open = round2(sum('credit') - sum('debit'));
+    if (open <= 0) return 0;
+    try {
+      await this.debit(order.user, open, { reason: 'cancellation_refund', order: order._id, note: `Order ${order.orderNumber} reinstated` });
+    } catch (e) {
+      if (e?.statusCode === StatusCodes.CONFLICT) {
+        throw new ApiError(StatusCodes.CONFLICT, `The cancellation refund of ${open} was already spent from store credit; the order cannot be reinstated`);
+      }
+      throw e;
+    }
+    return open;
+  }
+
+  // Move the cached balance atomically, then append the ledger entry (undone on failure without a session)
+  async #post(userId, type, amount, entry, { session }) {
+    const value = round2(amount);
+    if (!(value > 0)) throw new ApiError(StatusCodes.BAD_REQUEST, 'Amount must be greater than 0');
+    const delta = type === 'debit' ? -value : value;
+    const filter = type === 'debit' ? { _id: userId, storeCreditBalance: { $gte: value } } : { _id: userId };
+    const user = await User.findOneAndUpdate(filter, { $inc: { storeCreditBalance: delta } }, { new: true, session })
+      .select('storeCreditBalance');
+    if (!user) {
+      const exists = await User.exists({ _id: userId });
+      if (!exists) throw new ApiError(StatusCodes.NOT_FOUND, 'User not found');
+      throw new ApiError(StatusCodes.CONFLICT, 'Insufficient store credit');
+    }
+    try {
+      const [tx] = await StoreCreditTransaction.create([{
+        user: userId,
+        type,
+        amount: value,
+        balanceAfter: round2(user.storeCreditBalance),
+        reason: entry.reason,
+        order: entry.order,
+        returnRequest: entry.returnRequest,
+        note: entry.note,
+        createdBy: entry.createdBy
+      }], { session });
+      try { console.log('[store-credit]', type, { user: String(userId), amount: value, reason: entry.reason, balance: tx.balanceAfter }); } catch {}
+      return tx;
+    } catch (e) {
+      if (!session) {
+        try { await User.updateOne({ _id: userId }, { $inc: { storeCreditBalance: -delta } }); } catch {}
+      }
+      throw e;
+    }
+  }
+}
+
+export const storeCreditService = new StoreCreditService();
@@ -0,0 +1,248 @@
+import Settings from '../models/Settings.js';
+import TaxRate from '../models/TaxRate.js';
+import ShippingZone from '../models/ShippingZone.js';
+import Category from '../models/Category.js';
+import User from '../models/User.js';
+
+const round2 = (n) => Math.round((Number(n) || 0) * 100) / 100;
+const idOf = (v) => (v ? String(v._id || v) : null);
+const sameCity = (a, b) => String(a || '').trim().toLowerCase() === String(b || '').trim().toLowerCase();
+
+/**
+ * Tax configuration in effect (Settings.tax; a VAT-exempt store charges no tax)
+ * @returns {Promise<{ enabled: boolean, mode: 'inclusive'|'exclusive', taxShipping: boolean, shippingTaxClass: string|null, storeExempt: boolean }>}
+ */
+export const loadTaxSettings = async () => {
+  const settings = await Settings.findOne().select('tax payments.icredit.exemptVAT').lean();
+  const tax = settings?.tax || {};
+  return {
+    enabled: !!tax.enabled,
+    mode: tax.pricesIncludeTax === false ? 'exclusive' : 'inclusive',
+    taxShipping: !!tax.taxShipping,
+    shippingTaxClass: idOf(tax.shippingTaxClass),
+    storeExempt: !!settings?.payments?.icredit?.exemptVAT
+  };
+};
+
+// Shipping zones of a destination, matched like shipping rates: by city first, then by country
+const zonesFor = async ({ country, city } = {}) => {
+  let zones = [];
+  if (city) zones = await ShippingZone.find({ countries: { $in: [city] }, isActive: true }).select('_id').lean();
+  if (!zones.length && country) zones = await ShippingZone.find({ countries: { $in: [country] }, isActive: true }).select('_id').lean();
+  return zones.map(z => String(z._id));
+};
+
+/**
+ * Rate lookup for a destination. The most specific active rate of a class wins: city, then shipping
+ * zone, then the default rate (no city, no zone). Without an address only default rates apply (POS).
+ * @param {{ country?: string, city?: string }|null} address
+ * @returns {Promise<(taxClass: string|null) => { rate: number, name: string|null }>}
+ */
+export const loadRateResolver = async (address = null) => {
+  const [rates, zoneIds] = await Promise.all([
+    TaxRate.find({ isActive: true }).lean(),
+    address ? zonesFor(address) : Promise.resolve([])
+  ]);
+  const cache = new Map();
+  return (taxClass) => {
+    const key = idOf(taxClass) || '';
+    if (!cache.has(key)) {
+      const candidates = rates.filter(r => (idOf(r.taxClass) || '') === key);
+      const match = (address?.city && candidates.find(r => r.city && sameCity(r.city, address.city)))
+        || candidates.find(r => !r.city && r.zone && zoneIds.includes(String(r.zone)))
+        || candidates.find(r => !r.city && !r.zone);
+      cache.set(key, match ? { rate: Number(match.rate) || 0, name: match.name || 'VAT' } : { rate: 0, name: null });
+    }
+    return cache.get(key);
+  };
+};
+
+/**
+ * Tax class per product: its own class, else its primary category's class, else null (standard rates)
+ * @param {Array<Object>} products - Product documents (taxClass, category)
+ * @returns {Promise<Array<string|null>>}
+ */
+export const productTaxClasses = async (products) => {
+  const categoryIds = [...new Set(products.filter(p => !p?.taxClass && p?.category).map(p => idOf(p.category)))];
+  const categories = categoryIds.length ? await Category.find({ _id: { $in: categoryIds } }).select('taxClass').lean() : [];
+  const byCategory = new Map(categories.map(c => [String(c._id), idOf(c.taxClass)]));
+  return products.map(p => idOf(p?.taxClass) || byCategory.get(idOf(p?.category)) || null);
+};
+
+const isExemptCustomer = async (customer) => {
+  if (!customer?.userId) return false;
+  const user = await User.findById(customer.userId).select('taxExempt').lean();
+  return !!user?.taxExempt;
+};
+
+const untaxed = (amount) => ({ taxClass: null, name: null, rate: 0, taxableAmount: round2(amount), amount: 0 });
+
+/**
+ * Tax for priced lines and shipping.
+ * Inclusive mode extracts the tax contained in the amounts; exclusive mode adds it on top. Exempt customers
+ * pay no tax: in inclusive mode the contained tax is taken off the price.
+ * @param {Object} params
+ * @param {Array<{ product: Object, lineTotal: number }>} params.lines - Lines after discounts (priceCart lines)
+ * @param {number} [params.shippingFee]
+ * @param {{ country?: string, city?: string }|null} [params.address] - Destination; null = default rates
+ * @param {{ userId?: string }|null} [params.customer]
+ * @returns {Promise<Object>} { enabled, mode, exempt, exemptReason, lines, shipping, breakdown, taxTotal, adjustment }
+ *   adjustment: amount to add to the items total (exclusive tax, or a negative exempt deduction)
+ */
+export const computeTax = async ({ lines, shippingFee = 0, address = null, customer = null }) => {
+  const cfg = await loadTaxSettings();
+  if (!cfg.enabled || cfg.storeExempt) {
+    return {
+      enabled: false,
+      mode: cfg.mode,
+      exempt: cfg.storeExempt,
+      exemptReason: cfg.storeExempt ? 'store' : undefined,
+      lines: lines.map(l => untaxed(l.lineTotal)),
+      shipping: untaxed(shippingFee),
+      breakdown: [],
+      taxTotal: 0,
+      adjustment: 0
+    };
+  }
+  const [resolve, classes, exempt] = await Promise.all([
+    loadRateResolver(address),
+    productTaxClasses(lines.map(l => l.product)),
+    isExemptCustomer(customer)
+  ]);
+  const inclusive = cfg.mode === 'inclusive';
+  let waived = 0;
+  const taxLine = (gross, taxClass) => {
+    const { rate, name } = resolve(taxClass);
+    const contained = inclusive ? round2((gross * rate) / (100 + rate)) : 0;
+    const taxableAmount = round2(gross - contained);
+    if (exempt) {
+      waived += contained;
+      return { taxClass, name, rate: 0, taxableAmount, amount: 0 };
+    }
+    return { taxClass, name, rate, taxableAmount, amount: inclusive ? contained : round2((taxableAmount * rate) / 100) };
+  };
+  const taxedLines = lines.map((l, i) => taxLine(Number(l.lineTotal) || 0, classes[i]));
+  const fee = Number(shippingFee) || 0;
+  const shipping = cfg.taxShipping && fee > 0 ? taxLine(fee, cfg.shippingTaxClass) : untaxed(fee);
+
+  const groups = new Map();
+  for (const t of [...taxedLines, shipping]) {
+    if (!t.name) continue;
+    const key = `${t.name}|${t.rate}`;
+    const g = groups.get(key) || { name: t.name, rate: t.rate, taxableAmount: 0, amount: 0 };
+    g.taxableAmount = round2(g.taxableAmount + t.taxableAmount);
+    g.amount = round2(g.amount + t.amount);
+    groups.set(key, g);
+  }
+  const taxTotal = round2([...taxedLines, shipping].reduce((s, t) => s + t.amount, 0));
+  const itemsTotal = round2(lines.reduce((s, l) => s + (Number(l.lineTotal) || 0), 0));
+  const adjustment = exempt
+    ? -Math.min(round2(waived), itemsTotal)
+    : (inclusive ? 0 : taxTotal);
+  return {
+    enabled: true,
+    mode: cfg.mode,
+    exempt,
+    exemptReason: exempt ? 'customer' : undefined,
+    lines: taxedLines,
+    shipping,
+    breakdown: [...groups.values()],
+    taxTotal,
+    adjustment
+  };
+};
+
+/**
+ * Order-level snapshot of a computeTax result (Order.tax / PaymentSession.tax)
+ */
+export const toTaxSnapshot = (tax) => ({
+  mode: tax.mode,
+  exempt: tax.exempt,
+  exemptReason: tax.exemptReason,
+  shipping: tax.shipping,
+  breakdown: tax.breakdown,
+  adjustment: tax.adjustment
+});
+
+/**
+ * Re-tax an order's shipping after its fee changed (admin edit / recalculation), at the rate recorded at
+ * checkout. Updates tax, taxTotal and, in exclusive mode, totalAmount. Orders without tax are left alone.
+ * @param {Object} order - Order document (not saved here)
+ */
+export const retaxShipping = (order) => {
+  if (!order?.tax?.mode || !order.tax.shipping?.name) return;
+  const fee = Number(order.shippingFee) || 0;
+  const { rate } = order.tax.shipping;
+  const inclusive = order.tax.mode === 'inclusive';
+  const before = Number(order.tax.shipping.amount) || 0;
+  const taxableBefore = Number(order.tax.shipping.taxableAmount) || 0;
+  const amount = order.tax.exempt ? 0 : (inclusive ? round2((fee * rate) / (100 + rate)) : round2((fee * rate) / 100));
+  order.tax.shipping.amount = amount;
+  order.tax.shipping.taxableAmount = round2(inclusive ? fee - amount : fee);
+  const group = (order.tax.breakdown || []).find(g => g.name === order.tax.shipping.name && g.rate === rate);
+  if (group) {
+    group.amount = round2(group.amount - before + amount);
+    group.taxableAmount = round2(group.taxableAmount - taxableBefore + order.tax.shipping.taxableAmount);
+  }
+  order.taxTotal = round2(Math.max(0, (Number(order.taxTotal) || 0) - before + amount));
+  if (!inclusive) {
+    order.tax.adjustment = round2((Number(order.tax.adjustment) || 0) - before + amount);
+    order.totalAmount = round2(Math.max(0, (Number(order.totalAmount) || 0) - before + amount));
+  }
+  try { order.markModified('tax'); } catch {}
+};
+
+/**
+ * Re-tax an order line whose quantity is changed (customer modification request). Call before the line itself
+ * is changed: its tax is scaled to the new quantity and taxTotal follows. In exclusive mode, and for an exempt
+ * customer's deduction, tax.adjustment and totalAmount change with it. Orders without tax are left alone.
+ * @param {Object} order - Order document (not saved here)
+ * @param {Object} line - Line of order.items, still at its old quantity
+ * @param {number} quantity - New quantity
+ */
+export const retaxLineQuantity = (order, line, quantity) => {
+  if (!order?.tax?.mode || !line?.tax || !(line.quantity > 0)) return;
+  const ratio = quantity / line.quantity;
+  const inclusive = order.tax.mode === 'inclusive';
+  const before = Number(line.tax.amount) || 0;
+  const taxableBefore = Number(line.tax.taxableAmount) || 0;
+  const gross = Number(line.pricing?.lineTotal ?? (Number(line.price) || 0) * line.quantity) || 0;
+  line.tax.amount = round2(before * ratio);
+  line.tax.taxableAmount = round2(taxableBefore * ratio);
+  const group = line.tax.name ? (order.tax.breakdown || []).find(g => g.name === line.tax.name && g.rate === line.tax.rate) : null;
+  if (group) {
+    group.amount = round2(group.amount - before + line.tax.amount);
+    group.taxableAmount = round2(group.taxableAmount - taxableBefore + line.tax.taxableAmount);
+  }
+  order.taxTotal = round2(Math.max(0, (Number(order.taxTotal) || 0) - before + line.tax.amount));
+  // The exempt deduction was the tax contained in the line (inclusive mode only)
+  const delta = order.tax.exempt
+    ? (inclusive ? round2(Math.max(0, gross - taxableBefore) * (1 - ratio)) : 0)
+    : (inclusive ? 0 : round2(line.tax.amount - before));
+  if (delta) {
+    order.tax.adjustment = round2((Number(order.tax.adjustment) || 0) + delta);
+    order.totalAmount = round2(Math.max(0, (Number(order.totalAmount) || 0) + delta));
+  }
+  try { order.markModified('tax'); } catch {}
+};
+
+/**
+ * Tax contained in an order's totalAmount (the items revenue): all tax in exclusive mode, item tax only in
+ * inclusive mode (shipping, and its tax, sit outside totalAmount there)
+ */
+export const taxInItemsTotal = (order) => {
+  const total = Number(order?.taxTotal) || 0;
+  if (!total) return 0;
+  return round2(order.tax?.mode === 'exclusive' ? total : total - (Number(order.tax?.shipping?.amount) || 0));
+};
+
+export default {
+  loadTaxSettings,
+  loadRateResolver,
+  productTaxClasses,
+  computeTax,
+  toTaxSnapshot,
+  retaxShipping,
+  retaxLineQuantity,
+  taxInItemsTotal
+};
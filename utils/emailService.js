@@ -61,4 +61,96 @@ export async function sendGiftCardEmail({ to, giftCard, sender }) {
     subject: `You've Received a ${formattedAmount} Gift Card!`,
     html
   });
-}
\ No newline at end of file
+}
+
+const escapeHtml = (s) => String(s ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+
+// Reminder for an abandoned checkout (services/abandonedCheckoutService.js)
+export async function sendAbandonedCheckoutEmail({ to, subject, message, link, items = [], couponCode }) {
+  const rows = items.map(it => `
+        <tr>
+          <td style="padding: 6px 0;">${escapeHtml(it.name)}${it.quantity > 1 ? ` &times; ${it.quantity}` : ''}</td>
+        </tr>`).join('');
+
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h1 style="color: #4F46E5; text-align: center;">${escapeHtml(subject)}</h1>
+
+      <p style="font-size: 16px; white-space: pre-line;">${escapeHtml(message)}</p>
+
+      ${rows ? `<table style="width: 100%; margin: 20px 0; border-top: 1px solid #E5E7EB;">${rows}
+      </table>` : ''}
+
+      ${couponCode ? `
+        <div style="background-color: #EEF2FF; padding: 20px; border-radius: 10px; text-align: center;">
+          <p style="font-size: 24px; font-family: monospace; margin: 0;">${couponCode}</p>
+        </div>
+      ` : ''}
+
+      <div style="margin-top: 20px; text-align: center;">
+        <a
+          href="${escapeHtml(link)}"
+          style="display: inline-block; background-color: #4F46E5; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; margin-top: 10px;"
+        >
+          Complete your order
+        </a>
+      </div>
+    </div>
+  `;
+
+  await transporter.sendMail({
+    from: `"Eva Curves" <${process.env.SMTP_FROM}>`,
+    to,
+    subject,
+    html
+  });
+}
+
+// Order confirmation with a link to follow the order without an account (services/orderTrackingService.js)
+export async function sendOrderConfirmationEmail({ to, order, trackingUrl }) {
+  const rows = (order.items || []).map(it => `
+        <tr>
+          <td style="padding: 6px 0;">${escapeHtml(it.name)}${it.quantity > 1 ? ` &times; ${it.quantity}` : ''}</td>
+          <td style="padding: 6px 0; text-align: right;">${formatPrice(it.pricing?.lineTotal ?? (Number(it.price) || 0) * (it.quantity || 1), order.currency)}</td>
+        </tr>`).join('');
+  const shipping = Number(order.shippingFee || order.deliveryFee || 0);
+
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h1 style="color: #4F46E5; text-align: center;">Thank you for your order!</h1>
+
+      <p style="font-size: 16px;">
+        Hi ${escapeHtml(order.customerInfo?.firstName)}, we received your order <strong>${escapeHtml(order.orderNumber)}</strong>.
+      </p>
+
+      <table style="width: 100%; margin: 20px 0; border-top: 1px solid #E5E7EB;">${rows}
+        ${shipping ? `<tr>
+          <td style="padding: 6px 0;">Shipping</td>
+          <td style="padding: 6px 0; text-align: right;">${formatPrice(shipping, order.currency)}</td>
+        </tr>` : ''}
+        <tr>
+          <td style="padding: 6px 0;"><strong>Total</strong></td>
+          <td style="padding: 6px 0; text-align: right;"><strong>${formatPrice(order.totalWithShipping ?? (Number(order.totalAmount) || 0) + shipping, order.currency)}</strong></td>
+        </tr>
+      </table>
+
+      ${trackingUrl ? `
+      <div style="margin-top: 20px; text-align: center;">
+        <a
+          href="${escapeHtml(trackingUrl)}"
+          style="display: inline-block; background-color: #4F46E5; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; margin-top: 10px;"
+        >
+          Track your order
+        </a>
+      </div>
+      ` : ''}
+    </div>
+  `;
+
+  await transporter.sendMail({
+    from: `"Eva Curves" <${process.env.SMTP_FROM}>`,
+    to,
+    subject: `Order ${order.orderNumber} confirmed`,
+    html
+  });
+}
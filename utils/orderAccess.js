@@ -0,0 +1,8 @@
+// Customers may only touch their own orders (by user id or, for legacy guest orders, by email); admins any
+export const canAccessOrder = (user, order) => {
+  if (!user) return false;
+  if (user.role === 'admin') return true;
+  if (order.user && String(order.user) === String(user._id)) return true;
+  const email = String(user.email || '').toLowerCase();
+  return !!email && String(order.customerInfo?.email || '').toLowerCase() === email;
+};
@@ -0,0 +1,377 @@
+import fs from 'fs';
+import zlib from 'zlib';
+
+// Minimal PDF writer for text documents (statements, invoices): pages with text, lines and JPEG images.
+// Coordinates are in points from the top-left corner.
+// Without a font file the standard Helvetica fonts are used and characters outside Latin-1 print as '?'.
+// With a TrueType font (e.g. DejaVu Sans) the font is embedded, so Arabic and Hebrew render too; right-to-left
+// text is reordered for display and Arabic letters are shaped (see visualOrder below).
+
+const A4 = { width: 595.28, height: 841.89 };
+
+// Common locations of a Unicode TrueType font; PDF_FONT_PATH / PDF_FONT_BOLD_PATH take precedence
+const FONT_CANDIDATES = {
+  regular: ['/usr/share/fonts/truetype/dejavu/DejaVuSans.ttf', '/usr/share/fonts/dejavu/DejaVuSans.ttf'],
+  bold: ['/usr/share/fonts/truetype/dejavu/DejaVuSans-Bold.ttf', '/usr/share/fonts/dejavu/DejaVuSans-Bold.ttf']
+};
+
+const num = (n) => (Math.round(n * 100) / 100).toString();
+const toLatin1 = (s) => String(s ?? '').replace(/[^\x20-\x7e\xa0-\xff]/g, '?');
+const escapeText = (s) => toLatin1(s).replace(/([\\()])/g, '\\$1');
+
+// ---------------------------------------------------------------------------
+// Right-to-left support
+
+const isRtlChar = (cp) => (cp >= 0x0590 && cp <= 0x08ff) || (cp >= 0xfb1d && cp <= 0xfdff) || (cp >= 0xfe70 && cp <= 0xfeff);
+const isLtrChar = (ch) => /[A-Za-z0-9À-ɏ]/.test(ch);
+const MIRROR = { '(': ')', ')': '(', '[': ']', ']': '[', '{': '}', '}': '{', '<': '>', '>': '<' };
+
+// Arabic letters -> Presentation Forms-B [isolated, final, initial, medial]; right-joining letters have two forms
+const ARABIC_FORMS = (() => {
+  const map = new Map();
+  const right = [0x0622, 0x0623, 0x0624, 0x0625, 0x0627, 0x0629, 0x062f, 0x0630, 0x0631, 0x0632, 0x0648, 0x0649];
+  let form = 0xfe81;
+  for (let cp = 0x0622; cp <= 0x064a; cp++) {
+    if (cp >= 0x063b && cp <= 0x0640) continue;
+    const n = right.includes(cp) ? 2 : 4;
+    map.set(cp, Array.from({ length: n }, (_, i) => form + i));
+    form += n;
+  }
+  map.set(0x0621, [0xfe80]);
+  return map;
+})();
+const LAM_ALEF = { 0x0622: 0xfef5, 0x0623: 0xfef7, 0x0625: 0xfef9, 0x0627: 0xfefb };
+const isTransparent = (cp) => (cp >= 0x064b && cp <= 0x065f) || cp === 0x0670;
+const joinsForward = (cp) => cp === 0x0640 || (ARABIC_FORMS.get(cp)?.length === 4);
+const joinsBackward = (cp) => cp === 0x0640 || (ARABIC_FORMS.has(cp) && cp !== 0x0621);
+
+function shapeArabic(str) {
+  const cps = Array.from(str, c => c.codePointAt(0));
+  const neighbour = (i, step) => {
+    for (let j = i + step; j >= 0 && j < cps.length; j += step) if (!isTransparent(cps[j])) return cps[j];
+    return null;
+  };
+  const out = [];
+  for (let i = 0; i < cps.length; i++) {
+    const cp = cps[i];
+    const forms = ARABIC_FORMS.get(cp);
+    if (!forms) { out.push(cp); continue; }
+    const prev = neighbour(i, -1);
+    const joinPrev = prev != null && joinsForward(prev);
+    if (cp === 0x0644 && LAM_ALEF[cps[i + 1]]) {
+      out.push(LAM_ALEF[cps[i + 1]] + (joinPrev ? 1 : 0));
+      i++;
+      continue;
+    }
+    const next = neighbour(i, 1);
+    const joinNext = forms.length === 4 && next != null && joinsBackward(next);
+    const idx = joinPrev && joinNext ? 3 : joinNext ? 2 : joinPrev ? 1 : 0;
+    out.push(forms[Math.min(idx, forms.length - 1)]);
+  }
+  return String.fromCodePoint(...out);
+}
+
+/**
+ * Logical -> visual order for one line: right-to-left runs are reversed (brackets mirrored), Latin words and
+ * numbers keep their own direction. Neutral characters between runs of the same direction follow them,
+ * otherwise the paragraph direction.
+ */
+export function visualOrder(str, { rtl = false } = {}) {
+  const text = shapeArabic(String(str ?? ''));
+  const chars = Array.from(text);
+  const types = chars.map(ch => (isRtlChar(ch.codePointAt(0)) ? 'R' : isLtrChar(ch) ? 'L' : 'N'));
+  for (let i = 0; i < types.length; i++) {
+    if (types[i] !== 'N') continue;
+    let j = i;
+    while (j < types.length && types[j] === 'N') j++;
+    const before = i > 0 ? types[i - 1] : null;
+    const after = j < types.length ? types[j] : null;
+    const dir = before && before === after ? before : (rtl ? 'R' : 'L');
+    for (let k = i; k < j; k++) types[k] = dir;
+    i = j - 1;
+  }
+  const runs = [];
+  chars.forEach((ch, i) => {
+    const last = runs[runs.length - 1];
+    if (last && last.dir === types[i]) last.chars.push(ch);
+    else runs.push({ dir: types[i], chars: [ch] });
+  });
+  const render = (run) => (run.dir === 'R' ? run.chars.slice().reverse().map(c => MIRROR[c] || c) : run.chars).join('');
+  return (rtl ? runs.slice().reverse() : runs).map(render).join('');
+}
+
+// ---------------------------------------------------------------------------
+// TrueType embedding
+
+function parseTrueType(buf) {
+  const tables = {};
+  const count = buf.readUInt16BE(4);
+  for (let i = 0; i < count; i++) {
+    const rec = 12 + i * 16;
+    tables[buf.toString('latin1', rec, rec + 4)] = { offset: buf.readUInt32BE(rec + 8), length: buf.readUInt32BE(rec + 12) };
+  }
+  for (const t of ['head', 'hhea', 'hmtx', 'cmap', 'maxp']) {
+    if (!tables[t]) throw new Error(`Font is missing the ${t} table`);
+  }
+  const head = tables.head.offset;
+  const unitsPerEm = buf.readUInt16BE(head + 18);
+  const bbox = [buf.readInt16BE(head + 36), buf.readInt16BE(head + 38), buf.readInt16BE(head + 40), buf.readInt16BE(head + 42)];
+  const hhea = tables.hhea.offset;
+  const ascent = buf.readInt16BE(hhea + 4);
+  const descent = buf.readInt16BE(hhea + 6);
+  const numberOfHMetrics = buf.readUInt16BE(hhea + 34);
+  const advance = (gid) => buf.readUInt16BE(tables.hmtx.offset + Math.min(gid, numberOfHMetrics - 1) * 4);
+
+  // Prefer a full-Unicode (format 12) subtable, else the BMP (format 4) one
+  const cmap = tables.cmap.offset;
+  let sub4 = null;
+  let sub12 = null;
+  for (let i = 0; i < buf.readUInt16BE(cmap + 2); i++) {
+    const rec = cmap + 4 + i * 8;
+    const off = cmap + buf.readUInt32BE(rec + 4);
+    const format = buf.readUInt16BE(off);
+    if (format === 12 && !sub12) sub12 = off;
+    if (format === 4 && !sub4) sub4 = off;
+  }
+  if (!sub4 && !sub12) throw new Error('Font has no Unicode cmap');
+  const glyphOf = (cp) => {
+    if (sub12) {
+      const groups = buf.readUInt32BE(sub12 + 12);
+      for (let i = 0; i < groups; i++) {
+        const g = sub12 + 16 + i * 12;
+        const start = buf.readUInt32BE(g);
+        const end = buf.readUInt32BE(g + 4);
+        if (cp < start) break;
+        if (cp <= end) return buf.readUInt32BE(g + 8) + (cp - start);
+      }
+      return 0;
+    }
+    if (cp > 0xffff) return 0;
+    const segX2 = buf.readUInt16BE(sub4 + 6);
+    const ends = sub4 + 14;
+    const starts = ends + segX2 + 2;
+    const deltas = starts + segX2;
+    const rangeOffsets = deltas + segX2;
+    for (let s = 0; s < segX2; s += 2) {
+      if (cp > buf.readUInt16BE(ends + s)) continue;
+      const start = buf.readUInt16BE(starts + s);
+      if (cp < start) return 0;
+      const delta = buf.readInt16BE(deltas + s);
+      const ro = buf.readUInt16BE(rangeOffsets + s);
+      if (!ro) return (cp + delta) & 0xffff;
+      const gid = buf.readUInt16BE(rangeOffsets + s + ro + (cp - start) * 2);
+      return gid ? (gid + delta) & 0xffff : 0;
+    }
+    return 0;
+  };
+  return { unitsPerEm, bbox, ascent, descent, advance, glyphOf };
+}
+
+const fontCache = new Map();
+
+function loadFont(path) {
+  if (!fontCache.has(path)) {
+    const data = fs.readFileSync(path);
+    fontCache.set(path, { data, metrics: parseTrueType(data) });
+  }
+  const { data, metrics } = fontCache.get(path);
+  return { data, metrics, used: new Map() };
+}
+
+// Width, height and colour components of a baseline/progressive JPEG (null when not a JPEG)
+function jpegInfo(buf) {
+  if (!Buffer.isBuffer(buf) || buf[0] !== 0xff || buf[1] !== 0xd8) return null;
+  let i = 2;
+  while (i + 9 < buf.length) {
+    if (buf[i] !== 0xff) return null;
+    const marker = buf[i + 1];
+    if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+      return { height: buf.readUInt16BE(i + 5), width: buf.readUInt16BE(i + 7), components: buf[i + 9] };
+    }
+    i += 2 + buf.readUInt16BE(i + 2);
+  }
+  return null;
+}
+
+const firstExisting = (paths) => paths.find(p => { try { return p && fs.statSync(p).isFile(); } catch { return false; } }) || null;
+
+export class PdfDocument {
+  /**
+   * @param {{ width?: number, height?: number, margin?: number, unicode?: boolean }} [opts]
+   *   unicode: embed a TrueType font (PDF_FONT_PATH or a system DejaVu Sans) when one is available
+   */
+  constructor({ width = A4.width, height = A4.height, margin = 40, unicode = false } = {}) {
+    this.width = width;
+    this.height = height;
+    this.margin = margin;
+    this.pages = [];
+    this.images = [];
+    this.fonts = null;
+    if (unicode) {
+      const regular = firstExisting([process.env.PDF_FONT_PATH, ...FONT_CANDIDATES.regular]);
+      const bold = firstExisting([process.env.PDF_FONT_BOLD_PATH, ...FONT_CANDIDATES.bold]) || regular;
+      try {
+        if (regular) this.fonts = { F1: loadFont(regular), F2: bold === regular ? null : loadFont(bold) };
+      } catch (e) {
+        try { console.warn('[pdf] font not usable, falling back to Helvetica:', e?.message || e); } catch {}
+      }
+      if (this.fonts && !this.fonts.F2) this.fonts.F2 = this.fonts.F1;
+    }
+    this.addPage();
+  }
+
+  // Whether non-Latin text (Arabic, Hebrew) can be rendered
+  get unicode() {
+    return !!this.fonts;
+  }
+
+  addPage() {
+    this.current = [];
+    this.pages.push(this.current);
+    return this;
+  }
+
+  textWidth(str, size = 10, bold = false) {
+    const font = this.fonts?.[bold ? 'F2' : 'F1'];
+    if (!font) return toLatin1(str).length * size * (bold ? 0.56 : 0.52);
+    const { metrics } = font;
+    let units = 0;
+    for (const ch of String(str ?? '')) units += metrics.advance(metrics.glyphOf(ch.codePointAt(0)));
+    return (units / metrics.unitsPerEm) * size;
+  }
+
+  /**
+   * @param {string} str
+   * @param {number} x
+   * @param {number} y Baseline, from the top of the page
+   * @param {{ size?: number, bold?: boolean, align?: 'left'|'right'|'center', width?: number, rtl?: boolean }} [opts]
+   *   align right/center within `width` starting at x; rtl sets the paragraph direction for reordering
+   */
+  text(str, x, y, { size = 10, bold = false, align = 'left', width = 0, rtl = false } = {}) {
+    const fontKey = bold ? 'F2' : 'F1';
+    const shown = this.fonts ? visualOrder(str, { rtl }) : String(str ?? '');
+    let left = x;
+    if (align !== 'left' && width > 0) {
+      const w = this.textWidth(shown, size, bold);
+      left = align === 'right' ? x + width - w : x + (width - w) / 2;
+    }
+    const operand = this.fonts ? `<${this.#glyphHex(this.fonts[fontKey], shown)}>` : `(${escapeText(shown)})`;
+    this.current.push(`BT /${fontKey} ${num(size)} Tf ${num(left)} ${num(this.height - y)} Td ${operand} Tj ET`);
+    return this;
+  }
+
+  /**
+   * Draw a JPEG image (other formats are not supported). y is the top edge, from the top of the page.
+   * Only one of width/height is needed; the other keeps the aspect ratio.
+   * @returns {boolean} false when the data is not a JPEG
+   */
+  image(data, x, y, { width, height } = {}) {
+    const info = jpegInfo(data);
+    if (!info) return false;
+    const w = width || (height ? (height * info.width) / info.height : info.width);
+    const h = height || (w * info.height) / info.width;
+    // The same buffer drawn on several pages is embedded once
+    let entry = this.images.find(img => img.data === data);
+    if (!entry) {
+      entry = { name: `Im${this.images.length + 1}`, data, info };
+      this.images.push(entry);
+    }
+    const { name } = entry;
+    this.current.push(`q ${num(w)} 0 0 ${num(h)} ${num(x)} ${num(this.height - y - h)} cm /${name} Do Q`);
+    return true;
+  }
+
+  line(x1, y1, x2, y2, { width = 0.5 } = {}) {
+    this.current.push(`${num(width)} w ${num(x1)} ${num(this.height - y1)} m ${num(x2)} ${num(this.height - y2)} l S`);
+    return this;
+  }
+
+  /** @returns {Buffer} */
+  toBuffer() {
+    const objects = [];
+    const add = (body) => { objects.push(body); return objects.length; };
+    const catalog = add(null);
+    const pagesObj = add(null);
+    const fontRefs = this.fonts ? this.#embedFonts(add) : {
+      F1: add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>'),
+      F2: add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>')
+    };
+    const xobjects = this.images.map(({ name, data, info }) => {
+      const colorSpace = info.components === 1 ? '/DeviceGray' : info.components === 4 ? '/DeviceCMYK' : '/DeviceRGB';
+      const ref = add(`<< /Type /XObject /Subtype /Image /Width ${info.width} /Height ${info.height} /ColorSpace ${colorSpace} `
+        + `/BitsPerComponent 8 /Filter /DCTDecode /Length ${data.length} >>\nstream\n${data.toString('latin1')}\nendstream`);
+      return `/${name} ${ref} 0 R`;
+    });
+    const xobjectRes = xobjects.length ? ` /XObject << ${xobjects.join(' ')} >>` : '';
+    const kids = [];
+    for (const ops of this.pages) {
+      const content = ops.join('\n');
+      const stream = add(`<< /Length ${Buffer.byteLength(content, 'latin1')} >>\nstream\n${content}\nendstream`);
+      kids.push(add(`<< /Type /Page /Parent ${pagesObj} 0 R /MediaBox [0 0 ${num(this.width)} ${num(this.height)}] `
+        + `/Resources << /Font << /F1 ${fontRefs.F1} 0 R /F2 ${fontRefs.F2} 0 R >>${xobjectRes} >> /Contents ${stream} 0 R >>`));
+    }
+    objects[catalog - 1] = `<< /Type /Catalog /Pages ${pagesObj} 0 R >>`;
+    objects[pagesObj - 1] = `<< /Type /Pages /Kids [${kids.map(k => `${k} 0 R`).join(' ')}] /Count ${kids.length} >>`;
+
+    let out = '%PDF-1.4\n';
+    const offsets = [];
+    objects.forEach((body, i) => {
+      offsets.push(Buffer.byteLength(out, 'latin1'));
+      out += `${i + 1} 0 obj\n${body}\nendobj\n`;
+    });
+    const xref = Buffer.byteLength(out, 'latin1');
+    out += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    out += offsets.map(o => `${String(o).padStart(10, '0')} 00000 n \n`).join('');
+    out += `trailer\n<< /Size ${objects.length + 1} /Root ${catalog} 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+    return Buffer.from(out, 'latin1');
+  }
+
+  #glyphHex(font, str) {
+    let hex = '';
+    for (const ch of str) {
+      const cp = ch.codePointAt(0);
+      const gid = font.metrics.glyphOf(cp);
+      if (!font.used.has(gid)) font.used.set(gid, cp);
+      hex += gid.toString(16).padStart(4, '0');
+    }
+    return hex;
+  }
+
+  // Type0 / CIDFontType2 fonts with Identity-H encoding (glyph ids in the content stream)
+  #embedFonts(add) {
+    const refs = {};
+    const done = new Map();
+    for (const key of ['F1', 'F2']) {
+      const font = this.fonts[key];
+      if (done.has(font)) { refs[key] = done.get(font); continue; }
+      const { metrics, data, used } = font;
+      const scale = (v) => Math.round((v * 1000) / metrics.unitsPerEm);
+      const name = `${key}Embedded`;
+      const packed = zlib.deflateSync(data);
+      const file = add(`<< /Length ${packed.length} /Length1 ${data.length} /Filter /FlateDecode >>\nstream\n${packed.toString('latin1')}\nendstream`);
+      const descriptor = add(`<< /Type /FontDescriptor /FontName /${name} /Flags 32 /FontBBox [${metrics.bbox.map(scale).join(' ')}] `
+        + `/ItalicAngle 0 /Ascent ${scale(metrics.ascent)} /Descent ${scale(metrics.descent)} /CapHeight ${scale(metrics.ascent)} `
+        + `/StemV 80 /FontFile2 ${file} 0 R >>`);
+      const gids = [...used.keys()].sort((a, b) => a - b);
+      const widths = gids.map(g => `${g} [${scale(metrics.advance(g))}]`).join(' ');
+      const cid = add(`<< /Type /Font /Subtype /CIDFontType2 /BaseFont /${name} `
+        + `/CIDSystemInfo << /Registry (Adobe) /Ordering (Identity) /Supplement 0 >> /FontDescriptor ${descriptor} 0 R `
+        + `/CIDToGIDMap /Identity /DW 1000 /W [${widths}] >>`);
+      const utf16 = (cp) => Buffer.from(String.fromCodePoint(cp), 'utf16le').swap16().toString('hex');
+      const bfchars = gids.map(g => `<${g.toString(16).padStart(4, '0')}> <${utf16(used.get(g))}>`);
+      const chunks = [];
+      for (let i = 0; i < bfchars.length; i += 100) {
+        const part = bfchars.slice(i, i + 100);
+        chunks.push(`${part.length} beginbfchar\n${part.join('\n')}\nendbfchar`);
+      }
+      const cmap = '/CIDInit /ProcSet findresource begin\n12 dict begin\nbegincmap\n'
+        + '/CIDSystemInfo << /Registry (Adobe) /Ordering (UCS) /Supplement 0 >> def\n/CMapName /Adobe-Identity-UCS def\n/CMapType 2 def\n'
+        + `1 begincodespacerange\n<0000> <ffff>\nendcodespacerange\n${chunks.join('\n')}\nendcmap\nCMapName currentdict /CMap defineresource pop\nend\nend`;
+      const toUnicode = add(`<< /Length ${Buffer.byteLength(cmap, 'latin1')} >>\nstream\n${cmap}\nendstream`);
+      refs[key] = add(`<< /Type /Font /Subtype /Type0 /BaseFont /${name} /Encoding /Identity-H `
+        + `/DescendantFonts [${cid} 0 R] /ToUnicode ${toUnicode} 0 R >>`);
+      done.set(font, refs[key]);
+    }
+    return refs;
+  }
+}
@@ -0,0 +1,93 @@
+// Client address helpers for payment gateways (return URLs, IPAddress fields, IPN source allowlists)
+
+// Frontend origin of a request, for gateway return URLs
+export function deriveOrigin(req) {
+  const h = req.headers || {};
+  const origin = h.origin || '';
+  if (origin) return origin.replace(/\/$/, '');
+  const referer = h.referer || '';
+  if (referer) {
+    try { const u = new URL(referer); return `${u.protocol}//${u.host}`; } catch {}
+  }
+  const host = h['x-forwarded-host'] || h.host || '';
+  const proto = (h['x-forwarded-proto'] || '').split(',')[0] || 'http';
+  if (host) return `${proto}://${host}`;
+  return process.env.FRONTEND_BASE_URL || '';
+}
+
+// Best-effort client IPv4 extractor (for gateways that require an IPAddress field)
+export function getClientIp(req) {
+  try {
+    const h = req.headers || {};
+    const candidates = [];
+    const xff = (h['x-forwarded-for'] || '').toString();
+    if (xff) candidates.push(...xff.split(',').map(s => s.trim()).filter(Boolean));
+    const cf = (h['cf-connecting-ip'] || '').toString().trim();
+    if (cf) candidates.push(cf);
+    const xri = (h['x-real-ip'] || '').toString().trim();
+    if (xri) candidates.push(xri);
+    const xci = (h['x-client-ip'] || '').toString().trim();
+    if (xci) candidates.push(xci);
+    const sock = (req.socket?.remoteAddress || '').toString().trim();
+    if (sock) candidates.push(sock);
+    const rip = (req.ip || '').toString().trim();
+    if (rip) candidates.push(rip);
+
+    for (let raw of candidates) {
+      if (!raw) continue;
+      // Remove brackets and ports (e.g., 1.2.3.4:1234)
+      let ip = raw.replace(/^\[|\]$/g, '').replace(/:\d+$/, '');
+      if (/^::ffff:/.test(ip)) ip = ip.replace(/^::ffff:/, '');
+      // Accept only IPv4
+      const m = ip.match(/^([0-9]{1,3})\.([0-9]{1,3})\.([0-9]{1,3})\.([0-9]{1,3})$/);
+      if (!m) continue;
+      let ok = true;
+      for (let i = 1; i <= 4; i++) {
+        const n = Number(m[i]);
+        if (!Number.isFinite(n) || n < 0 || n > 255) { ok = false; break; }
+      }
+      if (ok) return ip;
+    }
+    return undefined;
+  } catch {
+    return undefined;
+  }
+}
+
+export function getFallbackIpFromEnv() {
+  const ip = String(process.env.ICREDIT_DEFAULT_IP || '').trim();
+  if (!ip) return undefined;
+  const m = ip.match(/^([0-9]{1,3})\.([0-9]{1,3})\.([0-9]{1,3})\.([0-9]{1,3})$/);
+  if (!m) return undefined;
+  for (let i = 1; i <= 4; i++) { const n = Number(m[i]); if (!Number.isFinite(n) || n < 0 || n > 255) return undefined; }
+  return ip;
+}
+
+export function validateIPv4(val) {
+  if (typeof val !== 'string' || !val.trim()) return undefined;
+  let ip = val.trim().replace(/^\[|\]$/g, '').replace(/:\d+$/, '');
+  if (/^::ffff:/.test(ip)) ip = ip.replace(/^::ffff:/, '');
+  const m = ip.match(/^([0-9]{1,3})\.([0-9]{1,3})\.([0-9]{1,3})\.([0-9]{1,3})$/);
+  if (!m) return undefined;
+  for (let i = 1; i <= 4; i++) { const n = Number(m[i]); if (!Number.isFinite(n) || n < 0 || n > 255) return undefined; }
+  return ip;
+}
+
+// Parse comma-separated IPv4 list from env into sanitized array
+export function parseIpList(val) {
+  const list = String(val || '')
+    .split(',')
+    .map(s => s.trim())
+    .filter(Boolean)
+    .map(s => {
+      // Normalize IPv4 and drop invalid entries
+      let ip = s.replace(/^\[|\]$/g, '').replace(/:\d+$/, '');
+      if (/^::ffff:/.test(ip)) ip = ip.replace(/^::ffff:/, '');
+      const m = ip.match(/^([0-9]{1,3})\.([0-9]{1,3})\.([0-9]{1,3})\.([0-9]{1,3})$/);
+      if (!m) return '';
+      for (let i = 1; i <= 4; i++) { const n = Number(m[i]); if (!Number.isFinite(n) || n < 0 || n > 255) return ''; }
+      return ip;
+    })
+    .filter(Boolean);
+  return Array.from(new Set(list));
+}